@@ -6,6 +6,8 @@
 import React, { Suspense, lazy } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { BoxProvider } from './context/BoxContext';
+import { RateCardProvider } from './context/RateCardContext';
+import { CurrencyProvider } from './context/CurrencyContext';
 import Navbar from './components/Navbar';
 import { ROUTES } from './constants';
 import './App.css';
@@ -13,6 +15,13 @@ import './App.css';
 // Lazy load components for better performance
 const AddBox = lazy(() => import('./components/AddBox'));
 const BoxList = lazy(() => import('./components/BoxList'));
+const RateCardManager = lazy(() => import('./components/RateCardManager'));
+const BoxImport = lazy(() => import('./components/BoxImport'));
+const Analytics = lazy(() => import('./components/Analytics'));
+const Shipments = lazy(() => import('./components/Shipments'));
+const ShipmentManifest = lazy(() => import('./components/ShipmentManifest'));
+const ShippingLabels = lazy(() => import('./components/ShippingLabels'));
+const CustomsDeclaration = lazy(() => import('./components/CustomsDeclaration'));
 
 /**
  * Loading Fallback Component
@@ -39,23 +48,35 @@ const NotFound = () => (
  */
 function App() {
   return (
-    <BoxProvider>
-      <Router>
-        <div className="App">
-          <Navbar />
+    <CurrencyProvider>
+      <RateCardProvider>
+        <BoxProvider>
+          <Router>
+            <div className="App">
+              <Navbar />
           
-          <main className="main-content" role="main">
-            <Suspense fallback={<LoadingFallback />}>
-              <Routes>
-                <Route path={ROUTES.HOME} element={<AddBox />} />
-                <Route path={ROUTES.BOX_LIST} element={<BoxList />} />
-                <Route path="*" element={<NotFound />} />
-              </Routes>
-            </Suspense>
-          </main>
-        </div>
-      </Router>
-    </BoxProvider>
+              <main className="main-content" role="main">
+                <Suspense fallback={<LoadingFallback />}>
+                  <Routes>
+                    <Route path={ROUTES.HOME} element={<AddBox />} />
+                    <Route path={ROUTES.BOX_LIST} element={<BoxList />} />
+                    <Route path={ROUTES.IMPORT_BOXES} element={<BoxImport />} />
+                    <Route path={ROUTES.EDIT_BOX} element={<AddBox />} />
+                    <Route path={ROUTES.ANALYTICS} element={<Analytics />} />
+                    <Route path={ROUTES.SHIPMENTS} element={<Shipments />} />
+                    <Route path={ROUTES.SHIPMENT_MANIFEST} element={<ShipmentManifest />} />
+                    <Route path={ROUTES.LABELS} element={<ShippingLabels />} />
+                    <Route path={ROUTES.CUSTOMS_DECLARATION} element={<CustomsDeclaration />} />
+                    <Route path={ROUTES.ADMIN_RATES} element={<RateCardManager />} />
+                    <Route path="*" element={<NotFound />} />
+                  </Routes>
+                </Suspense>
+              </main>
+            </div>
+          </Router>
+        </BoxProvider>
+      </RateCardProvider>
+    </CurrencyProvider>
   );
 }
 
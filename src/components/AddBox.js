@@ -1,28 +1,76 @@
 /**
- * AddBox Component - Enhanced form for adding shipping boxes
+ * AddBox Component - Enhanced form for adding and editing shipping boxes
  * Uses custom hooks for form management and validation
+ * Renders in edit mode when mounted on the edit route with a box id
  */
 
-import React, { memo, useCallback } from 'react';
-import { useBox, COUNTRY_MULTIPLIERS } from '../context/BoxContext';
+import React, { memo, useCallback, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useBox } from '../context/BoxContext';
+import { useRateCards } from '../context/RateCardContext';
+import { useCurrency } from '../context/CurrencyContext';
 import { useBoxForm } from '../hooks/useBoxForm';
-import { useNotification } from '../hooks/useNotification';
+import { useUndoNotification } from '../hooks/useUndoNotification';
 import { useFormValidation } from '../hooks/useFormValidation';
-import { UI_MESSAGES } from '../constants';
-import { formatCurrency } from '../utils';
+import {
+  UI_MESSAGES,
+  ROUTES,
+  FORM_VALIDATION,
+  CURRENCIES,
+  INSURANCE,
+  CUSTOMS_CATEGORIES,
+  CUSTOMS_FORMS,
+  PRICING,
+} from '../constants';
+import { getLowestRate, convertToBaseCurrency } from '../utils';
+import { getAddressFormat } from '../utils/address';
+import { calculateDeclaredValueCharges } from '../utils/customs';
+import { draftToCustomsItem, getCustomsItemsTotals, getCustomsFormType } from '../utils/customsDeclaration';
+import { checkPromoCode, getDiscountOffers, getRedemptionDate } from '../utils/discounts';
+import { compareCarriers, getCarrierName } from '../utils/carriers';
+import { estimateDelivery, formatDeliveryWindow, parseIsoDate } from '../utils/deliveryDates';
+import { parseColor, rgbToHex, getColorName } from '../utils/colors';
 import Notification from './Notification';
 import './AddBox.css';
 
+// Browser autofill hints for the address fields
+const ADDRESS_AUTOCOMPLETE = {
+  line1: 'address-line1',
+  line2: 'address-line2',
+  city: 'address-level2',
+  region: 'address-level1',
+  postalCode: 'postal-code',
+};
+
 const AddBox = memo(() => {
-  const { addBox, loading, error, clearError } = useBox();
+  const { id: editId } = useParams();
+  const navigate = useNavigate();
+  const {
+    statistics,
+    getBoxById,
+    hydrated,
+    addBox,
+    updateBox,
+    loading,
+    error,
+    clearError,
+  } = useBox();
+  const { rateCards, enabledCountries, originHolidays } = useRateCards();
+  const { formatAmount, exchangeRates } = useCurrency();
+
+  const isEditMode = Boolean(editId);
+  const editingBox = useMemo(
+    () => (isEditMode ? getBoxById(editId) : null),
+    [isEditMode, getBoxById, editId]
+  );
   
   const {
     notification,
-    showSuccess,
+    showUndoableSuccess,
     showError,
     showWarning,
     hideNotification,
-  } = useNotification();
+  } = useUndoNotification();
   
   // Wrap showWarning in useCallback to prevent unnecessary re-renders
   const handleNegativeWeight = useCallback((message) => {
@@ -36,11 +84,14 @@ const AddBox = memo(() => {
     isSubmitting,
     handleChange,
     handleBlur,
+    handleItemChange,
+    addItem,
+    removeItem,
     validateForm,
     resetForm,
     getSubmissionData,
     setIsSubmitting,
-  } = useBoxForm(handleNegativeWeight);
+  } = useBoxForm(handleNegativeWeight, editingBox);
 
   // Form validation hook
   const { handleFormSubmission } = useFormValidation({
@@ -50,35 +101,94 @@ const AddBox = memo(() => {
     setIsSubmitting,
   });
 
-  const countries = Object.keys(COUNTRY_MULTIPLIERS);
+  // A box being edited keeps its destination even if that country was disabled since
+  const countries = useMemo(() => {
+    const editingCountry = editingBox?.country;
+    return editingCountry && rateCards[editingCountry] && !enabledCountries.includes(editingCountry)
+      ? [...enabledCountries, editingCountry]
+      : enabledCountries;
+  }, [enabledCountries, rateCards, editingBox]);
+
+  // Address labels, order and rules follow the destination
+  const addressFormat = useMemo(() => getAddressFormat(formData.country), [formData.country]);
 
   /**
-   * Calculates estimated shipping cost in real-time
+   * Dimensions entered so far, or null until all three are positive numbers
    */
-  const getEstimatedCost = useCallback(() => {
-    if (formData.weight && formData.country && parseFloat(formData.weight) > 0) {
-      const rate = COUNTRY_MULTIPLIERS[formData.country];
-      const cost = parseFloat(formData.weight) * rate;
-      return formatCurrency(cost);
+  const dimensions = useMemo(() => {
+    const values = {
+      length: parseFloat(formData.length),
+      width: parseFloat(formData.width),
+      height: parseFloat(formData.height),
+    };
+    return Object.values(values).every(value => value > 0) ? values : null;
+  }, [formData.length, formData.width, formData.height]);
+
+  // Promo codes are checked as they are typed; the volume tier counts weight shipped before this box
+  const promoError = checkPromoCode(formData.promoCode, {
+    country: formData.country,
+    promoCodeUses: statistics.promoCodeUses,
+    box: editingBox,
+    now: getRedemptionDate(formData.promoCode, editingBox),
+  });
+  const discountOffers = useMemo(
+    () => getDiscountOffers(promoError ? '' : formData.promoCode, statistics.totalWeight - (editingBox?.weight || 0)),
+    [promoError, formData.promoCode, statistics.totalWeight, editingBox]
+  );
+
+  /**
+   * Quotes every carrier serving the destination in real-time; the estimate follows the chosen one
+   */
+  const carrierOptions = useMemo(() => {
+    const weight = parseFloat(formData.weight);
+    if (!formData.country || !(weight > 0)) {
+      return [];
     }
-    return null;
-  }, [formData.weight, formData.country]);
+    try {
+      return compareCarriers(
+        {
+          weight,
+          country: formData.country,
+          dimensions,
+          postalCode: formData.postalCode,
+          discountOffers,
+          currentCountry: editingBox?.country,
+        },
+        rateCards
+      );
+    } catch (quoteError) {
+      // Country no longer has a rate card
+      return [];
+    }
+  }, [formData.weight, formData.country, formData.postalCode, dimensions, rateCards, discountOffers, editingBox]);
 
   /**
    * Submission action for the form
    */
   const submitAction = useCallback(async () => {
     const submissionData = getSubmissionData();
+    if (isEditMode) {
+      return updateBox(editId, submissionData);
+    }
     return await addBox(submissionData);
-  }, [getSubmissionData, addBox]);
+  }, [getSubmissionData, isEditMode, editId, updateBox, addBox]);
 
   /**
    * Success handler for form submission
    */
   const handleSuccess = useCallback((result) => {
+    if (isEditMode) {
+      navigate(ROUTES.BOX_LIST, {
+        state: {
+          message: result.message || UI_MESSAGES.SUCCESS.BOX_UPDATED,
+          historyId: result.historyId,
+        },
+      });
+      return;
+    }
     resetForm();
-    showSuccess(result.message || UI_MESSAGES.SUCCESS.BOX_ADDED);
-  }, [resetForm, showSuccess]);
+    showUndoableSuccess(result.message || UI_MESSAGES.SUCCESS.BOX_ADDED, result.historyId);
+  }, [isEditMode, navigate, resetForm, showUndoableSuccess]);
 
   /**
    * Error handler for form submission
@@ -95,7 +205,79 @@ const AddBox = memo(() => {
     return handleFormSubmission(submitAction, handleSuccess, handleError)(event);
   }, [clearError, handleFormSubmission, submitAction, handleSuccess, handleError]);
 
-  const estimatedCost = getEstimatedCost();
+  const selectedCarrier = carrierOptions.find(option => option.carrierId === formData.carrier);
+  const estimate = selectedCarrier ? selectedCarrier.quote : null;
+
+  // Delivery window with the chosen carrier, counted from the dispatch date
+  const delivery = selectedCarrier
+    ? estimateDelivery(
+        {
+          dispatchDate: formData.dispatchDate,
+          country: formData.country,
+          transitDays: selectedCarrier.transitDays,
+        },
+        rateCards,
+        originHolidays
+      )
+    : null;
+
+  // The text field takes any CSS color; the picker and preview follow it once it parses
+  const boxColor = parseColor(formData.boxColor);
+
+  // Itemized boxes declare the total value of their items
+  const hasItems = formData.customsItems.length > 0;
+  const itemTotals = getCustomsItemsTotals(formData.customsItems.map(draftToCustomsItem));
+  const declaredValue = hasItems ? itemTotals.value : parseFloat(formData.declaredValue);
+
+  // The declaration a box needs depends on its value in the base currency
+  let customsFormType = null;
+  if (declaredValue > 0) {
+    try {
+      customsFormType = getCustomsFormType(
+        convertToBaseCurrency(declaredValue, formData.declaredCurrency, exchangeRates)
+      );
+    } catch (conversionError) {
+      customsFormType = null;
+    }
+  }
+
+  // Insurance, duty and VAT on top of the shipping estimate
+  let charges = null;
+  if (estimate) {
+    try {
+      charges = calculateDeclaredValueCharges(
+        {
+          country: formData.country,
+          declaredValue,
+          declaredCurrency: formData.declaredCurrency,
+          insured: formData.insured,
+        },
+        estimate.cost,
+        rateCards,
+        exchangeRates
+      );
+    } catch (chargesError) {
+      // No exchange rate for the declared currency
+      charges = null;
+    }
+  }
+
+  // Edit route for a box that doesn't exist (once saved boxes have loaded)
+  if (isEditMode && hydrated && !editingBox) {
+    return (
+      <div className="add-box-container">
+        <div className="add-box-card">
+          <h2>Edit Shipping Box</h2>
+          <div className="error-message" role="alert">
+            {UI_MESSAGES.INFO.BOX_NOT_FOUND}
+          </div>
+          <Link to={ROUTES.BOX_LIST} className="back-link">
+            ← Back to boxes
+          </Link>
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div className="add-box-container">
@@ -104,9 +286,10 @@ const AddBox = memo(() => {
         type={notification.type}
         isVisible={notification.isVisible}
         onClose={hideNotification}
+        action={notification.action}
       />
       <div className="add-box-card">
-        <h2>Add New Shipping Box</h2>
+        <h2>{isEditMode ? 'Edit Shipping Box' : 'Add New Shipping Box'}</h2>
         
         {error && (
           <div className="error-message" role="alert">
@@ -174,22 +357,93 @@ const AddBox = memo(() => {
             )}
           </div>
 
+          <fieldset className="form-group dimensions-group">
+            <legend>Dimensions (cm)</legend>
+            <div className="dimension-inputs">
+              {FORM_VALIDATION.DIMENSION_FIELDS.map((field) => (
+                <div key={field} className="dimension-input">
+                  <label htmlFor={field}>
+                    {field.charAt(0).toUpperCase() + field.slice(1)}
+                  </label>
+                  <input
+                    type="number"
+                    id={field}
+                    name={field}
+                    value={formData[field]}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    className={errors[field] && touched[field] ? 'error' : ''}
+                    placeholder="cm"
+                    min="0.1"
+                    max={FORM_VALIDATION.MAX_DIMENSION}
+                    step="0.1"
+                    aria-describedby={errors[field] ? `${field}-error` : undefined}
+                    aria-invalid={errors[field] && touched[field]}
+                  />
+                </div>
+              ))}
+            </div>
+            {FORM_VALIDATION.DIMENSION_FIELDS.map((field) => (
+              errors[field] && touched[field] && (
+                <div 
+                  key={field}
+                  id={`${field}-error`} 
+                  className="field-error" 
+                  role="alert"
+                >
+                  {errors[field]}
+                </div>
+              )
+            ))}
+            <div className="form-help">
+              Optional. Billed on the greater of actual and volumetric weight.
+            </div>
+          </fieldset>
+
           <div className="form-group">
             <label htmlFor="boxColor">Box Color</label>
             <div className="color-input-container">
               <input
                 type="color"
-                id="boxColor"
                 name="boxColor"
-                value={formData.boxColor}
+                value={rgbToHex(boxColor)}
                 onChange={handleChange}
                 className="color-picker"
                 title="Select box color"
+                aria-label="Pick box color"
               />
-              <span className="color-rgb">
-                RGB: {formData.boxColor}
-              </span>
+              <input
+                type="text"
+                id="boxColor"
+                name="boxColor"
+                value={formData.boxColor}
+                onChange={handleChange}
+                onBlur={handleBlur}
+                className={`color-text ${errors.boxColor && touched.boxColor ? 'error' : ''}`}
+                placeholder="#3498db, rgb(52 152 219), hsl(204 70% 53%) or steelblue"
+                spellCheck={false}
+                aria-describedby={errors.boxColor ? 'boxColor-error' : 'boxColor-help'}
+                aria-invalid={errors.boxColor && touched.boxColor}
+              />
+              {boxColor && (
+                <span className="color-rgb">
+                  {getColorName(boxColor)} · {rgbToHex(boxColor)}
+                </span>
+              )}
             </div>
+            {errors.boxColor && touched.boxColor ? (
+              <div
+                id="boxColor-error"
+                className="field-error"
+                role="alert"
+              >
+                {errors.boxColor}
+              </div>
+            ) : (
+              <div id="boxColor-help" className="form-help">
+                Any CSS color: hex, rgb(), hsl() or a color name.
+              </div>
+            )}
           </div>
 
           <div className="form-group">
@@ -209,7 +463,8 @@ const AddBox = memo(() => {
               <option value="">Select a country</option>
               {countries.map((country) => (
                 <option key={country} value={country}>
-                  {country} ({formatCurrency(COUNTRY_MULTIPLIERS[country])} per kg)
+                  {rateCards[country].name} (from {formatAmount(getLowestRate(rateCards[country]))} per kg,
+                  min {formatAmount(rateCards[country].minimumCharge)})
                 </option>
               ))}
             </select>
@@ -224,13 +479,417 @@ const AddBox = memo(() => {
             )}
           </div>
 
-          {estimatedCost && (
+          <fieldset className="form-group address-group">
+            <legend>Delivery Address</legend>
+            {addressFormat.lines.map(line => (
+              <div key={line.join('-')} className="address-line">
+                {line.map(field => (
+                  <div key={field} className="address-input">
+                    <label htmlFor={field}>
+                      {addressFormat.labels[field]}
+                      {addressFormat.required.includes(field) && <span className="required"> *</span>}
+                    </label>
+                    <input
+                      type="text"
+                      id={field}
+                      name={field}
+                      value={formData[field]}
+                      onChange={handleChange}
+                      onBlur={handleBlur}
+                      className={errors[field] && touched[field] ? 'error' : ''}
+                      placeholder={field === 'postalCode' && addressFormat.postalCode
+                        ? `e.g. ${addressFormat.postalCode.example}`
+                        : undefined}
+                      maxLength={FORM_VALIDATION.MAX_ADDRESS_LENGTH}
+                      autoComplete={ADDRESS_AUTOCOMPLETE[field]}
+                      aria-describedby={errors[field] ? `${field}-error` : undefined}
+                      aria-invalid={errors[field] && touched[field]}
+                    />
+                    {errors[field] && touched[field] && (
+                      <div
+                        id={`${field}-error`}
+                        className="field-error"
+                        role="alert"
+                      >
+                        {errors[field]}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ))}
+            {!formData.country && (
+              <div className="form-help">
+                Select the destination country to see its address format.
+              </div>
+            )}
+          </fieldset>
+
+          <div className="form-group">
+            <label htmlFor="phone">Receiver Phone</label>
+            <input
+              type="tel"
+              id="phone"
+              name="phone"
+              value={formData.phone}
+              onChange={handleChange}
+              onBlur={handleBlur}
+              className={errors.phone && touched.phone ? 'error' : ''}
+              placeholder="+46 8 123 456 78"
+              autoComplete="tel"
+              aria-describedby={errors.phone ? 'phone-error' : undefined}
+              aria-invalid={errors.phone && touched.phone}
+            />
+            {errors.phone && touched.phone && (
+              <div 
+                id="phone-error" 
+                className="field-error" 
+                role="alert"
+              >
+                {errors.phone}
+              </div>
+            )}
+          </div>
+
+          <fieldset className="form-group declared-value-group">
+            <legend>Declared Value</legend>
+            <div className="declared-value-inputs">
+              <input
+                type="number"
+                id="declaredValue"
+                name="declaredValue"
+                value={hasItems ? String(itemTotals.value) : formData.declaredValue}
+                onChange={handleChange}
+                onBlur={handleBlur}
+                className={errors.declaredValue && touched.declaredValue ? 'error' : ''}
+                placeholder="Value of the goods"
+                min="0"
+                step="0.01"
+                readOnly={hasItems}
+                aria-label="Declared value"
+                aria-describedby={errors.declaredValue ? 'declaredValue-error' : undefined}
+                aria-invalid={errors.declaredValue && touched.declaredValue}
+              />
+              <select
+                id="declaredCurrency"
+                name="declaredCurrency"
+                value={formData.declaredCurrency}
+                onChange={handleChange}
+                aria-label="Declared value currency"
+              >
+                {Object.keys(CURRENCIES).map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+            {errors.declaredValue && touched.declaredValue && (
+              <div
+                id="declaredValue-error"
+                className="field-error"
+                role="alert"
+              >
+                {errors.declaredValue}
+              </div>
+            )}
+            <label className="insurance-option">
+              <input
+                type="checkbox"
+                name="insured"
+                checked={formData.insured}
+                onChange={handleChange}
+              />
+              Insure for the declared value ({INSURANCE.RATE}%, min {formatAmount(INSURANCE.MIN_PREMIUM)},
+              max {formatAmount(INSURANCE.MAX_PREMIUM)})
+            </label>
+            {hasItems && (
+              <div className="form-help">Totalled from the items below.</div>
+            )}
+          </fieldset>
+
+          <fieldset className="form-group customs-group">
+            <legend>Customs Contents</legend>
+            <label htmlFor="customsCategory">Category of contents</label>
+            <select
+              id="customsCategory"
+              name="customsCategory"
+              value={formData.customsCategory}
+              onChange={handleChange}
+            >
+              {Object.entries(CUSTOMS_CATEGORIES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+
+            {formData.customsItems.map((item, index) => (
+              <div key={index} className="customs-item">
+                <input
+                  type="text"
+                  className="item-description"
+                  value={item.description}
+                  onChange={(e) => handleItemChange(index, 'description', e.target.value)}
+                  placeholder="Description"
+                  maxLength={CUSTOMS_FORMS.MAX_DESCRIPTION_LENGTH}
+                  aria-label={`Item ${index + 1} description`}
+                />
+                <input
+                  type="number"
+                  value={item.quantity}
+                  onChange={(e) => handleItemChange(index, 'quantity', e.target.value)}
+                  placeholder="Qty"
+                  min="1"
+                  step="1"
+                  aria-label={`Item ${index + 1} quantity`}
+                />
+                <input
+                  type="text"
+                  value={item.hsCode}
+                  onChange={(e) => handleItemChange(index, 'hsCode', e.target.value)}
+                  placeholder="HS code"
+                  inputMode="numeric"
+                  aria-label={`Item ${index + 1} HS code`}
+                />
+                <input
+                  type="number"
+                  value={item.unitValue}
+                  onChange={(e) => handleItemChange(index, 'unitValue', e.target.value)}
+                  placeholder={`Value (${formData.declaredCurrency})`}
+                  min="0"
+                  step="0.01"
+                  aria-label={`Item ${index + 1} unit value`}
+                />
+                <input
+                  type="number"
+                  value={item.netWeight}
+                  onChange={(e) => handleItemChange(index, 'netWeight', e.target.value)}
+                  placeholder="Net kg"
+                  min="0"
+                  step="0.001"
+                  aria-label={`Item ${index + 1} net weight`}
+                />
+                <input
+                  type="text"
+                  className="item-origin"
+                  value={item.originCountry}
+                  onChange={(e) => handleItemChange(index, 'originCountry', e.target.value.toUpperCase())}
+                  placeholder="Origin"
+                  maxLength={2}
+                  aria-label={`Item ${index + 1} country of origin`}
+                />
+                <button
+                  type="button"
+                  className="remove-item-button"
+                  onClick={() => removeItem(index)}
+                  aria-label={`Remove item ${index + 1}`}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+
+            {formData.customsItems.length < CUSTOMS_FORMS.MAX_ITEMS && (
+              <button type="button" className="add-item-button" onClick={addItem}>
+                Add Item
+              </button>
+            )}
+
+            {errors.customsItems && (
+              <div className="field-error" role="alert">
+                {errors.customsItems}
+              </div>
+            )}
+
+            <div className="form-help">
+              {hasItems && (
+                <>
+                  {itemTotals.quantity} piece(s), {itemTotals.netWeight} kg net.{' '}
+                </>
+              )}
+              {customsFormType
+                ? `Needs a ${customsFormType} customs declaration.`
+                : 'List the contents for the customs declaration.'}
+            </div>
+          </fieldset>
+
+          <div className="form-group">
+            <label htmlFor="promoCode">Promo Code</label>
+            <input
+              type="text"
+              id="promoCode"
+              name="promoCode"
+              value={formData.promoCode}
+              onChange={handleChange}
+              onBlur={handleBlur}
+              className={promoError && touched.promoCode ? 'error' : ''}
+              placeholder="Optional"
+              autoComplete="off"
+              aria-describedby={promoError ? 'promoCode-error' : undefined}
+              aria-invalid={Boolean(promoError && touched.promoCode)}
+            />
+            {promoError && touched.promoCode && (
+              <div
+                id="promoCode-error"
+                className="field-error"
+                role="alert"
+              >
+                {promoError}
+              </div>
+            )}
+            {!promoError && formData.promoCode.trim() && estimate?.appliedDiscount?.source === 'volume' && (
+              <div className="form-help">
+                Your volume discount saves more than this code, so it is applied instead.
+              </div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="dispatchDate">Dispatch Date</label>
+            <input
+              type="date"
+              id="dispatchDate"
+              name="dispatchDate"
+              value={formData.dispatchDate}
+              onChange={handleChange}
+              onBlur={handleBlur}
+              className={errors.dispatchDate && touched.dispatchDate ? 'error' : ''}
+              aria-describedby={errors.dispatchDate ? 'dispatchDate-error' : undefined}
+              aria-invalid={errors.dispatchDate && touched.dispatchDate}
+            />
+            {errors.dispatchDate && touched.dispatchDate && (
+              <div
+                id="dispatchDate-error"
+                className="field-error"
+                role="alert"
+              >
+                {errors.dispatchDate}
+              </div>
+            )}
+          </div>
+
+          {carrierOptions.length > 0 && (
+            <fieldset className="form-group carrier-group">
+              <legend>Carrier</legend>
+              {carrierOptions.map(option => (
+                <label
+                  key={option.carrierId}
+                  className={`carrier-option${option.carrierId === formData.carrier ? ' selected' : ''}`}
+                >
+                  <input
+                    type="radio"
+                    name="carrier"
+                    value={option.carrierId}
+                    checked={option.carrierId === formData.carrier}
+                    onChange={handleChange}
+                  />
+                  <span className="carrier-name">{option.name}</span>
+                  <span className="carrier-transit">
+                    {option.transitDays
+                      ? `${option.transitDays.min}–${option.transitDays.max} business days`
+                      : 'Transit time unknown'}
+                  </span>
+                  <span className="carrier-cost">{formatAmount(option.quote.cost)}</span>
+                  {option.cheapest && <span className="carrier-badge cheapest">Cheapest</span>}
+                  {option.fastest && <span className="carrier-badge fastest">Fastest</span>}
+                </label>
+              ))}
+              {!selectedCarrier && (
+                <div className="field-error" role="alert">
+                  {getCarrierName(formData.carrier)} does not ship to {rateCards[formData.country]?.name}.
+                  Choose another carrier.
+                </div>
+              )}
+            </fieldset>
+          )}
+
+          {estimate && (
             <div className="estimated-cost">
-              <span className="cost-label">Estimated Cost:</span>
-              <span className="cost-value">{estimatedCost}</span>
+              <div className="estimate-details">
+                <span className="cost-label">Estimated Cost:</span>
+                <span className="chargeable-weight">
+                  Chargeable weight: {estimate.chargeableWeight.toFixed(2)} kg
+                  {estimate.volumetricWeight > 0 && (
+                    <> (volumetric {estimate.volumetricWeight.toFixed(2)} kg)</>
+                  )}
+                </span>
+                <span className="chargeable-weight">
+                  {estimate.minimumApplied
+                    ? `Minimum charge of ${formatAmount(estimate.minimumCharge)} applied`
+                    : `${formatAmount(estimate.ratePerKg)} per kg`}
+                </span>
+                {delivery && (
+                  <span className="delivery-estimate">
+                    Delivery: {formatDeliveryWindow(delivery)}
+                    {delivery.handoverDate !== formData.dispatchDate && (
+                      <> (handed to {selectedCarrier.name} on {parseIsoDate(delivery.handoverDate).toLocaleDateString()})</>
+                    )}
+                  </span>
+                )}
+              </div>
+              <span className="cost-value">{formatAmount(estimate.cost)}</span>
             </div>
           )}
 
+          {estimate && (
+            <dl className="cost-breakdown" aria-label="Cost breakdown">
+              <div>
+                <dt>Base freight</dt>
+                <dd>{formatAmount(estimate.baseFreight)}</dd>
+              </div>
+              <div>
+                <dt>Fuel surcharge ({PRICING.FUEL_SURCHARGE_PERCENT}%)</dt>
+                <dd>{formatAmount(estimate.fuelSurcharge)}</dd>
+              </div>
+              {estimate.remoteAreaFee > 0 && (
+                <div>
+                  <dt>Remote-area fee</dt>
+                  <dd>{formatAmount(estimate.remoteAreaFee)}</dd>
+                </div>
+              )}
+              {estimate.appliedDiscount && (
+                <div className="breakdown-discount">
+                  <dt>{estimate.appliedDiscount.label}</dt>
+                  <dd>−{formatAmount(estimate.discount)}</dd>
+                </div>
+              )}
+              <div>
+                <dt>GST ({PRICING.GST_PERCENT}%)</dt>
+                <dd>{formatAmount(estimate.gst)}</dd>
+              </div>
+              <div className="breakdown-subtotal">
+                <dt>Shipping</dt>
+                <dd>{formatAmount(estimate.cost)}</dd>
+              </div>
+              {charges && formData.insured && (
+                <div>
+                  <dt>Insurance</dt>
+                  <dd>{formatAmount(charges.insuranceCost)}</dd>
+                </div>
+              )}
+              {charges && (charges.dutiable ? (
+                <>
+                  <div>
+                    <dt>Import duty</dt>
+                    <dd>{formatAmount(charges.dutyCost)}</dd>
+                  </div>
+                  <div>
+                    <dt>VAT</dt>
+                    <dd>{formatAmount(charges.vatCost)}</dd>
+                  </div>
+                </>
+              ) : (
+                <div>
+                  <dt>Duty &amp; VAT</dt>
+                  <dd>None up to {formatAmount(charges.deMinimis)}</dd>
+                </div>
+              ))}
+              {charges && (
+                <div className="breakdown-total">
+                  <dt>Landed cost</dt>
+                  <dd>{formatAmount(estimate.cost + charges.insuranceCost + charges.dutyCost + charges.vatCost)}</dd>
+                </div>
+              )}
+            </dl>
+          )}
+
           <button 
             type="submit" 
             className="submit-button"
@@ -240,12 +899,18 @@ const AddBox = memo(() => {
             {isSubmitting || loading ? (
               <>
                 <span className="spinner" aria-hidden="true"></span>
-                Adding Box...
+                {isEditMode ? 'Saving Changes...' : 'Adding Box...'}
               </>
             ) : (
-              'Add Box'
+              isEditMode ? 'Save Changes' : 'Add Box'
             )}
           </button>
+
+          {isEditMode && (
+            <Link to={ROUTES.BOX_LIST} className="back-link">
+              Cancel
+            </Link>
+          )}
           
           <div id="submit-help" className="form-help">
             All fields marked with * are required
@@ -0,0 +1,207 @@
+/**
+ * Analytics Component - Per-country and per-day breakdown of shipped boxes
+ * The date range and charted metric live in the URL so views can be shared
+ */
+
+import React, { memo, useMemo, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useBox } from '../context/BoxContext';
+import { useRateCards } from '../context/RateCardContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { parseBoxQuery, serializeBoxQuery, EMPTY_BOX_QUERY } from '../utils/boxQuery';
+import {
+  filterByDateRange,
+  summarizeBoxes,
+  groupByCountry,
+  groupByDay,
+  getPresetRange,
+} from '../utils/analytics';
+import { ANALYTICS, ANALYTICS_METRICS, ROUTES } from '../constants';
+import BarChart from './BarChart';
+import LineChart from './LineChart';
+import './Analytics.css';
+
+const formatDay = (key) => new Date(`${key}T00:00:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+
+/**
+ * Table fallback listing every metric for each group
+ */
+const BreakdownTable = ({ caption, keyLabel, rows, formatKey, formatMetric }) => (
+  <details className="analytics-table">
+    <summary>Show data table</summary>
+    <div className="analytics-table-container">
+      <table>
+        <caption>{caption}</caption>
+        <thead>
+          <tr>
+            <th scope="col">{keyLabel}</th>
+            {ANALYTICS_METRICS.map(metric => (
+              <th key={metric.key} scope="col">{metric.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key}>
+              <th scope="row">{formatKey(row.key)}</th>
+              {ANALYTICS_METRICS.map(metric => (
+                <td key={metric.key}>{formatMetric(metric, row[metric.key])}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </details>
+);
+
+const Analytics = memo(() => {
+  const { boxes } = useBox();
+  const { rateCards } = useRateCards();
+  const { formatAmount } = useCurrency();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const { from, to } = parseBoxQuery(searchParams);
+  const metric = ANALYTICS_METRICS.find(item => item.key === searchParams.get('metric')) || ANALYTICS_METRICS[0];
+
+  const rangeBoxes = useMemo(() => filterByDateRange(boxes, from, to), [boxes, from, to]);
+  const summary = useMemo(() => summarizeBoxes(rangeBoxes), [rangeBoxes]);
+  const byCountry = useMemo(() => groupByCountry(rangeBoxes), [rangeBoxes]);
+  const byDay = useMemo(() => groupByDay(rangeBoxes, from, to), [rangeBoxes, from, to]);
+
+  const updateParams = useCallback((changes) => {
+    const next = { from, to, metric: metric.key, ...changes };
+    const params = new URLSearchParams();
+    Object.entries(next).forEach(([key, value]) => {
+      if (value && !(key === 'metric' && value === ANALYTICS_METRICS[0].key)) {
+        params.set(key, value);
+      }
+    });
+    setSearchParams(params, { replace: true });
+  }, [from, to, metric.key, setSearchParams]);
+
+  const formatMetric = useCallback((item, value) => {
+    if (item.format === 'currency') {
+      return formatAmount(value);
+    }
+    if (item.format === 'weight') {
+      return `${value.toFixed(2)} kg`;
+    }
+    return value.toLocaleString();
+  }, [formatAmount]);
+
+  const formatValue = useCallback((value) => formatMetric(metric, value), [formatMetric, metric]);
+  const countryName = useCallback((code) => rateCards[code]?.name || code, [rateCards]);
+
+  const countryData = byCountry.map(row => ({ key: row.key, label: countryName(row.key), value: row[metric.key] }));
+  const dayData = byDay.map(row => ({ key: row.key, label: row.key, value: row[metric.key] }));
+
+  const boxListLink = `${ROUTES.BOX_LIST}?${serializeBoxQuery({ ...EMPTY_BOX_QUERY, from, to })}`;
+  const rangeText = from || to
+    ? `${from ? formatDay(from) : 'the first box'} – ${to ? formatDay(to) : 'today'}`
+    : 'all time';
+
+  return (
+    <div className="analytics-container">
+      <div className="analytics-header">
+        <h2>Analytics</h2>
+        <p className="analytics-subtitle">
+          {summary.count} box{summary.count === 1 ? '' : 'es'} shipped, {rangeText}
+          {' · '}
+          <Link to={boxListLink}>View these boxes</Link>
+        </p>
+      </div>
+
+      <div className="analytics-controls" role="group" aria-label="Date range">
+        <label>
+          From
+          <input
+            type="date"
+            value={from}
+            max={to || undefined}
+            onChange={(event) => updateParams({ from: event.target.value })}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            value={to}
+            min={from || undefined}
+            onChange={(event) => updateParams({ to: event.target.value })}
+          />
+        </label>
+        <div className="analytics-presets">
+          {ANALYTICS.DATE_PRESETS.map(days => (
+            <button key={days} type="button" onClick={() => updateParams(getPresetRange(days))}>
+              Last {days} days
+            </button>
+          ))}
+          <button type="button" onClick={() => updateParams({ from: '', to: '' })} disabled={!from && !to}>
+            All time
+          </button>
+        </div>
+      </div>
+
+      <div className="analytics-summary">
+        {ANALYTICS_METRICS.map(item => (
+          <button
+            key={item.key}
+            type="button"
+            className={`analytics-stat ${item.key === metric.key ? 'active' : ''}`}
+            onClick={() => updateParams({ metric: item.key })}
+            aria-pressed={item.key === metric.key}
+          >
+            <span className="stat-label">{item.label}</span>
+            <span className="stat-value">{formatMetric(item, summary[item.key])}</span>
+          </button>
+        ))}
+      </div>
+
+      {rangeBoxes.length === 0 ? (
+        <div className="analytics-card analytics-empty">
+          No boxes were created in this date range.
+        </div>
+      ) : (
+        <>
+          <section className="analytics-card" aria-labelledby="analytics-by-country">
+            <h3 id="analytics-by-country">{metric.label} by Country</h3>
+            <BarChart
+              title={`${metric.label} by country`}
+              data={countryData}
+              formatValue={formatValue}
+            />
+            <BreakdownTable
+              caption="Totals by destination country"
+              keyLabel="Country"
+              rows={byCountry}
+              formatKey={countryName}
+              formatMetric={formatMetric}
+            />
+          </section>
+
+          <section className="analytics-card" aria-labelledby="analytics-by-day">
+            <h3 id="analytics-by-day">{metric.label} by Day</h3>
+            <LineChart
+              title={`${metric.label} by day`}
+              data={dayData}
+              formatValue={formatValue}
+              formatLabel={formatDay}
+            />
+            <BreakdownTable
+              caption="Totals by day created"
+              keyLabel="Date"
+              rows={byDay}
+              formatKey={key => key}
+              formatMetric={formatMetric}
+            />
+          </section>
+        </>
+      )}
+    </div>
+  );
+});
+
+Analytics.displayName = 'Analytics';
+
+export default Analytics;
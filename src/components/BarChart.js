@@ -0,0 +1,85 @@
+/**
+ * BarChart Component - Dependency-free horizontal SVG bar chart
+ * The chart is a labelled image; callers render the data as a table for screen readers
+ */
+
+import React, { memo, useId } from 'react';
+import './Chart.css';
+
+const WIDTH = 640;
+const LABEL_WIDTH = 140;
+const VALUE_WIDTH = 100;
+const ROW_HEIGHT = 30;
+const BAR_HEIGHT = 20;
+const PADDING = 8;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const BarChart = memo(({ title, data, formatValue = String }) => {
+  const titleId = useId();
+  const descId = useId();
+
+  if (data.length === 0) {
+    return null;
+  }
+
+  const max = Math.max(...data.map(item => item.value), 0);
+  const plotWidth = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+  const height = data.length * ROW_HEIGHT + PADDING * 2;
+  const top = data.reduce((best, item) => (item.value > best.value ? item : best), data[0]);
+
+  return (
+    <figure className="chart">
+      <svg
+        className="chart-svg"
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        role="img"
+        aria-labelledby={`${titleId} ${descId}`}
+      >
+        <title id={titleId}>{title}</title>
+        <desc id={descId}>
+          {`${data.length} bars. Highest: ${top.label}, ${formatValue(top.value)}.`}
+        </desc>
+        {data.map((item, index) => {
+          const y = PADDING + index * ROW_HEIGHT;
+          const barWidth = max > 0 ? (item.value / max) * plotWidth : 0;
+          return (
+            <g key={item.key}>
+              <text
+                className="chart-label"
+                x={LABEL_WIDTH - 8}
+                y={y + BAR_HEIGHT / 2}
+                textAnchor="end"
+                dominantBaseline="central"
+              >
+                {truncate(item.label, 18)}
+              </text>
+              <rect
+                className="chart-bar"
+                x={LABEL_WIDTH}
+                y={y}
+                width={Math.max(barWidth, item.value > 0 ? 1 : 0)}
+                height={BAR_HEIGHT}
+                rx="3"
+              >
+                <title>{`${item.label}: ${formatValue(item.value)}`}</title>
+              </rect>
+              <text
+                className="chart-value"
+                x={LABEL_WIDTH + barWidth + 6}
+                y={y + BAR_HEIGHT / 2}
+                dominantBaseline="central"
+              >
+                {formatValue(item.value)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </figure>
+  );
+});
+
+BarChart.displayName = 'BarChart';
+
+export default BarChart;
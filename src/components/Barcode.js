@@ -0,0 +1,71 @@
+/**
+ * Barcode Component - Code 128 barcode rendered as SVG
+ * The encoded text is printed under the bars for manual entry
+ */
+
+import React, { memo, useId, useMemo } from 'react';
+import { encodeCode128, CODE128_QUIET_ZONE } from '../utils/code128';
+import './LabelCodes.css';
+
+// Bar height in modules; the SVG scales to the width of its container
+const BAR_HEIGHT = 50;
+
+const Barcode = memo(({ value, className = '' }) => {
+  const titleId = useId();
+
+  const bars = useMemo(() => {
+    try {
+      const modules = encodeCode128(value);
+      const runs = [];
+      modules.forEach((dark, index) => {
+        if (!dark) {
+          return;
+        }
+        const last = runs[runs.length - 1];
+        if (last && last.x + last.width === index) {
+          last.width += 1;
+        } else {
+          runs.push({ x: index, width: 1 });
+        }
+      });
+      return { runs, width: modules.length };
+    } catch (error) {
+      return null;
+    }
+  }, [value]);
+
+  if (!bars) {
+    return <p className={`barcode-error ${className}`}>Cannot encode “{value}” as a barcode</p>;
+  }
+
+  const totalWidth = bars.width + CODE128_QUIET_ZONE * 2;
+
+  return (
+    <figure className={`barcode ${className}`}>
+      <svg
+        viewBox={`0 0 ${totalWidth} ${BAR_HEIGHT}`}
+        preserveAspectRatio="none"
+        shapeRendering="crispEdges"
+        role="img"
+        aria-labelledby={titleId}
+      >
+        <title id={titleId}>{`Code 128 barcode: ${value}`}</title>
+        <rect width={totalWidth} height={BAR_HEIGHT} fill="#fff" />
+        {bars.runs.map(run => (
+          <rect
+            key={run.x}
+            x={run.x + CODE128_QUIET_ZONE}
+            width={run.width}
+            height={BAR_HEIGHT}
+            fill="#000"
+          />
+        ))}
+      </svg>
+      <figcaption className="barcode-text">{value}</figcaption>
+    </figure>
+  );
+});
+
+Barcode.displayName = 'Barcode';
+
+export default Barcode;
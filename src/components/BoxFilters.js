@@ -0,0 +1,141 @@
+/**
+ * BoxFilters Component - Search and filter controls for the box list
+ * Stateless: the query lives in the URL and is owned by BoxList
+ */
+
+import React, { memo, useCallback } from 'react';
+import { BASE_CURRENCY, BOX_STATUSES } from '../constants';
+import './BoxFilters.css';
+
+const BoxFilters = memo(({ query, countries, onChange, onClear, hasFilters }) => {
+  const handleChange = useCallback((event) => {
+    const { name, value, type, checked } = event.target;
+
+    if (type === 'checkbox') {
+      onChange({ [name]: checked ? 'filtered' : 'all' });
+    } else {
+      onChange({ [name]: value });
+    }
+  }, [onChange]);
+
+  return (
+    <div className="box-filters" role="search">
+      <div className="filter-field filter-search">
+        <label htmlFor="filter-search">Search</label>
+        <input
+          type="search"
+          id="filter-search"
+          name="search"
+          value={query.search}
+          onChange={handleChange}
+          placeholder="Receiver or tracking number"
+        />
+      </div>
+
+      <div className="filter-field">
+        <label htmlFor="filter-country">Country</label>
+        <select id="filter-country" name="country" value={query.country} onChange={handleChange}>
+          <option value="">All countries</option>
+          {countries.map(({ code, name }) => (
+            <option key={code} value={code}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="filter-field">
+        <label htmlFor="filter-status">Status</label>
+        <select id="filter-status" name="status" value={query.status} onChange={handleChange}>
+          <option value="">All statuses</option>
+          {Object.entries(BOX_STATUSES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <fieldset className="filter-range">
+        <legend>Weight (kg)</legend>
+        <input
+          type="number"
+          name="minWeight"
+          value={query.minWeight}
+          onChange={handleChange}
+          placeholder="Min"
+          min="0"
+          step="0.1"
+          aria-label="Minimum weight"
+        />
+        <input
+          type="number"
+          name="maxWeight"
+          value={query.maxWeight}
+          onChange={handleChange}
+          placeholder="Max"
+          min="0"
+          step="0.1"
+          aria-label="Maximum weight"
+        />
+      </fieldset>
+
+      <fieldset className="filter-range">
+        <legend>Cost ({BASE_CURRENCY})</legend>
+        <input
+          type="number"
+          name="minCost"
+          value={query.minCost}
+          onChange={handleChange}
+          placeholder="Min"
+          min="0"
+          aria-label="Minimum cost"
+        />
+        <input
+          type="number"
+          name="maxCost"
+          value={query.maxCost}
+          onChange={handleChange}
+          placeholder="Max"
+          min="0"
+          aria-label="Maximum cost"
+        />
+      </fieldset>
+
+      <fieldset className="filter-range">
+        <legend>Created</legend>
+        <input
+          type="date"
+          name="from"
+          value={query.from}
+          onChange={handleChange}
+          max={query.to || undefined}
+          aria-label="Created from"
+        />
+        <input
+          type="date"
+          name="to"
+          value={query.to}
+          onChange={handleChange}
+          min={query.from || undefined}
+          aria-label="Created to"
+        />
+      </fieldset>
+
+      <div className="filter-footer">
+        <label className="filter-summary-toggle">
+          <input
+            type="checkbox"
+            name="summary"
+            checked={query.summary === 'filtered'}
+            onChange={handleChange}
+          />
+          Summary shows filtered boxes only
+        </label>
+        <button type="button" className="clear-filters" onClick={onClear} disabled={!hasFilters}>
+          Clear Filters
+        </button>
+      </div>
+    </div>
+  );
+});
+
+BoxFilters.displayName = 'BoxFilters';
+
+export default BoxFilters;
@@ -0,0 +1,304 @@
+/**
+ * BoxImport Component - Bulk import of shipping boxes from CSV or a JSON export
+ * Maps columns to box fields, previews per-cell validation and imports valid rows
+ */
+
+import React, { memo, useState, useMemo, useCallback, useRef } from 'react';
+import { useBox } from '../context/BoxContext';
+import { useRateCards } from '../context/RateCardContext';
+import { useUndoNotification } from '../hooks/useUndoNotification';
+import { parseCsv, toCsv } from '../utils/csv';
+import { guessHeaderMapping, buildImportRows, buildJsonImportRows } from '../utils/boxImport';
+import { parseBoxExport } from '../utils/boxExport';
+import { downloadFile } from '../utils/download';
+import { IMPORT_FIELDS, IMPORT_LIMITS } from '../constants';
+import Notification from './Notification';
+import './BoxImport.css';
+
+const initialImportState = {
+  fileName: '',
+  headers: [],
+  dataRows: [],
+  mapping: {},
+  jsonBoxes: null,
+};
+
+// Errors on fields without a column (id, status, carrier, ...) are shown by the row number
+const IMPORT_FIELD_KEYS = IMPORT_FIELDS.map(field => field.key);
+
+const BoxImport = memo(() => {
+  const { boxes, addBoxes, loading } = useBox();
+  const { rateCards } = useRateCards();
+  const { notification, showUndoableSuccess, showError, hideNotification } = useUndoNotification();
+
+  const [importState, setImportState] = useState(initialImportState);
+  const [showInvalidOnly, setShowInvalidOnly] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const { fileName, headers, dataRows, mapping, jsonBoxes } = importState;
+  const isJson = jsonBoxes !== null;
+
+  const existingIds = useMemo(() => new Set(boxes.map(box => box.id)), [boxes]);
+
+  const importRows = useMemo(
+    () => (isJson
+      ? buildJsonImportRows(jsonBoxes, rateCards, existingIds)
+      : buildImportRows(dataRows, mapping, rateCards)),
+    [isJson, jsonBoxes, dataRows, mapping, rateCards, existingIds]
+  );
+
+  const validRows = useMemo(() => importRows.filter(row => row.isValid), [importRows]);
+  const invalidRows = useMemo(() => importRows.filter(row => !row.isValid), [importRows]);
+  const previewRows = (showInvalidOnly ? invalidRows : importRows).slice(0, IMPORT_LIMITS.PREVIEW_ROWS);
+
+  const missingRequired = isJson
+    ? []
+    : IMPORT_FIELDS.filter(field => field.required && !(mapping[field.key] >= 0));
+
+  const resetImport = useCallback(() => {
+    setImportState(initialImportState);
+    setShowInvalidOnly(false);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  }, []);
+
+  /**
+   * Reads and parses the selected CSV file or JSON export
+   */
+  const handleFileChange = useCallback(async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    try {
+      if (file.size > IMPORT_LIMITS.MAX_FILE_SIZE) {
+        throw new Error(`File is larger than ${IMPORT_LIMITS.MAX_FILE_SIZE / (1024 * 1024)} MB.`);
+      }
+
+      const text = await file.text();
+
+      if (/\.json$/i.test(file.name)) {
+        const exportedBoxes = parseBoxExport(text);
+        if (exportedBoxes.length > IMPORT_LIMITS.MAX_ROWS) {
+          throw new Error(`The file has more than ${IMPORT_LIMITS.MAX_ROWS} boxes.`);
+        }
+
+        setImportState({ ...initialImportState, fileName: file.name, jsonBoxes: exportedBoxes });
+        setShowInvalidOnly(false);
+        return;
+      }
+
+      const rows = parseCsv(text);
+      if (rows.length < 2) {
+        throw new Error('The file needs a header row and at least one data row.');
+      }
+      if (rows.length - 1 > IMPORT_LIMITS.MAX_ROWS) {
+        throw new Error(`The file has more than ${IMPORT_LIMITS.MAX_ROWS} rows.`);
+      }
+
+      const [headerRow, ...bodyRows] = rows;
+      setImportState({
+        ...initialImportState,
+        fileName: file.name,
+        headers: headerRow.map(header => header.trim()),
+        dataRows: bodyRows,
+        mapping: guessHeaderMapping(headerRow),
+      });
+      setShowInvalidOnly(false);
+    } catch (error) {
+      resetImport();
+      showError(`Could not read ${file.name}: ${error.message}`);
+    }
+  }, [resetImport, showError]);
+
+  const handleMappingChange = useCallback((event) => {
+    const { name, value } = event.target;
+    setImportState(prev => ({
+      ...prev,
+      mapping: { ...prev.mapping, [name]: parseInt(value, 10) },
+    }));
+  }, []);
+
+  /**
+   * Downloads the invalid rows with their errors so they can be fixed and re-imported
+   */
+  const handleDownloadErrors = useCallback(() => {
+    const rows = [
+      ['Row', ...IMPORT_FIELDS.map(field => field.label), 'Errors'],
+      ...invalidRows.map(row => [
+        row.rowNumber,
+        ...IMPORT_FIELDS.map(field => row.values[field.key]),
+        Object.values(row.errors).join(' '),
+      ]),
+    ];
+    downloadFile(toCsv(rows), `${fileName.replace(/\.(csv|json)$/i, '')}-errors.csv`, 'text/csv');
+  }, [invalidRows, fileName]);
+
+  const handleImport = useCallback(async () => {
+    const result = await addBoxes(validRows.map(row => row.box));
+
+    if (result.success) {
+      resetImport();
+      showUndoableSuccess(result.message, result.historyId);
+    } else {
+      showError(result.error);
+    }
+  }, [addBoxes, validRows, resetImport, showUndoableSuccess, showError]);
+
+  return (
+    <div className="box-import-container">
+      <Notification
+        message={notification.message}
+        type={notification.type}
+        isVisible={notification.isVisible}
+        onClose={hideNotification}
+        action={notification.action}
+      />
+
+      <div className="box-import-header">
+        <h2>Import Boxes</h2>
+        <p className="box-import-subtitle">
+          Upload a CSV file with receiver, weight, color and destination country columns,
+          or a JSON file exported from the box list.
+        </p>
+      </div>
+
+      <div className="import-card">
+        <label htmlFor="import-file" className="file-label">
+          CSV or JSON File
+        </label>
+        <input
+          ref={fileInputRef}
+          type="file"
+          id="import-file"
+          accept=".csv,text/csv,.json,application/json"
+          onChange={handleFileChange}
+        />
+        {fileName && (
+          <p className="import-file-info">
+            {isJson
+              ? `${fileName}: ${jsonBoxes.length} exported box${jsonBoxes.length === 1 ? '' : 'es'}`
+              : `${fileName}: ${dataRows.length} data row${dataRows.length === 1 ? '' : 's'}`}
+          </p>
+        )}
+      </div>
+
+      {headers.length > 0 && (
+        <div className="import-card">
+          <h3>Column Mapping</h3>
+          <div className="mapping-grid">
+            {IMPORT_FIELDS.map(field => (
+              <div key={field.key} className="mapping-field">
+                <label htmlFor={`map-${field.key}`}>
+                  {field.label} {field.required && <span className="required">*</span>}
+                </label>
+                <select
+                  id={`map-${field.key}`}
+                  name={field.key}
+                  value={mapping[field.key] ?? -1}
+                  onChange={handleMappingChange}
+                >
+                  <option value={-1}>Not in file</option>
+                  {headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header || `Column ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          {missingRequired.length > 0 && (
+            <div className="field-error" role="alert">
+              Map a column for: {missingRequired.map(field => field.label).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+
+      {importRows.length > 0 && (
+        <div className="import-card">
+          <div className="preview-toolbar">
+            <h3>Preview</h3>
+            <span className="import-count valid">{validRows.length} valid</span>
+            <span className="import-count invalid">{invalidRows.length} with errors</span>
+            <label className="preview-filter">
+              <input
+                type="checkbox"
+                checked={showInvalidOnly}
+                onChange={(event) => setShowInvalidOnly(event.target.checked)}
+              />
+              Show rows with errors only
+            </label>
+          </div>
+
+          <div className="preview-table-container">
+            <table className="preview-table">
+              <thead>
+                <tr>
+                  <th scope="col">Row</th>
+                  {IMPORT_FIELDS.map(field => (
+                    <th key={field.key} scope="col">{field.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {previewRows.map(row => (
+                  <tr key={row.rowNumber} className={row.isValid ? 'valid-row' : 'invalid-row'}>
+                    <td className="row-number">
+                      {row.rowNumber}
+                      {Object.keys(row.errors)
+                        .filter(key => !IMPORT_FIELD_KEYS.includes(key))
+                        .map(key => <span key={key} className="cell-error">{row.errors[key]}</span>)}
+                    </td>
+                    {IMPORT_FIELDS.map(field => (
+                      <td
+                        key={field.key}
+                        className={row.errors[field.key] ? 'invalid-cell' : ''}
+                      >
+                        <span>{row.values[field.key]}</span>
+                        {row.errors[field.key] && (
+                          <span className="cell-error">{row.errors[field.key]}</span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {(showInvalidOnly ? invalidRows : importRows).length > previewRows.length && (
+            <p className="form-help">
+              Showing the first {previewRows.length} rows.
+            </p>
+          )}
+
+          <div className="import-actions">
+            <button
+              type="button"
+              className="submit-button"
+              onClick={handleImport}
+              disabled={validRows.length === 0 || missingRequired.length > 0 || loading}
+            >
+              {loading ? 'Importing...' : `Import ${validRows.length} Valid Box${validRows.length === 1 ? '' : 'es'}`}
+            </button>
+            {invalidRows.length > 0 && (
+              <button type="button" className="secondary-button" onClick={handleDownloadErrors}>
+                Download Error Report
+              </button>
+            )}
+            <button type="button" className="secondary-button" onClick={resetImport}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+BoxImport.displayName = 'BoxImport';
+
+export default BoxImport;
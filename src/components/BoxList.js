@@ -1,30 +1,262 @@
 /**
  * BoxList Component - Enhanced table for displaying shipping boxes
- * Uses memoization and performance optimizations
+ * Uses memoization and performance optimizations; search, filters and
+ * sorting are kept in the URL so filtered views can be bookmarked
  */
 
-import React, { memo, useMemo, useCallback } from 'react';
+import React, { memo, useMemo, useCallback, useEffect, useState, useRef } from 'react';
+import { createSearchParams, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import { useBox } from '../context/BoxContext';
-import { formatCurrency } from '../utils';
-import { UI_MESSAGES } from '../constants';
+import { useCurrency } from '../context/CurrencyContext';
+import { useRateCards } from '../context/RateCardContext';
+import { useUndoNotification } from '../hooks/useUndoNotification';
+import { calculateStatistics } from '../utils';
+import { boxesToCsv, boxesToJson, getExportFileName } from '../utils/boxExport';
+import {
+  parseBoxQuery,
+  serializeBoxQuery,
+  applyBoxQuery,
+  hasActiveFilters,
+  toggleSort,
+  paginate,
+  EMPTY_BOX_QUERY,
+} from '../utils/boxQuery';
+import { downloadFile } from '../utils/download';
+import { getLandedTotal } from '../utils/customs';
+import { ROUTES, UI_MESSAGES } from '../constants';
 import BoxRow from './BoxRow';
+import BoxFilters from './BoxFilters';
+import Pagination from './Pagination';
+import BulkActions from './BulkActions';
+import Notification from './Notification';
 import './BoxList.css';
 
+/**
+ * Column header that cycles its sort between ascending, descending and none
+ */
+const SortableHeader = memo(({ field, label, query, onSort }) => {
+  const active = query.sort === field;
+  const ariaSort = active ? (query.dir === 'asc' ? 'ascending' : 'descending') : 'none';
+
+  return (
+    <th scope="col" aria-sort={ariaSort}>
+      <button type="button" className="sort-button" onClick={() => onSort(field)}>
+        {label}
+        <span className="sort-indicator" aria-hidden="true">
+          {active ? (query.dir === 'asc' ? '▲' : '▼') : '↕'}
+        </span>
+      </button>
+    </th>
+  );
+});
+
+SortableHeader.displayName = 'SortableHeader';
+
 const BoxList = memo(() => {
-  const { boxes, statistics, loading, removeBox } = useBox();
+  const {
+    boxes,
+    statistics,
+    loading,
+    shipments,
+    removeBox,
+    removeBoxes,
+    updateBoxes,
+    assignBoxesToShipment,
+    changeBoxStatus,
+  } = useBox();
+  const { formatAmount } = useCurrency();
+  const { rateCards, enabledCountries } = useRateCards();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { notification, showUndoableSuccess, showError, hideNotification } = useUndoNotification();
+  const [exportFilteredOnly, setExportFilteredOnly] = useState(true);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectAllRef = useRef(null);
+
+  const query = useMemo(() => parseBoxQuery(searchParams), [searchParams]);
+  const isFiltered = hasActiveFilters(query);
+  const visibleBoxes = useMemo(() => applyBoxQuery(boxes, query), [boxes, query]);
+  const visibleStatistics = useMemo(
+    () => (isFiltered ? calculateStatistics(visibleBoxes) : statistics),
+    [isFiltered, visibleBoxes, statistics]
+  );
+  const summaryStatistics = query.summary === 'filtered' ? visibleStatistics : statistics;
+  // Only one page of rows is rendered, so the table stays fast with tens of thousands of boxes
+  const currentPage = useMemo(
+    () => paginate(visibleBoxes, query.page, query.pageSize),
+    [visibleBoxes, query.page, query.pageSize]
+  );
+
+  const countries = useMemo(
+    () => Object.keys(rateCards).map(code => ({ code, name: rateCards[code].name || code })),
+    [rateCards]
+  );
+
+  const shipmentsById = useMemo(
+    () => new Map(shipments.map(shipment => [shipment.id, shipment])),
+    [shipments]
+  );
+  const openShipments = useMemo(
+    () => shipments.filter(shipment => shipment.status === 'open'),
+    [shipments]
+  );
+
+  const bulkCountries = useMemo(
+    () => countries.filter(({ code }) => enabledCountries.includes(code)),
+    [countries, enabledCountries]
+  );
+
+  // Bulk actions only touch selected boxes that match the current filters
+  const selectedVisibleIds = useMemo(
+    () => visibleBoxes.filter(box => selectedIds.has(box.id)).map(box => box.id),
+    [visibleBoxes, selectedIds]
+  );
+  const allVisibleSelected = visibleBoxes.length > 0 && selectedVisibleIds.length === visibleBoxes.length;
+
+  useEffect(() => {
+    if (selectAllRef.current) {
+      selectAllRef.current.indeterminate = selectedVisibleIds.length > 0 && !allVisibleSelected;
+    }
+  }, [selectedVisibleIds.length, allVisibleSelected]);
+
+  const handleToggleSelect = useCallback((boxId) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(boxId)) {
+        next.delete(boxId);
+      } else {
+        next.add(boxId);
+      }
+      return next;
+    });
+  }, []);
 
   /**
-   * Handles box removal with confirmation
+   * Selects or clears every box matching the current filters, across all pages
    */
-  const handleRemoveBox = useCallback((boxId, receiverName) => {
-    const confirmed = window.confirm(
-      `Are you sure you want to remove the box for ${receiverName}?`
-    );
-    
-    if (confirmed) {
-      removeBox(boxId);
+  const handleToggleSelectAll = useCallback(() => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      visibleBoxes.forEach((box) => {
+        if (allVisibleSelected) {
+          next.delete(box.id);
+        } else {
+          next.add(box.id);
+        }
+      });
+      return next;
+    });
+  }, [visibleBoxes, allVisibleSelected]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds(new Set());
+  }, []);
+
+  const showBulkResult = useCallback((result) => {
+    if (result.success) {
+      showUndoableSuccess(result.message, result.historyId);
+    } else {
+      showError(result.error);
+    }
+  }, [showUndoableSuccess, showError]);
+
+  const handleBulkRemove = useCallback(() => {
+    const result = removeBoxes(selectedVisibleIds);
+    if (result.success) {
+      clearSelection();
+    }
+    showBulkResult(result);
+  }, [removeBoxes, selectedVisibleIds, clearSelection, showBulkResult]);
+
+  const handleBulkCountry = useCallback((country) => {
+    showBulkResult(updateBoxes(selectedVisibleIds, { country }));
+  }, [updateBoxes, selectedVisibleIds, showBulkResult]);
+
+  const handleBulkColor = useCallback((boxColor) => {
+    showBulkResult(updateBoxes(selectedVisibleIds, { boxColor }));
+  }, [updateBoxes, selectedVisibleIds, showBulkResult]);
+
+  const handleBulkShipment = useCallback((shipmentId) => {
+    showBulkResult(assignBoxesToShipment(selectedVisibleIds, shipmentId));
+  }, [assignBoxesToShipment, selectedVisibleIds, showBulkResult]);
+
+  const handleBulkStatus = useCallback((status) => {
+    showBulkResult(changeBoxStatus(selectedVisibleIds, status));
+  }, [changeBoxStatus, selectedVisibleIds, showBulkResult]);
+
+  const handleBulkLabels = useCallback(() => {
+    navigate(`${ROUTES.LABELS}?${createSearchParams({ ids: selectedVisibleIds.join(',') })}`);
+  }, [navigate, selectedVisibleIds]);
+
+  /**
+   * Merges changes into the query and writes it back to the URL.
+   * Any change other than the page itself returns to the first page.
+   */
+  const updateQuery = useCallback((changes) => {
+    setSearchParams(serializeBoxQuery({ ...query, page: 1, ...changes }), { replace: true });
+  }, [query, setSearchParams]);
+
+  const handlePageChange = useCallback((page) => {
+    updateQuery({ page });
+  }, [updateQuery]);
+
+  const handlePageSizeChange = useCallback((pageSize) => {
+    updateQuery({ pageSize });
+  }, [updateQuery]);
+
+  const clearFilters = useCallback(() => {
+    updateQuery({
+      ...EMPTY_BOX_QUERY,
+      sort: query.sort,
+      dir: query.dir,
+      summary: query.summary,
+      pageSize: query.pageSize,
+    });
+  }, [updateQuery, query.sort, query.dir, query.summary, query.pageSize]);
+
+  const handleSort = useCallback((field) => {
+    const { sort, dir } = toggleSort(query, field);
+    updateQuery({ sort, dir });
+  }, [query, updateQuery]);
+
+  /**
+   * Shows messages handed over by other screens (e.g. after an edit)
+   */
+  useEffect(() => {
+    if (location.state?.message) {
+      showUndoableSuccess(location.state.message, location.state.historyId);
+      navigate(location.pathname + location.search, { replace: true, state: null });
     }
-  }, [removeBox]);
+  }, [location, navigate, showUndoableSuccess]);
+
+  /**
+   * Removes a box straight away; the notification offers Undo instead of a confirm dialog
+   */
+  const handleRemoveBox = useCallback((boxId) => {
+    const result = removeBox(boxId);
+
+    if (result.success) {
+      showUndoableSuccess(result.message, result.historyId);
+    } else {
+      showError(result.error);
+    }
+  }, [removeBox, showUndoableSuccess, showError]);
+
+  /**
+   * Downloads all or only the filtered boxes, with their summary, as CSV or JSON
+   */
+  const handleExport = useCallback((format) => {
+    const useFiltered = isFiltered && exportFilteredOnly;
+    const exportBoxes = useFiltered ? visibleBoxes : boxes;
+    const exportStatistics = useFiltered ? visibleStatistics : statistics;
+
+    if (format === 'json') {
+      downloadFile(boxesToJson(exportBoxes, exportStatistics), getExportFileName('json'), 'application/json');
+    } else {
+      downloadFile(boxesToCsv(exportBoxes, exportStatistics), getExportFileName('csv'), 'text/csv');
+    }
+  }, [isFiltered, exportFilteredOnly, visibleBoxes, boxes, visibleStatistics, statistics]);
 
   /**
    * Memoized empty state component
@@ -55,62 +287,188 @@ const BoxList = memo(() => {
     return LoadingState;
   }
 
-  // Show empty state
+  const notificationElement = (
+    <Notification
+      message={notification.message}
+      type={notification.type}
+      isVisible={notification.isVisible}
+      onClose={hideNotification}
+      action={notification.action}
+    />
+  );
+
+  // Show empty state (keeping the notification so removing the last box can be undone)
   if (!boxes || boxes.length === 0) {
-    return EmptyState;
+    return (
+      <>
+        {notificationElement}
+        {EmptyState}
+      </>
+    );
   }
 
   return (
     <div className="box-list-container">
+      {notificationElement}
       <div className="box-list-header">
         <h2>Shipping Boxes</h2>
         <p className="box-count">
-          Total boxes: {statistics.totalBoxes}
+          {isFiltered
+            ? `Showing ${visibleBoxes.length} of ${statistics.totalBoxes} boxes`
+            : `Total boxes: ${statistics.totalBoxes}`}
         </p>
+        <div className="export-actions">
+          {isFiltered && (
+            <label className="export-scope">
+              <input
+                type="checkbox"
+                checked={exportFilteredOnly}
+                onChange={(event) => setExportFilteredOnly(event.target.checked)}
+              />
+              Export filtered boxes only
+            </label>
+          )}
+          <button type="button" className="export-button" onClick={() => handleExport('csv')}>
+            Export CSV
+          </button>
+          <button type="button" className="export-button" onClick={() => handleExport('json')}>
+            Export JSON
+          </button>
+        </div>
       </div>
+
+      <BoxFilters
+        query={query}
+        countries={countries}
+        onChange={updateQuery}
+        onClear={clearFilters}
+        hasFilters={isFiltered}
+      />
       
+      {selectedVisibleIds.length > 0 && (
+        <BulkActions
+          count={selectedVisibleIds.length}
+          countries={bulkCountries}
+          onRemove={handleBulkRemove}
+          onChangeCountry={handleBulkCountry}
+          onChangeColor={handleBulkColor}
+          shipments={openShipments}
+          onAssignShipment={handleBulkShipment}
+          onChangeStatus={handleBulkStatus}
+          onPrintLabels={handleBulkLabels}
+          onClearSelection={clearSelection}
+        />
+      )}
+
       <div className="table-container">
         <table className="box-table" role="table">
           <thead>
             <tr role="row">
-              <th scope="col">Receiver Name</th>
-              <th scope="col">Weight (kg)</th>
+              <th scope="col" className="select-cell">
+                <input
+                  ref={selectAllRef}
+                  type="checkbox"
+                  checked={allVisibleSelected}
+                  onChange={handleToggleSelectAll}
+                  disabled={visibleBoxes.length === 0}
+                  aria-label={`Select all ${visibleBoxes.length} ${isFiltered ? 'matching ' : ''}boxes`}
+                />
+              </th>
+              <SortableHeader field="receiverName" label="Receiver Name" query={query} onSort={handleSort} />
+              <SortableHeader field="weight" label="Weight (kg)" query={query} onSort={handleSort} />
               <th scope="col">Box Color</th>
-              <th scope="col">Destination Country</th>
-              <th scope="col">Shipping Cost</th>
+              <SortableHeader field="country" label="Destination Country" query={query} onSort={handleSort} />
+              <th scope="col">Carrier</th>
+              <th scope="col">Shipment</th>
+              <th scope="col">Status</th>
+              <SortableHeader field="shippingCost" label="Shipping Cost" query={query} onSort={handleSort} />
               <th scope="col">Actions</th>
             </tr>
           </thead>
           <tbody>
-            {boxes.map((box) => (
+            {currentPage.rows.map((box) => (
               <BoxRow 
                 key={box.id} 
                 box={box} 
+                shipment={box.shipmentId ? shipmentsById.get(box.shipmentId) : null}
                 onRemove={handleRemoveBox}
+                selected={selectedIds.has(box.id)}
+                onToggleSelect={handleToggleSelect}
               />
             ))}
+            {visibleBoxes.length === 0 && (
+              <tr>
+                <td colSpan={10} className="no-results">
+                  {UI_MESSAGES.INFO.NO_MATCHING_BOXES}
+                </td>
+              </tr>
+            )}
           </tbody>
         </table>
       </div>
+
+      <Pagination
+        page={currentPage.page}
+        pageCount={currentPage.pageCount}
+        pageSize={query.pageSize}
+        start={currentPage.start}
+        shown={currentPage.rows.length}
+        total={visibleBoxes.length}
+        onPageChange={handlePageChange}
+        onPageSizeChange={handlePageSizeChange}
+      />
       
       <div className="summary-container">
         <div className="summary-card">
           <h3>Summary Statistics</h3>
+          {query.summary === 'filtered' && isFiltered && (
+            <p className="summary-scope">Filtered boxes only</p>
+          )}
           <div className="summary-stats">
             <div className="stat">
               <span className="stat-label">Total Boxes:</span>
-              <span className="stat-value">{statistics.totalBoxes}</span>
+              <span className="stat-value">{summaryStatistics.totalBoxes}</span>
             </div>
             <div className="stat">
               <span className="stat-label">Total Weight:</span>
               <span className="stat-value">
-                {statistics.totalWeight.toFixed(2)} kg
+                {summaryStatistics.totalWeight.toFixed(2)} kg
+              </span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">Chargeable Weight:</span>
+              <span className="stat-value">
+                {summaryStatistics.totalChargeableWeight.toFixed(2)} kg
+              </span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">Shipping Cost:</span>
+              <span className="stat-value">
+                {formatAmount(summaryStatistics.totalCost)}
+              </span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">Insurance:</span>
+              <span className="stat-value">
+                {formatAmount(summaryStatistics.totalInsurance)}
+              </span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">Import Duty:</span>
+              <span className="stat-value">
+                {formatAmount(summaryStatistics.totalDuty)}
+              </span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">VAT:</span>
+              <span className="stat-value">
+                {formatAmount(summaryStatistics.totalVat)}
               </span>
             </div>
             <div className="stat">
-              <span className="stat-label">Total Cost:</span>
+              <span className="stat-label">Landed Cost:</span>
               <span className="stat-value">
-                {formatCurrency(statistics.totalCost)}
+                {formatAmount(getLandedTotal(summaryStatistics))}
               </span>
             </div>
           </div>
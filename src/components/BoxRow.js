@@ -4,34 +4,154 @@
  */
 
 import React, { memo, useCallback } from 'react';
-import { rgbToColor, formatCurrency } from '../utils';
+import { Link, createSearchParams, generatePath } from 'react-router-dom';
+import { formatCurrency } from '../utils';
+import { rgbToColor, rgbToHex, getColorName } from '../utils/colors';
+import { useCurrency } from '../context/CurrencyContext';
+import { getStatusChangedAt } from '../utils/boxStatus';
+import { getLandedCost } from '../utils/customs';
+import { getCarrierName } from '../utils/carriers';
+import { ROUTES, BASE_CURRENCY, BOX_STATUSES } from '../constants';
 import './BoxRow.css';
 
-const BoxRow = memo(({ box, onRemove }) => {
+const BoxRow = memo(({ box, shipment = null, onRemove, selected = false, onToggleSelect }) => {
+  const { currency, formatAmount } = useCurrency();
+  const statusChangedAt = getStatusChangedAt(box);
+  const landedCost = getLandedCost(box);
+  const { costBreakdown } = box;
+  const colorName = getColorName(box.boxColor);
+  const colorHex = rgbToHex(box.boxColor);
+
+  // Itemized shipping cost, with the base-currency total when showing another currency
+  const shippingCostTitle = [
+    costBreakdown && `Base freight ${formatAmount(costBreakdown.baseFreight)}`,
+    costBreakdown?.fuelSurcharge > 0 && `Fuel surcharge ${formatAmount(costBreakdown.fuelSurcharge)}`,
+    costBreakdown?.remoteAreaFee > 0 && `Remote-area fee ${formatAmount(costBreakdown.remoteAreaFee)}`,
+    costBreakdown?.discount > 0 && `${box.discount?.label || 'Discount'} −${formatAmount(costBreakdown.discount)}`,
+    costBreakdown?.gst > 0 && `GST ${formatAmount(costBreakdown.gst)}`,
+    currency !== BASE_CURRENCY && `Total ${formatCurrency(box.shippingCost)}`,
+  ].filter(Boolean).join('\n');
+
   const handleRemove = useCallback(() => {
     onRemove(box.id, box.receiverName);
   }, [box.id, box.receiverName, onRemove]);
 
+  const handleToggleSelect = useCallback(() => {
+    onToggleSelect(box.id);
+  }, [box.id, onToggleSelect]);
+
   return (
-    <tr className="box-row" role="row">
-      <td className="receiver-name">{box.receiverName}</td>
-      <td className="weight">{box.weight} kg</td>
+    <tr className={`box-row ${selected ? 'selected' : ''}`} role="row">
+      {onToggleSelect && (
+        <td className="select-cell">
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={handleToggleSelect}
+            aria-label={`Select box for ${box.receiverName}`}
+          />
+        </td>
+      )}
+      <td className="receiver-name">
+        {box.receiverName}
+        {box.trackingNumber && <span className="tracking-number">{box.trackingNumber}</span>}
+      </td>
+      <td className="weight">
+        {box.weight} kg
+        {box.chargeableWeight > box.weight && (
+          <span
+            className="chargeable-weight-text"
+            title={box.dimensions
+              ? `${box.dimensions.length} × ${box.dimensions.width} × ${box.dimensions.height} cm`
+              : undefined}
+          >
+            Billed {box.chargeableWeight} kg
+          </span>
+        )}
+      </td>
       <td className="box-color">
         <div className="color-display-container">
           <div 
             className="color-box"
             style={{ backgroundColor: rgbToColor(box.boxColor) }}
-            title={`RGB: ${box.boxColor}`}
-            aria-label={`Box color: ${box.boxColor}`}
+            title={rgbToColor(box.boxColor)}
+            aria-label={`Box color: ${colorName}`}
           ></div>
-          <span className="color-rgb-text">{box.boxColor}</span>
+          <span className="color-rgb-text">
+            <span className="color-name">{colorName}</span> {colorHex}
+          </span>
         </div>
       </td>
       <td className="country">{box.country}</td>
-      <td className="shipping-cost">
-        {formatCurrency(box.shippingCost)}
+      <td className="carrier">{getCarrierName(box.carrier)}</td>
+      <td className="shipment">
+        {shipment ? (
+          <Link
+            to={generatePath(ROUTES.SHIPMENT_MANIFEST, { id: shipment.id })}
+            className="shipment-link"
+            title={`View manifest for ${shipment.reference}`}
+          >
+            {shipment.reference}
+          </Link>
+        ) : (
+          <span className="no-shipment">—</span>
+        )}
+      </td>
+      <td className="status">
+        <span
+          className={`status-badge status-${box.status}`}
+          title={(box.statusHistory || [])
+            .map(entry => `${BOX_STATUSES[entry.status]}: ${new Date(entry.at).toLocaleString()}`)
+            .join('\n')}
+        >
+          {BOX_STATUSES[box.status] || box.status}
+        </span>
+        {statusChangedAt && (
+          <span className="status-date">{new Date(statusChangedAt).toLocaleDateString()}</span>
+        )}
+      </td>
+      <td className="shipping-cost" title={shippingCostTitle || undefined}>
+        {formatAmount(box.shippingCost)}
+        {landedCost > box.shippingCost && (
+          <span
+            className="landed-cost"
+            title={[
+              box.insuranceCost > 0 && `Insurance ${formatAmount(box.insuranceCost)}`,
+              box.dutyCost > 0 && `Import duty ${formatAmount(box.dutyCost)}`,
+              box.vatCost > 0 && `VAT ${formatAmount(box.vatCost)}`,
+            ].filter(Boolean).join('\n')}
+          >
+            Landed {formatAmount(landedCost)}
+          </span>
+        )}
       </td>
       <td className="actions">
+        <Link
+          to={generatePath(ROUTES.EDIT_BOX, { id: box.id })}
+          className="edit-button"
+          title={`Edit box for ${box.receiverName}`}
+          aria-label={`Edit box for ${box.receiverName}`}
+        >
+          ✏️
+        </Link>
+        <Link
+          to={`${ROUTES.LABELS}?${createSearchParams({ ids: box.id })}`}
+          className="label-button"
+          title={`Print label for ${box.receiverName}`}
+          aria-label={`Print label for ${box.receiverName}`}
+        >
+          🏷️
+        </Link>
+        {box.customsItems?.length > 0 && (
+          <Link
+            to={generatePath(ROUTES.CUSTOMS_DECLARATION, { id: box.id })}
+            className="customs-button"
+            title={`Customs declaration for ${box.receiverName}`}
+            aria-label={`Customs declaration for ${box.receiverName}`}
+          >
+            🛃
+          </Link>
+        )}
         <button
           onClick={handleRemove}
           className="remove-button"
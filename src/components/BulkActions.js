@@ -0,0 +1,144 @@
+/**
+ * BulkActions Component - Toolbar for acting on the selected boxes
+ * Shown above the box table while at least one box is selected
+ */
+
+import React, { memo, useState, useCallback } from 'react';
+import { hexToRgb } from '../utils/colors';
+import { BOX_STATUSES, DEFAULT_BOX_COLOR } from '../constants';
+import './BulkActions.css';
+
+// Shipment picker value for taking boxes out of their shipments
+const NO_SHIPMENT = 'none';
+
+const BulkActions = memo(({
+  count,
+  countries,
+  shipments = [],
+  onRemove,
+  onChangeCountry,
+  onChangeColor,
+  onAssignShipment,
+  onChangeStatus,
+  onPrintLabels,
+  onClearSelection,
+}) => {
+  const [country, setCountry] = useState('');
+  const [color, setColor] = useState(DEFAULT_BOX_COLOR);
+  const [shipmentId, setShipmentId] = useState('');
+  const [status, setStatus] = useState('');
+
+  const handleCountrySubmit = useCallback(() => {
+    if (country) {
+      onChangeCountry(country);
+      setCountry('');
+    }
+  }, [country, onChangeCountry]);
+
+  const handleColorSubmit = useCallback(() => {
+    onChangeColor(hexToRgb(color));
+  }, [color, onChangeColor]);
+
+  const handleShipmentSubmit = useCallback(() => {
+    if (shipmentId) {
+      onAssignShipment(shipmentId === NO_SHIPMENT ? null : shipmentId);
+      setShipmentId('');
+    }
+  }, [shipmentId, onAssignShipment]);
+
+  const handleStatusSubmit = useCallback(() => {
+    if (status) {
+      onChangeStatus(status);
+      setStatus('');
+    }
+  }, [status, onChangeStatus]);
+
+  return (
+    <div className="bulk-actions" role="toolbar" aria-label="Actions for selected boxes">
+      <span className="bulk-count">
+        {count} selected
+      </span>
+
+      <div className="bulk-group">
+        <select
+          value={country}
+          onChange={(event) => setCountry(event.target.value)}
+          aria-label="New destination country"
+        >
+          <option value="">Change country…</option>
+          {countries.map(({ code, name }) => (
+            <option key={code} value={code}>{name}</option>
+          ))}
+        </select>
+        <button type="button" onClick={handleCountrySubmit} disabled={!country}>
+          Apply
+        </button>
+      </div>
+
+      <div className="bulk-group">
+        <input
+          type="color"
+          value={color}
+          onChange={(event) => setColor(event.target.value)}
+          aria-label="New box color"
+        />
+        <button type="button" onClick={handleColorSubmit}>
+          Set Color
+        </button>
+      </div>
+
+      {onAssignShipment && (
+        <div className="bulk-group">
+          <select
+            value={shipmentId}
+            onChange={(event) => setShipmentId(event.target.value)}
+            aria-label="Shipment"
+          >
+            <option value="">Add to shipment…</option>
+            {shipments.map(shipment => (
+              <option key={shipment.id} value={shipment.id}>{shipment.reference}</option>
+            ))}
+            <option value={NO_SHIPMENT}>Remove from shipment</option>
+          </select>
+          <button type="button" onClick={handleShipmentSubmit} disabled={!shipmentId}>
+            Move
+          </button>
+        </div>
+      )}
+
+      {onChangeStatus && (
+        <div className="bulk-group">
+          <select
+            value={status}
+            onChange={(event) => setStatus(event.target.value)}
+            aria-label="New status"
+          >
+            <option value="">Change status…</option>
+            {Object.entries(BOX_STATUSES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button type="button" onClick={handleStatusSubmit} disabled={!status}>
+            Set Status
+          </button>
+        </div>
+      )}
+
+      {onPrintLabels && (
+        <button type="button" onClick={onPrintLabels}>
+          Print Labels
+        </button>
+      )}
+      <button type="button" className="danger" onClick={onRemove}>
+        Delete Selected
+      </button>
+      <button type="button" className="bulk-clear" onClick={onClearSelection}>
+        Clear Selection
+      </button>
+    </div>
+  );
+});
+
+BulkActions.displayName = 'BulkActions';
+
+export default BulkActions;
@@ -0,0 +1,33 @@
+/**
+ * CurrencySelector Component
+ * Lets the user choose the currency amounts are displayed in
+ */
+
+import React, { memo, useCallback } from 'react';
+import { useCurrency } from '../context/CurrencyContext';
+import { CURRENCIES } from '../constants';
+
+const CurrencySelector = memo(({ className = '' }) => {
+  const { currency, setCurrency } = useCurrency();
+
+  const handleChange = useCallback((event) => {
+    setCurrency(event.target.value);
+  }, [setCurrency]);
+
+  return (
+    <label className={`currency-selector ${className}`}>
+      <span className="currency-selector-label">Currency</span>
+      <select value={currency} onChange={handleChange} aria-label="Display currency">
+        {Object.keys(CURRENCIES).map(code => (
+          <option key={code} value={code}>
+            {code}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+});
+
+CurrencySelector.displayName = 'CurrencySelector';
+
+export default CurrencySelector;
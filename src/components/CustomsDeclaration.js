@@ -0,0 +1,168 @@
+/**
+ * CustomsDeclaration Component - Printable CN22/CN23 form for one box
+ * Pre-filled from the box's item lines and receiver; the sender signs the printed copy
+ */
+
+import React, { memo, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useBox } from '../context/BoxContext';
+import { useRateCards } from '../context/RateCardContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { convertToBaseCurrency, formatCurrency } from '../utils';
+import { formatAddressLines } from '../utils/address';
+import { getCustomsItemsTotals, getCustomsFormType } from '../utils/customsDeclaration';
+import { ROUTES, UI_MESSAGES, CUSTOMS_CATEGORIES, BASE_CURRENCY } from '../constants';
+import './CustomsDeclaration.css';
+
+const CustomsDeclaration = memo(() => {
+  const { id } = useParams();
+  const { getBoxById, hydrated } = useBox();
+  const { rateCards } = useRateCards();
+  const { exchangeRates } = useCurrency();
+
+  const box = getBoxById(id);
+  const items = useMemo(() => box?.customsItems || [], [box]);
+  const totals = useMemo(() => getCustomsItemsTotals(items), [items]);
+
+  const backLink = <Link to={ROUTES.BOX_LIST} className="customs-back">← Back to boxes</Link>;
+
+  if (!box || items.length === 0) {
+    let message = UI_MESSAGES.INFO.NO_CUSTOMS_ITEMS;
+    if (!hydrated) {
+      message = UI_MESSAGES.INFO.LOADING;
+    } else if (!box) {
+      message = UI_MESSAGES.INFO.BOX_NOT_FOUND;
+    }
+
+    return (
+      <div className="customs-container">
+        <div className="customs-toolbar">
+          {backLink}
+        </div>
+        <p className="customs-empty">{message}</p>
+      </div>
+    );
+  }
+
+  const currency = box.declaredCurrency || BASE_CURRENCY;
+  let formType;
+  try {
+    formType = getCustomsFormType(convertToBaseCurrency(totals.value, currency, exchangeRates));
+  } catch (conversionError) {
+    // No exchange rate for the declared currency: the detailed form is always accepted
+    formType = 'CN23';
+  }
+  const postalCharges = (box.shippingCost || 0) + (box.insuranceCost || 0);
+
+  return (
+    <div className="customs-container">
+      <div className="customs-toolbar">
+        {backLink}
+        <button type="button" className="customs-print" onClick={() => window.print()}>
+          Print Declaration
+        </button>
+      </div>
+
+      <article className="customs-form" aria-label={`${formType} customs declaration for ${box.receiverName}`}>
+        <header className="customs-header">
+          <div>
+            <strong className="customs-title">Customs Declaration</strong>
+            <span className="customs-subtitle">May be opened officially</span>
+          </div>
+          <span className="customs-form-type">{formType === 'CN22' ? 'CN 22' : 'CN 23'}</span>
+        </header>
+
+        <section className="customs-parties">
+          <div className="customs-party">
+            <span className="customs-caption">From</span>
+            <span className="customs-blank"></span>
+            <span className="customs-blank"></span>
+            <span className="customs-blank"></span>
+          </div>
+          <div className="customs-party">
+            <span className="customs-caption">To</span>
+            <strong>{box.receiverName}</strong>
+            {formatAddressLines(box.address, box.country).map(line => (
+              <span key={line}>{line}</span>
+            ))}
+            <span className="customs-country">{rateCards[box.country]?.name || box.country}</span>
+            {box.phone && <span>Tel. {box.phone}</span>}
+          </div>
+        </section>
+
+        {box.trackingNumber && (
+          <div className="customs-tracking">
+            Item number <span>{box.trackingNumber}</span>
+          </div>
+        )}
+
+        <ul className="customs-categories">
+          {Object.entries(CUSTOMS_CATEGORIES).map(([value, label]) => (
+            <li key={value}>
+              <span className="customs-checkbox" aria-hidden="true">
+                {box.customsCategory === value ? '✕' : ''}
+              </span>
+              <span className={box.customsCategory === value ? 'selected' : undefined}>{label}</span>
+            </li>
+          ))}
+        </ul>
+
+        <table className="customs-items">
+          <thead>
+            <tr>
+              <th scope="col">Detailed description of contents</th>
+              <th scope="col">Qty</th>
+              <th scope="col">Net weight (kg)</th>
+              <th scope="col">Value ({currency})</th>
+              <th scope="col">HS tariff number</th>
+              <th scope="col">Country of origin</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item, index) => (
+              <tr key={index}>
+                <td>{item.description}</td>
+                <td>{item.quantity}</td>
+                <td>{parseFloat((item.quantity * item.netWeight).toFixed(3))}</td>
+                <td>{formatCurrency(item.quantity * item.unitValue, currency)}</td>
+                <td>{item.hsCode}</td>
+                <td>{item.originCountry}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th scope="row">Total gross weight {box.weight} kg</th>
+              <td>{totals.quantity}</td>
+              <td>{totals.netWeight}</td>
+              <td>{formatCurrency(totals.value, currency)}</td>
+              <td colSpan={2}></td>
+            </tr>
+          </tfoot>
+        </table>
+
+        {formType === 'CN23' && (
+          <div className="customs-postal-charges">
+            Postal charges/fees <span>{formatCurrency(postalCharges, BASE_CURRENCY)}</span>
+          </div>
+        )}
+
+        <footer className="customs-footer">
+          <p>
+            I certify that the particulars given in this customs declaration are correct and that this
+            item does not contain any dangerous article or articles prohibited by legislation or by
+            postal or customs regulations.
+          </p>
+          <div className="customs-signature">
+            <span>Date: {new Date().toLocaleDateString()}</span>
+            <span>Sender&apos;s signature: <span className="customs-blank"></span></span>
+          </div>
+        </footer>
+      </article>
+    </div>
+  );
+});
+
+CustomsDeclaration.displayName = 'CustomsDeclaration';
+
+export default CustomsDeclaration;
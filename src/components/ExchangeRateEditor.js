@@ -0,0 +1,98 @@
+/**
+ * ExchangeRateEditor Component
+ * Edits the local exchange-rate table used for display conversions
+ */
+
+import React, { memo, useState, useEffect, useCallback } from 'react';
+import { useCurrency } from '../context/CurrencyContext';
+import { validateExchangeRates } from '../utils';
+import { BASE_CURRENCY, CURRENCIES } from '../constants';
+
+const toDraft = (exchangeRates) => Object.keys(CURRENCIES).reduce((draft, code) => {
+  draft[code] = exchangeRates[code] !== undefined ? String(exchangeRates[code]) : '';
+  return draft;
+}, {});
+
+const ExchangeRateEditor = memo(({ onResult }) => {
+  const { exchangeRates, setExchangeRates, resetExchangeRates } = useCurrency();
+  const [draft, setDraft] = useState(() => toDraft(exchangeRates));
+  const [errors, setErrors] = useState({});
+
+  // Keep the form in step with saved rates (e.g. after hydration or reset)
+  useEffect(() => {
+    setDraft(toDraft(exchangeRates));
+    setErrors({});
+  }, [exchangeRates]);
+
+  const handleChange = useCallback((event) => {
+    const { name, value } = event.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+    setErrors(prev => ({ ...prev, [name]: '' }));
+  }, []);
+
+  const handleSubmit = useCallback((event) => {
+    event.preventDefault();
+
+    const validation = validateExchangeRates(draft);
+    setErrors(validation.errors);
+    if (!validation.isValid) {
+      onResult({ success: false, error: 'Please correct the exchange rates before saving.' });
+      return;
+    }
+
+    const rates = Object.keys(draft).reduce((parsed, code) => {
+      parsed[code] = parseFloat(draft[code]);
+      return parsed;
+    }, {});
+    onResult(setExchangeRates(rates));
+  }, [draft, setExchangeRates, onResult]);
+
+  const handleReset = useCallback(() => {
+    onResult(resetExchangeRates());
+  }, [resetExchangeRates, onResult]);
+
+  return (
+    <form className="rate-card-editor exchange-rate-editor" onSubmit={handleSubmit} noValidate>
+      <h3>Exchange Rates</h3>
+      <p className="rate-card-subtitle">
+        Amounts are stored in {BASE_CURRENCY} and converted for display using these rates.
+      </p>
+
+      <div className="editor-grid">
+        {Object.keys(CURRENCIES).map(code => (
+          <div key={code} className="form-group">
+            <label htmlFor={`exchange-${code}`}>
+              1 {BASE_CURRENCY} = ? {code}
+            </label>
+            <input
+              id={`exchange-${code}`}
+              name={code}
+              type="number"
+              min="0"
+              step="any"
+              value={draft[code]}
+              onChange={handleChange}
+              disabled={code === BASE_CURRENCY}
+              className={errors[code] ? 'error' : ''}
+              title={CURRENCIES[code].name}
+            />
+            {errors[code] && <div className="field-error" role="alert">{errors[code]}</div>}
+          </div>
+        ))}
+      </div>
+
+      <div className="editor-actions">
+        <button type="submit" className="submit-button">
+          Save Exchange Rates
+        </button>
+        <button type="button" className="secondary-button" onClick={handleReset}>
+          Restore Defaults
+        </button>
+      </div>
+    </form>
+  );
+});
+
+ExchangeRateEditor.displayName = 'ExchangeRateEditor';
+
+export default ExchangeRateEditor;
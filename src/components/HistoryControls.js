@@ -0,0 +1,68 @@
+/**
+ * HistoryControls Component
+ * Undo/redo buttons for box changes, plus their keyboard shortcuts
+ */
+
+import React, { memo, useCallback } from 'react';
+import { useBox } from '../context/BoxContext';
+import { useNotification } from '../hooks/useNotification';
+import { useUndoShortcuts } from '../hooks/useUndoShortcuts';
+import Notification from './Notification';
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+const modifier = isMac ? '⌘' : 'Ctrl+';
+
+const HistoryControls = memo(({ className = '' }) => {
+  const { undo, redo, canUndo, canRedo, undoLabel, redoLabel } = useBox();
+  const { notification, showInfo, hideNotification } = useNotification();
+
+  const handleUndo = useCallback(() => {
+    const result = undo();
+    if (result.success) {
+      showInfo(result.message);
+    }
+  }, [undo, showInfo]);
+
+  const handleRedo = useCallback(() => {
+    const result = redo();
+    if (result.success) {
+      showInfo(result.message);
+    }
+  }, [redo, showInfo]);
+
+  useUndoShortcuts(handleUndo, handleRedo);
+
+  return (
+    <div className={`history-controls ${className}`}>
+      <button
+        type="button"
+        onClick={handleUndo}
+        disabled={!canUndo}
+        title={canUndo ? `Undo: ${undoLabel} (${modifier}Z)` : 'Nothing to undo'}
+        aria-label={canUndo ? `Undo: ${undoLabel}` : 'Undo'}
+      >
+        ↶
+      </button>
+      <button
+        type="button"
+        onClick={handleRedo}
+        disabled={!canRedo}
+        title={canRedo ? `Redo: ${redoLabel} (${modifier}${isMac ? '⇧Z' : 'Y'})` : 'Nothing to redo'}
+        aria-label={canRedo ? `Redo: ${redoLabel}` : 'Redo'}
+      >
+        ↷
+      </button>
+      <Notification
+        message={notification.message}
+        type={notification.type}
+        isVisible={notification.isVisible}
+        onClose={hideNotification}
+        duration={3000}
+      />
+    </div>
+  );
+});
+
+HistoryControls.displayName = 'HistoryControls';
+
+export default HistoryControls;
@@ -0,0 +1,104 @@
+/**
+ * LineChart Component - Dependency-free SVG line chart for a daily series
+ * The chart is a labelled image; callers render the data as a table for screen readers
+ */
+
+import React, { memo, useId } from 'react';
+import './Chart.css';
+
+const WIDTH = 640;
+const HEIGHT = 260;
+const PADDING = { top: 16, right: 24, bottom: 36, left: 84 };
+// Individual points are marked (with tooltips) only while they stay readable
+const MAX_MARKED_POINTS = 62;
+
+// Keeps the first and last day labels inside the chart
+const labelAnchor = (index, count) => {
+  if (count > 1 && index === 0) {
+    return 'start';
+  }
+  if (count > 1 && index === count - 1) {
+    return 'end';
+  }
+  return 'middle';
+};
+
+const LineChart = memo(({ title, data, formatValue = String, formatLabel = String }) => {
+  const titleId = useId();
+  const descId = useId();
+
+  if (data.length === 0) {
+    return null;
+  }
+
+  const max = Math.max(...data.map(item => item.value), 0);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const baseline = PADDING.top + plotHeight;
+
+  const points = data.map((item, index) => ({
+    ...item,
+    x: PADDING.left + (data.length === 1 ? plotWidth / 2 : (index / (data.length - 1)) * plotWidth),
+    y: baseline - (max > 0 ? (item.value / max) * plotHeight : 0),
+  }));
+  const line = points.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ');
+  const area = `M${points[0].x.toFixed(1)},${baseline} L${line.replace(/ /g, ' L')} L${points[points.length - 1].x.toFixed(1)},${baseline} Z`;
+
+  const ticks = [0, 0.5, 1].map(fraction => ({
+    value: max * fraction,
+    y: baseline - fraction * plotHeight,
+  }));
+  const labelIndexes = [...new Set([0, Math.floor((data.length - 1) / 2), data.length - 1])];
+  const top = data.reduce((best, item) => (item.value > best.value ? item : best), data[0]);
+
+  return (
+    <figure className="chart">
+      <svg
+        className="chart-svg"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-labelledby={`${titleId} ${descId}`}
+      >
+        <title id={titleId}>{title}</title>
+        <desc id={descId}>
+          {`${data.length} days from ${formatLabel(data[0].label)} to ${formatLabel(data[data.length - 1].label)}. `}
+          {`Highest: ${formatLabel(top.label)}, ${formatValue(top.value)}.`}
+        </desc>
+
+        {ticks.map(tick => (
+          <g key={tick.y}>
+            <line className="chart-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={tick.y} y2={tick.y} />
+            <text className="chart-label" x={PADDING.left - 8} y={tick.y} textAnchor="end" dominantBaseline="central">
+              {formatValue(tick.value)}
+            </text>
+          </g>
+        ))}
+
+        {labelIndexes.map(index => (
+          <text
+            key={index}
+            className="chart-label"
+            x={points[index].x}
+            y={HEIGHT - 12}
+            textAnchor={labelAnchor(index, data.length)}
+          >
+            {formatLabel(points[index].label)}
+          </text>
+        ))}
+
+        <path className="chart-area" d={area} />
+        <polyline className="chart-line" points={line} />
+
+        {points.length <= MAX_MARKED_POINTS && points.map(point => (
+          <circle key={point.key} className="chart-point" cx={point.x} cy={point.y} r="3.5">
+            <title>{`${formatLabel(point.label)}: ${formatValue(point.value)}`}</title>
+          </circle>
+        ))}
+      </svg>
+    </figure>
+  );
+});
+
+LineChart.displayName = 'LineChart';
+
+export default LineChart;
@@ -1,5 +1,7 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import CurrencySelector from './CurrencySelector';
+import HistoryControls from './HistoryControls';
 import './Navbar.css';
 
 const Navbar = () => {
@@ -24,6 +26,32 @@ const Navbar = () => {
           >
             View Boxes
           </Link>
+          <Link 
+            to="/boxes/import" 
+            className={`navbar-item ${location.pathname === '/boxes/import' ? 'active' : ''}`}
+          >
+            Import
+          </Link>
+          <Link 
+            to="/shipments" 
+            className={`navbar-item ${location.pathname.startsWith('/shipments') ? 'active' : ''}`}
+          >
+            Shipments
+          </Link>
+          <Link 
+            to="/analytics" 
+            className={`navbar-item ${location.pathname === '/analytics' ? 'active' : ''}`}
+          >
+            Analytics
+          </Link>
+          <Link 
+            to="/admin/rates" 
+            className={`navbar-item ${location.pathname === '/admin/rates' ? 'active' : ''}`}
+          >
+            Rate Cards
+          </Link>
+          <HistoryControls className="navbar-history" />
+          <CurrencySelector className="navbar-currency" />
         </div>
       </div>
     </nav>
@@ -11,6 +11,7 @@ const Notification = memo(({
   type = 'info', 
   isVisible = false, 
   onClose, 
+  action = null,
   duration = 5000 
 }) => {
   useEffect(() => {
@@ -47,6 +48,21 @@ const Notification = memo(({
           {getIcon()}
         </span>
         <span className="notification-message">{message}</span>
+        {action && (
+          <button
+            type="button"
+            className="notification-action"
+            onClick={() => {
+              // Close first so the action can show a follow-up notification
+              if (onClose) {
+                onClose();
+              }
+              action.onClick();
+            }}
+          >
+            {action.label}
+          </button>
+        )}
         {onClose && (
           <button 
             className="notification-close"
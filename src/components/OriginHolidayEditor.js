@@ -0,0 +1,80 @@
+/**
+ * OriginHolidayEditor Component
+ * Edits the Indian public holidays on which boxes are not handed to a carrier
+ */
+
+import React, { memo, useState, useEffect, useCallback } from 'react';
+import { useRateCards } from '../context/RateCardContext';
+import { parseHolidays, getHolidaysError } from '../utils/rateCards';
+
+const OriginHolidayEditor = memo(({ onResult }) => {
+  const { originHolidays, originHolidaysCustomized, setOriginHolidays, resetOriginHolidays } = useRateCards();
+  const [draft, setDraft] = useState(() => originHolidays.join('\n'));
+  const [error, setError] = useState('');
+
+  // Keep the form in step with saved holidays (e.g. after hydration or reset)
+  useEffect(() => {
+    setDraft(originHolidays.join('\n'));
+    setError('');
+  }, [originHolidays]);
+
+  const handleChange = useCallback((event) => {
+    setDraft(event.target.value);
+    setError('');
+  }, []);
+
+  const handleSubmit = useCallback((event) => {
+    event.preventDefault();
+
+    const holidaysError = getHolidaysError(draft);
+    setError(holidaysError);
+    if (holidaysError) {
+      onResult({ success: false, error: 'Please correct the origin holidays before saving.' });
+      return;
+    }
+
+    onResult(setOriginHolidays(parseHolidays(draft)));
+  }, [draft, setOriginHolidays, onResult]);
+
+  const handleReset = useCallback(() => {
+    onResult(resetOriginHolidays());
+  }, [resetOriginHolidays, onResult]);
+
+  return (
+    <form className="rate-card-editor origin-holiday-editor" onSubmit={handleSubmit} noValidate>
+      <h3>Origin Holidays</h3>
+      <p className="rate-card-subtitle">
+        Boxes dispatched on an Indian public holiday are handed to the carrier on the next business day.
+      </p>
+
+      <div className="form-group holidays-group">
+        <label htmlFor="origin-holidays">Indian Public Holidays (no handovers)</label>
+        <textarea
+          id="origin-holidays"
+          name="originHolidays"
+          rows={4}
+          value={draft}
+          onChange={handleChange}
+          placeholder="One date per line, e.g. 2026-10-02"
+          className={error ? 'error' : ''}
+        />
+        {error && <div className="field-error" role="alert">{error}</div>}
+      </div>
+
+      <div className="editor-actions">
+        <button type="submit" className="submit-button">
+          Save Origin Holidays
+        </button>
+        {originHolidaysCustomized && (
+          <button type="button" className="secondary-button" onClick={handleReset}>
+            Restore Defaults
+          </button>
+        )}
+      </div>
+    </form>
+  );
+});
+
+OriginHolidayEditor.displayName = 'OriginHolidayEditor';
+
+export default OriginHolidayEditor;
@@ -0,0 +1,52 @@
+/**
+ * Pagination Component - Page navigation and page-size picker for long tables
+ */
+
+import React, { memo } from 'react';
+import { BOX_LIST_PAGE_SIZES } from '../constants';
+import './Pagination.css';
+
+const Pagination = memo(({ page, pageCount, pageSize, start, shown, total, onPageChange, onPageSizeChange }) => {
+  if (total === 0) {
+    return null;
+  }
+
+  return (
+    <nav className="pagination" aria-label="Box list pages">
+      <span className="pagination-range">
+        {start + 1}–{start + shown} of {total.toLocaleString()}
+      </span>
+
+      <div className="pagination-buttons">
+        <button type="button" onClick={() => onPageChange(1)} disabled={page <= 1} aria-label="First page">
+          «
+        </button>
+        <button type="button" onClick={() => onPageChange(page - 1)} disabled={page <= 1} aria-label="Previous page">
+          ‹
+        </button>
+        <span className="pagination-page" aria-current="page">
+          Page {page} of {pageCount}
+        </span>
+        <button type="button" onClick={() => onPageChange(page + 1)} disabled={page >= pageCount} aria-label="Next page">
+          ›
+        </button>
+        <button type="button" onClick={() => onPageChange(pageCount)} disabled={page >= pageCount} aria-label="Last page">
+          »
+        </button>
+      </div>
+
+      <label className="pagination-size">
+        Rows per page
+        <select value={pageSize} onChange={(event) => onPageSizeChange(parseInt(event.target.value, 10))}>
+          {[...BOX_LIST_PAGE_SIZES].sort((a, b) => a - b).map(size => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </select>
+      </label>
+    </nav>
+  );
+});
+
+Pagination.displayName = 'Pagination';
+
+export default Pagination;
@@ -0,0 +1,46 @@
+/**
+ * QrCode Component - QR code rendered as SVG
+ */
+
+import React, { memo, useId, useMemo } from 'react';
+import { encodeQrCode, QR_QUIET_ZONE } from '../utils/qrCode';
+import './LabelCodes.css';
+
+const QrCode = memo(({ value, className = '' }) => {
+  const titleId = useId();
+
+  const symbol = useMemo(() => {
+    try {
+      const rows = encodeQrCode(value);
+      // One square per dark module, offset by the quiet zone
+      const path = rows.map((row, y) => row.map((dark, x) => (
+        dark ? `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z` : ''
+      )).join('')).join('');
+      return { path, size: rows.length + QR_QUIET_ZONE * 2 };
+    } catch (error) {
+      return null;
+    }
+  }, [value]);
+
+  if (!symbol) {
+    return <p className={`barcode-error ${className}`}>Cannot encode “{value}” as a QR code</p>;
+  }
+
+  return (
+    <svg
+      className={`qr-code ${className}`}
+      viewBox={`0 0 ${symbol.size} ${symbol.size}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-labelledby={titleId}
+    >
+      <title id={titleId}>{`QR code: ${value}`}</title>
+      <rect width={symbol.size} height={symbol.size} fill="#fff" />
+      <path d={symbol.path} fill="#000" />
+    </svg>
+  );
+});
+
+QrCode.displayName = 'QrCode';
+
+export default QrCode;
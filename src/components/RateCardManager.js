@@ -0,0 +1,430 @@
+/**
+ * RateCardManager Component - Admin screen for runtime rate cards
+ * Countries can be added, edited, disabled and removed without a redeploy
+ */
+
+import React, { memo, useCallback, useMemo } from 'react';
+import { useBox } from '../context/BoxContext';
+import { useRateCards } from '../context/RateCardContext';
+import { useRateCardForm } from '../hooks/useRateCardForm';
+import { useNotification } from '../hooks/useNotification';
+import { formatCurrency } from '../utils';
+import { countBoxesByCountry } from '../utils/rateCards';
+import { RATE_CARD_VALIDATION, DEFAULT_RATE_CARDS } from '../constants';
+import Notification from './Notification';
+import OriginHolidayEditor from './OriginHolidayEditor';
+import ExchangeRateEditor from './ExchangeRateEditor';
+import './RateCardManager.css';
+
+const RateCardManager = memo(() => {
+  const { boxes } = useBox();
+  const {
+    rateCards,
+    customized,
+    error,
+    saveRateCard,
+    setCountryEnabled,
+    removeRateCard,
+    resetRateCards,
+    clearError,
+  } = useRateCards();
+
+  const { notification, showSuccess, showError, hideNotification } = useNotification();
+
+  const {
+    draft,
+    isNew,
+    errors,
+    startCreate,
+    startEdit,
+    cancel,
+    handleChange,
+    handleBracketChange,
+    addBracket,
+    removeBracket,
+    submit,
+  } = useRateCardForm();
+
+  const codes = useMemo(() => Object.keys(rateCards), [rateCards]);
+  const boxCounts = useMemo(() => countBoxesByCountry(boxes), [boxes]);
+
+  /**
+   * Reports a context result through the notification banner
+   */
+  const notifyResult = useCallback((result) => {
+    if (result.success) {
+      showSuccess(result.message);
+    } else {
+      showError(result.error);
+    }
+    return result.success;
+  }, [showSuccess, showError]);
+
+  const handleSubmit = useCallback((event) => {
+    event.preventDefault();
+    clearError();
+
+    const submission = submit(codes);
+    if (!submission) {
+      showError('Please correct the errors in the rate card before saving.');
+      return;
+    }
+
+    if (notifyResult(saveRateCard(submission.code, submission.card))) {
+      cancel();
+    }
+  }, [clearError, submit, codes, showError, notifyResult, saveRateCard, cancel]);
+
+  const handleToggle = useCallback((code) => {
+    notifyResult(setCountryEnabled(code, rateCards[code].enabled === false));
+  }, [notifyResult, setCountryEnabled, rateCards]);
+
+  const handleRemove = useCallback((code) => {
+    const referencingBoxes = boxCounts[code] || 0;
+
+    if (referencingBoxes > 0) {
+      showError(`${rateCards[code].name} is used by ${referencingBoxes} box(es) and cannot be removed. Disable it instead.`);
+      return;
+    }
+
+    const confirmed = window.confirm(`Remove ${rateCards[code].name} from the rate cards?`);
+    if (confirmed) {
+      if (notifyResult(removeRateCard(code, referencingBoxes)) && draft?.code === code) {
+        cancel();
+      }
+    }
+  }, [boxCounts, rateCards, showError, notifyResult, removeRateCard, draft, cancel]);
+
+  const handleReset = useCallback(() => {
+    const orphaned = Object.keys(boxCounts).filter(code => !DEFAULT_RATE_CARDS[code]);
+    const warning = orphaned.length > 0
+      ? `\n\nExisting boxes ship to ${orphaned.join(', ')}, which the default rates do not include.`
+      : '';
+
+    const confirmed = window.confirm(`Discard all rate-card changes and restore the default rates?${warning}`);
+    if (confirmed) {
+      cancel();
+      notifyResult(resetRateCards());
+    }
+  }, [boxCounts, cancel, notifyResult, resetRateCards]);
+
+  return (
+    <div className="rate-card-container">
+      <Notification
+        message={notification.message}
+        type={notification.type}
+        isVisible={notification.isVisible}
+        onClose={hideNotification}
+      />
+
+      <div className="rate-card-header">
+        <h2>Rate Cards</h2>
+        <p className="rate-card-subtitle">
+          Changes apply immediately to new boxes and estimates. Existing boxes keep their stored cost.
+        </p>
+      </div>
+
+      {error && (
+        <div className="error-message" role="alert">
+          {error}
+        </div>
+      )}
+
+      <div className="table-container">
+        <table className="rate-card-table">
+          <thead>
+            <tr>
+              <th scope="col">Code</th>
+              <th scope="col">Country</th>
+              <th scope="col">Status</th>
+              <th scope="col">Brackets</th>
+              <th scope="col">Minimum</th>
+              <th scope="col">Boxes</th>
+              <th scope="col">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {codes.map((code) => {
+              const card = rateCards[code];
+              const enabled = card.enabled !== false;
+
+              return (
+                <tr key={code} className={enabled ? '' : 'disabled-row'}>
+                  <td className="rate-code">{code}</td>
+                  <td>{card.name}</td>
+                  <td>
+                    <span className={`status-pill ${enabled ? 'enabled' : 'disabled'}`}>
+                      {enabled ? 'Enabled' : 'Disabled'}
+                    </span>
+                  </td>
+                  <td className="bracket-summary">
+                    {card.brackets.map((bracket, index) => (
+                      <span key={index}>
+                        {bracket.maxWeight === null ? 'above' : `≤ ${bracket.maxWeight} kg`}
+                        {': '}
+                        {formatCurrency(bracket.ratePerKg)}/kg
+                      </span>
+                    ))}
+                  </td>
+                  <td>{formatCurrency(card.minimumCharge)}</td>
+                  <td>{boxCounts[code] || 0}</td>
+                  <td className="rate-actions">
+                    <button type="button" onClick={() => startEdit(code, card)}>
+                      Edit
+                    </button>
+                    <button type="button" onClick={() => handleToggle(code)}>
+                      {enabled ? 'Disable' : 'Enable'}
+                    </button>
+                    <button
+                      type="button"
+                      className="danger"
+                      onClick={() => handleRemove(code)}
+                      title={boxCounts[code] ? 'Used by existing boxes' : undefined}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="rate-card-toolbar">
+        <button type="button" className="submit-button" onClick={startCreate}>
+          Add Country
+        </button>
+        {customized && (
+          <button type="button" className="secondary-button" onClick={handleReset}>
+            Restore Defaults
+          </button>
+        )}
+      </div>
+
+      {draft && (
+        <form className="rate-card-editor" onSubmit={handleSubmit} noValidate>
+          <h3>{isNew ? 'New Country' : `Edit ${draft.name || draft.code}`}</h3>
+
+          <div className="editor-grid">
+            <div className="form-group">
+              <label htmlFor="rate-code">Country Code</label>
+              <input
+                id="rate-code"
+                name="code"
+                value={draft.code}
+                onChange={handleChange}
+                disabled={!isNew}
+                placeholder="e.g. NEW_ZEALAND"
+                className={errors.code ? 'error' : ''}
+              />
+              {errors.code && <div className="field-error" role="alert">{errors.code}</div>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="rate-name">Display Name</label>
+              <input
+                id="rate-name"
+                name="name"
+                value={draft.name}
+                onChange={handleChange}
+                className={errors.name ? 'error' : ''}
+              />
+              {errors.name && <div className="field-error" role="alert">{errors.name}</div>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="rate-minimum">Minimum Charge (₹)</label>
+              <input
+                id="rate-minimum"
+                name="minimumCharge"
+                type="number"
+                min="0"
+                step="0.01"
+                value={draft.minimumCharge}
+                onChange={handleChange}
+                className={errors.minimumCharge ? 'error' : ''}
+              />
+              {errors.minimumCharge && <div className="field-error" role="alert">{errors.minimumCharge}</div>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="rate-rounding">Round Up To (kg)</label>
+              <input
+                id="rate-rounding"
+                name="roundingIncrement"
+                type="number"
+                min="0"
+                step="0.1"
+                value={draft.roundingIncrement}
+                onChange={handleChange}
+                className={errors.roundingIncrement ? 'error' : ''}
+              />
+              {errors.roundingIncrement && <div className="field-error" role="alert">{errors.roundingIncrement}</div>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="rate-divisor">Volumetric Divisor (cm³/kg)</label>
+              <input
+                id="rate-divisor"
+                name="volumetricDivisor"
+                type="number"
+                min="1"
+                step="1"
+                value={draft.volumetricDivisor}
+                onChange={handleChange}
+                className={errors.volumetricDivisor ? 'error' : ''}
+              />
+              {errors.volumetricDivisor && <div className="field-error" role="alert">{errors.volumetricDivisor}</div>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="rate-de-minimis">Duty-Free Up To (₹)</label>
+              <input
+                id="rate-de-minimis"
+                name="deMinimis"
+                type="number"
+                min="0"
+                step="1"
+                value={draft.deMinimis}
+                onChange={handleChange}
+                className={errors.deMinimis ? 'error' : ''}
+              />
+              {errors.deMinimis && <div className="field-error" role="alert">{errors.deMinimis}</div>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="rate-duty">Import Duty (%)</label>
+              <input
+                id="rate-duty"
+                name="dutyRate"
+                type="number"
+                min="0"
+                max="100"
+                step="0.1"
+                value={draft.dutyRate}
+                onChange={handleChange}
+                className={errors.dutyRate ? 'error' : ''}
+              />
+              {errors.dutyRate && <div className="field-error" role="alert">{errors.dutyRate}</div>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="rate-vat">VAT / GST (%)</label>
+              <input
+                id="rate-vat"
+                name="vatRate"
+                type="number"
+                min="0"
+                max="100"
+                step="0.1"
+                value={draft.vatRate}
+                onChange={handleChange}
+                className={errors.vatRate ? 'error' : ''}
+              />
+              {errors.vatRate && <div className="field-error" role="alert">{errors.vatRate}</div>}
+            </div>
+
+            <div className="form-group checkbox-group">
+              <label htmlFor="rate-enabled">
+                <input
+                  id="rate-enabled"
+                  name="enabled"
+                  type="checkbox"
+                  checked={draft.enabled}
+                  onChange={handleChange}
+                />
+                Accepting new boxes
+              </label>
+            </div>
+
+            <div className="form-group holidays-group">
+              <label htmlFor="rate-holidays">Public Holidays (no deliveries)</label>
+              <textarea
+                id="rate-holidays"
+                name="holidays"
+                rows={4}
+                value={draft.holidays}
+                onChange={handleChange}
+                placeholder="One date per line, e.g. 2026-12-25"
+                className={errors.holidays ? 'error' : ''}
+              />
+              {errors.holidays && <div className="field-error" role="alert">{errors.holidays}</div>}
+            </div>
+          </div>
+
+          <fieldset className="bracket-editor">
+            <legend>Weight Brackets</legend>
+            {draft.brackets.map((bracket, index) => {
+              const isLast = index === draft.brackets.length - 1;
+
+              return (
+                <div key={index} className="bracket-row">
+                  <label>
+                    Up to (kg)
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={isLast ? '' : bracket.maxWeight}
+                      placeholder={isLast ? 'No limit' : ''}
+                      disabled={isLast}
+                      onChange={(event) => handleBracketChange(index, 'maxWeight', event.target.value)}
+                      aria-label={`Bracket ${index + 1} upper weight`}
+                    />
+                  </label>
+                  <label>
+                    Rate per kg (₹)
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={bracket.ratePerKg}
+                      onChange={(event) => handleBracketChange(index, 'ratePerKg', event.target.value)}
+                      aria-label={`Bracket ${index + 1} rate per kg`}
+                    />
+                  </label>
+                  <button
+                    type="button"
+                    className="danger"
+                    onClick={() => removeBracket(index)}
+                    disabled={draft.brackets.length === 1}
+                    aria-label={`Remove bracket ${index + 1}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              );
+            })}
+            {errors.brackets && <div className="field-error" role="alert">{errors.brackets}</div>}
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={addBracket}
+              disabled={draft.brackets.length >= RATE_CARD_VALIDATION.MAX_BRACKETS}
+            >
+              Add Bracket
+            </button>
+          </fieldset>
+
+          <div className="editor-actions">
+            <button type="submit" className="submit-button">
+              Save Rate Card
+            </button>
+            <button type="button" className="secondary-button" onClick={cancel}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <OriginHolidayEditor onResult={notifyResult} />
+
+      <ExchangeRateEditor onResult={notifyResult} />
+    </div>
+  );
+});
+
+RateCardManager.displayName = 'RateCardManager';
+
+export default RateCardManager;
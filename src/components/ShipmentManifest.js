@@ -0,0 +1,165 @@
+/**
+ * ShipmentManifest Component - Printable list of the boxes in a shipment with totals
+ */
+
+import React, { memo, useMemo, useCallback } from 'react';
+import { Link, createSearchParams, useParams } from 'react-router-dom';
+import { useBox } from '../context/BoxContext';
+import { useRateCards } from '../context/RateCardContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useUndoNotification } from '../hooks/useUndoNotification';
+import { calculateStatistics } from '../utils';
+import { ROUTES, SHIPMENT_STATUSES, UI_MESSAGES } from '../constants';
+import Notification from './Notification';
+import './ShipmentManifest.css';
+
+const ShipmentManifest = memo(() => {
+  const { id } = useParams();
+  const { boxes, hydrated, getShipmentById, shipmentStatistics, assignBoxesToShipment } = useBox();
+  const { rateCards } = useRateCards();
+  const { formatAmount } = useCurrency();
+  const { notification, showUndoableSuccess, showError, hideNotification } = useUndoNotification();
+
+  const shipment = getShipmentById(id);
+  const shipmentBoxes = useMemo(() => boxes.filter(box => box.shipmentId === id), [boxes, id]);
+  const totals = shipmentStatistics[id] || calculateStatistics([]);
+  const isOpen = shipment?.status === 'open';
+
+  const handleRemoveFromShipment = useCallback((boxId) => {
+    const result = assignBoxesToShipment([boxId], null);
+    if (result.success) {
+      showUndoableSuccess(result.message, result.historyId);
+    } else {
+      showError(result.error);
+    }
+  }, [assignBoxesToShipment, showUndoableSuccess, showError]);
+
+  if (!shipment) {
+    return (
+      <div className="manifest-container">
+        <div className="manifest-card">
+          <h2>Shipment Manifest</h2>
+          <p className="manifest-empty">
+            {hydrated ? UI_MESSAGES.INFO.SHIPMENT_NOT_FOUND : UI_MESSAGES.INFO.LOADING}
+          </p>
+          <Link to={ROUTES.SHIPMENTS} className="manifest-back">← Back to shipments</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="manifest-container">
+      <Notification
+        message={notification.message}
+        type={notification.type}
+        isVisible={notification.isVisible}
+        onClose={hideNotification}
+        action={notification.action}
+      />
+
+      <div className="manifest-card">
+        <div className="manifest-toolbar">
+          <Link to={ROUTES.SHIPMENTS} className="manifest-back">← Back to shipments</Link>
+          <div className="manifest-toolbar-actions">
+            {shipmentBoxes.length > 0 && (
+              <Link
+                to={`${ROUTES.LABELS}?${createSearchParams({ shipment: shipment.id })}`}
+                className="manifest-print"
+              >
+                Print Labels
+              </Link>
+            )}
+            <button type="button" className="manifest-print" onClick={() => window.print()}>
+              Print Manifest
+            </button>
+          </div>
+        </div>
+
+        <h2>Manifest {shipment.reference}</h2>
+        <dl className="manifest-details">
+          <div>
+            <dt>Destination</dt>
+            <dd>{shipment.country ? rateCards[shipment.country]?.name || shipment.country : 'Mixed destinations'}</dd>
+          </div>
+          <div>
+            <dt>Status</dt>
+            <dd>
+              <span className={`manifest-status status-${shipment.status}`}>
+                {SHIPMENT_STATUSES[shipment.status]}
+              </span>
+            </dd>
+          </div>
+          <div>
+            <dt>Created</dt>
+            <dd>{new Date(shipment.createdAt).toLocaleString()}</dd>
+          </div>
+          <div>
+            <dt>Boxes</dt>
+            <dd>{totals.totalBoxes}</dd>
+          </div>
+        </dl>
+
+        {shipmentBoxes.length === 0 ? (
+          <p className="manifest-empty">{UI_MESSAGES.INFO.EMPTY_SHIPMENT}</p>
+        ) : (
+          <table className="manifest-table">
+            <thead>
+              <tr>
+                <th scope="col">#</th>
+                <th scope="col">Receiver</th>
+                <th scope="col">Destination</th>
+                <th scope="col">Dimensions (cm)</th>
+                <th scope="col">Weight</th>
+                <th scope="col">Billed Weight</th>
+                <th scope="col">Cost</th>
+                {isOpen && <th scope="col" className="manifest-actions">Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {shipmentBoxes.map((box, index) => (
+                <tr key={box.id}>
+                  <td>{index + 1}</td>
+                  <td>{box.receiverName}</td>
+                  <td>{rateCards[box.country]?.name || box.country}</td>
+                  <td>
+                    {box.dimensions
+                      ? `${box.dimensions.length} × ${box.dimensions.width} × ${box.dimensions.height}`
+                      : '—'}
+                  </td>
+                  <td>{box.weight} kg</td>
+                  <td>{box.chargeableWeight || box.weight} kg</td>
+                  <td>{formatAmount(box.shippingCost)}</td>
+                  {isOpen && (
+                    <td className="manifest-actions">
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveFromShipment(box.id)}
+                        aria-label={`Remove ${box.receiverName} from shipment`}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <th scope="row" colSpan={4}>Total</th>
+                <td>{totals.totalWeight.toFixed(2)} kg</td>
+                <td>{totals.totalChargeableWeight.toFixed(2)} kg</td>
+                <td>{formatAmount(totals.totalCost)}</td>
+                {isOpen && <td className="manifest-actions"></td>}
+              </tr>
+            </tfoot>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+});
+
+ShipmentManifest.displayName = 'ShipmentManifest';
+
+export default ShipmentManifest;
@@ -0,0 +1,197 @@
+/**
+ * Shipments Component - Creates shipments and lists them with their status and totals
+ * Boxes are added to shipments from the box list's bulk actions
+ */
+
+import React, { memo, useState, useMemo, useCallback } from 'react';
+import { Link, generatePath } from 'react-router-dom';
+import { useBox } from '../context/BoxContext';
+import { useRateCards } from '../context/RateCardContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useUndoNotification } from '../hooks/useUndoNotification';
+import { getNextShipmentReference, validateShipment } from '../utils/shipments';
+import { calculateStatistics } from '../utils';
+import { ROUTES, SHIPMENT_STATUSES, SHIPMENT_VALIDATION, UI_MESSAGES } from '../constants';
+import Notification from './Notification';
+import './Shipments.css';
+
+const Shipments = memo(() => {
+  const { shipments, shipmentStatistics, createShipment, updateShipment, removeShipment } = useBox();
+  const { rateCards, enabledCountries } = useRateCards();
+  const { formatAmount } = useCurrency();
+  const { notification, showUndoableSuccess, showError, hideNotification } = useUndoNotification();
+
+  // null keeps following the suggested reference as shipments are added
+  const [reference, setReference] = useState(null);
+  const [country, setCountry] = useState('');
+  const [submitted, setSubmitted] = useState(false);
+
+  const suggestedReference = useMemo(() => getNextShipmentReference(shipments), [shipments]);
+  const referenceValue = reference ?? suggestedReference;
+  const errors = useMemo(
+    () => validateShipment({ reference: referenceValue, country }, shipments, rateCards),
+    [referenceValue, country, shipments, rateCards]
+  );
+
+  const countryName = useCallback((code) => (code ? rateCards[code]?.name || code : 'Mixed'), [rateCards]);
+
+  const showResult = useCallback((result) => {
+    if (result.success) {
+      showUndoableSuccess(result.message, result.historyId);
+    } else {
+      showError(result.error);
+    }
+  }, [showUndoableSuccess, showError]);
+
+  const handleCreate = useCallback((event) => {
+    event.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    const result = createShipment({ reference: referenceValue, country });
+    if (result.success) {
+      setReference(null);
+      setCountry('');
+      setSubmitted(false);
+    }
+    showResult(result);
+  }, [errors, createShipment, referenceValue, country, showResult]);
+
+  return (
+    <div className="shipments-container">
+      <Notification
+        message={notification.message}
+        type={notification.type}
+        isVisible={notification.isVisible}
+        onClose={hideNotification}
+        action={notification.action}
+      />
+
+      <div className="shipments-header">
+        <h2>Shipments</h2>
+        <p className="shipments-subtitle">
+          Group boxes that are dispatched together. Select boxes in the
+          {' '}<Link to={ROUTES.BOX_LIST}>box list</Link> to add them to an open shipment.
+        </p>
+      </div>
+
+      <form className="shipments-card shipment-form" onSubmit={handleCreate} noValidate>
+        <h3>New Shipment</h3>
+        <div className="shipment-form-fields">
+          <div className="shipment-field">
+            <label htmlFor="shipment-reference">
+              Reference <span className="required">*</span>
+            </label>
+            <input
+              id="shipment-reference"
+              type="text"
+              value={referenceValue}
+              onChange={(event) => setReference(event.target.value)}
+              maxLength={SHIPMENT_VALIDATION.MAX_REFERENCE_LENGTH}
+              aria-invalid={Boolean(submitted && errors.reference)}
+              aria-describedby={submitted && errors.reference ? 'shipment-reference-error' : undefined}
+            />
+            {submitted && errors.reference && (
+              <div id="shipment-reference-error" className="field-error" role="alert">
+                {errors.reference}
+              </div>
+            )}
+          </div>
+          <div className="shipment-field">
+            <label htmlFor="shipment-country">Destination</label>
+            <select
+              id="shipment-country"
+              value={country}
+              onChange={(event) => setCountry(event.target.value)}
+            >
+              <option value="">Mixed destinations</option>
+              {enabledCountries.map(code => (
+                <option key={code} value={code}>{rateCards[code].name}</option>
+              ))}
+            </select>
+          </div>
+          <button type="submit" className="submit-button">
+            Create Shipment
+          </button>
+        </div>
+        <p className="form-help">
+          A shipment with a destination only accepts boxes going to that country.
+        </p>
+      </form>
+
+      <div className="shipments-card">
+        {shipments.length === 0 ? (
+          <p className="shipments-empty">{UI_MESSAGES.INFO.NO_SHIPMENTS}</p>
+        ) : (
+          <div className="shipments-table-container">
+            <table className="shipments-table">
+              <thead>
+                <tr>
+                  <th scope="col">Reference</th>
+                  <th scope="col">Destination</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">Boxes</th>
+                  <th scope="col">Weight</th>
+                  <th scope="col">Cost</th>
+                  <th scope="col">Created</th>
+                  <th scope="col">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shipments.map((shipment) => {
+                  const totals = shipmentStatistics[shipment.id] || calculateStatistics([]);
+                  return (
+                    <tr key={shipment.id}>
+                      <td>
+                        <Link
+                          to={generatePath(ROUTES.SHIPMENT_MANIFEST, { id: shipment.id })}
+                          className="shipment-reference"
+                        >
+                          {shipment.reference}
+                        </Link>
+                      </td>
+                      <td>{countryName(shipment.country)}</td>
+                      <td>
+                        <select
+                          className={`shipment-status status-${shipment.status}`}
+                          value={shipment.status}
+                          onChange={(event) => showResult(updateShipment(shipment.id, { status: event.target.value }))}
+                          aria-label={`Status of ${shipment.reference}`}
+                        >
+                          {Object.entries(SHIPMENT_STATUSES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>{totals.totalBoxes}</td>
+                      <td>{totals.totalWeight.toFixed(2)} kg</td>
+                      <td className="shipment-cost">{formatAmount(totals.totalCost)}</td>
+                      <td>{new Date(shipment.createdAt).toLocaleDateString()}</td>
+                      <td>
+                        <button
+                          type="button"
+                          className="remove-shipment"
+                          onClick={() => showResult(removeShipment(shipment.id))}
+                          aria-label={`Remove shipment ${shipment.reference}`}
+                          title="Remove shipment (its boxes are kept)"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+Shipments.displayName = 'Shipments';
+
+export default Shipments;
@@ -0,0 +1,129 @@
+/**
+ * ShippingLabels Component - Printable 4×6 inch labels for one or many boxes
+ * Boxes come from the URL: ?ids=<id>,<id> and/or ?shipment=<shipment id>
+ */
+
+import React, { memo, useMemo } from 'react';
+import { Link, generatePath, useSearchParams } from 'react-router-dom';
+import { useBox } from '../context/BoxContext';
+import { useRateCards } from '../context/RateCardContext';
+import { rgbToColor, rgbToHex, getColorName } from '../utils/colors';
+import { formatAddressLines } from '../utils/address';
+import { ROUTES, UI_MESSAGES } from '../constants';
+import Barcode from './Barcode';
+import QrCode from './QrCode';
+import './ShippingLabels.css';
+
+const ShippingLabels = memo(() => {
+  const [searchParams] = useSearchParams();
+  const { boxes, hydrated, getBoxById, getShipmentById } = useBox();
+  const { rateCards } = useRateCards();
+
+  const shipmentId = searchParams.get('shipment');
+  const shipment = shipmentId ? getShipmentById(shipmentId) : null;
+
+  const labelBoxes = useMemo(() => {
+    const ids = (searchParams.get('ids') || '').split(',').filter(Boolean);
+    const selected = ids.map(getBoxById).filter(Boolean);
+    const inShipment = shipmentId ? boxes.filter(box => box.shipmentId === shipmentId) : [];
+    const seen = new Set(selected.map(box => box.id));
+    return [...selected, ...inShipment.filter(box => !seen.has(box.id))];
+  }, [searchParams, shipmentId, boxes, getBoxById]);
+
+  const backLink = shipment
+    ? <Link to={generatePath(ROUTES.SHIPMENT_MANIFEST, { id: shipment.id })} className="labels-back">← Back to {shipment.reference}</Link>
+    : <Link to={ROUTES.BOX_LIST} className="labels-back">← Back to boxes</Link>;
+
+  if (labelBoxes.length === 0) {
+    return (
+      <div className="labels-container">
+        <div className="labels-toolbar">
+          {backLink}
+        </div>
+        <p className="labels-empty">
+          {hydrated ? UI_MESSAGES.INFO.NO_LABELS : UI_MESSAGES.INFO.LOADING}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="labels-container">
+      <div className="labels-toolbar">
+        {backLink}
+        <span className="labels-count">
+          {labelBoxes.length} {labelBoxes.length === 1 ? 'label' : 'labels'} · 4 × 6 in
+        </span>
+        <button type="button" className="labels-print" onClick={() => window.print()}>
+          Print Labels
+        </button>
+      </div>
+
+      <div className="labels-sheet">
+        {labelBoxes.map((box) => {
+          const boxShipment = box.shipmentId ? getShipmentById(box.shipmentId) : null;
+          return (
+            <article key={box.id} className="shipping-label" aria-label={`Shipping label for ${box.receiverName}`}>
+              <header className="label-header">
+                <span className="label-date">{new Date(box.createdAt).toLocaleDateString()}</span>
+                {boxShipment && <span className="label-shipment">{boxShipment.reference}</span>}
+              </header>
+
+              <section className="label-to">
+                <span className="label-caption">Ship to</span>
+                <strong className="label-receiver">{box.receiverName}</strong>
+                {formatAddressLines(box.address, box.country).map(line => (
+                  <span key={line} className="label-address-line">{line}</span>
+                ))}
+                <span className="label-country">
+                  {rateCards[box.country]?.name || box.country}
+                  <span className="label-country-code">{box.country}</span>
+                </span>
+                {box.phone && <span className="label-phone">Tel. {box.phone}</span>}
+              </section>
+
+              <dl className="label-details">
+                <div>
+                  <dt>Weight</dt>
+                  <dd>{box.weight} kg</dd>
+                </div>
+                {box.chargeableWeight > box.weight && (
+                  <div>
+                    <dt>Billed</dt>
+                    <dd>{box.chargeableWeight} kg</dd>
+                  </div>
+                )}
+                {box.dimensions && (
+                  <div>
+                    <dt>Size (cm)</dt>
+                    <dd>{box.dimensions.length} × {box.dimensions.width} × {box.dimensions.height}</dd>
+                  </div>
+                )}
+                <div>
+                  <dt>Color</dt>
+                  <dd className="label-color">
+                    <span
+                      className="label-swatch"
+                      style={{ backgroundColor: rgbToColor(box.boxColor) }}
+                      aria-hidden="true"
+                    ></span>
+                    {getColorName(box.boxColor)} ({rgbToHex(box.boxColor)})
+                  </dd>
+                </div>
+              </dl>
+
+              <div className="label-codes">
+                <Barcode value={box.trackingNumber || box.id} className="label-barcode" />
+                <QrCode value={box.trackingNumber || box.id} className="label-qr" />
+              </div>
+            </article>
+          );
+        })}
+      </div>
+    </div>
+  );
+});
+
+ShippingLabels.displayName = 'ShippingLabels';
+
+export default ShippingLabels;
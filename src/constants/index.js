@@ -3,11 +3,310 @@
  * Centralized configuration for shipping calculator
  */
 
+/**
+ * Per-country rate tables (INR)
+ * - roundingIncrement: billable weight is rounded up to the next multiple (kg)
+ * - minimumCharge: lowest amount charged for a box
+ * - brackets: per-kg rate for billable weights up to maxWeight (inclusive);
+ *   the last bracket is open-ended (maxWeight: null)
+ */
 export const SHIPPING_RATES = {
-  SWEDEN: 7.35,
-  CHINA: 11.53,
-  BRAZIL: 15.63,
-  AUSTRALIA: 50.09,
+  SWEDEN: {
+    roundingIncrement: 0.5,
+    minimumCharge: 5,
+    brackets: [
+      { maxWeight: 0.5, ratePerKg: 9.5 },
+      { maxWeight: 2, ratePerKg: 7.35 },
+      { maxWeight: 10, ratePerKg: 6.8 },
+      { maxWeight: null, ratePerKg: 6.2 },
+    ],
+  },
+  CHINA: {
+    roundingIncrement: 0.5,
+    minimumCharge: 8,
+    brackets: [
+      { maxWeight: 0.5, ratePerKg: 14 },
+      { maxWeight: 2, ratePerKg: 11.53 },
+      { maxWeight: 10, ratePerKg: 10.75 },
+      { maxWeight: null, ratePerKg: 9.9 },
+    ],
+  },
+  BRAZIL: {
+    roundingIncrement: 0.5,
+    minimumCharge: 10,
+    brackets: [
+      { maxWeight: 0.5, ratePerKg: 18.9 },
+      { maxWeight: 2, ratePerKg: 15.63 },
+      { maxWeight: 10, ratePerKg: 14.4 },
+      { maxWeight: null, ratePerKg: 13.2 },
+    ],
+  },
+  AUSTRALIA: {
+    roundingIncrement: 0.5,
+    minimumCharge: 30,
+    brackets: [
+      { maxWeight: 0.5, ratePerKg: 58 },
+      { maxWeight: 2, ratePerKg: 50.09 },
+      { maxWeight: 10, ratePerKg: 46.5 },
+      { maxWeight: null, ratePerKg: 42.8 },
+    ],
+  },
+};
+
+/**
+ * Carriers we ship with. The default carrier prices with the rate cards managed in
+ * the admin screen (rates: null); the others have their own rate tables in the same
+ * shape as SHIPPING_RATES and only serve the countries listed there. Every carrier
+ * only serves countries that have a rate card enabled in the admin screen.
+ * transitDays: { min, max } business days from dispatch to delivery, per country
+ */
+export const CARRIERS = {
+  INDIA_POST: {
+    name: 'India Post',
+    rates: null,
+    transitDays: {
+      SWEDEN: { min: 8, max: 14 },
+      CHINA: { min: 6, max: 10 },
+      BRAZIL: { min: 12, max: 20 },
+      AUSTRALIA: { min: 7, max: 12 },
+    },
+    defaultTransitDays: { min: 10, max: 20 },
+  },
+  DHL: {
+    name: 'DHL Express',
+    rates: {
+      SWEDEN: {
+        roundingIncrement: 0.5,
+        minimumCharge: 20,
+        volumetricDivisor: 5000,
+        brackets: [
+          { maxWeight: 0.5, ratePerKg: 26 },
+          { maxWeight: 2, ratePerKg: 19.5 },
+          { maxWeight: 10, ratePerKg: 16.2 },
+          { maxWeight: null, ratePerKg: 13.9 },
+        ],
+      },
+      CHINA: {
+        roundingIncrement: 0.5,
+        minimumCharge: 24,
+        volumetricDivisor: 5000,
+        brackets: [
+          { maxWeight: 0.5, ratePerKg: 31 },
+          { maxWeight: 2, ratePerKg: 24.8 },
+          { maxWeight: 10, ratePerKg: 21.5 },
+          { maxWeight: null, ratePerKg: 18.4 },
+        ],
+      },
+      BRAZIL: {
+        roundingIncrement: 0.5,
+        minimumCharge: 32,
+        volumetricDivisor: 5000,
+        brackets: [
+          { maxWeight: 0.5, ratePerKg: 44 },
+          { maxWeight: 2, ratePerKg: 36.5 },
+          { maxWeight: 10, ratePerKg: 31.2 },
+          { maxWeight: null, ratePerKg: 27.6 },
+        ],
+      },
+      AUSTRALIA: {
+        roundingIncrement: 0.5,
+        minimumCharge: 45,
+        volumetricDivisor: 5000,
+        brackets: [
+          { maxWeight: 0.5, ratePerKg: 82 },
+          { maxWeight: 2, ratePerKg: 68 },
+          { maxWeight: 10, ratePerKg: 59.5 },
+          { maxWeight: null, ratePerKg: 52 },
+        ],
+      },
+    },
+    transitDays: {
+      SWEDEN: { min: 2, max: 4 },
+      CHINA: { min: 2, max: 3 },
+      BRAZIL: { min: 4, max: 6 },
+      AUSTRALIA: { min: 3, max: 5 },
+    },
+  },
+  FEDEX: {
+    name: 'FedEx International Economy',
+    rates: {
+      SWEDEN: {
+        roundingIncrement: 0.5,
+        minimumCharge: 12,
+        volumetricDivisor: 5000,
+        brackets: [
+          { maxWeight: 0.5, ratePerKg: 16 },
+          { maxWeight: 2, ratePerKg: 12.4 },
+          { maxWeight: 10, ratePerKg: 9.6 },
+          { maxWeight: null, ratePerKg: 5.9 },
+        ],
+      },
+      CHINA: {
+        roundingIncrement: 0.5,
+        minimumCharge: 14,
+        volumetricDivisor: 5000,
+        brackets: [
+          { maxWeight: 0.5, ratePerKg: 19 },
+          { maxWeight: 2, ratePerKg: 15.2 },
+          { maxWeight: 10, ratePerKg: 12.1 },
+          { maxWeight: null, ratePerKg: 9.5 },
+        ],
+      },
+      AUSTRALIA: {
+        roundingIncrement: 0.5,
+        minimumCharge: 35,
+        volumetricDivisor: 5000,
+        brackets: [
+          { maxWeight: 0.5, ratePerKg: 64 },
+          { maxWeight: 2, ratePerKg: 53 },
+          { maxWeight: 10, ratePerKg: 45 },
+          { maxWeight: null, ratePerKg: 40.5 },
+        ],
+      },
+    },
+    transitDays: {
+      SWEDEN: { min: 4, max: 6 },
+      CHINA: { min: 4, max: 7 },
+      AUSTRALIA: { min: 5, max: 8 },
+    },
+  },
+};
+
+export const DEFAULT_CARRIER = 'INDIA_POST';
+
+// Volumetric divisors in cm³ per kg; carriers bill the greater of actual and volumetric weight
+export const VOLUMETRIC_DIVISORS = {
+  SWEDEN: 5000,
+  CHINA: 6000,
+  BRAZIL: 6000,
+  AUSTRALIA: 5000,
+};
+
+export const DEFAULT_VOLUMETRIC_DIVISOR = 5000;
+
+/**
+ * Charges on top of the base freight: a fuel surcharge (% of freight), a flat fee
+ * for remote delivery areas (base currency) and GST (%) on the whole shipping service
+ */
+export const PRICING = {
+  FUEL_SURCHARGE_PERCENT: 12,
+  REMOTE_AREA_FEE: 25,
+  GST_PERCENT: 18,
+};
+
+/**
+ * Promo codes take a percentage or a fixed amount (base currency) off the shipping
+ * service before GST. They are valid through expiresAt; countries (null for every
+ * destination) and maxUses (null for no limit) restrict where and how often they apply.
+ */
+export const PROMO_CODES = [
+  { code: 'WELCOME10', type: 'percent', value: 10, expiresAt: '2027-12-31', countries: null, maxUses: null },
+  { code: 'NORDIC50', type: 'fixed', value: 50, expiresAt: '2027-06-30', countries: ['SWEDEN'], maxUses: 100 },
+  { code: 'FESTIVE15', type: 'percent', value: 15, expiresAt: '2025-01-15', countries: null, maxUses: 500 },
+];
+
+// Automatic discounts once the weight already shipped (kg) reaches a tier
+export const VOLUME_DISCOUNT_TIERS = [
+  { minWeight: 100, percent: 3 },
+  { minWeight: 500, percent: 5 },
+  { minWeight: 2000, percent: 8 },
+];
+
+// Postal code prefixes of delivery areas that carry the remote-area fee
+export const REMOTE_AREA_POSTAL_PREFIXES = {
+  SWEDEN: ['98'], // Norrbotten inland (Kiruna, Gällivare)
+  CHINA: ['83', '84', '85'], // Xinjiang and Tibet
+  BRAZIL: ['69'], // Amazonas, Roraima and Acre
+  AUSTRALIA: ['08'], // Northern Territory
+};
+
+// Delivery estimates count business days: not a weekend day (0 = Sunday) or a public holiday
+export const DELIVERY = {
+  WEEKEND_DAYS: [0, 6],
+  DATE_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+  MAX_DISPATCH_DAYS_AHEAD: 90,
+};
+
+// Indian public holidays (ISO dates); nothing is handed to a carrier on these days.
+// Built-in list; admins keep it up to date on the rate-card screen.
+export const ORIGIN_HOLIDAYS = [
+  '2026-01-26', '2026-08-15', '2026-10-02', '2026-11-08', '2026-12-25',
+  '2027-01-26', '2027-08-15', '2027-10-02', '2027-12-25',
+];
+
+/**
+ * Public holidays per destination (ISO dates), on which nothing is delivered.
+ * Built-in lists; admins keep them up to date on the rate-card screen.
+ */
+export const PUBLIC_HOLIDAYS = {
+  SWEDEN: [
+    '2026-01-01', '2026-01-06', '2026-04-03', '2026-04-06', '2026-05-01', '2026-05-14',
+    '2026-06-19', '2026-12-24', '2026-12-25', '2026-12-31',
+    '2027-01-01', '2027-01-06', '2027-03-26', '2027-03-29', '2027-05-06', '2027-06-25',
+    '2027-12-24', '2027-12-31',
+  ],
+  CHINA: [
+    '2026-01-01', '2026-02-17', '2026-02-18', '2026-02-19', '2026-05-01', '2026-10-01',
+    '2026-10-02', '2026-10-05', '2026-10-06', '2026-10-07',
+    '2027-01-01', '2027-10-01',
+  ],
+  BRAZIL: [
+    '2026-01-01', '2026-02-16', '2026-02-17', '2026-04-03', '2026-04-21', '2026-05-01',
+    '2026-06-04', '2026-09-07', '2026-10-12', '2026-11-02', '2026-11-20', '2026-12-25',
+    '2027-01-01', '2027-02-08', '2027-02-09', '2027-03-26', '2027-04-21', '2027-05-27',
+    '2027-09-07', '2027-10-12', '2027-11-02', '2027-11-15',
+  ],
+  AUSTRALIA: [
+    '2026-01-01', '2026-01-26', '2026-04-03', '2026-04-06', '2026-12-25', '2026-12-28',
+    '2027-01-01', '2027-01-26', '2027-03-26', '2027-03-29', '2027-12-27', '2027-12-28',
+  ],
+};
+
+/**
+ * Import rules per destination. Goods declared at or below deMinimis (base currency)
+ * enter free of duty and VAT; above it, dutyRate (%) applies to the goods, shipping
+ * and insurance value, and vatRate (%) to that value plus duty.
+ */
+export const CUSTOMS_RULES = {
+  SWEDEN: { deMinimis: 13500, dutyRate: 4, vatRate: 25 },
+  CHINA: { deMinimis: 580, dutyRate: 10, vatRate: 13 },
+  BRAZIL: { deMinimis: 4150, dutyRate: 60, vatRate: 17 },
+  AUSTRALIA: { deMinimis: 55000, dutyRate: 5, vatRate: 10 },
+};
+
+export const DEFAULT_CUSTOMS_RULES = { deMinimis: 0, dutyRate: 0, vatRate: 0 };
+
+// Insurance premium as a percentage of the declared value, bounded in the base currency
+export const INSURANCE = {
+  RATE: 1.5,
+  MIN_PREMIUM: 50,
+  MAX_PREMIUM: 25000,
+};
+
+// Categories of contents ticked on CN22/CN23 declarations
+export const CUSTOMS_CATEGORIES = {
+  gift: 'Gift',
+  documents: 'Documents',
+  commercialSample: 'Commercial sample',
+  returnedGoods: 'Returned goods',
+  saleOfGoods: 'Sale of goods',
+  other: 'Other',
+};
+
+export const DEFAULT_CUSTOMS_CATEGORY = 'saleOfGoods';
+
+/**
+ * UPU customs declarations. A CN22 covers contents declared up to 300 SDR
+ * (CN22_MAX_VALUE, base currency); anything above needs a CN23.
+ */
+export const CUSTOMS_FORMS = {
+  CN22_MAX_VALUE: 33000,
+  MAX_ITEMS: 20,
+  MAX_DESCRIPTION_LENGTH: 100,
+  DEFAULT_ORIGIN_COUNTRY: 'IN',
+  // 6-digit HS heading, optionally extended to 8 or 10 digits by the exporting country
+  HS_CODE_PATTERN: /^\d{6}(\d{2}){0,2}$/,
+  ORIGIN_COUNTRY_PATTERN: /^[A-Z]{2}$/,
 };
 
 export const COUNTRIES = {
@@ -21,13 +320,238 @@ export const FORM_VALIDATION = {
   MIN_WEIGHT: 0.01,
   MAX_WEIGHT: 10000,
   MAX_NAME_LENGTH: 100,
+  MAX_DIMENSION: 300,
+  DIMENSION_FIELDS: ['length', 'width', 'height'],
   REQUIRED_FIELDS: ['receiverName', 'weight', 'country'],
+  ADDRESS_FIELDS: ['line1', 'line2', 'city', 'region', 'postalCode'],
+  MAX_ADDRESS_LENGTH: 100,
+  // Digits with optional +, spaces, dashes and brackets; 7-15 digits as in E.164
+  PHONE_PATTERN: /^\+?[\d\s().-]+$/,
+  MIN_PHONE_DIGITS: 7,
+  MAX_PHONE_DIGITS: 15,
+  MAX_DECLARED_VALUE: 10000000,
+};
+
+/**
+ * Receiver address layout for countries without their own format.
+ * - lines: fields in the order they are written, grouped by address line
+ * - labels: field labels used in the form
+ * - required: fields that must be filled in
+ * - postalCode: { pattern, example } checked when a postal code is entered, or null
+ */
+export const DEFAULT_ADDRESS_FORMAT = {
+  lines: [['line1'], ['line2'], ['city', 'region'], ['postalCode']],
+  labels: {
+    line1: 'Street Address',
+    line2: 'Address Line 2',
+    city: 'City',
+    region: 'State / Province / Region',
+    postalCode: 'Postal Code',
+  },
+  required: ['line1', 'city'],
+  postalCode: null,
+};
+
+// Per-country overrides of DEFAULT_ADDRESS_FORMAT; labels are merged with the defaults
+export const ADDRESS_FORMATS = {
+  SWEDEN: {
+    lines: [['line1'], ['line2'], ['postalCode', 'city']],
+    labels: { postalCode: 'Postcode', city: 'Town / City' },
+    required: ['line1', 'postalCode', 'city'],
+    postalCode: { pattern: /^\d{3} ?\d{2}$/, example: '114 55' },
+  },
+  CHINA: {
+    lines: [['region', 'city'], ['line1'], ['line2'], ['postalCode']],
+    labels: { region: 'Province', city: 'City / District' },
+    required: ['region', 'city', 'line1', 'postalCode'],
+    postalCode: { pattern: /^\d{6}$/, example: '100000' },
+  },
+  BRAZIL: {
+    lines: [['line1'], ['line2'], ['city', 'region'], ['postalCode']],
+    labels: { line1: 'Street and Number', line2: 'Complement / Neighborhood', region: 'State', postalCode: 'CEP' },
+    required: ['line1', 'city', 'region', 'postalCode'],
+    postalCode: { pattern: /^\d{5}-\d{3}$/, example: '01310-100' },
+  },
+  AUSTRALIA: {
+    lines: [['line1'], ['line2'], ['city', 'region', 'postalCode']],
+    labels: { city: 'Suburb', region: 'State / Territory', postalCode: 'Postcode' },
+    required: ['line1', 'city', 'region', 'postalCode'],
+    postalCode: { pattern: /^\d{4}$/, example: '2000' },
+  },
+};
+
+/**
+ * Built-in rate cards: everything needed to price a country in one place.
+ * Used until an admin saves changes from the rate-card screen.
+ */
+export const DEFAULT_RATE_CARDS = Object.keys(SHIPPING_RATES).reduce((cards, key) => ({
+  ...cards,
+  [key]: {
+    name: COUNTRIES[key] || key,
+    enabled: true,
+    volumetricDivisor: VOLUMETRIC_DIVISORS[key] || DEFAULT_VOLUMETRIC_DIVISOR,
+    customs: CUSTOMS_RULES[key] || DEFAULT_CUSTOMS_RULES,
+    holidays: PUBLIC_HOLIDAYS[key] || [],
+    ...SHIPPING_RATES[key],
+  },
+}), {});
+
+export const RATE_CARD_VALIDATION = {
+  CODE_PATTERN: /^[A-Z][A-Z_]{1,29}$/,
+  MAX_BRACKETS: 10,
 };
 
 export const ROUTES = {
   HOME: '/',
   ADD_BOX: '/',
   BOX_LIST: '/boxes',
+  EDIT_BOX: '/boxes/:id/edit',
+  ADMIN_RATES: '/admin/rates',
+  IMPORT_BOXES: '/boxes/import',
+  ANALYTICS: '/analytics',
+  SHIPMENTS: '/shipments',
+  SHIPMENT_MANIFEST: '/shipments/:id',
+  LABELS: '/labels',
+  CUSTOMS_DECLARATION: '/boxes/:id/customs',
+};
+
+// Fields BoxList can sort by and how their values compare
+export const BOX_SORT_FIELDS = {
+  receiverName: 'text',
+  weight: 'number',
+  country: 'text',
+  shippingCost: 'number',
+  createdAt: 'text',
+};
+
+// Rows per page offered by BoxList; the first is the default
+export const BOX_LIST_PAGE_SIZES = [50, 25, 100, 250];
+
+// Box fields accepted by CSV import, with header names recognised automatically
+export const IMPORT_FIELDS = [
+  { key: 'receiverName', label: 'Receiver Name', required: true, aliases: ['receiver', 'receiver name', 'receivername', 'name', 'recipient', 'consignee', 'customer'] },
+  { key: 'weight', label: 'Weight (kg)', required: true, aliases: ['weight', 'weight (kg)', 'weight kg', 'kg', 'mass'] },
+  { key: 'boxColor', label: 'Box Color', required: false, aliases: ['color', 'colour', 'box color', 'box colour', 'boxcolor'] },
+  { key: 'country', label: 'Destination Country', required: true, aliases: ['country', 'destination', 'destination country', 'to', 'ship to'] },
+  { key: 'length', label: 'Length (cm)', required: false, aliases: ['length', 'length (cm)', 'l'] },
+  { key: 'width', label: 'Width (cm)', required: false, aliases: ['width', 'width (cm)', 'w'] },
+  { key: 'height', label: 'Height (cm)', required: false, aliases: ['height', 'height (cm)', 'h'] },
+  { key: 'line1', label: 'Address Line 1', required: false, aliases: ['address', 'street', 'street address', 'address 1', 'address1', 'line1'] },
+  { key: 'line2', label: 'Address Line 2', required: false, aliases: ['address 2', 'address2', 'line2'] },
+  { key: 'city', label: 'City', required: false, aliases: ['city', 'town', 'suburb'] },
+  { key: 'region', label: 'Region', required: false, aliases: ['region', 'state', 'province', 'county'] },
+  { key: 'postalCode', label: 'Postal Code', required: false, aliases: ['postal code', 'postalcode', 'postcode', 'zip', 'zip code', 'cep'] },
+  { key: 'phone', label: 'Phone', required: false, aliases: ['phone', 'phone number', 'telephone', 'tel', 'mobile'] },
+  { key: 'declaredValue', label: 'Declared Value', required: false, aliases: ['declared value', 'value', 'goods value', 'customs value'] },
+  { key: 'declaredCurrency', label: 'Declared Currency', required: false, aliases: ['declared currency', 'currency'] },
+  { key: 'insured', label: 'Insured', required: false, aliases: ['insured', 'insure', 'insurance'] },
+  { key: 'dispatchDate', label: 'Dispatch Date', required: false, aliases: ['dispatch date', 'dispatch', 'ship date', 'shipping date'] },
+];
+
+export const IMPORT_LIMITS = {
+  MAX_FILE_SIZE: 5 * 1024 * 1024,
+  MAX_ROWS: 50000,
+  PREVIEW_ROWS: 500,
+};
+
+// Identifies JSON exports so they can be recognised and re-imported
+export const EXPORT_FORMAT = 'shippingBox.export';
+
+// Shipment lifecycle; boxes can only join or leave a shipment while it is open
+export const SHIPMENT_STATUSES = {
+  open: 'Open',
+  closed: 'Closed',
+  dispatched: 'Dispatched',
+  delivered: 'Delivered',
+};
+
+// Box lifecycle, in display order
+export const BOX_STATUSES = {
+  draft: 'Draft',
+  packed: 'Packed',
+  dispatched: 'Dispatched',
+  inTransit: 'In Transit',
+  delivered: 'Delivered',
+  returned: 'Returned',
+  cancelled: 'Cancelled',
+};
+
+export const DEFAULT_BOX_STATUS = 'draft';
+
+// Statuses a box may move to from each status; returned and cancelled are final
+export const BOX_STATUS_TRANSITIONS = {
+  draft: ['packed', 'cancelled'],
+  packed: ['draft', 'dispatched', 'cancelled'],
+  dispatched: ['inTransit', 'returned'],
+  inTransit: ['delivered', 'returned'],
+  delivered: ['returned'],
+  returned: [],
+  cancelled: [],
+};
+
+// UPU S10 tracking numbers: service indicator, 8-digit serial, check digit, origin country
+export const TRACKING = {
+  SERVICE_CODE: 'CP',
+  ORIGIN_COUNTRY: 'IN',
+  MAX_SERIAL: 99999999,
+};
+
+export const SHIPMENT_VALIDATION = {
+  REFERENCE_PREFIX: 'SHP-',
+  MAX_REFERENCE_LENGTH: 30,
+};
+
+// Analytics dashboard date presets (days) and the longest continuous daily series
+export const ANALYTICS = {
+  DATE_PRESETS: [7, 30, 90],
+  MAX_DAYS: 731,
+};
+
+// Metrics charted on the analytics dashboard; the first is the default
+export const ANALYTICS_METRICS = [
+  { key: 'count', label: 'Boxes', format: 'number' },
+  { key: 'totalWeight', label: 'Total Weight', format: 'weight' },
+  { key: 'totalCost', label: 'Total Cost', format: 'currency' },
+  { key: 'costPerKg', label: 'Avg Cost per kg', format: 'currency' },
+];
+
+// Undo/redo depth for box changes (kept in memory only)
+export const HISTORY = {
+  LIMIT: 50,
+};
+
+export const STORAGE = {
+  BOXES_KEY: 'shippingBox.boxes',
+  SCHEMA_VERSION: 13,
+  // Delay before writing boxes, so bulk edits are saved once
+  SAVE_DELAY: 250,
+  RATE_CARDS_KEY: 'shippingBox.rateCards',
+  RATE_CARDS_VERSION: 1,
+  ORIGIN_HOLIDAYS_KEY: 'shippingBox.originHolidays',
+  ORIGIN_HOLIDAYS_VERSION: 1,
+  CURRENCY_KEY: 'shippingBox.currency',
+  CURRENCY_VERSION: 1,
+  // Last tracking serial issued; kept apart from boxes so numbers are never reused
+  TRACKING_KEY: 'shippingBox.tracking',
+  TRACKING_VERSION: 1,
+};
+
+// Stored shipping costs and rate cards are always in the base currency
+export const BASE_CURRENCY = 'INR';
+
+export const CURRENCIES = {
+  INR: { name: 'Indian Rupee', locale: 'en-IN' },
+  USD: { name: 'US Dollar', locale: 'en-US' },
+  EUR: { name: 'Euro', locale: 'de-DE' },
+  SEK: { name: 'Swedish Krona', locale: 'sv-SE' },
+};
+
+// Units of each currency per 1 unit of the base currency
+export const DEFAULT_EXCHANGE_RATES = {
+  INR: 1,
+  USD: 0.012,
+  EUR: 0.011,
+  SEK: 0.125,
 };
 
 export const UI_MESSAGES = {
@@ -38,16 +562,109 @@ export const UI_MESSAGES = {
     MAX_WEIGHT_EXCEEDED: `Weight cannot exceed ${FORM_VALIDATION.MAX_WEIGHT} kg`,
     NAME_TOO_LONG: `Name cannot exceed ${FORM_VALIDATION.MAX_NAME_LENGTH} characters`,
     GENERIC_ERROR: 'An unexpected error occurred',
+    STORAGE_LOAD_FAILED: 'Saved boxes could not be loaded',
+    STORAGE_SAVE_FAILED: 'Boxes could not be saved to this browser',
+    RATE_CARDS_LOAD_FAILED: 'Saved rate cards could not be loaded; using default rates',
+    RATE_CARDS_SAVE_FAILED: 'Rate cards could not be saved to this browser',
+    ORIGIN_HOLIDAYS_LOAD_FAILED: 'Saved origin holidays could not be loaded; using the built-in list',
+    ORIGIN_HOLIDAYS_SAVE_FAILED: 'Origin holidays could not be saved to this browser',
+    CURRENCY_LOAD_FAILED: 'Saved currency settings could not be loaded; using defaults',
+    CURRENCY_SAVE_FAILED: 'Currency settings could not be saved to this browser',
+    COUNTRY_DISABLED: 'Shipping to this country is currently disabled',
+    COUNTRY_IN_USE: 'This country is used by existing boxes and cannot be removed. Disable it instead.',
+    NO_BOXES_SELECTED: 'Select at least one box first',
+    NOTHING_TO_UNDO: 'There is nothing to undo',
+    NOTHING_TO_REDO: 'There is nothing to redo',
+    UNDO_OUTDATED: 'Only the most recent change can be undone',
+    SHIPMENT_NOT_FOUND: 'Shipment not found',
+    SHIPMENT_NOT_OPEN: 'Boxes can only be added to or removed from open shipments',
+    SHIPMENT_COUNTRY_MISMATCH: 'The shipment goes to a different destination country',
+    SHIPMENT_REFERENCE_TAKEN: 'Another shipment already uses this reference',
+    INVALID_SHIPMENT_STATUS: 'Unknown shipment status',
+    INVALID_BOX_STATUS: 'Unknown box status',
+    TRACKING_NUMBERS_EXHAUSTED: 'No tracking numbers are left in the serial range',
+    INVALID_COLOR: 'Enter a color as hex (#rgb, #rgba, #rrggbb or #rrggbbaa), rgb(), rgba(), hsl(), hsla() or a CSS color name',
   },
   SUCCESS: {
     BOX_ADDED: 'Box added successfully!',
+    BOX_UPDATED: 'Box updated successfully!',
+    BOXES_IMPORTED: 'boxes imported successfully!',
     FORM_RESET: 'Form has been reset',
+    RATE_CARD_SAVED: 'Rate card saved',
+    RATE_CARD_REMOVED: 'Country removed',
+    RATE_CARDS_RESET: 'Rate cards restored to defaults',
+    ORIGIN_HOLIDAYS_SAVED: 'Origin holidays saved',
+    ORIGIN_HOLIDAYS_RESET: 'Origin holidays restored to defaults',
+    EXCHANGE_RATES_SAVED: 'Exchange rates saved',
+    EXCHANGE_RATES_RESET: 'Exchange rates restored to defaults',
+    BOX_REMOVED: 'Box removed',
+    BOXES_REMOVED: 'boxes removed',
+    BOXES_UPDATED: 'boxes updated',
+    UNDONE: 'Undone',
+    REDONE: 'Redone',
+    SHIPMENT_CREATED: 'Shipment created',
+    SHIPMENT_UPDATED: 'Shipment updated',
+    SHIPMENT_REMOVED: 'Shipment removed',
+    BOXES_ASSIGNED: 'boxes added to shipment',
+    BOXES_UNASSIGNED: 'boxes removed from shipment',
+    STATUS_CHANGED: 'Status changed to',
   },
   INFO: {
     NO_BOXES: 'No boxes have been added yet',
+    NO_MATCHING_BOXES: 'No boxes match the current search and filters.',
+    BOX_NOT_FOUND: 'This box could not be found. It may have been removed.',
+    NO_SHIPMENTS: 'No shipments have been created yet',
+    SHIPMENT_NOT_FOUND: 'This shipment could not be found. It may have been removed.',
+    EMPTY_SHIPMENT: 'No boxes in this shipment yet. Add boxes from the box list.',
+    NO_LABELS: 'No boxes to label. Select boxes in the box list or open a shipment.',
+    NO_CUSTOMS_ITEMS: 'No items declared yet. Edit the box to list its contents.',
     LOADING: 'Loading...',
   },
 };
 
+/**
+ * CSS named colors. Synonyms (gray/grey, aqua/cyan, fuchsia/magenta) share a value;
+ * the first spelling is the one used when naming a color.
+ */
+export const NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+  azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+  blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+  burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+  coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+  darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1',
+  darkviolet: '#9400d3', deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969',
+  dimgrey: '#696969', dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0',
+  forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff',
+  gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+  grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+  lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2',
+  lightgray: '#d3d3d3', lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1',
+  lightsalmon: '#ffa07a', lightseagreen: '#20b2aa', lightskyblue: '#87cefa',
+  lightslategray: '#778899', lightslategrey: '#778899', lightsteelblue: '#b0c4de',
+  lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6',
+  magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd',
+  mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc',
+  mediumvioletred: '#c71585', midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1',
+  moccasin: '#ffe4b5', navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6',
+  olive: '#808000', olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500',
+  orchid: '#da70d6', palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee',
+  palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f',
+  pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080',
+  rebeccapurple: '#663399', red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1',
+  saddlebrown: '#8b4513', salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57',
+  seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb',
+  slateblue: '#6a5acd', slategray: '#708090', slategrey: '#708090', snow: '#fffafa',
+  springgreen: '#00ff7f', steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080',
+  thistle: '#d8bfd8', tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+  white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32',
+};
 
 export const DEFAULT_BOX_COLOR = '#3498db';
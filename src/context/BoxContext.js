@@ -3,104 +3,489 @@
  * Manages global state for shipping boxes using Context API and useReducer
  */
 
-import React, { createContext, useContext, useReducer, useCallback } from 'react';
-import { calculateShippingCost, generateId } from '../utils';
-import { SHIPPING_RATES, UI_MESSAGES } from '../constants';
+import React, { createContext, useContext, useReducer, useCallback, useEffect, useMemo, useRef } from 'react';
+import {
+  calculateShippingCost,
+  calculateShippingQuote,
+  getCostBreakdown,
+  calculateVolumetricWeight,
+  calculateChargeableWeight,
+  generateId,
+} from '../utils';
+import {
+  loadBoxData,
+  saveBoxData,
+  quarantineBoxData,
+  loadTrackingSequence,
+  saveTrackingSequence,
+} from '../utils/storage';
+import {
+  createBoxStore,
+  getStoredBox,
+  getStoredBoxes,
+  getStoredBoxByTrackingNumber,
+  addToStore,
+  removeFromStore,
+  removeManyFromStore,
+  updateInStore,
+  updateManyInStore,
+  recalculateStoreStatistics,
+  getStoredShipment,
+  getStoredShipments,
+  addShipmentToStore,
+  updateShipmentInStore,
+  removeShipmentFromStore,
+} from '../utils/boxStore';
+import { recordChange, undoChange, redoChange } from '../utils/history';
+import { validateShipment, getShipmentAssignmentError } from '../utils/shipments';
+import { normalizeBoxStatus, transitionStatus } from '../utils/boxStatus';
+import { assignTrackingNumbers, getOwnTrackingSerial, normalizeTrackingNumber } from '../utils/trackingNumbers';
+import { calculateDeclaredValueCharges } from '../utils/customs';
+import { getCustomsItemsTotals } from '../utils/customsDeclaration';
+import { normalizePromoCode, checkPromoCode, getDiscountOffers, getRedemptionDate } from '../utils/discounts';
+import { resolveCarrierRateCards, getTransitDays } from '../utils/carriers';
+import { estimateDelivery, toIsoDate } from '../utils/deliveryDates';
+import {
+  UI_MESSAGES,
+  STORAGE,
+  HISTORY,
+  BOX_STATUSES,
+  BASE_CURRENCY,
+  DEFAULT_CUSTOMS_CATEGORY,
+  DEFAULT_CARRIER,
+} from '../constants';
+import { useRateCards } from './RateCardContext';
+import { useCurrency } from './CurrencyContext';
 
-// Export shipping rates for components to use
-export const COUNTRY_MULTIPLIERS = SHIPPING_RATES;
-
-// Initial state with better structure
-const createInitialState = () => ({
-  boxes: [],
+// Initial state with better structure; boxes, shipments and their statistics live in an id-indexed store.
+// past/future hold earlier and undone stores (cheap, as stores share unchanged data).
+export const createInitialState = () => ({
+  store: createBoxStore(),
+  past: [],
+  future: [],
+  hydrated: false,
   loading: false,
   error: null,
-  statistics: {
-    totalBoxes: 0,
-    totalWeight: 0,
-    totalCost: 0,
-  },
 });
 
 // Action types using constants
-const ActionTypes = {
+export const ActionTypes = {
   LOAD_BOXES: 'LOAD_BOXES',
   ADD_BOX: 'ADD_BOX',
+  ADD_BOXES: 'ADD_BOXES',
   REMOVE_BOX: 'REMOVE_BOX',
   UPDATE_BOX: 'UPDATE_BOX',
+  REMOVE_BOXES: 'REMOVE_BOXES',
+  UPDATE_BOXES: 'UPDATE_BOXES',
+  ADD_SHIPMENT: 'ADD_SHIPMENT',
+  UPDATE_SHIPMENT: 'UPDATE_SHIPMENT',
+  REMOVE_SHIPMENT: 'REMOVE_SHIPMENT',
+  UNDO: 'UNDO',
+  REDO: 'REDO',
   SET_LOADING: 'SET_LOADING',
   SET_ERROR: 'SET_ERROR',
   CLEAR_ERROR: 'CLEAR_ERROR',
   UPDATE_STATISTICS: 'UPDATE_STATISTICS',
 };
 
+// Fields whose change reprices insurance, duty and VAT
+const DECLARED_VALUE_FIELDS = ['declaredValue', 'declaredCurrency', 'insured', 'customsItems'];
+
+// Itemized boxes declare the total value of their items
+const getDeclaredValue = (box) => {
+  return box.customsItems?.length > 0 ? getCustomsItemsTotals(box.customsItems).value : box.declaredValue;
+};
+
 /**
- * Calculates statistics from boxes array
- * @param {Array} boxes - Array of box objects
- * @returns {Object} Statistics object
+ * Lists the discounts a box qualifies for
+ * @param {string} promoCode - Entered promo code ('' for none)
+ * @param {string} country - Destination
+ * @param {Object} discountContext - { promoCodeUses, totalWeight, box, now }: uses per promo
+ *   code (for usage limits), weight already shipped (for volume tiers), the box being
+ *   edited and the date the code is redeemed on
+ * @returns {Array<Object>} Discount offers
+ * @throws {Error} When the promo code cannot be used
  */
-const calculateStatistics = (boxes) => {
-  if (!Array.isArray(boxes) || boxes.length === 0) {
-    return { totalBoxes: 0, totalWeight: 0, totalCost: 0 };
+const getBoxDiscountOffers = (promoCode, country, {
+  promoCodeUses = {},
+  totalWeight = 0,
+  box = null,
+  now = new Date(),
+} = {}) => {
+  const promoError = checkPromoCode(promoCode, { country, promoCodeUses, box, now });
+  if (promoError) {
+    throw new Error(promoError);
+  }
+  return getDiscountOffers(promoCode, totalWeight);
+};
+
+// Promo code usage so far, and the weight shipped before the given box (both kept in the statistics)
+const getDiscountContext = (store, box = null) => ({
+  promoCodeUses: store.statistics.promoCodeUses,
+  totalWeight: store.statistics.totalWeight - (box?.weight || 0),
+});
+
+// The discount stored on a box, without its amount (which is a cost line)
+const getAppliedDiscount = (quote) => {
+  if (!quote?.appliedDiscount) {
+    return null;
   }
+  const { source, code, label } = quote.appliedDiscount;
+  return { source, code, label };
+};
 
-  return boxes.reduce(
-    (stats, box) => ({
-      totalBoxes: stats.totalBoxes + 1,
-      totalWeight: stats.totalWeight + (box.weight || 0),
-      totalCost: stats.totalCost + (box.shippingCost || 0),
-    }),
-    { totalBoxes: 0, totalWeight: 0, totalCost: 0 }
+// Imported boxes only rejoin a shipment that exists here and goes to their country
+const getImportedShipmentId = (boxData, shipments) => {
+  const shipment = boxData.shipmentId && shipments[boxData.shipmentId];
+  return shipment && (!shipment.country || shipment.country === boxData.country) ? shipment.id : null;
+};
+
+// Delivery window for a box dispatched on a date (null without a dispatch date)
+const getEstimatedDelivery = (dispatchDate, country, carrier, rateCards, originHolidays) => {
+  return estimateDelivery(
+    { dispatchDate, country, transitDays: getTransitDays(carrier, country) },
+    rateCards,
+    originHolidays
   );
 };
 
+/**
+ * Builds a stored box record from submitted box data
+ * @param {Object} boxData - Box data from the form or an import
+ * @param {Object} rateCards - Active rate cards
+ * @param {Object} shipments - Stored shipments keyed by id
+ * @param {Object} exchangeRates - Rates used to value the declared goods
+ * @param {Object} discountContext - See getBoxDiscountOffers
+ * @param {Array<string>} originHolidays - Indian public holidays
+ * @returns {Object} Box with id, weights, costs, delivery estimate and timestamps
+ * @throws {Error} When the data is invalid, the country cannot be shipped to (by the
+ *   chosen carrier) or the promo code cannot be used
+ */
+const createBoxRecord = (
+  boxData,
+  rateCards,
+  shipments = {},
+  exchangeRates,
+  discountContext = {},
+  originHolidays
+) => {
+  if (!boxData || typeof boxData !== 'object') {
+    throw new Error('Invalid box data provided');
+  }
+
+  const rateCard = rateCards[boxData.country];
+  if (rateCard && rateCard.enabled === false) {
+    throw new Error(UI_MESSAGES.ERRORS.COUNTRY_DISABLED);
+  }
+
+  // Calculate billable weight and shipping cost using utility functions
+  const dimensions = boxData.dimensions || null;
+  const now = new Date().toISOString();
+  const createdAt = boxData.createdAt || now;
+  const updatedAt = boxData.updatedAt || now;
+  const promoCode = normalizePromoCode(boxData.promoCode);
+  const carrier = boxData.carrier || DEFAULT_CARRIER;
+  // Boxes without a dispatch date go out the day they are created
+  const dispatchDate = boxData.dispatchDate || toIsoDate(new Date(createdAt));
+  const carrierRateCards = resolveCarrierRateCards(carrier, boxData.country, rateCards);
+  // Boxes re-imported from an export restore a redemption that already happened: their code
+  // is checked as of their booking and never refused for usage limits, though it counts
+  // towards those limits for new boxes from then on
+  const redemption = boxData.createdAt
+    ? { ...discountContext, promoCodeUses: {}, now: new Date(createdAt) }
+    : discountContext;
+  const quote = calculateShippingQuote(
+    boxData.weight,
+    boxData.country,
+    dimensions,
+    carrierRateCards,
+    boxData.address?.postalCode,
+    getBoxDiscountOffers(promoCode, boxData.country, redemption)
+  );
+  const shippingCost = quote ? quote.cost : 0;
+  const customsItems = Array.isArray(boxData.customsItems) ? boxData.customsItems : [];
+  const itemsValue = getDeclaredValue({ ...boxData, customsItems });
+  const declaredValue = itemsValue > 0 ? itemsValue : null;
+  const declared = {
+    customsItems,
+    customsCategory: boxData.customsCategory || DEFAULT_CUSTOMS_CATEGORY,
+    declaredValue,
+    declaredCurrency: boxData.declaredCurrency || BASE_CURRENCY,
+    insured: Boolean(boxData.insured && declaredValue),
+  };
+  const { insuranceCost, dutyCost, vatCost } = calculateDeclaredValueCharges(
+    { ...declared, country: boxData.country },
+    shippingCost,
+    rateCards,
+    exchangeRates
+  );
+
+  return {
+    ...boxData,
+    // Exports keep their ids, timestamps and status history so data can move between browsers
+    id: boxData.id || generateId(),
+    ...normalizeBoxStatus({ ...boxData, createdAt, updatedAt }),
+    shipmentId: getImportedShipmentId(boxData, shipments),
+    dimensions,
+    carrier,
+    volumetricWeight: calculateVolumetricWeight(dimensions, boxData.country, carrierRateCards),
+    chargeableWeight: calculateChargeableWeight(boxData.weight, boxData.country, dimensions, carrierRateCards),
+    shippingCost,
+    costBreakdown: getCostBreakdown(quote),
+    promoCode,
+    discount: getAppliedDiscount(quote),
+    dispatchDate,
+    estimatedDelivery: getEstimatedDelivery(dispatchDate, boxData.country, carrier, rateCards, originHolidays),
+    ...declared,
+    insuranceCost,
+    dutyCost,
+    vatCost,
+    createdAt,
+    updatedAt,
+  };
+};
+
+/**
+ * Builds stored box records for a batch, in order. Each box's volume tier counts the
+ * weight of the boxes before it in the batch, as if they had been added one by one.
+ * @param {Array<Object>} boxDataList - Box data from an import
+ * @param {Object} rateCards - Active rate cards
+ * @param {Object} shipments - Stored shipments keyed by id
+ * @param {Object} exchangeRates - Rates used to value the declared goods
+ * @param {Object} discountContext - See getDiscountContext
+ * @param {Array<string>} originHolidays - Indian public holidays
+ * @returns {Array<Object>} Boxes, without tracking numbers
+ * @throws {Error} When any box cannot be created (see createBoxRecord)
+ */
+export const createBoxRecords = (boxDataList, rateCards, shipments, exchangeRates, discountContext, originHolidays) => {
+  let { totalWeight } = discountContext;
+
+  return boxDataList.map((boxData) => {
+    const box = createBoxRecord(
+      boxData,
+      rateCards,
+      shipments,
+      exchangeRates,
+      { ...discountContext, totalWeight },
+      originHolidays
+    );
+    totalWeight += box.weight || 0;
+    return box;
+  });
+};
+
+/**
+ * Completes updates for a stored box, recalculating billable weight and
+ * shipping cost when weight, dimensions, country, address, carrier or promo code change, repricing
+ * insurance, duty and VAT when those or the declared value change, re-estimating
+ * delivery when the country, carrier or dispatch date change, and
+ * recording status changes in the box's status history
+ * @param {Object} box - Stored box
+ * @param {Object} updates - Requested changes
+ * @param {Object} rateCards - Active rate cards
+ * @param {Object} shipments - Stored shipments keyed by id
+ * @param {Object} exchangeRates - Rates used to value the declared goods
+ * @param {Object} discountContext - See getBoxDiscountOffers
+ * @param {Array<string>} originHolidays - Indian public holidays
+ * @returns {Object} Updates including derived fields and updatedAt
+ * @throws {Error} When moving the box to a disabled country, away from its shipment's
+ *   country, or to a status its current status cannot change to, or when the promo
+ *   code cannot be used
+ */
+const prepareBoxUpdates = (
+  box,
+  updates,
+  rateCards,
+  shipments = {},
+  exchangeRates,
+  discountContext = {},
+  originHolidays
+) => {
+  if (updates.country !== undefined && updates.country !== box.country) {
+    if (rateCards[updates.country]?.enabled === false) {
+      throw new Error(UI_MESSAGES.ERRORS.COUNTRY_DISABLED);
+    }
+
+    const shipment = box.shipmentId && shipments[box.shipmentId];
+    if (shipment && shipment.country && shipment.country !== updates.country) {
+      throw new Error(`${UI_MESSAGES.ERRORS.SHIPMENT_COUNTRY_MISMATCH} (${shipment.reference})`);
+    }
+  }
+
+  // The history is only ever extended by status transitions, and tracking numbers never change
+  const { statusHistory, trackingNumber, ...prepared } = updates;
+  const now = new Date().toISOString();
+
+  if (updates.status !== undefined) {
+    if (updates.status === box.status) {
+      delete prepared.status;
+    } else {
+      Object.assign(prepared, transitionStatus(box, updates.status, now));
+    }
+  }
+
+  if (
+    updates.weight !== undefined ||
+    updates.country !== undefined ||
+    updates.dimensions !== undefined ||
+    updates.address !== undefined ||
+    updates.carrier !== undefined ||
+    updates.promoCode !== undefined
+  ) {
+    const newWeight = updates.weight !== undefined ? updates.weight : box.weight;
+    const newCountry = updates.country !== undefined ? updates.country : box.country;
+    const newDimensions = updates.dimensions !== undefined ? updates.dimensions : box.dimensions;
+    const newAddress = updates.address !== undefined ? updates.address : box.address;
+    const newPromoCode = normalizePromoCode(updates.promoCode !== undefined ? updates.promoCode : box.promoCode);
+    const newCarrier = updates.carrier || box.carrier || DEFAULT_CARRIER;
+    const carrierRateCards = resolveCarrierRateCards(newCarrier, newCountry, rateCards, box.country);
+    const quote = calculateShippingQuote(
+      newWeight,
+      newCountry,
+      newDimensions,
+      carrierRateCards,
+      newAddress?.postalCode,
+      getBoxDiscountOffers(newPromoCode, newCountry, {
+        ...discountContext,
+        box,
+        now: getRedemptionDate(newPromoCode, box),
+      })
+    );
+    prepared.carrier = newCarrier;
+    prepared.volumetricWeight = calculateVolumetricWeight(newDimensions, newCountry, carrierRateCards);
+    prepared.chargeableWeight = calculateChargeableWeight(newWeight, newCountry, newDimensions, carrierRateCards);
+    prepared.shippingCost = quote ? quote.cost : 0;
+    prepared.costBreakdown = getCostBreakdown(quote);
+    prepared.promoCode = newPromoCode;
+    prepared.discount = getAppliedDiscount(quote);
+  }
+
+  if (updates.country !== undefined || updates.carrier !== undefined || updates.dispatchDate !== undefined) {
+    const newDispatchDate = updates.dispatchDate !== undefined ? updates.dispatchDate : box.dispatchDate;
+    prepared.dispatchDate = newDispatchDate || null;
+    prepared.estimatedDelivery = getEstimatedDelivery(
+      newDispatchDate,
+      updates.country !== undefined ? updates.country : box.country,
+      updates.carrier || box.carrier || DEFAULT_CARRIER,
+      rateCards,
+      originHolidays
+    );
+  }
+
+  if (prepared.shippingCost !== undefined || DECLARED_VALUE_FIELDS.some(field => updates[field] !== undefined)) {
+    if (updates.customsItems?.length > 0) {
+      prepared.declaredValue = getDeclaredValue(updates);
+    }
+    // Only goods with a declared value can be insured
+    if (!({ ...box, ...prepared }.declaredValue > 0)) {
+      prepared.declaredValue = null;
+      prepared.insured = false;
+    }
+    const { insuranceCost, dutyCost, vatCost } = calculateDeclaredValueCharges(
+      { ...box, ...prepared },
+      prepared.shippingCost ?? box.shippingCost,
+      rateCards,
+      exchangeRates
+    );
+    Object.assign(prepared, { insuranceCost, dutyCost, vatCost });
+  }
+
+  prepared.updatedAt = now;
+  return prepared;
+};
+
 // Enhanced reducer with better error handling
-const boxReducer = (state, action) => {
+export const boxReducer = (state, action) => {
   try {
     switch (action.type) {
-      case ActionTypes.LOAD_BOXES: {
-        const boxes = action.payload || [];
+      case ActionTypes.LOAD_BOXES:
         return {
           ...state,
-          boxes,
-          statistics: calculateStatistics(boxes),
+          store: createBoxStore(action.payload.boxes, action.payload.shipments),
+          past: [],
+          future: [],
+          hydrated: true,
           loading: false,
           error: null,
         };
-      }
 
-      case ActionTypes.ADD_BOX: {
-        const newBoxes = [...state.boxes, action.payload];
+      case ActionTypes.ADD_BOX:
         return {
-          ...state,
-          boxes: newBoxes,
-          statistics: calculateStatistics(newBoxes),
+          ...recordChange(state, addToStore(state.store, [action.payload]), action.meta, HISTORY.LIMIT),
           error: null,
           loading: false,
         };
-      }
 
-      case ActionTypes.REMOVE_BOX: {
-        const newBoxes = state.boxes.filter(box => box.id !== action.payload);
+      case ActionTypes.ADD_BOXES:
         return {
-          ...state,
-          boxes: newBoxes,
-          statistics: calculateStatistics(newBoxes),
+          ...recordChange(state, addToStore(state.store, action.payload), action.meta, HISTORY.LIMIT),
           error: null,
+          loading: false,
         };
-      }
 
-      case ActionTypes.UPDATE_BOX: {
-        const newBoxes = state.boxes.map(box =>
-          box.id === action.payload.id ? { ...box, ...action.payload.updates } : box
-        );
+      case ActionTypes.REMOVE_BOX:
         return {
-          ...state,
-          boxes: newBoxes,
-          statistics: calculateStatistics(newBoxes),
+          ...recordChange(state, removeFromStore(state.store, action.payload), action.meta, HISTORY.LIMIT),
+          error: null,
+        };
+
+      case ActionTypes.UPDATE_BOX:
+        return {
+          ...recordChange(
+            state,
+            updateInStore(state.store, action.payload.id, action.payload.updates),
+            action.meta,
+            HISTORY.LIMIT
+          ),
+          error: null,
+        };
+
+      case ActionTypes.REMOVE_BOXES:
+        return {
+          ...recordChange(state, removeManyFromStore(state.store, action.payload), action.meta, HISTORY.LIMIT),
+          error: null,
+        };
+
+      case ActionTypes.UPDATE_BOXES:
+        return {
+          ...recordChange(state, updateManyInStore(state.store, action.payload), action.meta, HISTORY.LIMIT),
+          error: null,
+        };
+
+      case ActionTypes.ADD_SHIPMENT:
+        return {
+          ...recordChange(state, addShipmentToStore(state.store, action.payload), action.meta, HISTORY.LIMIT),
+          error: null,
+        };
+
+      case ActionTypes.UPDATE_SHIPMENT:
+        return {
+          ...recordChange(
+            state,
+            updateShipmentInStore(state.store, action.payload.id, action.payload.updates),
+            action.meta,
+            HISTORY.LIMIT
+          ),
+          error: null,
+        };
+
+      case ActionTypes.REMOVE_SHIPMENT:
+        return {
+          ...recordChange(state, removeShipmentFromStore(state.store, action.payload), action.meta, HISTORY.LIMIT),
+          error: null,
+        };
+
+      case ActionTypes.UNDO:
+        return {
+          ...undoChange(state),
+          error: null,
+        };
+
+      case ActionTypes.REDO:
+        return {
+          ...redoChange(state),
           error: null,
         };
-      }
 
       case ActionTypes.SET_LOADING:
         return {
@@ -124,7 +509,7 @@ const boxReducer = (state, action) => {
       case ActionTypes.UPDATE_STATISTICS:
         return {
           ...state,
-          statistics: calculateStatistics(state.boxes),
+          store: recalculateStoreStatistics(state.store),
         };
 
       default:
@@ -151,7 +536,113 @@ const BoxContext = createContext();
  */
 export const BoxProvider = ({ children }) => {
   const [state, dispatch] = useReducer(boxReducer, createInitialState());
+  const { rateCards, originHolidays } = useRateCards();
+  const { exchangeRates } = useCurrency();
+  const hydrationStartedRef = useRef(false);
+  const historyIdRef = useRef(0);
+  // Last tracking serial issued; only ever moves forward, even when adds are undone
+  const trackingSequenceRef = useRef(0);
+
+  // Latest history, read by undo/redo so callbacks created before a change still see it
+  const historyRef = useRef(state);
+  historyRef.current = state;
+
+  /**
+   * Creates the history entry details for a change
+   * @param {string} label - Description of the change (e.g. 'Remove box for Ann')
+   * @returns {Object} History meta ({ historyId, label })
+   */
+  const createHistoryMeta = useCallback((label) => {
+    historyIdRef.current += 1;
+    return { historyId: historyIdRef.current, label };
+  }, []);
+
+  // Ordered list kept by the store itself, so a change never rebuilds it here
+  const boxes = getStoredBoxes(state.store);
+  const shipments = useMemo(() => getStoredShipments(state.store), [state.store]);
+
+  /**
+   * Hydrates boxes from storage on startup (once, even under StrictMode)
+   */
+  useEffect(() => {
+    if (hydrationStartedRef.current) {
+      return;
+    }
+    hydrationStartedRef.current = true;
+
+    try {
+      const { boxes, shipments = [] } = loadBoxData();
+      trackingSequenceRef.current = boxes.reduce(
+        (highest, box) => Math.max(highest, getOwnTrackingSerial(box.trackingNumber) || 0),
+        0
+      );
+      dispatch({ type: ActionTypes.LOAD_BOXES, payload: { boxes, shipments } });
+    } catch (error) {
+      console.error('Error loading boxes:', error);
+      // Keep the unreadable payload aside so new saves don't destroy it
+      quarantineBoxData();
+      dispatch({ type: ActionTypes.LOAD_BOXES, payload: { boxes: [], shipments: [] } });
+      dispatch({
+        type: ActionTypes.SET_ERROR,
+        payload: `${UI_MESSAGES.ERRORS.STORAGE_LOAD_FAILED}: ${error.message}`,
+      });
+    }
+
+    try {
+      trackingSequenceRef.current = Math.max(trackingSequenceRef.current, loadTrackingSequence());
+    } catch (error) {
+      // The boxes themselves still hold the highest serial issued
+      console.error('Error loading tracking sequence:', error);
+    }
+  }, []);
+
+  /**
+   * Gives new box data tracking numbers from the persisted sequence
+   * @param {Array<Object>} boxDataList - Box data to number
+   * @returns {Array<Object>} Box data with tracking numbers
+   * @throws {Error} When the serial range is exhausted
+   */
+  const issueTrackingNumbers = useCallback((boxDataList) => {
+    const { store } = historyRef.current;
+    const taken = { has: trackingNumber => Boolean(getStoredBoxByTrackingNumber(store, trackingNumber)) };
+    const { boxes: numbered, lastSerial } = assignTrackingNumbers(boxDataList, trackingSequenceRef.current, taken);
+
+    trackingSequenceRef.current = lastSerial;
+    try {
+      saveTrackingSequence(lastSerial);
+    } catch (error) {
+      console.error('Error saving tracking sequence:', error);
+    }
 
+    return numbered;
+  }, []);
+
+  /**
+   * Persists boxes once hydration has run. Bursts of changes are written once
+   * after a short delay, and any pending write is flushed when the page is hidden.
+   */
+  useEffect(() => {
+    if (!state.hydrated) {
+      return undefined;
+    }
+
+    const save = () => {
+      try {
+        saveBoxData({ boxes, shipments });
+      } catch (error) {
+        console.error('Error saving boxes:', error);
+        dispatch({ type: ActionTypes.SET_ERROR, payload: UI_MESSAGES.ERRORS.STORAGE_SAVE_FAILED });
+      }
+    };
+
+    const timer = setTimeout(save, STORAGE.SAVE_DELAY);
+    window.addEventListener('pagehide', save);
+
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('pagehide', save);
+    };
+  }, [state.hydrated, boxes, shipments]);
 
   /**
    * Adds a new box with enhanced error handling
@@ -162,31 +653,30 @@ export const BoxProvider = ({ children }) => {
     try {
       dispatch({ type: ActionTypes.SET_LOADING, payload: true });
 
-      // Validate input data
-      if (!boxData || typeof boxData !== 'object') {
-        throw new Error('Invalid box data provided');
-      }
-
-      // Calculate shipping cost using utility function
-      const shippingCost = calculateShippingCost(boxData.weight, boxData.country);
-      
-      const boxWithDetails = {
-        ...boxData,
-        id: generateId(),
-        shippingCost,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
+      // Numbers are issued last so a rejected box does not use one up
+      const [boxWithDetails] = issueTrackingNumbers([
+        createBoxRecord(
+          boxData,
+          rateCards,
+          historyRef.current.store.shipments,
+          exchangeRates,
+          getDiscountContext(historyRef.current.store),
+          originHolidays
+        ),
+      ]);
 
       // Simulate async operation (could be API call in real app)
       await new Promise(resolve => setTimeout(resolve, 100));
 
-      dispatch({ type: ActionTypes.ADD_BOX, payload: boxWithDetails });
+      const meta = createHistoryMeta(`Add box for ${boxWithDetails.receiverName}`);
+      dispatch({ type: ActionTypes.ADD_BOX, payload: boxWithDetails, meta });
       
       return { 
         success: true, 
         message: UI_MESSAGES.SUCCESS.BOX_ADDED,
-        boxId: boxWithDetails.id 
+        boxId: boxWithDetails.id,
+        trackingNumber: boxWithDetails.trackingNumber,
+        historyId: meta.historyId,
       };
     } catch (error) {
       const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
@@ -197,7 +687,55 @@ export const BoxProvider = ({ children }) => {
         error: errorMessage 
       };
     }
-  }, []);
+  }, [rateCards, originHolidays, exchangeRates, createHistoryMeta, issueTrackingNumbers]);
+
+  /**
+   * Adds many boxes in a single state transition (e.g. from a CSV import)
+   * @param {Array<Object>} boxDataList - Box data objects
+   * @returns {Object} Result object with the number of boxes added
+   */
+  const addBoxes = useCallback(async (boxDataList) => {
+    try {
+      if (!Array.isArray(boxDataList) || boxDataList.length === 0) {
+        throw new Error('No boxes provided');
+      }
+
+      dispatch({ type: ActionTypes.SET_LOADING, payload: true });
+
+      const { store } = historyRef.current;
+      const newBoxes = issueTrackingNumbers(
+        createBoxRecords(
+          boxDataList,
+          rateCards,
+          store.shipments,
+          exchangeRates,
+          getDiscountContext(store),
+          originHolidays
+        )
+      );
+
+      // Simulate async operation (could be API call in real app)
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const meta = createHistoryMeta(`Import ${newBoxes.length} boxes`);
+      dispatch({ type: ActionTypes.ADD_BOXES, payload: newBoxes, meta });
+
+      return {
+        success: true,
+        message: `${newBoxes.length} ${UI_MESSAGES.SUCCESS.BOXES_IMPORTED}`,
+        count: newBoxes.length,
+        historyId: meta.historyId,
+      };
+    } catch (error) {
+      const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
+      dispatch({ type: ActionTypes.SET_ERROR, payload: errorMessage });
+
+      return {
+        success: false,
+        error: errorMessage
+      };
+    }
+  }, [rateCards, originHolidays, exchangeRates, createHistoryMeta, issueTrackingNumbers]);
 
   /**
    * Removes a box by ID
@@ -210,11 +748,18 @@ export const BoxProvider = ({ children }) => {
         throw new Error('Box ID is required');
       }
 
-      dispatch({ type: ActionTypes.REMOVE_BOX, payload: boxId });
+      const box = getStoredBox(historyRef.current.store, boxId);
+      if (!box) {
+        throw new Error(`Box not found: ${boxId}`);
+      }
+
+      const meta = createHistoryMeta(`Remove box for ${box.receiverName}`);
+      dispatch({ type: ActionTypes.REMOVE_BOX, payload: boxId, meta });
       
       return { 
         success: true, 
-        message: 'Box removed successfully' 
+        message: `${UI_MESSAGES.SUCCESS.BOX_REMOVED}: ${box.receiverName}`,
+        historyId: meta.historyId,
       };
     } catch (error) {
       const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
@@ -225,7 +770,7 @@ export const BoxProvider = ({ children }) => {
         error: errorMessage 
       };
     }
-  }, []);
+  }, [createHistoryMeta]);
 
   /**
    * Updates an existing box
@@ -239,26 +784,33 @@ export const BoxProvider = ({ children }) => {
         throw new Error('Box ID and updates are required');
       }
 
-      // Recalculate shipping cost if weight or country changed
-      if (updates.weight !== undefined || updates.country !== undefined) {
-        const box = state.boxes.find(b => b.id === boxId);
-        if (box) {
-          const newWeight = updates.weight !== undefined ? updates.weight : box.weight;
-          const newCountry = updates.country !== undefined ? updates.country : box.country;
-          updates.shippingCost = calculateShippingCost(newWeight, newCountry);
-        }
+      const box = getStoredBox(state.store, boxId);
+      if (!box) {
+        throw new Error(`Box not found: ${boxId}`);
       }
 
-      updates.updatedAt = new Date().toISOString();
-
+      const meta = createHistoryMeta(`Edit box for ${box.receiverName}`);
       dispatch({ 
         type: ActionTypes.UPDATE_BOX, 
-        payload: { id: boxId, updates } 
+        payload: {
+          id: boxId,
+          updates: prepareBoxUpdates(
+            box,
+            updates,
+            rateCards,
+            state.store.shipments,
+            exchangeRates,
+            getDiscountContext(state.store, box),
+            originHolidays
+          ),
+        },
+        meta,
       });
       
       return { 
         success: true, 
-        message: 'Box updated successfully' 
+        message: UI_MESSAGES.SUCCESS.BOX_UPDATED,
+        historyId: meta.historyId,
       };
     } catch (error) {
       const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
@@ -269,14 +821,404 @@ export const BoxProvider = ({ children }) => {
         error: errorMessage 
       };
     }
-  }, [state.boxes]);
+  }, [state.store, rateCards, originHolidays, exchangeRates, createHistoryMeta]);
+
+  /**
+   * Removes several boxes in a single, undoable state transition
+   * @param {Array<string>} boxIds - Box IDs to remove
+   * @returns {Object} Result object with the number of boxes removed
+   */
+  const removeBoxes = useCallback((boxIds) => {
+    try {
+      const boxesToRemove = (boxIds || [])
+        .map(id => getStoredBox(historyRef.current.store, id))
+        .filter(Boolean);
+
+      if (boxesToRemove.length === 0) {
+        throw new Error(UI_MESSAGES.ERRORS.NO_BOXES_SELECTED);
+      }
+
+      const meta = createHistoryMeta(`Remove ${boxesToRemove.length} boxes`);
+      dispatch({ type: ActionTypes.REMOVE_BOXES, payload: boxesToRemove.map(box => box.id), meta });
+
+      return {
+        success: true,
+        message: `${boxesToRemove.length} ${UI_MESSAGES.SUCCESS.BOXES_REMOVED}`,
+        count: boxesToRemove.length,
+        historyId: meta.historyId,
+      };
+    } catch (error) {
+      const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
+      dispatch({ type: ActionTypes.SET_ERROR, payload: errorMessage });
+
+      return {
+        success: false,
+        error: errorMessage
+      };
+    }
+  }, [createHistoryMeta]);
+
+  /**
+   * Applies the same updates to several boxes in a single, undoable state transition.
+   * Derived fields are recalculated per box, as in updateBox.
+   * @param {Array<string>} boxIds - Box IDs to update
+   * @param {Object} updates - Updates to apply to every box
+   * @returns {Object} Result object with the number of boxes updated
+   */
+  const updateBoxes = useCallback((boxIds, updates) => {
+    try {
+      if (!updates) {
+        throw new Error('Updates are required');
+      }
+
+      const boxesToUpdate = (boxIds || [])
+        .map(id => getStoredBox(historyRef.current.store, id))
+        .filter(Boolean);
+
+      if (boxesToUpdate.length === 0) {
+        throw new Error(UI_MESSAGES.ERRORS.NO_BOXES_SELECTED);
+      }
+
+      const { store } = historyRef.current;
+      const discountContext = getDiscountContext(store);
+      const changes = boxesToUpdate.map(box => ({
+        id: box.id,
+        updates: prepareBoxUpdates(
+          box,
+          updates,
+          rateCards,
+          store.shipments,
+          exchangeRates,
+          { ...discountContext, totalWeight: discountContext.totalWeight - box.weight },
+          originHolidays
+        ),
+      }));
+
+      const meta = createHistoryMeta(`Edit ${changes.length} boxes`);
+      dispatch({ type: ActionTypes.UPDATE_BOXES, payload: changes, meta });
+
+      return {
+        success: true,
+        message: `${changes.length} ${UI_MESSAGES.SUCCESS.BOXES_UPDATED}`,
+        count: changes.length,
+        historyId: meta.historyId,
+      };
+    } catch (error) {
+      const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
+      dispatch({ type: ActionTypes.SET_ERROR, payload: errorMessage });
+
+      return {
+        success: false,
+        error: errorMessage
+      };
+    }
+  }, [rateCards, originHolidays, exchangeRates, createHistoryMeta]);
+
+  /**
+   * Moves boxes to a new status in a single, undoable state transition.
+   * Nothing changes unless every box is allowed to make the transition.
+   * @param {Array<string>} boxIds - Box IDs
+   * @param {string} status - Key of BOX_STATUSES
+   * @returns {Object} Result object with the number of boxes changed
+   */
+  const changeBoxStatus = useCallback((boxIds, status) => {
+    try {
+      if (!BOX_STATUSES[status]) {
+        throw new Error(UI_MESSAGES.ERRORS.INVALID_BOX_STATUS);
+      }
+
+      const { store } = historyRef.current;
+      const boxesToChange = (boxIds || [])
+        .map(id => getStoredBox(store, id))
+        .filter(box => box && box.status !== status);
+
+      if (boxesToChange.length === 0) {
+        throw new Error(UI_MESSAGES.ERRORS.NO_BOXES_SELECTED);
+      }
+
+      const changes = boxesToChange.map((box) => {
+        try {
+          return { id: box.id, updates: prepareBoxUpdates(box, { status }, rateCards, store.shipments) };
+        } catch (error) {
+          throw new Error(`${box.receiverName}: ${error.message}`);
+        }
+      });
+
+      const meta = createHistoryMeta(changes.length === 1
+        ? `Mark box for ${boxesToChange[0].receiverName} as ${BOX_STATUSES[status]}`
+        : `Mark ${changes.length} boxes as ${BOX_STATUSES[status]}`);
+      dispatch({ type: ActionTypes.UPDATE_BOXES, payload: changes, meta });
+
+      return {
+        success: true,
+        message: changes.length === 1
+          ? `${UI_MESSAGES.SUCCESS.STATUS_CHANGED} ${BOX_STATUSES[status]}: ${boxesToChange[0].receiverName}`
+          : `${UI_MESSAGES.SUCCESS.STATUS_CHANGED} ${BOX_STATUSES[status]} for ${changes.length} boxes`,
+        count: changes.length,
+        historyId: meta.historyId,
+      };
+    } catch (error) {
+      const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
+      dispatch({ type: ActionTypes.SET_ERROR, payload: errorMessage });
+
+      return {
+        success: false,
+        error: errorMessage
+      };
+    }
+  }, [rateCards, createHistoryMeta]);
+
+  /**
+   * Creates an empty, open shipment
+   * @param {Object} shipmentData - { reference, country } ('' country allows mixed destinations)
+   * @returns {Object} Result object with the new shipment id
+   */
+  const createShipment = useCallback((shipmentData) => {
+    try {
+      const errors = validateShipment(shipmentData, getStoredShipments(historyRef.current.store), rateCards);
+      if (Object.keys(errors).length > 0) {
+        throw new Error(Object.values(errors)[0]);
+      }
+
+      const now = new Date().toISOString();
+      const shipment = {
+        id: generateId('shipment'),
+        reference: shipmentData.reference.trim(),
+        country: shipmentData.country || '',
+        status: 'open',
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      const meta = createHistoryMeta(`Create shipment ${shipment.reference}`);
+      dispatch({ type: ActionTypes.ADD_SHIPMENT, payload: shipment, meta });
+
+      return {
+        success: true,
+        message: `${UI_MESSAGES.SUCCESS.SHIPMENT_CREATED}: ${shipment.reference}`,
+        shipmentId: shipment.id,
+        historyId: meta.historyId,
+      };
+    } catch (error) {
+      const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
+      dispatch({ type: ActionTypes.SET_ERROR, payload: errorMessage });
+
+      return {
+        success: false,
+        error: errorMessage
+      };
+    }
+  }, [rateCards, createHistoryMeta]);
+
+  /**
+   * Updates a shipment's reference or status
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} updates - { reference?, status? }
+   * @returns {Object} Result object
+   */
+  const updateShipment = useCallback((shipmentId, updates) => {
+    try {
+      const { store } = historyRef.current;
+      const shipment = getStoredShipment(store, shipmentId);
+      if (!shipment) {
+        throw new Error(UI_MESSAGES.ERRORS.SHIPMENT_NOT_FOUND);
+      }
+
+      const errors = validateShipment({ ...shipment, ...updates }, getStoredShipments(store), rateCards, shipmentId);
+      if (Object.keys(errors).length > 0) {
+        throw new Error(Object.values(errors)[0]);
+      }
+
+      // The destination is fixed once created, as boxes were checked against it
+      const { country, ...allowedUpdates } = updates;
+      const meta = createHistoryMeta(`Edit shipment ${shipment.reference}`);
+      dispatch({
+        type: ActionTypes.UPDATE_SHIPMENT,
+        payload: {
+          id: shipmentId,
+          updates: {
+            ...allowedUpdates,
+            ...(allowedUpdates.reference !== undefined && { reference: allowedUpdates.reference.trim() }),
+            updatedAt: new Date().toISOString(),
+          },
+        },
+        meta,
+      });
+
+      return {
+        success: true,
+        message: `${UI_MESSAGES.SUCCESS.SHIPMENT_UPDATED}: ${shipment.reference}`,
+        historyId: meta.historyId,
+      };
+    } catch (error) {
+      const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
+      dispatch({ type: ActionTypes.SET_ERROR, payload: errorMessage });
+
+      return {
+        success: false,
+        error: errorMessage
+      };
+    }
+  }, [rateCards, createHistoryMeta]);
+
+  /**
+   * Removes a shipment; its boxes are kept and become unassigned
+   * @param {string} shipmentId - Shipment ID
+   * @returns {Object} Result object
+   */
+  const removeShipment = useCallback((shipmentId) => {
+    try {
+      const shipment = getStoredShipment(historyRef.current.store, shipmentId);
+      if (!shipment) {
+        throw new Error(UI_MESSAGES.ERRORS.SHIPMENT_NOT_FOUND);
+      }
+
+      const meta = createHistoryMeta(`Remove shipment ${shipment.reference}`);
+      dispatch({ type: ActionTypes.REMOVE_SHIPMENT, payload: shipmentId, meta });
+
+      return {
+        success: true,
+        message: `${UI_MESSAGES.SUCCESS.SHIPMENT_REMOVED}: ${shipment.reference}`,
+        historyId: meta.historyId,
+      };
+    } catch (error) {
+      const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
+      dispatch({ type: ActionTypes.SET_ERROR, payload: errorMessage });
+
+      return {
+        success: false,
+        error: errorMessage
+      };
+    }
+  }, [createHistoryMeta]);
+
+  /**
+   * Moves boxes into a shipment, or out of their shipments when shipmentId is null
+   * @param {Array<string>} boxIds - Box IDs
+   * @param {string|null} shipmentId - Target shipment ID
+   * @returns {Object} Result object with the number of boxes moved
+   */
+  const assignBoxesToShipment = useCallback((boxIds, shipmentId) => {
+    try {
+      const { store } = historyRef.current;
+      const shipment = shipmentId ? getStoredShipment(store, shipmentId) : null;
+      if (shipmentId && !shipment) {
+        throw new Error(UI_MESSAGES.ERRORS.SHIPMENT_NOT_FOUND);
+      }
+
+      const boxesToMove = (boxIds || [])
+        .map(id => getStoredBox(store, id))
+        .filter(box => box && (box.shipmentId || null) !== (shipmentId || null));
+
+      if (boxesToMove.length === 0) {
+        throw new Error(UI_MESSAGES.ERRORS.NO_BOXES_SELECTED);
+      }
+
+      const assignmentError = getShipmentAssignmentError(boxesToMove, shipment, store.shipments);
+      if (assignmentError) {
+        throw new Error(assignmentError);
+      }
+
+      const now = new Date().toISOString();
+      const changes = boxesToMove.map(box => ({
+        id: box.id,
+        updates: { shipmentId: shipmentId || null, updatedAt: now },
+      }));
+
+      const meta = createHistoryMeta(shipment
+        ? `Add ${changes.length} boxes to ${shipment.reference}`
+        : `Remove ${changes.length} boxes from shipments`);
+      dispatch({ type: ActionTypes.UPDATE_BOXES, payload: changes, meta });
+
+      return {
+        success: true,
+        message: shipment
+          ? `${changes.length} ${UI_MESSAGES.SUCCESS.BOXES_ASSIGNED} ${shipment.reference}`
+          : `${changes.length} ${UI_MESSAGES.SUCCESS.BOXES_UNASSIGNED}`,
+        count: changes.length,
+        historyId: meta.historyId,
+      };
+    } catch (error) {
+      const errorMessage = error.message || UI_MESSAGES.ERRORS.GENERIC_ERROR;
+      dispatch({ type: ActionTypes.SET_ERROR, payload: errorMessage });
+
+      return {
+        success: false,
+        error: errorMessage
+      };
+    }
+  }, [createHistoryMeta]);
+
+  /**
+   * Undoes the most recent change
+   * @param {number} [historyId] - Only undo if this change is still the most recent one
+   *   (used by notification actions that may be clicked after later changes)
+   * @returns {Object} Result object
+   */
+  const undo = useCallback((historyId) => {
+    const { past } = historyRef.current;
+    const entry = past[past.length - 1];
+
+    if (!entry) {
+      return { success: false, error: UI_MESSAGES.ERRORS.NOTHING_TO_UNDO };
+    }
+    if (historyId !== undefined && entry.historyId !== historyId) {
+      return { success: false, error: UI_MESSAGES.ERRORS.UNDO_OUTDATED };
+    }
+
+    dispatch({ type: ActionTypes.UNDO });
+    return { success: true, message: `${UI_MESSAGES.SUCCESS.UNDONE}: ${entry.label}` };
+  }, []);
+
+  /**
+   * Re-applies the most recently undone change
+   * @returns {Object} Result object
+   */
+  const redo = useCallback(() => {
+    const { future } = historyRef.current;
+    const entry = future[future.length - 1];
+
+    if (!entry) {
+      return { success: false, error: UI_MESSAGES.ERRORS.NOTHING_TO_REDO };
+    }
+
+    dispatch({ type: ActionTypes.REDO });
+    return { success: true, message: `${UI_MESSAGES.SUCCESS.REDONE}: ${entry.label}` };
+  }, []);
 
   /**
    * Gets all boxes (memoized for performance)
    */
   const getBoxes = useCallback(() => {
-    return state.boxes;
-  }, [state.boxes]);
+    return boxes;
+  }, [boxes]);
+
+  /**
+   * Looks up a single box without scanning the list
+   * @param {string} boxId - Box ID
+   * @returns {Object|null} Box
+   */
+  const getBoxById = useCallback((boxId) => {
+    return getStoredBox(state.store, boxId);
+  }, [state.store]);
+
+  /**
+   * Looks up a box by its tracking number (spaces and case are ignored)
+   * @param {string} trackingNumber - Tracking number such as CP000000014IN
+   * @returns {Object|null} Box
+   */
+  const getBoxByTrackingNumber = useCallback((trackingNumber) => {
+    return getStoredBoxByTrackingNumber(state.store, normalizeTrackingNumber(trackingNumber));
+  }, [state.store]);
+
+  /**
+   * Looks up a single shipment
+   * @param {string} shipmentId - Shipment ID
+   * @returns {Object|null} Shipment
+   */
+  const getShipmentById = useCallback((shipmentId) => {
+    return getStoredShipment(state.store, shipmentId);
+  }, [state.store]);
 
   /**
    * Clears current error
@@ -293,34 +1235,75 @@ export const BoxProvider = ({ children }) => {
   }, []);
 
   // Memoized context value to prevent unnecessary re-renders
-  const contextValue = React.useMemo(() => ({
+  const contextValue = useMemo(() => ({
     // State
-    boxes: state.boxes,
+    boxes,
+    hydrated: state.hydrated,
     loading: state.loading,
     error: state.error,
-    statistics: state.statistics,
+    statistics: state.store.statistics,
+    shipments,
+    shipmentStatistics: state.store.shipmentStatistics,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    undoLabel: state.past.length > 0 ? state.past[state.past.length - 1].label : null,
+    redoLabel: state.future.length > 0 ? state.future[state.future.length - 1].label : null,
     
     // Actions
     addBox,
+    addBoxes,
     removeBox,
     updateBox,
+    removeBoxes,
+    updateBoxes,
+    changeBoxStatus,
+    createShipment,
+    updateShipment,
+    removeShipment,
+    assignBoxesToShipment,
+    undo,
+    redo,
     getBoxes,
+    getBoxById,
+    getBoxByTrackingNumber,
+    getShipmentById,
     clearError,
     refreshStatistics,
     
     // Utilities
-    calculateShippingCost: (weight, country) => calculateShippingCost(weight, country),
+    calculateShippingCost: (weight, country, dimensions, postalCode) => (
+      calculateShippingCost(weight, country, dimensions, rateCards, postalCode)
+    ),
   }), [
-    state.boxes,
+    boxes,
+    state.hydrated,
     state.loading,
     state.error,
-    state.statistics,
+    state.store.statistics,
+    shipments,
+    state.store.shipmentStatistics,
+    state.past,
+    state.future,
     addBox,
+    addBoxes,
     removeBox,
     updateBox,
+    removeBoxes,
+    updateBoxes,
+    changeBoxStatus,
+    createShipment,
+    updateShipment,
+    removeShipment,
+    assignBoxesToShipment,
+    undo,
+    redo,
     getBoxes,
+    getBoxById,
+    getBoxByTrackingNumber,
+    getShipmentById,
     clearError,
     refreshStatistics,
+    rateCards,
   ]);
 
   return (
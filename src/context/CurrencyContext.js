@@ -0,0 +1,198 @@
+/**
+ * Currency Context
+ * Manages the display currency and the local exchange-rate table.
+ * Amounts are stored in the base currency and converted only for display.
+ */
+
+import React, { createContext, useContext, useReducer, useCallback, useEffect, useRef, useMemo } from 'react';
+import { convertCurrency, formatCurrency } from '../utils';
+import { loadCurrencySettings, saveCurrencySettings } from '../utils/storage';
+import { BASE_CURRENCY, CURRENCIES, DEFAULT_EXCHANGE_RATES, UI_MESSAGES } from '../constants';
+
+const createInitialState = () => ({
+  currency: BASE_CURRENCY,
+  exchangeRates: DEFAULT_EXCHANGE_RATES,
+  hydrated: false,
+  error: null,
+});
+
+const ActionTypes = {
+  LOAD_SETTINGS: 'LOAD_SETTINGS',
+  SET_CURRENCY: 'SET_CURRENCY',
+  SET_EXCHANGE_RATES: 'SET_EXCHANGE_RATES',
+  SET_ERROR: 'SET_ERROR',
+};
+
+const currencyReducer = (state, action) => {
+  switch (action.type) {
+    case ActionTypes.LOAD_SETTINGS: {
+      const settings = action.payload || {};
+      const exchangeRates = { ...DEFAULT_EXCHANGE_RATES, ...settings.exchangeRates };
+      return {
+        ...state,
+        currency: CURRENCIES[settings.currency] ? settings.currency : BASE_CURRENCY,
+        exchangeRates,
+        hydrated: true,
+        error: null,
+      };
+    }
+
+    case ActionTypes.SET_CURRENCY:
+      return {
+        ...state,
+        currency: action.payload,
+      };
+
+    case ActionTypes.SET_EXCHANGE_RATES:
+      return {
+        ...state,
+        exchangeRates: action.payload,
+        error: null,
+      };
+
+    case ActionTypes.SET_ERROR:
+      return {
+        ...state,
+        error: action.payload,
+      };
+
+    default:
+      console.warn(`Unknown action type: ${action.type}`);
+      return state;
+  }
+};
+
+const CurrencyContext = createContext();
+
+/**
+ * Provides the chosen display currency and conversion helpers
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export const CurrencyProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(currencyReducer, createInitialState());
+  const hydrationStartedRef = useRef(false);
+
+  /**
+   * Hydrates saved currency settings on startup
+   */
+  useEffect(() => {
+    if (hydrationStartedRef.current) {
+      return;
+    }
+    hydrationStartedRef.current = true;
+
+    try {
+      dispatch({ type: ActionTypes.LOAD_SETTINGS, payload: loadCurrencySettings() });
+    } catch (error) {
+      console.error('Error loading currency settings:', error);
+      dispatch({ type: ActionTypes.LOAD_SETTINGS, payload: null });
+      dispatch({ type: ActionTypes.SET_ERROR, payload: UI_MESSAGES.ERRORS.CURRENCY_LOAD_FAILED });
+    }
+  }, []);
+
+  /**
+   * Persists currency settings whenever they change
+   */
+  useEffect(() => {
+    if (!state.hydrated) {
+      return;
+    }
+
+    try {
+      saveCurrencySettings({ currency: state.currency, exchangeRates: state.exchangeRates });
+    } catch (error) {
+      console.error('Error saving currency settings:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: UI_MESSAGES.ERRORS.CURRENCY_SAVE_FAILED });
+    }
+  }, [state.hydrated, state.currency, state.exchangeRates]);
+
+  /**
+   * Changes the display currency
+   * @param {string} currency - Currency code (e.g. 'USD')
+   * @returns {Object} Result object
+   */
+  const setCurrency = useCallback((currency) => {
+    if (!CURRENCIES[currency]) {
+      return { success: false, error: `Unsupported currency: ${currency}` };
+    }
+
+    dispatch({ type: ActionTypes.SET_CURRENCY, payload: currency });
+    return { success: true };
+  }, []);
+
+  /**
+   * Replaces the exchange-rate table
+   * @param {Object} exchangeRates - Units of each currency per base unit
+   * @returns {Object} Result object
+   */
+  const setExchangeRates = useCallback((exchangeRates) => {
+    dispatch({
+      type: ActionTypes.SET_EXCHANGE_RATES,
+      payload: { ...exchangeRates, [BASE_CURRENCY]: 1 },
+    });
+    return { success: true, message: UI_MESSAGES.SUCCESS.EXCHANGE_RATES_SAVED };
+  }, []);
+
+  /**
+   * Restores the built-in exchange-rate table
+   * @returns {Object} Result object
+   */
+  const resetExchangeRates = useCallback(() => {
+    dispatch({ type: ActionTypes.SET_EXCHANGE_RATES, payload: DEFAULT_EXCHANGE_RATES });
+    return { success: true, message: UI_MESSAGES.SUCCESS.EXCHANGE_RATES_RESET };
+  }, []);
+
+  /**
+   * Converts a base-currency amount and formats it in the display currency
+   * @param {number} amount - Amount in the base currency
+   * @returns {string} Formatted amount
+   */
+  const formatAmount = useCallback((amount) => {
+    try {
+      return formatCurrency(convertCurrency(amount, state.currency, state.exchangeRates), state.currency);
+    } catch (error) {
+      // Missing rate for the chosen currency: fall back to the base currency
+      return formatCurrency(amount, BASE_CURRENCY);
+    }
+  }, [state.currency, state.exchangeRates]);
+
+  const contextValue = useMemo(() => ({
+    // State
+    currency: state.currency,
+    exchangeRates: state.exchangeRates,
+    error: state.error,
+
+    // Actions
+    setCurrency,
+    setExchangeRates,
+    resetExchangeRates,
+
+    // Utilities
+    formatAmount,
+  }), [
+    state.currency,
+    state.exchangeRates,
+    state.error,
+    setCurrency,
+    setExchangeRates,
+    resetExchangeRates,
+    formatAmount,
+  ]);
+
+  return (
+    <CurrencyContext.Provider value={contextValue}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
+
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+};
+
+export default CurrencyContext;
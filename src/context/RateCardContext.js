@@ -0,0 +1,318 @@
+/**
+ * Rate Card Context
+ * Manages runtime-editable shipping rate cards, and the Indian public holidays
+ * boxes are not handed over on, using Context API and useReducer
+ */
+
+import React, { createContext, useContext, useReducer, useCallback, useEffect, useRef, useMemo } from 'react';
+import { getEnabledCountries } from '../utils/rateCards';
+import {
+  loadRateCards,
+  saveRateCards,
+  clearRateCards,
+  loadOriginHolidays,
+  saveOriginHolidays,
+  clearOriginHolidays,
+} from '../utils/storage';
+import { DEFAULT_RATE_CARDS, ORIGIN_HOLIDAYS, UI_MESSAGES } from '../constants';
+
+// originHolidays is null until edited, so the built-in list applies
+const createInitialState = () => ({
+  rateCards: DEFAULT_RATE_CARDS,
+  customized: false,
+  originHolidays: null,
+  hydrated: false,
+  error: null,
+});
+
+const ActionTypes = {
+  LOAD_RATE_CARDS: 'LOAD_RATE_CARDS',
+  SAVE_RATE_CARD: 'SAVE_RATE_CARD',
+  REMOVE_RATE_CARD: 'REMOVE_RATE_CARD',
+  RESET_RATE_CARDS: 'RESET_RATE_CARDS',
+  LOAD_ORIGIN_HOLIDAYS: 'LOAD_ORIGIN_HOLIDAYS',
+  SET_ORIGIN_HOLIDAYS: 'SET_ORIGIN_HOLIDAYS',
+  SET_ERROR: 'SET_ERROR',
+  CLEAR_ERROR: 'CLEAR_ERROR',
+};
+
+const rateCardReducer = (state, action) => {
+  switch (action.type) {
+    case ActionTypes.LOAD_RATE_CARDS:
+      return {
+        ...state,
+        rateCards: action.payload || DEFAULT_RATE_CARDS,
+        customized: Boolean(action.payload),
+        hydrated: true,
+        error: null,
+      };
+
+    case ActionTypes.SAVE_RATE_CARD:
+      return {
+        ...state,
+        rateCards: {
+          ...state.rateCards,
+          [action.payload.code]: action.payload.card,
+        },
+        customized: true,
+        error: null,
+      };
+
+    case ActionTypes.REMOVE_RATE_CARD: {
+      const { [action.payload]: removed, ...rateCards } = state.rateCards;
+      return {
+        ...state,
+        rateCards,
+        customized: true,
+        error: null,
+      };
+    }
+
+    case ActionTypes.RESET_RATE_CARDS:
+      return {
+        ...state,
+        rateCards: DEFAULT_RATE_CARDS,
+        customized: false,
+        error: null,
+      };
+
+    // Loaded after the rate cards, so it keeps any error loading them raised
+    case ActionTypes.LOAD_ORIGIN_HOLIDAYS:
+      return {
+        ...state,
+        originHolidays: action.payload,
+      };
+
+    case ActionTypes.SET_ORIGIN_HOLIDAYS:
+      return {
+        ...state,
+        originHolidays: action.payload,
+        error: null,
+      };
+
+    case ActionTypes.SET_ERROR:
+      return {
+        ...state,
+        error: action.payload,
+      };
+
+    case ActionTypes.CLEAR_ERROR:
+      return {
+        ...state,
+        error: null,
+      };
+
+    default:
+      console.warn(`Unknown action type: ${action.type}`);
+      return state;
+  }
+};
+
+const RateCardContext = createContext();
+
+/**
+ * Provides the active rate cards to pricing code and the admin screen
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export const RateCardProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(rateCardReducer, createInitialState());
+  const hydrationStartedRef = useRef(false);
+
+  /**
+   * Hydrates saved rate cards and origin holidays on startup, falling back to the defaults
+   */
+  useEffect(() => {
+    if (hydrationStartedRef.current) {
+      return;
+    }
+    hydrationStartedRef.current = true;
+
+    try {
+      dispatch({ type: ActionTypes.LOAD_RATE_CARDS, payload: loadRateCards() });
+    } catch (error) {
+      console.error('Error loading rate cards:', error);
+      dispatch({ type: ActionTypes.LOAD_RATE_CARDS, payload: null });
+      dispatch({ type: ActionTypes.SET_ERROR, payload: UI_MESSAGES.ERRORS.RATE_CARDS_LOAD_FAILED });
+    }
+
+    try {
+      dispatch({ type: ActionTypes.LOAD_ORIGIN_HOLIDAYS, payload: loadOriginHolidays() });
+    } catch (error) {
+      console.error('Error loading origin holidays:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: UI_MESSAGES.ERRORS.ORIGIN_HOLIDAYS_LOAD_FAILED });
+    }
+  }, []);
+
+  /**
+   * Persists rate cards once they have been customized
+   */
+  useEffect(() => {
+    if (!state.hydrated) {
+      return;
+    }
+
+    try {
+      if (state.customized) {
+        saveRateCards(state.rateCards);
+      } else {
+        clearRateCards();
+      }
+    } catch (error) {
+      console.error('Error saving rate cards:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: UI_MESSAGES.ERRORS.RATE_CARDS_SAVE_FAILED });
+    }
+  }, [state.hydrated, state.customized, state.rateCards]);
+
+  /**
+   * Persists origin holidays once they have been edited
+   */
+  useEffect(() => {
+    if (!state.hydrated) {
+      return;
+    }
+
+    try {
+      if (state.originHolidays) {
+        saveOriginHolidays(state.originHolidays);
+      } else {
+        clearOriginHolidays();
+      }
+    } catch (error) {
+      console.error('Error saving origin holidays:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: UI_MESSAGES.ERRORS.ORIGIN_HOLIDAYS_SAVE_FAILED });
+    }
+  }, [state.hydrated, state.originHolidays]);
+
+  /**
+   * Creates or replaces the rate card for a country
+   * @param {string} code - Country code (e.g. 'SWEDEN')
+   * @param {Object} card - Rate card
+   * @returns {Object} Result object
+   */
+  const saveRateCard = useCallback((code, card) => {
+    if (!code || !card) {
+      return { success: false, error: 'Country code and rate card are required' };
+    }
+
+    dispatch({ type: ActionTypes.SAVE_RATE_CARD, payload: { code, card } });
+    return { success: true, message: UI_MESSAGES.SUCCESS.RATE_CARD_SAVED };
+  }, []);
+
+  /**
+   * Enables or disables a country for new boxes
+   * @param {string} code - Country code
+   * @param {boolean} enabled - Whether new boxes may ship there
+   * @returns {Object} Result object
+   */
+  const setCountryEnabled = useCallback((code, enabled) => {
+    const card = state.rateCards[code];
+    if (!card) {
+      return { success: false, error: `Rate card not found: ${code}` };
+    }
+
+    dispatch({ type: ActionTypes.SAVE_RATE_CARD, payload: { code, card: { ...card, enabled } } });
+    return { success: true, message: UI_MESSAGES.SUCCESS.RATE_CARD_SAVED };
+  }, [state.rateCards]);
+
+  /**
+   * Removes a country's rate card; refused while boxes still reference it
+   * @param {string} code - Country code
+   * @param {number} referencingBoxes - Number of boxes shipping to the country
+   * @returns {Object} Result object
+   */
+  const removeRateCard = useCallback((code, referencingBoxes = 0) => {
+    if (referencingBoxes > 0) {
+      return { success: false, error: UI_MESSAGES.ERRORS.COUNTRY_IN_USE };
+    }
+
+    dispatch({ type: ActionTypes.REMOVE_RATE_CARD, payload: code });
+    return { success: true, message: UI_MESSAGES.SUCCESS.RATE_CARD_REMOVED };
+  }, []);
+
+  /**
+   * Restores the built-in rate cards
+   * @returns {Object} Result object
+   */
+  const resetRateCards = useCallback(() => {
+    dispatch({ type: ActionTypes.RESET_RATE_CARDS });
+    return { success: true, message: UI_MESSAGES.SUCCESS.RATE_CARDS_RESET };
+  }, []);
+
+  /**
+   * Replaces the Indian public holidays used for handover dates
+   * @param {Array<string>} holidays - ISO dates
+   * @returns {Object} Result object
+   */
+  const setOriginHolidays = useCallback((holidays) => {
+    if (!Array.isArray(holidays)) {
+      return { success: false, error: 'Holidays must be a list of dates' };
+    }
+
+    dispatch({ type: ActionTypes.SET_ORIGIN_HOLIDAYS, payload: holidays });
+    return { success: true, message: UI_MESSAGES.SUCCESS.ORIGIN_HOLIDAYS_SAVED };
+  }, []);
+
+  /**
+   * Restores the built-in Indian public holidays
+   * @returns {Object} Result object
+   */
+  const resetOriginHolidays = useCallback(() => {
+    dispatch({ type: ActionTypes.SET_ORIGIN_HOLIDAYS, payload: null });
+    return { success: true, message: UI_MESSAGES.SUCCESS.ORIGIN_HOLIDAYS_RESET };
+  }, []);
+
+  const clearError = useCallback(() => {
+    dispatch({ type: ActionTypes.CLEAR_ERROR });
+  }, []);
+
+  const enabledCountries = useMemo(() => getEnabledCountries(state.rateCards), [state.rateCards]);
+
+  const contextValue = useMemo(() => ({
+    // State
+    rateCards: state.rateCards,
+    enabledCountries,
+    customized: state.customized,
+    originHolidays: state.originHolidays || ORIGIN_HOLIDAYS,
+    originHolidaysCustomized: Boolean(state.originHolidays),
+    error: state.error,
+
+    // Actions
+    saveRateCard,
+    setCountryEnabled,
+    removeRateCard,
+    resetRateCards,
+    setOriginHolidays,
+    resetOriginHolidays,
+    clearError,
+  }), [
+    state.rateCards,
+    enabledCountries,
+    state.customized,
+    state.originHolidays,
+    state.error,
+    saveRateCard,
+    setCountryEnabled,
+    removeRateCard,
+    resetRateCards,
+    setOriginHolidays,
+    resetOriginHolidays,
+    clearError,
+  ]);
+
+  return (
+    <RateCardContext.Provider value={contextValue}>
+      {children}
+    </RateCardContext.Provider>
+  );
+};
+
+export const useRateCards = () => {
+  const context = useContext(RateCardContext);
+  if (!context) {
+    throw new Error('useRateCards must be used within a RateCardProvider');
+  }
+  return context;
+};
+
+export default RateCardContext;
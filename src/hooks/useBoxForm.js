@@ -2,26 +2,109 @@
  * Custom hook for managing box form state and validation
  */
 
-import { useState, useCallback, useMemo } from 'react';
-import { validateBoxForm, hexToRgb } from '../utils';
-import { DEFAULT_BOX_COLOR } from '../constants';
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+import { validateBoxForm } from '../utils';
+import { parseColor, rgbToHex } from '../utils/colors';
+import { toAddress } from '../utils/address';
+import {
+  emptyCustomsItem,
+  customsItemToDraft,
+  draftToCustomsItem,
+  getCustomsItemsTotals,
+} from '../utils/customsDeclaration';
+import { toIsoDate } from '../utils/deliveryDates';
+import {
+  DEFAULT_BOX_COLOR,
+  FORM_VALIDATION,
+  BASE_CURRENCY,
+  CUSTOMS_FORMS,
+  DEFAULT_CUSTOMS_CATEGORY,
+  DEFAULT_CARRIER,
+} from '../constants';
 
-const initialFormState = {
+// New boxes are dispatched today unless another date is picked
+const createInitialFormState = () => ({
   receiverName: '',
   weight: '',
+  length: '',
+  width: '',
+  height: '',
   boxColor: DEFAULT_BOX_COLOR,
   country: '',
-};
+  carrier: DEFAULT_CARRIER,
+  line1: '',
+  line2: '',
+  city: '',
+  region: '',
+  postalCode: '',
+  phone: '',
+  declaredValue: '',
+  declaredCurrency: BASE_CURRENCY,
+  insured: false,
+  customsCategory: DEFAULT_CUSTOMS_CATEGORY,
+  customsItems: [],
+  promoCode: '',
+  dispatchDate: toIsoDate(new Date()),
+});
 
-export const useBoxForm = (onNegativeWeight) => {
-  const [formData, setFormData] = useState(initialFormState);
+/**
+ * Converts a stored box back into form field values
+ * @param {Object} box - Stored box object
+ * @returns {Object} Form state
+ */
+const boxToFormState = (box) => ({
+  receiverName: box.receiverName || '',
+  weight: box.weight !== undefined && box.weight !== null ? String(box.weight) : '',
+  length: box.dimensions ? String(box.dimensions.length) : '',
+  width: box.dimensions ? String(box.dimensions.width) : '',
+  height: box.dimensions ? String(box.dimensions.height) : '',
+  boxColor: box.boxColor ? rgbToHex(box.boxColor) : DEFAULT_BOX_COLOR,
+  country: box.country || '',
+  carrier: box.carrier || DEFAULT_CARRIER,
+  ...FORM_VALIDATION.ADDRESS_FIELDS.reduce((fields, field) => ({
+    ...fields,
+    [field]: box.address?.[field] || '',
+  }), {}),
+  phone: box.phone || '',
+  declaredValue: box.declaredValue > 0 ? String(box.declaredValue) : '',
+  declaredCurrency: box.declaredCurrency || BASE_CURRENCY,
+  insured: Boolean(box.insured),
+  customsCategory: box.customsCategory || DEFAULT_CUSTOMS_CATEGORY,
+  customsItems: (box.customsItems || []).map(customsItemToDraft),
+  promoCode: box.promoCode || '',
+  dispatchDate: box.dispatchDate || '',
+});
+
+/**
+ * @param {Function} onNegativeWeight - Called with a message when a negative weight is entered
+ * @param {Object} [initialBox] - Existing box used to pre-fill the form when editing
+ */
+export const useBoxForm = (onNegativeWeight, initialBox = null) => {
+  const [formData, setFormData] = useState(
+    () => (initialBox ? boxToFormState(initialBox) : createInitialFormState())
+  );
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [touched, setTouched] = useState({});
 
+  // Re-fill the form when the box being edited changes or becomes available
+  // (e.g. after hydration, or when switching between the add and edit routes).
+  // Edits to the same box are ignored so they don't overwrite what is being typed.
+  const loadedBoxIdRef = useRef(initialBox?.id);
+  useEffect(() => {
+    if (loadedBoxIdRef.current === initialBox?.id) {
+      return;
+    }
+    loadedBoxIdRef.current = initialBox?.id;
+    setFormData(initialBox ? boxToFormState(initialBox) : createInitialFormState());
+    setErrors({});
+    setTouched({});
+  }, [initialBox]);
+
 
   const handleChange = useCallback((event) => {
-    const { name, value } = event.target;
+    const { name, type, checked } = event.target;
+    const value = type === 'checkbox' ? checked : event.target.value;
     
     // Special handling for weight field
     if (name === 'weight') {
@@ -54,6 +137,32 @@ export const useBoxForm = (onNegativeWeight) => {
     }
   }, [errors, onNegativeWeight]);
 
+  const handleItemChange = useCallback((index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      customsItems: prev.customsItems.map((item, i) => (
+        i === index ? { ...item, [field]: value } : item
+      )),
+    }));
+    setErrors(prev => ({ ...prev, customsItems: '' }));
+  }, []);
+
+  const addItem = useCallback(() => {
+    setFormData(prev => (
+      prev.customsItems.length >= CUSTOMS_FORMS.MAX_ITEMS
+        ? prev
+        : { ...prev, customsItems: [...prev.customsItems, emptyCustomsItem()] }
+    ));
+  }, []);
+
+  const removeItem = useCallback((index) => {
+    setFormData(prev => ({
+      ...prev,
+      customsItems: prev.customsItems.filter((_, i) => i !== index),
+    }));
+    setErrors(prev => ({ ...prev, customsItems: '' }));
+  }, []);
+
 
   const handleBlur = useCallback((event) => {
     const { name } = event.target;
@@ -74,18 +183,42 @@ export const useBoxForm = (onNegativeWeight) => {
   }, [formData]);
 
   const resetForm = useCallback(() => {
-    setFormData(initialFormState);
+    setFormData(createInitialFormState());
     setErrors({});
     setTouched({});
     setIsSubmitting(false);
   }, []);
 
   const getSubmissionData = useCallback(() => {
+    const hasDimensions = formData.length !== '' && formData.width !== '' && formData.height !== '';
+    const customsItems = formData.customsItems.map(draftToCustomsItem);
+    // Itemized boxes declare the total value of their items
+    const declaredValue = customsItems.length > 0
+      ? getCustomsItemsTotals(customsItems).value
+      : parseFloat(formData.declaredValue);
+
     return {
       receiverName: formData.receiverName.trim(),
       weight: parseFloat(formData.weight),
-      boxColor: hexToRgb(formData.boxColor),
+      dimensions: hasDimensions
+        ? {
+            length: parseFloat(formData.length),
+            width: parseFloat(formData.width),
+            height: parseFloat(formData.height),
+          }
+        : null,
+      boxColor: parseColor(formData.boxColor),
       country: formData.country,
+      carrier: formData.carrier,
+      address: toAddress(formData, formData.country),
+      phone: formData.phone.trim(),
+      declaredValue: declaredValue > 0 ? declaredValue : null,
+      declaredCurrency: formData.declaredCurrency,
+      insured: formData.insured,
+      customsCategory: formData.customsCategory,
+      customsItems,
+      promoCode: formData.promoCode.trim().toUpperCase(),
+      dispatchDate: formData.dispatchDate || null,
     };
   }, [formData]);
 
@@ -106,6 +239,9 @@ export const useBoxForm = (onNegativeWeight) => {
     hasErrors,
     handleChange,
     handleBlur,
+    handleItemChange,
+    addItem,
+    removeItem,
     validateForm,
     resetForm,
     getSubmissionData,
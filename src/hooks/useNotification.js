@@ -10,18 +10,25 @@ export const useNotification = () => {
     message: '',
     type: 'info',
     isVisible: false,
+    action: null,
   });
 
-  const showNotification = useCallback((message, type = 'info') => {
+  /**
+   * @param {string} message - Message to show
+   * @param {string} type - success, error, warning or info
+   * @param {Object|null} action - Optional button ({ label, onClick }), e.g. Undo
+   */
+  const showNotification = useCallback((message, type = 'info', action = null) => {
     setNotification({
       message,
       type,
       isVisible: true,
+      action,
     });
   }, []);
 
-  const showSuccess = useCallback((message) => {
-    showNotification(message, 'success');
+  const showSuccess = useCallback((message, action = null) => {
+    showNotification(message, 'success', action);
   }, [showNotification]);
 
   const showError = useCallback((message) => {
@@ -49,6 +56,7 @@ export const useNotification = () => {
       message: '',
       type: 'info',
       isVisible: false,
+      action: null,
     });
   }, []);
 
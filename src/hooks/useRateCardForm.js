@@ -0,0 +1,105 @@
+/**
+ * Custom hook for managing the rate-card editor state and validation
+ */
+
+import { useState, useCallback } from 'react';
+import {
+  emptyRateCardDraft,
+  rateCardToDraft,
+  draftToRateCard,
+  validateRateCard,
+} from '../utils/rateCards';
+import { RATE_CARD_VALIDATION } from '../constants';
+
+export const useRateCardForm = () => {
+  const [draft, setDraft] = useState(null);
+  const [isNew, setIsNew] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const startCreate = useCallback(() => {
+    setDraft(emptyRateCardDraft());
+    setIsNew(true);
+    setErrors({});
+  }, []);
+
+  const startEdit = useCallback((code, card) => {
+    setDraft(rateCardToDraft(code, card));
+    setIsNew(false);
+    setErrors({});
+  }, []);
+
+  const cancel = useCallback(() => {
+    setDraft(null);
+    setIsNew(false);
+    setErrors({});
+  }, []);
+
+  const handleChange = useCallback((event) => {
+    const { name, value, type, checked } = event.target;
+    const nextValue = type === 'checkbox' ? checked : value;
+
+    setDraft(prev => ({
+      ...prev,
+      [name]: name === 'code' ? nextValue.toUpperCase() : nextValue,
+    }));
+    setErrors(prev => ({ ...prev, [name]: '' }));
+  }, []);
+
+  const handleBracketChange = useCallback((index, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      brackets: prev.brackets.map((bracket, i) => (
+        i === index ? { ...bracket, [field]: value } : bracket
+      )),
+    }));
+    setErrors(prev => ({ ...prev, brackets: '' }));
+  }, []);
+
+  const addBracket = useCallback(() => {
+    setDraft(prev => (
+      prev.brackets.length >= RATE_CARD_VALIDATION.MAX_BRACKETS
+        ? prev
+        : { ...prev, brackets: [...prev.brackets, { maxWeight: '', ratePerKg: '' }] }
+    ));
+  }, []);
+
+  const removeBracket = useCallback((index) => {
+    setDraft(prev => ({
+      ...prev,
+      brackets: prev.brackets.filter((_, i) => i !== index),
+    }));
+  }, []);
+
+  /**
+   * Validates the draft and returns the parsed rate card when valid
+   * @param {Array<string>} existingCodes - Codes already in use
+   * @returns {Object|null} { code, card } or null when invalid
+   */
+  const submit = useCallback((existingCodes) => {
+    const validation = validateRateCard(draft, { isNew, existingCodes });
+    setErrors(validation.errors);
+
+    if (!validation.isValid) {
+      return null;
+    }
+
+    return {
+      code: draft.code.trim(),
+      card: draftToRateCard(draft),
+    };
+  }, [draft, isNew]);
+
+  return {
+    draft,
+    isNew,
+    errors,
+    startCreate,
+    startEdit,
+    cancel,
+    handleChange,
+    handleBracketChange,
+    addBracket,
+    removeBracket,
+    submit,
+  };
+};
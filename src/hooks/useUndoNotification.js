@@ -0,0 +1,43 @@
+/**
+ * Custom hook for success notifications that offer to undo the change
+ * Wraps useNotification with an "Undo" action bound to a BoxContext history entry
+ */
+
+import { useCallback } from 'react';
+import { useBox } from '../context/BoxContext';
+import { useNotification } from './useNotification';
+
+export const useUndoNotification = () => {
+  const { undo } = useBox();
+  const notificationApi = useNotification();
+  const { showSuccess, showInfo, showError } = notificationApi;
+
+  /**
+   * Shows a success message with an Undo button for the given change
+   * @param {string} message - Success message
+   * @param {number} [historyId] - History id returned by the BoxContext action
+   */
+  const showUndoableSuccess = useCallback((message, historyId) => {
+    if (historyId === undefined) {
+      showSuccess(message);
+      return;
+    }
+
+    showSuccess(message, {
+      label: 'Undo',
+      onClick: () => {
+        const result = undo(historyId);
+        if (result.success) {
+          showInfo(result.message);
+        } else {
+          showError(result.error);
+        }
+      },
+    });
+  }, [undo, showSuccess, showInfo, showError]);
+
+  return {
+    ...notificationApi,
+    showUndoableSuccess,
+  };
+};
@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for Address Utilities
+ */
+
+import { getAddressFormat, validateAddress, toAddress, formatAddressLines, isRemoteArea } from '../address';
+
+const chinaAddress = {
+  region: 'Beijing',
+  city: 'Dongcheng',
+  line1: '1 Wangfujing Street',
+  line2: '',
+  postalCode: '100006',
+};
+
+describe('Address Utilities', () => {
+  describe('getAddressFormat', () => {
+    it('should order fields the way the destination writes them', () => {
+      expect(getAddressFormat('SWEDEN').fields).toEqual(['line1', 'line2', 'postalCode', 'city']);
+      expect(getAddressFormat('CHINA').fields).toEqual(['region', 'city', 'line1', 'line2', 'postalCode']);
+      expect(getAddressFormat('AUSTRALIA').labels.city).toBe('Suburb');
+    });
+
+    it('should fall back to the default format without postal code rules', () => {
+      const format = getAddressFormat('NEW_ZEALAND');
+      expect(format.fields).toEqual(['line1', 'line2', 'city', 'region', 'postalCode']);
+      expect(format.required).toEqual(['line1', 'city']);
+      expect(format.postalCode).toBeNull();
+      expect(getAddressFormat('').labels.postalCode).toBe('Postal Code');
+    });
+  });
+
+  describe('validateAddress', () => {
+    it('should accept a complete address', () => {
+      expect(validateAddress(chinaAddress, 'CHINA')).toEqual({});
+    });
+
+    it('should report required fields and malformed postal codes with the country\'s labels', () => {
+      const errors = validateAddress({ ...chinaAddress, region: '', postalCode: '1000' }, 'CHINA');
+      expect(errors).toEqual({
+        region: 'Province is required.',
+        postalCode: 'Please enter a valid Postal Code (e.g. 100000).',
+      });
+    });
+
+    it('should only check entered fields when the address is optional', () => {
+      expect(validateAddress({}, 'BRAZIL', false)).toEqual({});
+      expect(validateAddress({ postalCode: '01310100' }, 'BRAZIL', false)).toEqual({
+        postalCode: 'Please enter a valid CEP (e.g. 01310-100).',
+      });
+    });
+
+    it('should limit field length', () => {
+      const errors = validateAddress({ line1: 'a'.repeat(101), city: 'Wellington' }, 'NEW_ZEALAND');
+      expect(errors.line1).toMatch(/cannot exceed 100/);
+    });
+  });
+
+  describe('toAddress', () => {
+    it('should keep only the destination\'s fields, trimmed', () => {
+      expect(toAddress({ line1: ' Storgatan 1 ', city: 'Lund', postalCode: '222 22', region: 'Skåne' }, 'SWEDEN'))
+        .toEqual({ line1: 'Storgatan 1', line2: '', postalCode: '222 22', city: 'Lund' });
+    });
+
+    it('should return null when nothing was entered', () => {
+      expect(toAddress({ line1: '  ', city: '' }, 'SWEDEN')).toBeNull();
+    });
+  });
+
+  describe('formatAddressLines', () => {
+    it('should join fields that share a line and skip empty ones', () => {
+      expect(formatAddressLines(chinaAddress, 'CHINA')).toEqual([
+        'Beijing Dongcheng',
+        '1 Wangfujing Street',
+        '100006',
+      ]);
+      expect(formatAddressLines({ line1: '1 George St', city: 'Sydney', region: 'NSW', postalCode: '2000' }, 'AUSTRALIA'))
+        .toEqual(['1 George St', 'Sydney NSW 2000']);
+    });
+
+    it('should return no lines without an address', () => {
+      expect(formatAddressLines(null, 'SWEDEN')).toEqual([]);
+    });
+  });
+
+  describe('isRemoteArea', () => {
+    it('should match the destination\'s remote postal code prefixes', () => {
+      expect(isRemoteArea('SWEDEN', '981 31')).toBe(true);
+      expect(isRemoteArea('SWEDEN', '222 22')).toBe(false);
+      expect(isRemoteArea('AUSTRALIA', '0800')).toBe(true);
+      expect(isRemoteArea('NEW_ZEALAND', '9810')).toBe(false);
+      expect(isRemoteArea('SWEDEN', '')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit Tests for Analytics Utilities
+ */
+
+import {
+  toDayKey,
+  addDays,
+  getPresetRange,
+  filterByDateRange,
+  summarizeBoxes,
+  groupByCountry,
+  groupByDay,
+} from '../analytics';
+import { ANALYTICS } from '../../constants';
+
+const localIso = (date, time = '12:00:00') => new Date(`${date}T${time}`).toISOString();
+
+const boxes = [
+  { id: 'a', weight: 2, shippingCost: 20, country: 'SWEDEN', createdAt: localIso('2024-03-01') },
+  { id: 'b', weight: 3, shippingCost: 90, country: 'CHINA', createdAt: localIso('2024-03-01', '23:30:00') },
+  { id: 'c', weight: 5, shippingCost: 40, country: 'SWEDEN', createdAt: localIso('2024-03-04') },
+];
+
+describe('Analytics Utilities', () => {
+  it('should use local calendar days', () => {
+    expect(toDayKey(boxes[1].createdAt)).toBe('2024-03-01');
+    expect(toDayKey('not a date')).toBe('');
+    expect(addDays('2024-02-28', 2)).toBe('2024-03-01');
+    expect(addDays('2024-01-01', -1)).toBe('2023-12-31');
+  });
+
+  it('should build preset ranges ending today', () => {
+    expect(getPresetRange(7, new Date(2024, 2, 10, 15))).toEqual({ from: '2024-03-04', to: '2024-03-10' });
+  });
+
+  it('should filter boxes by an inclusive date range', () => {
+    expect(filterByDateRange(boxes, '2024-03-01', '2024-03-01').map(box => box.id)).toEqual(['a', 'b']);
+    expect(filterByDateRange(boxes, '2024-03-02', '').map(box => box.id)).toEqual(['c']);
+    expect(filterByDateRange(boxes, '', '')).toBe(boxes);
+  });
+
+  it('should summarize count, weight, cost and cost per kg', () => {
+    expect(summarizeBoxes(boxes)).toEqual({ count: 3, totalWeight: 10, totalCost: 150, costPerKg: 15 });
+    expect(summarizeBoxes([])).toEqual({ count: 0, totalWeight: 0, totalCost: 0, costPerKg: 0 });
+  });
+
+  it('should group by country, busiest first', () => {
+    expect(groupByCountry(boxes)).toEqual([
+      { key: 'SWEDEN', count: 2, totalWeight: 7, totalCost: 60, costPerKg: 60 / 7 },
+      { key: 'CHINA', count: 1, totalWeight: 3, totalCost: 90, costPerKg: 30 },
+    ]);
+  });
+
+  describe('groupByDay', () => {
+    it('should fill empty days between the first and last box', () => {
+      const series = groupByDay(boxes);
+
+      expect(series.map(day => day.key)).toEqual(['2024-03-01', '2024-03-02', '2024-03-03', '2024-03-04']);
+      expect(series[0]).toEqual({ key: '2024-03-01', count: 2, totalWeight: 5, totalCost: 110, costPerKg: 22 });
+      expect(series[1]).toEqual({ key: '2024-03-02', count: 0, totalWeight: 0, totalCost: 0, costPerKg: 0 });
+    });
+
+    it('should span the selected date range', () => {
+      const series = groupByDay(boxes, '2024-02-28', '2024-03-05');
+
+      expect(series).toHaveLength(7);
+      expect(series[0].key).toBe('2024-02-28');
+      expect(series[6].key).toBe('2024-03-05');
+    });
+
+    it('should fall back to the days with boxes for very long ranges', () => {
+      const from = addDays('2024-03-01', -ANALYTICS.MAX_DAYS);
+      expect(groupByDay(boxes, from, '2024-03-04')).toHaveLength(4);
+    });
+
+    it('should return an empty series without boxes', () => {
+      expect(groupByDay([], '2024-03-01', '2024-03-04')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Unit Tests for Box Export Utilities
+ */
+
+import { boxesToCsv, boxesToJson, parseBoxExport, getExportFileName } from '../boxExport';
+import { buildJsonImportRows, guessHeaderMapping, buildImportRows } from '../boxImport';
+import { parseCsv } from '../csv';
+import { calculateStatistics } from '../index';
+import { normalizeBoxStatus } from '../boxStatus';
+import { DEFAULT_RATE_CARDS, EXPORT_FORMAT, STORAGE } from '../../constants';
+
+const boxes = [
+  {
+    id: 'box_1',
+    receiverName: 'Doe, Jane',
+    weight: 2,
+    dimensions: { length: 30, width: 20, height: 10 },
+    volumetricWeight: 1.2,
+    chargeableWeight: 2,
+    boxColor: { r: 255, g: 0, b: 0 },
+    country: 'SWEDEN',
+    address: { line1: 'Storgatan 1', line2: '', postalCode: '222 22', city: 'Lund' },
+    phone: '+46 46 123 45',
+    declaredValue: 200,
+    declaredCurrency: 'EUR',
+    insured: true,
+    carrier: 'DHL',
+    shipmentId: 'shp_1',
+    trackingNumber: 'CP000000014IN',
+    promoCode: 'FESTIVE15',
+    discount: { source: 'promo', code: 'FESTIVE15', label: 'Promo FESTIVE15 (15%)' },
+    status: 'dispatched',
+    statusHistory: [
+      { status: 'draft', at: '2024-01-01T10:00:00.000Z' },
+      { status: 'packed', at: '2024-01-01T15:00:00.000Z' },
+      { status: 'dispatched', at: '2024-01-02T10:00:00.000Z' },
+    ],
+    dispatchDate: '2024-01-01',
+    estimatedDelivery: { handoverDate: '2024-01-01', earliest: '2024-01-03', latest: '2024-01-05' },
+    customsCategory: 'gift',
+    customsItems: [
+      { description: 'Wool sweater', quantity: 2, hsCode: '611011', unitValue: 100, netWeight: 0.6, originCountry: 'IN' },
+    ],
+    shippingCost: 14.7,
+    costBreakdown: { baseFreight: 14.7, fuelSurcharge: 0, remoteAreaFee: 0, gst: 0 },
+    insuranceCost: 272.73,
+    dutyCost: 0,
+    vatCost: 0,
+    createdAt: '2024-01-01T10:00:00.000Z',
+    updatedAt: '2024-01-02T10:00:00.000Z',
+  },
+  {
+    id: 'box_2',
+    receiverName: 'Bo',
+    weight: 1,
+    dimensions: null,
+    volumetricWeight: 0,
+    chargeableWeight: 1,
+    boxColor: { r: 0, g: 0, b: 255 },
+    country: 'CHINA',
+    shippingCost: 11.53,
+    createdAt: '2024-01-03T10:00:00.000Z',
+    updatedAt: '2024-01-03T10:00:00.000Z',
+  },
+];
+const statistics = calculateStatistics(boxes);
+
+describe('Box Export Utilities', () => {
+  describe('getExportFileName', () => {
+    it('should include the export date and extension', () => {
+      expect(getExportFileName('csv', new Date('2024-03-05T12:00:00Z'))).toBe('shipping-boxes-2024-03-05.csv');
+    });
+  });
+
+  describe('boxesToCsv', () => {
+    it('should write one row per box followed by the summary', () => {
+      const rows = parseCsv(boxesToCsv(boxes, statistics));
+
+      expect(rows[0]).toContain('Id');
+      expect(rows[0]).toContain('Shipping Cost (INR)');
+      expect(rows[0]).toContain('GST (INR)');
+      expect(rows[1][0]).toBe('box_1');
+      expect(rows[1][rows[0].indexOf('Base Freight (INR)')]).toBe('14.7');
+      expect(rows[1]).toContain('Doe, Jane');
+      expect(rows[1]).toContain('#ff0000');
+      expect(rows[2]).toContain('CHINA');
+      expect(rows).toContainEqual(['Total Boxes', '2']);
+      expect(rows).toContainEqual(['Total Cost (INR)', '26.23']);
+      expect(rows).toContainEqual(['Total Insurance (INR)', '272.73']);
+      expect(rows).toContainEqual(['Total Landed Cost (INR)', '298.96']);
+    });
+
+    it('should produce headers the CSV import recognises', () => {
+      const rows = parseCsv(boxesToCsv(boxes, statistics));
+      const mapping = guessHeaderMapping(rows[0]);
+      const [imported] = buildImportRows(rows.slice(1, 2), mapping, DEFAULT_RATE_CARDS);
+
+      expect(imported.isValid).toBe(true);
+      expect(imported.box).toMatchObject({
+        receiverName: 'Doe, Jane',
+        weight: 2,
+        dimensions: { length: 30, width: 20, height: 10 },
+        boxColor: { r: 255, g: 0, b: 0 },
+        country: 'SWEDEN',
+        address: { line1: 'Storgatan 1', line2: '', postalCode: '222 22', city: 'Lund' },
+        phone: '+46 46 123 45',
+        declaredValue: 200,
+        declaredCurrency: 'EUR',
+        insured: true,
+        dispatchDate: '2024-01-01',
+      });
+    });
+  });
+
+  describe('boxesToJson / parseBoxExport', () => {
+    it('should write a versioned document with the summary', () => {
+      const payload = JSON.parse(boxesToJson(boxes, statistics, new Date('2024-03-05T12:00:00Z')));
+
+      expect(payload.format).toBe(EXPORT_FORMAT);
+      expect(payload.version).toBe(STORAGE.SCHEMA_VERSION);
+      expect(payload.exportedAt).toBe('2024-03-05T12:00:00.000Z');
+      expect(payload.statistics.totalBoxes).toBe(2);
+      expect(payload.data.boxes).toEqual(boxes);
+    });
+
+    it('should round-trip through the JSON import', () => {
+      const exported = parseBoxExport(boxesToJson(boxes, statistics));
+      const rows = buildJsonImportRows(exported, DEFAULT_RATE_CARDS);
+
+      expect(rows.every(row => row.isValid)).toBe(true);
+      expect(rows[0].box).toEqual({
+        id: 'box_1',
+        receiverName: 'Doe, Jane',
+        weight: 2,
+        dimensions: { length: 30, width: 20, height: 10 },
+        boxColor: { r: 255, g: 0, b: 0 },
+        country: 'SWEDEN',
+        address: { line1: 'Storgatan 1', line2: '', postalCode: '222 22', city: 'Lund' },
+        phone: '+46 46 123 45',
+        declaredValue: 200,
+        declaredCurrency: 'EUR',
+        insured: true,
+        dispatchDate: '2024-01-01',
+        customsItems: boxes[0].customsItems,
+        carrier: 'DHL',
+        promoCode: 'FESTIVE15',
+        shipmentId: 'shp_1',
+        trackingNumber: 'CP000000014IN',
+        status: 'dispatched',
+        statusHistory: boxes[0].statusHistory,
+        customsCategory: 'gift',
+        createdAt: '2024-01-01T10:00:00.000Z',
+        updatedAt: '2024-01-02T10:00:00.000Z',
+      });
+      expect(rows[1].box.dimensions).toBeNull();
+      expect(rows[1].box.shipmentId).toBeNull();
+      expect(rows[1].box.status).toBe('draft');
+      expect(rows[1].box.trackingNumber).toBeNull();
+      expect(rows[1].box.promoCode).toBe('');
+      // What createBoxRecord keeps of the imported lifecycle
+      expect(normalizeBoxStatus(rows[0].box)).toEqual({ status: 'dispatched', statusHistory: boxes[0].statusHistory });
+    });
+
+    it('should migrate exports from older schema versions', () => {
+      const legacy = JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: 1,
+        data: { boxes: [{ id: 'old', receiverName: 'Al', weight: 3, boxColor: '(0, 0, 0)', country: 'BRAZIL' }] },
+      });
+
+      const [box] = parseBoxExport(legacy);
+      expect(box.dimensions).toBeNull();
+      expect(box.chargeableWeight).toBe(3);
+      expect(box.boxColor).toEqual({ r: 0, g: 0, b: 0 });
+    });
+
+    it('should reject files that are not box exports', () => {
+      expect(() => parseBoxExport('not json')).toThrow('not valid JSON');
+      expect(() => parseBoxExport('{"boxes": []}')).toThrow('not a shipping box export');
+    });
+  });
+
+  describe('buildJsonImportRows', () => {
+    it('should flag boxes that already exist or repeat within the file', () => {
+      const rows = buildJsonImportRows([...boxes, boxes[1]], DEFAULT_RATE_CARDS, new Set(['box_1']));
+
+      expect(rows[0].isValid).toBe(false);
+      expect(rows[0].errors.id).toContain('box_1');
+      expect(rows[1].isValid).toBe(true);
+      expect(rows[2].isValid).toBe(false);
+      expect(rows[2].rowNumber).toBe(3);
+    });
+
+    it('should reject carriers that do not serve the destination', () => {
+      const [row] = buildJsonImportRows([{ ...boxes[1], carrier: 'FEDEX', country: 'BRAZIL' }], DEFAULT_RATE_CARDS);
+      expect(row.errors.carrier).toBe('FedEx International Economy does not ship to Brazil.');
+    });
+
+    it('should keep well-formed tracking numbers only', () => {
+      const [spaced, mistyped] = buildJsonImportRows([
+        { ...boxes[0], trackingNumber: 'cp 000 000 014 in' },
+        { ...boxes[0], id: 'box_3', trackingNumber: 'CP000000015IN' },
+      ], DEFAULT_RATE_CARDS);
+
+      expect(spaced.box.trackingNumber).toBe('CP000000014IN');
+      expect(mistyped.box.trackingNumber).toBeNull();
+    });
+
+    it('should accept promo codes valid when the box was booked, even if expired since', () => {
+      const [expired, unknown] = buildJsonImportRows([
+        boxes[0],
+        { ...boxes[0], id: 'box_3', promoCode: 'SAVE99' },
+      ], DEFAULT_RATE_CARDS);
+
+      expect(expired.isValid).toBe(true);
+      expect(unknown.errors.promoCode).toBe('Promo code SAVE99 does not exist.');
+    });
+
+    it('should reject status histories that skip a transition', () => {
+      const skipped = { ...boxes[0], statusHistory: [boxes[0].statusHistory[0], boxes[0].statusHistory[2]] };
+      const [row] = buildJsonImportRows([skipped], DEFAULT_RATE_CARDS);
+
+      expect(row.isValid).toBe(false);
+      expect(row.errors.status).toBe('Cannot change status from Draft to Dispatched');
+    });
+
+    it('should reject customs items that outweigh the box', () => {
+      const heavy = { ...boxes[0], customsItems: [{ ...boxes[0].customsItems[0], netWeight: 1.5 }] };
+      const [row] = buildJsonImportRows([heavy], DEFAULT_RATE_CARDS);
+
+      expect(row.isValid).toBe(false);
+      expect(row.errors.customsItems).toBe("Items weigh 3 kg in total, more than the box's 2 kg.");
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for Box Import Utilities
+ */
+
+import { guessHeaderMapping, resolveCountry, buildImportRows } from '../boxImport';
+import { DEFAULT_RATE_CARDS } from '../../constants';
+
+const headers = ['Receiver', 'Weight (kg)', 'Colour', 'Destination', 'L', 'W', 'H'];
+const mapping = guessHeaderMapping(headers);
+
+describe('Box Import Utilities', () => {
+  describe('guessHeaderMapping', () => {
+    it('should map common header names to fields', () => {
+      expect(mapping).toEqual({
+        receiverName: 0,
+        weight: 1,
+        boxColor: 2,
+        country: 3,
+        length: 4,
+        width: 5,
+        height: 6,
+        line1: -1,
+        line2: -1,
+        city: -1,
+        region: -1,
+        postalCode: -1,
+        phone: -1,
+        declaredValue: -1,
+        declaredCurrency: -1,
+        insured: -1,
+        dispatchDate: -1,
+      });
+    });
+
+    it('should mark missing fields with -1', () => {
+      const partial = guessHeaderMapping(['name', 'kg']);
+      expect(partial.receiverName).toBe(0);
+      expect(partial.weight).toBe(1);
+      expect(partial.country).toBe(-1);
+    });
+  });
+
+  describe('resolveCountry', () => {
+    it('should match codes and display names case-insensitively', () => {
+      expect(resolveCountry('SWEDEN', DEFAULT_RATE_CARDS)).toBe('SWEDEN');
+      expect(resolveCountry('brazil', DEFAULT_RATE_CARDS)).toBe('BRAZIL');
+      expect(resolveCountry(' Australia ', DEFAULT_RATE_CARDS)).toBe('AUSTRALIA');
+    });
+
+    it('should return null for unknown or empty values', () => {
+      expect(resolveCountry('Atlantis', DEFAULT_RATE_CARDS)).toBeNull();
+      expect(resolveCountry('', DEFAULT_RATE_CARDS)).toBeNull();
+    });
+  });
+
+  describe('buildImportRows', () => {
+    it('should build box data for valid rows', () => {
+      const [row] = buildImportRows([['Jane', '2.5', '#ff0000', 'Sweden', '30', '20', '10']], mapping, DEFAULT_RATE_CARDS);
+
+      expect(row.rowNumber).toBe(2);
+      expect(row.isValid).toBe(true);
+      expect(row.box).toEqual({
+        receiverName: 'Jane',
+        weight: 2.5,
+        dimensions: { length: 30, width: 20, height: 10 },
+        boxColor: { r: 255, g: 0, b: 0 },
+        country: 'SWEDEN',
+        address: null,
+        phone: '',
+        declaredValue: null,
+        declaredCurrency: 'INR',
+        insured: false,
+        dispatchDate: null,
+      });
+    });
+
+    it('should read and validate the dispatch date', () => {
+      const dateMapping = guessHeaderMapping([...headers, 'Ship Date']);
+      const rows = buildImportRows([
+        ['Jane', '1', '', 'Sweden', '', '', '', '2024-01-31'],
+        ['Jane', '1', '', 'Sweden', '', '', '', '31/01/2024'],
+      ], dateMapping, DEFAULT_RATE_CARDS);
+
+      expect(rows[0].box.dispatchDate).toBe('2024-01-31');
+      expect(Object.keys(rows[1].errors)).toEqual(['dispatchDate']);
+    });
+
+    it('should read the declared value, its currency and the insurance flag', () => {
+      const valueMapping = guessHeaderMapping([...headers, 'Goods Value', 'Currency', 'Insured']);
+      const rows = buildImportRows([
+        ['Jane', '1', '', 'Sweden', '', '', '', '120.5', 'eur', 'Yes'],
+        ['Jane', '1', '', 'Sweden', '', '', '', '', 'XYZ', 'yes'],
+      ], valueMapping, DEFAULT_RATE_CARDS);
+
+      expect(rows[0].box).toMatchObject({ declaredValue: 120.5, declaredCurrency: 'EUR', insured: true });
+      expect(Object.keys(rows[1].errors).sort()).toEqual(['declaredCurrency', 'declaredValue']);
+    });
+
+    it('should validate an address only when one is given', () => {
+      const addressMapping = guessHeaderMapping([...headers, 'Street', 'Town', 'Postcode', 'Phone']);
+      const rows = buildImportRows([
+        ['Jane', '1', '', 'Sweden', '', '', '', 'Drottninggatan 1', 'Stockholm', '111 51', '+46 8 123 456 78'],
+        ['Jane', '1', '', 'Sweden', '', '', '', 'Drottninggatan 1', '', '11151x', ''],
+        ['Jane', '1', '', 'Sweden', '', '', '', '', '', '', ''],
+      ], addressMapping, DEFAULT_RATE_CARDS);
+
+      expect(rows[0].box.address).toEqual({ line1: 'Drottninggatan 1', line2: '', postalCode: '111 51', city: 'Stockholm' });
+      expect(rows[0].box.phone).toBe('+46 8 123 456 78');
+      expect(Object.keys(rows[1].errors).sort()).toEqual(['city', 'postalCode']);
+      expect(rows[2].isValid).toBe(true);
+      expect(rows[2].box.address).toBeNull();
+    });
+
+    it('should default the color and omit missing dimensions', () => {
+      const [row] = buildImportRows([['Jane', '1', '', 'CHINA', '', '', '']], mapping, DEFAULT_RATE_CARDS);
+
+      expect(row.isValid).toBe(true);
+      expect(row.box.dimensions).toBeNull();
+      expect(row.box.boxColor).toEqual({ r: 52, g: 152, b: 219 });
+    });
+
+    it('should read colors in any CSS notation', () => {
+      const rows = buildImportRows(
+        ['#f00', 'hsl(0 100% 50%)', 'rgba(255, 0, 0, 0.5)', 'Red'].map(color => ['Jane', '1', color, 'CHINA', '', '', '']),
+        mapping,
+        DEFAULT_RATE_CARDS
+      );
+
+      expect(rows.map(row => row.box.boxColor)).toEqual(Array(4).fill({ r: 255, g: 0, b: 0 }));
+    });
+
+    it('should report errors per field', () => {
+      const rows = buildImportRows([
+        ['', '-1', 'blue-ish', 'Atlantis', '', '', ''],
+        ['Jane', '2', '', 'SWEDEN', '10', '', ''],
+      ], mapping, DEFAULT_RATE_CARDS);
+
+      expect(rows[0].isValid).toBe(false);
+      expect(rows[0].box).toBeNull();
+      expect(Object.keys(rows[0].errors)).toEqual(expect.arrayContaining(['receiverName', 'weight', 'boxColor', 'country']));
+      expect(rows[0].errors.country).toContain('Atlantis');
+      expect(rows[0].errors.boxColor).toBe('"blue-ish" is not a valid color. Enter a color as hex (#rgb, #rgba, #rrggbb or #rrggbbaa), rgb(), rgba(), hsl(), hsla() or a CSS color name.');
+      expect(rows[1].isValid).toBe(false);
+      expect(rows[1].rowNumber).toBe(3);
+    });
+
+    it('should reject disabled countries', () => {
+      const rateCards = {
+        ...DEFAULT_RATE_CARDS,
+        CHINA: { ...DEFAULT_RATE_CARDS.CHINA, enabled: false },
+      };
+      const [row] = buildImportRows([['Jane', '1', '', 'China', '', '', '']], mapping, rateCards);
+
+      expect(row.isValid).toBe(false);
+      expect(row.errors.country).toContain('disabled');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for Box Query Utilities
+ */
+
+import {
+  parseBoxQuery,
+  serializeBoxQuery,
+  hasActiveFilters,
+  filterBoxes,
+  sortBoxes,
+  applyBoxQuery,
+  toggleSort,
+  paginate,
+  EMPTY_BOX_QUERY,
+} from '../boxQuery';
+
+const localIso = (date) => new Date(`${date}T12:00:00`).toISOString();
+
+const boxes = [
+  { id: 'a', receiverName: 'Charlie', weight: 5, country: 'SWEDEN', status: 'packed', trackingNumber: 'CP000000014IN', shippingCost: 36, createdAt: localIso('2024-01-10') },
+  { id: 'b', receiverName: 'alice', weight: 1, country: 'CHINA', status: 'draft', shippingCost: 14, createdAt: localIso('2024-02-01') },
+  { id: 'c', receiverName: 'Bob', weight: 12, country: 'SWEDEN', status: 'draft', shippingCost: 75, createdAt: localIso('2024-03-15') },
+];
+
+const query = (params) => ({ ...EMPTY_BOX_QUERY, ...params });
+
+describe('Box Query Utilities', () => {
+  describe('parseBoxQuery', () => {
+    it('should read valid params', () => {
+      const parsed = parseBoxQuery(new URLSearchParams('search=al&country=sweden&minWeight=2&to=2024-02-01&sort=weight&dir=desc&summary=filtered'));
+
+      expect(parsed).toEqual(query({
+        search: 'al',
+        country: 'SWEDEN',
+        minWeight: '2',
+        to: '2024-02-01',
+        sort: 'weight',
+        dir: 'desc',
+        summary: 'filtered',
+      }));
+    });
+
+    it('should read pagination params', () => {
+      const parsed = parseBoxQuery(new URLSearchParams('page=3&pageSize=100'));
+      expect(parsed).toMatchObject({ page: 3, pageSize: 100 });
+    });
+
+    it('should read a known status', () => {
+      expect(parseBoxQuery(new URLSearchParams('status=inTransit')).status).toBe('inTransit');
+    });
+
+    it('should drop invalid values', () => {
+      const parsed = parseBoxQuery(new URLSearchParams('status=lost&minWeight=abc&from=yesterday&sort=color&dir=up&summary=x&page=-2&pageSize=7'));
+      expect(parsed).toEqual(EMPTY_BOX_QUERY);
+    });
+  });
+
+  describe('serializeBoxQuery', () => {
+    it('should omit defaults and round-trip through parseBoxQuery', () => {
+      const original = query({ search: 'bo', maxCost: '50', sort: 'shippingCost', dir: 'desc' });
+      const params = serializeBoxQuery(original);
+
+      expect(params.toString()).toBe('search=bo&maxCost=50&sort=shippingCost&dir=desc');
+      expect(parseBoxQuery(params)).toEqual(original);
+      expect(serializeBoxQuery(EMPTY_BOX_QUERY).toString()).toBe('');
+    });
+  });
+
+  describe('hasActiveFilters', () => {
+    it('should ignore sorting and summary mode', () => {
+      expect(hasActiveFilters(query({ sort: 'weight', summary: 'filtered' }))).toBe(false);
+      expect(hasActiveFilters(query({ minCost: '0' }))).toBe(true);
+    });
+  });
+
+  describe('filterBoxes', () => {
+    it('should search receiver names case-insensitively', () => {
+      expect(filterBoxes(boxes, query({ search: 'AL' })).map(b => b.id)).toEqual(['b']);
+    });
+
+    it('should filter by country and inclusive ranges', () => {
+      expect(filterBoxes(boxes, query({ country: 'SWEDEN', maxWeight: '5' })).map(b => b.id)).toEqual(['a']);
+      expect(filterBoxes(boxes, query({ minCost: '14', maxCost: '36' })).map(b => b.id)).toEqual(['a', 'b']);
+    });
+
+    it('should find tracking numbers however they are spaced', () => {
+      expect(filterBoxes(boxes, query({ search: 'cp 0000 0001 4in' })).map(b => b.id)).toEqual(['a']);
+    });
+
+    it('should filter by status', () => {
+      expect(filterBoxes(boxes, query({ status: 'draft' })).map(b => b.id)).toEqual(['b', 'c']);
+      expect(filterBoxes(boxes, query({ status: 'delivered' }))).toEqual([]);
+    });
+
+    it('should filter by created date including both ends', () => {
+      expect(filterBoxes(boxes, query({ from: '2024-02-01', to: '2024-03-15' })).map(b => b.id)).toEqual(['b', 'c']);
+    });
+
+    it('should return the same array when nothing is filtered', () => {
+      expect(filterBoxes(boxes, EMPTY_BOX_QUERY)).toBe(boxes);
+    });
+  });
+
+  describe('sortBoxes', () => {
+    it('should sort text and numbers in both directions', () => {
+      expect(sortBoxes(boxes, 'receiverName').map(b => b.id)).toEqual(['b', 'c', 'a']);
+      expect(sortBoxes(boxes, 'weight', 'desc').map(b => b.id)).toEqual(['c', 'a', 'b']);
+    });
+
+    it('should keep insertion order for ties and unknown fields', () => {
+      expect(sortBoxes(boxes, 'country').map(b => b.id)).toEqual(['b', 'a', 'c']);
+      expect(sortBoxes(boxes, 'boxColor')).toBe(boxes);
+    });
+  });
+
+  describe('applyBoxQuery', () => {
+    it('should filter then sort', () => {
+      expect(applyBoxQuery(boxes, query({ country: 'SWEDEN', sort: 'shippingCost', dir: 'desc' })).map(b => b.id)).toEqual(['c', 'a']);
+    });
+  });
+
+  describe('toggleSort', () => {
+    it('should cycle ascending, descending and unsorted', () => {
+      const asc = toggleSort(EMPTY_BOX_QUERY, 'weight');
+      const desc = toggleSort(asc, 'weight');
+      const none = toggleSort(desc, 'weight');
+
+      expect([asc.sort, asc.dir]).toEqual(['weight', 'asc']);
+      expect([desc.sort, desc.dir]).toEqual(['weight', 'desc']);
+      expect(none.sort).toBe('');
+      expect(toggleSort(desc, 'country')).toMatchObject({ sort: 'country', dir: 'asc' });
+    });
+  });
+
+  describe('paginate', () => {
+    const rows = Array.from({ length: 120 }, (_, index) => index);
+
+    it('should return the requested page', () => {
+      const result = paginate(rows, 2, 50);
+      expect(result).toMatchObject({ page: 2, pageCount: 3, start: 50 });
+      expect(result.rows).toHaveLength(50);
+      expect(result.rows[0]).toBe(50);
+    });
+
+    it('should clamp out-of-range pages', () => {
+      expect(paginate(rows, 9, 50)).toMatchObject({ page: 3, start: 100 });
+      expect(paginate(rows, 9, 50).rows).toHaveLength(20);
+      expect(paginate([], 4, 50)).toMatchObject({ page: 1, pageCount: 1, rows: [] });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for Box Status Utilities
+ */
+
+import {
+  getNextStatuses,
+  getStatusTransitionError,
+  getStatusHistoryError,
+  transitionStatus,
+  normalizeBoxStatus,
+  getStatusChangedAt,
+} from '../boxStatus';
+import { UI_MESSAGES } from '../../constants';
+
+const draftBox = {
+  status: 'draft',
+  statusHistory: [{ status: 'draft', at: '2024-01-01T10:00:00.000Z' }],
+  createdAt: '2024-01-01T10:00:00.000Z',
+  updatedAt: '2024-01-02T10:00:00.000Z',
+};
+
+describe('Box Status Utilities', () => {
+  it('should list the statuses a box can move to', () => {
+    expect(getNextStatuses('draft')).toEqual(['packed', 'cancelled']);
+    expect(getNextStatuses('cancelled')).toEqual([]);
+    expect(getNextStatuses('unknown')).toEqual([]);
+  });
+
+  describe('getStatusTransitionError', () => {
+    it('should allow the forward lifecycle', () => {
+      const path = ['draft', 'packed', 'dispatched', 'inTransit', 'delivered', 'returned'];
+      path.slice(1).forEach((status, index) => {
+        expect(getStatusTransitionError(path[index], status)).toBeNull();
+      });
+    });
+
+    it('should reject skipped, backward and final-state transitions', () => {
+      expect(getStatusTransitionError('draft', 'delivered')).toBe('Cannot change status from Draft to Delivered');
+      expect(getStatusTransitionError('inTransit', 'packed')).not.toBeNull();
+      expect(getStatusTransitionError('cancelled', 'draft')).not.toBeNull();
+    });
+
+    it('should reject unknown statuses', () => {
+      expect(getStatusTransitionError('draft', 'lost')).toBe(UI_MESSAGES.ERRORS.INVALID_BOX_STATUS);
+    });
+  });
+
+  describe('getStatusHistoryError', () => {
+    const history = [
+      { status: 'draft', at: '2024-01-01T10:00:00.000Z' },
+      { status: 'packed', at: '2024-01-02T10:00:00.000Z' },
+      { status: 'dispatched', at: '2024-01-03T10:00:00.000Z' },
+    ];
+
+    it('should accept a history that follows the lifecycle to the current status', () => {
+      expect(getStatusHistoryError('dispatched', history)).toBeNull();
+      expect(getStatusHistoryError('draft', [])).toBeNull();
+    });
+
+    it('should reject skipped transitions and histories that do not match the status', () => {
+      expect(getStatusHistoryError('dispatched', [history[0], history[2]]))
+        .toBe('Cannot change status from Draft to Dispatched');
+      expect(getStatusHistoryError('delivered', history)).toBe('Status history does not end at Delivered');
+      expect(getStatusHistoryError('packed', history.slice(1, 2))).toBe('Status history must start at Draft');
+      expect(getStatusHistoryError('packed', [])).toBe('No status history leads to Packed');
+      expect(getStatusHistoryError('draft', [{ status: 'draft', at: 'yesterday' }])).not.toBeNull();
+      expect(getStatusHistoryError('lost', history)).toBe(UI_MESSAGES.ERRORS.INVALID_BOX_STATUS);
+    });
+  });
+
+  describe('transitionStatus', () => {
+    it('should append the transition time to the history', () => {
+      const updates = transitionStatus(draftBox, 'packed', '2024-01-03T09:00:00.000Z');
+
+      expect(updates).toEqual({
+        status: 'packed',
+        statusHistory: [
+          { status: 'draft', at: '2024-01-01T10:00:00.000Z' },
+          { status: 'packed', at: '2024-01-03T09:00:00.000Z' },
+        ],
+      });
+      expect(draftBox.statusHistory).toHaveLength(1);
+    });
+
+    it('should throw on an invalid transition', () => {
+      expect(() => transitionStatus(draftBox, 'dispatched')).toThrow('Cannot change status from Draft to Dispatched');
+    });
+  });
+
+  describe('normalizeBoxStatus', () => {
+    it('should default boxes without a status to draft', () => {
+      expect(normalizeBoxStatus({ createdAt: draftBox.createdAt, updatedAt: draftBox.updatedAt })).toEqual({
+        status: 'draft',
+        statusHistory: [{ status: 'draft', at: draftBox.updatedAt }],
+      });
+    });
+
+    it('should keep a valid history and drop malformed entries', () => {
+      const box = {
+        ...draftBox,
+        status: 'packed',
+        statusHistory: [...draftBox.statusHistory, { status: 'lost' }, { status: 'packed', at: '2024-01-02T10:00:00.000Z' }],
+      };
+      expect(normalizeBoxStatus(box).statusHistory).toEqual([
+        draftBox.statusHistory[0],
+        { status: 'packed', at: '2024-01-02T10:00:00.000Z' },
+      ]);
+    });
+
+    it('should record the current status when the history does not end with it', () => {
+      const { statusHistory } = normalizeBoxStatus({ ...draftBox, status: 'delivered' });
+      expect(statusHistory[statusHistory.length - 1]).toEqual({ status: 'delivered', at: draftBox.updatedAt });
+    });
+  });
+
+  it('should report when a box entered its current status', () => {
+    expect(getStatusChangedAt(draftBox)).toBe('2024-01-01T10:00:00.000Z');
+    expect(getStatusChangedAt({})).toBeNull();
+  });
+});
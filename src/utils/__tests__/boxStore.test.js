@@ -0,0 +1,325 @@
+/**
+ * Unit Tests for the Box Store
+ * Includes a benchmark that reports add/remove cost at bulk-day sizes
+ */
+
+import {
+  createBoxStore,
+  getStoredBox,
+  getStoredBoxes,
+  getStoredBoxByTrackingNumber,
+  addToStore,
+  removeFromStore,
+  updateInStore,
+  removeManyFromStore,
+  updateManyInStore,
+  recalculateStoreStatistics,
+  getStoredShipment,
+  getStoredShipments,
+  addShipmentToStore,
+  updateShipmentInStore,
+  removeShipmentFromStore,
+} from '../boxStore';
+import { calculateStatistics } from '../index';
+import { boxReducer, createInitialState, ActionTypes } from '../../context/BoxContext';
+
+const makeBox = (index) => ({
+  id: `box_${index}`,
+  receiverName: `Receiver ${index}`,
+  weight: (index % 20) + 0.5,
+  chargeableWeight: (index % 20) + 1,
+  shippingCost: ((index % 50) + 1) * 7.35,
+  insuranceCost: index % 3 === 0 ? 50 : 0,
+  dutyCost: (index % 7) * 1.1,
+  vatCost: (index % 7) * 3.3,
+  country: 'SWEDEN',
+});
+
+const idsOf = (store) => getStoredBoxes(store).map(box => box.id);
+
+const expectStatisticsToMatch = (store) => {
+  const expected = calculateStatistics(getStoredBoxes(store));
+  expect(store.statistics.totalBoxes).toBe(expected.totalBoxes);
+  expect(store.statistics.totalWeight).toBeCloseTo(expected.totalWeight, 6);
+  expect(store.statistics.totalChargeableWeight).toBeCloseTo(expected.totalChargeableWeight, 6);
+  expect(store.statistics.totalCost).toBeCloseTo(expected.totalCost, 6);
+  expect(store.statistics.totalInsurance).toBeCloseTo(expected.totalInsurance, 6);
+  expect(store.statistics.totalDuty).toBeCloseTo(expected.totalDuty, 6);
+  expect(store.statistics.totalVat).toBeCloseTo(expected.totalVat, 6);
+};
+
+describe('Box Store', () => {
+  const boxes = [makeBox(1), makeBox(2), makeBox(3)];
+
+  it('should keep boxes in order and look them up by id', () => {
+    const store = createBoxStore(boxes);
+
+    expect(getStoredBoxes(store)).toEqual(boxes);
+    expect(getStoredBox(store, 'box_2')).toBe(boxes[1]);
+    expect(getStoredBox(store, 'missing')).toBeNull();
+    expect(store.statistics).toEqual(calculateStatistics(boxes));
+  });
+
+  it('should add boxes without mutating the previous store', () => {
+    const store = createBoxStore(boxes);
+    const next = addToStore(store, [makeBox(4), makeBox(5)]);
+
+    expect(idsOf(next)).toEqual(['box_1', 'box_2', 'box_3', 'box_4', 'box_5']);
+    expect(getStoredBox(store, 'box_4')).toBeNull();
+    expect(idsOf(store)).toHaveLength(3);
+    expectStatisticsToMatch(next);
+  });
+
+  it('should ignore boxes whose id is already stored', () => {
+    const store = createBoxStore(boxes);
+    expect(addToStore(store, [makeBox(1)])).toBe(store);
+  });
+
+  it('should remove boxes and keep statistics consistent', () => {
+    const store = createBoxStore(boxes);
+    const next = removeFromStore(store, 'box_2');
+
+    expect(idsOf(next)).toEqual(['box_1', 'box_3']);
+    expect(getStoredBox(next, 'box_2')).toBeNull();
+    expect(getStoredBox(store, 'box_2')).not.toBeNull();
+    expectStatisticsToMatch(next);
+    expect(removeFromStore(next, 'box_2')).toBe(next);
+  });
+
+  it('should reset statistics to exact zeros when emptied', () => {
+    let store = createBoxStore(boxes);
+    boxes.forEach((box) => {
+      store = removeFromStore(store, box.id);
+    });
+
+    expect(store.statistics).toEqual(calculateStatistics([]));
+  });
+
+  it('should update a box in place', () => {
+    const store = createBoxStore(boxes);
+    const next = updateInStore(store, 'box_2', { weight: 40, shippingCost: 300 });
+
+    expect(getStoredBoxes(next)[1]).toBe(getStoredBox(next, 'box_2'));
+    expect(getStoredBoxes(store)[1]).toBe(boxes[1]);
+    expect(getStoredBox(next, 'box_2')).toMatchObject({ id: 'box_2', weight: 40, shippingCost: 300 });
+    expect(getStoredBox(store, 'box_2').weight).toBe(boxes[1].weight);
+    expectStatisticsToMatch(next);
+    expect(updateInStore(store, 'missing', { weight: 1 })).toBe(store);
+  });
+
+  it('should remove several boxes at once', () => {
+    const store = createBoxStore(boxes);
+    const next = removeManyFromStore(store, ['box_1', 'box_3', 'box_3', 'missing']);
+
+    expect(idsOf(next)).toEqual(['box_2']);
+    expect(idsOf(store)).toHaveLength(3);
+    expectStatisticsToMatch(next);
+    expect(removeManyFromStore(next, ['missing'])).toBe(next);
+    expect(removeManyFromStore(store, idsOf(store)).statistics).toEqual(calculateStatistics([]));
+  });
+
+  it('should update several boxes at once', () => {
+    const store = createBoxStore(boxes);
+    const next = updateManyInStore(store, [
+      { id: 'box_1', updates: { country: 'BRAZIL', shippingCost: 99 } },
+      { id: 'box_3', updates: { country: 'BRAZIL' } },
+      { id: 'missing', updates: { country: 'BRAZIL' } },
+    ]);
+
+    expect(idsOf(next)).toEqual(['box_1', 'box_2', 'box_3']);
+    expect(getStoredBoxes(next).map(box => box.country)).toEqual(['BRAZIL', 'SWEDEN', 'BRAZIL']);
+    expect(getStoredBox(store, 'box_1').country).toBe('SWEDEN');
+    expectStatisticsToMatch(next);
+    expect(updateManyInStore(store, [{ id: 'missing', updates: {} }])).toBe(store);
+  });
+
+  it('should list the latest version of a box updated twice in one batch', () => {
+    const store = createBoxStore(boxes);
+    const next = updateManyInStore(store, [
+      { id: 'box_2', updates: { weight: 10 } },
+      { id: 'box_2', updates: { shippingCost: 20 } },
+    ]);
+
+    expect(getStoredBoxes(next)).toHaveLength(3);
+    expect(getStoredBoxes(next)[1]).toBe(getStoredBox(next, 'box_2'));
+    expect(getStoredBoxes(next)[1]).toMatchObject({ weight: 10, shippingCost: 20 });
+    expectStatisticsToMatch(next);
+  });
+
+  it('should recalculate statistics from scratch on request', () => {
+    const store = { ...createBoxStore(boxes), statistics: calculateStatistics([]) };
+    expect(recalculateStoreStatistics(store).statistics).toEqual(calculateStatistics(boxes));
+  });
+
+  describe('shipments', () => {
+    const shipment = { id: 'shp_1', reference: 'SHP-0001', country: 'SWEDEN', status: 'open' };
+    const shipmentBoxes = [
+      { ...makeBox(1), shipmentId: 'shp_1' },
+      { ...makeBox(2), shipmentId: 'shp_1' },
+      makeBox(3),
+    ];
+
+    const expectShipmentStatisticsToMatch = (store, id) => {
+      const expected = calculateStatistics(getStoredBoxes(store).filter(box => box.shipmentId === id));
+      const actual = store.shipmentStatistics[id];
+      expect(actual.totalBoxes).toBe(expected.totalBoxes);
+      expect(actual.totalWeight).toBeCloseTo(expected.totalWeight, 6);
+      expect(actual.totalCost).toBeCloseTo(expected.totalCost, 6);
+    };
+
+    it('should load shipments with their totals', () => {
+      const store = createBoxStore(shipmentBoxes, [shipment]);
+
+      expect(getStoredShipments(store)).toEqual([shipment]);
+      expect(getStoredShipment(store, 'shp_1')).toBe(shipment);
+      expect(getStoredShipment(store, 'missing')).toBeNull();
+      expect(store.shipmentStatistics.shp_1).toEqual(calculateStatistics(shipmentBoxes.slice(0, 2)));
+    });
+
+    it('should keep shipment totals consistent as boxes change', () => {
+      let store = createBoxStore(shipmentBoxes, [shipment]);
+
+      store = removeFromStore(store, 'box_1');
+      expectShipmentStatisticsToMatch(store, 'shp_1');
+
+      store = updateManyInStore(store, [{ id: 'box_3', updates: { shipmentId: 'shp_1' } }]);
+      expectShipmentStatisticsToMatch(store, 'shp_1');
+
+      store = updateInStore(store, 'box_2', { weight: 30, shippingCost: 200 });
+      expectShipmentStatisticsToMatch(store, 'shp_1');
+
+      store = removeManyFromStore(store, ['box_2', 'box_3']);
+      expect(store.shipmentStatistics.shp_1).toEqual(calculateStatistics([]));
+
+      store = addToStore(store, [{ ...makeBox(4), shipmentId: 'shp_1' }]);
+      expectShipmentStatisticsToMatch(store, 'shp_1');
+      expect(getStoredShipments(store)).toEqual([shipment]);
+    });
+
+    it('should add, update and remove shipments', () => {
+      let store = addShipmentToStore(createBoxStore(shipmentBoxes), shipment);
+      expect(store.shipmentStatistics.shp_1).toEqual(calculateStatistics([]));
+      expect(addShipmentToStore(store, shipment)).toBe(store);
+
+      store = updateShipmentInStore(store, 'shp_1', { status: 'closed' });
+      expect(getStoredShipment(store, 'shp_1').status).toBe('closed');
+      expect(updateShipmentInStore(store, 'missing', { status: 'closed' })).toBe(store);
+
+      store = createBoxStore(shipmentBoxes, [shipment]);
+      const next = removeShipmentFromStore(store, 'shp_1');
+      expect(getStoredShipments(next)).toEqual([]);
+      expect(next.shipmentStatistics).toEqual({});
+      expect(getStoredBoxes(next).map(box => box.shipmentId || null)).toEqual([null, null, null]);
+      expectStatisticsToMatch(next);
+      expect(removeShipmentFromStore(next, 'shp_1')).toBe(next);
+    });
+
+    it('should recalculate shipment totals from scratch', () => {
+      const store = { ...createBoxStore(shipmentBoxes, [shipment]), shipmentStatistics: {} };
+      expect(recalculateStoreStatistics(store).shipmentStatistics.shp_1)
+        .toEqual(calculateStatistics(shipmentBoxes.slice(0, 2)));
+    });
+  });
+
+  it('should count promo code uses as boxes come and go', () => {
+    const promo = { source: 'promo', code: 'WELCOME10', label: 'Promo WELCOME10 (10%)' };
+    let store = createBoxStore([{ ...boxes[0], discount: promo }, boxes[1]]);
+    expect(store.statistics.promoCodeUses).toEqual({ WELCOME10: 1 });
+
+    store = addToStore(store, [{ ...boxes[2], discount: promo }]);
+    expect(store.statistics.promoCodeUses).toEqual({ WELCOME10: 2 });
+
+    store = updateInStore(store, 'box_1', { discount: null });
+    store = removeFromStore(store, 'box_3');
+    expect(store.statistics.promoCodeUses).toEqual({});
+  });
+
+  it('should keep the tracking number index in step with the boxes', () => {
+    const numbered = boxes.map((box, index) => ({ ...box, trackingNumber: `CP0000000${index}IN` }));
+    let store = createBoxStore(numbered.slice(0, 2));
+    expect(getStoredBoxByTrackingNumber(store, 'CP00000001IN')).toBe(numbered[1]);
+
+    store = addToStore(store, [numbered[2]]);
+    expect(getStoredBoxByTrackingNumber(store, 'CP00000002IN')).toBe(numbered[2]);
+
+    const previous = store;
+    store = updateInStore(store, 'box_3', { trackingNumber: 'CP00000009IN' });
+    expect(getStoredBoxByTrackingNumber(store, 'CP00000002IN')).toBeNull();
+    expect(getStoredBoxByTrackingNumber(store, 'CP00000009IN').id).toBe('box_3');
+    expect(getStoredBoxByTrackingNumber(previous, 'CP00000002IN')).toBe(numbered[2]);
+
+    store = removeManyFromStore(removeFromStore(store, 'box_1'), ['box_2']);
+    expect(getStoredBoxByTrackingNumber(store, 'CP00000000IN')).toBeNull();
+    expect(getStoredBoxByTrackingNumber(store, 'CP00000001IN')).toBeNull();
+    expect(getStoredBoxByTrackingNumber(store, 'missing')).toBeNull();
+  });
+
+  // Timings depend on the host, so they are reported rather than asserted; only the
+  // resulting store can fail these tests
+  describe('benchmark', () => {
+    const SIZE = 20000;
+    const OPERATIONS = 500;
+
+    const reportTimings = (label, timings) => {
+      const lines = Object.keys(timings).map(name => `  ${name}: ${timings[name].toFixed(3)} ms/op`);
+      console.info([`${label} (${SIZE} boxes stored)`, ...lines].join('\n'));
+    };
+
+    it(`should add, remove and update boxes with ${SIZE} boxes stored`, () => {
+      let store = createBoxStore(Array.from({ length: SIZE }, (_, index) => makeBox(index)));
+
+      const addStart = performance.now();
+      for (let i = 0; i < OPERATIONS; i += 1) {
+        store = addToStore(store, [makeBox(SIZE + i)]);
+      }
+      const addTime = (performance.now() - addStart) / OPERATIONS;
+
+      const removeStart = performance.now();
+      for (let i = 0; i < OPERATIONS; i += 1) {
+        // Remove from the middle of the list, the slowest position for the ordered list
+        store = removeFromStore(store, `box_${SIZE / 2 + i}`);
+      }
+      const removeTime = (performance.now() - removeStart) / OPERATIONS;
+
+      const updateStart = performance.now();
+      for (let i = 0; i < OPERATIONS; i += 1) {
+        store = updateInStore(store, `box_${i}`, { weight: 1 });
+      }
+      const updateTime = (performance.now() - updateStart) / OPERATIONS;
+
+      reportTimings('Box store', { add: addTime, remove: removeTime, update: updateTime });
+
+      expect(getStoredBoxes(store)).toHaveLength(SIZE);
+      expectStatisticsToMatch(store);
+    });
+
+    it(`should dispatch changes through the reducer with ${SIZE} boxes stored`, () => {
+      let state = boxReducer(createInitialState(), {
+        type: ActionTypes.LOAD_BOXES,
+        payload: { boxes: Array.from({ length: SIZE }, (_, index) => makeBox(index)), shipments: [] },
+      });
+
+      // Each dispatch also records history and reads the list the context hands to screens
+      const time = (createAction) => {
+        const start = performance.now();
+        for (let i = 0; i < OPERATIONS; i += 1) {
+          state = boxReducer(state, { ...createAction(i), meta: { historyId: i, label: 'Change' } });
+          getStoredBoxes(state.store);
+        }
+        return (performance.now() - start) / OPERATIONS;
+      };
+
+      const addTime = time(i => ({ type: ActionTypes.ADD_BOX, payload: makeBox(SIZE + i) }));
+      const removeTime = time(i => ({ type: ActionTypes.REMOVE_BOX, payload: `box_${SIZE / 2 + i}` }));
+      const updateTime = time(i => ({ type: ActionTypes.UPDATE_BOX, payload: { id: `box_${i}`, updates: { weight: 1 } } }));
+      const undoTime = time(() => ({ type: ActionTypes.UNDO }));
+
+      reportTimings('Box reducer', { add: addTime, remove: removeTime, update: updateTime, undo: undoTime });
+
+      expect(state.error).toBeNull();
+      expect(getStoredBoxes(state.store)).toHaveLength(SIZE);
+      expect(state.future.length).toBeGreaterThan(0);
+      expectStatisticsToMatch(state.store);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for Carrier Utilities
+ */
+
+import {
+  getCarrierRateCards,
+  resolveCarrierRateCards,
+  carrierServesCountry,
+  getTransitDays,
+  getCarrierName,
+  compareCarriers,
+} from '../carriers';
+import { DEFAULT_RATE_CARDS, CARRIERS, UI_MESSAGES } from '../../constants';
+
+const closedSweden = {
+  ...DEFAULT_RATE_CARDS,
+  SWEDEN: { ...DEFAULT_RATE_CARDS.SWEDEN, enabled: false },
+};
+
+describe('Carrier Utilities', () => {
+  describe('getCarrierRateCards', () => {
+    it('should price the default carrier with the admin rate cards', () => {
+      expect(getCarrierRateCards('INDIA_POST')).toEqual(DEFAULT_RATE_CARDS);
+      expect(getCarrierRateCards('INDIA_POST', closedSweden).CHINA).toBe(closedSweden.CHINA);
+    });
+
+    it('should keep countries closed in the admin closed for every carrier', () => {
+      Object.keys(CARRIERS).forEach((carrierId) => {
+        const tables = getCarrierRateCards(carrierId, closedSweden);
+        expect(tables.SWEDEN).toBeUndefined();
+        expect(tables.CHINA).toBeDefined();
+      });
+      expect(getCarrierRateCards('DHL', closedSweden).CHINA).toBe(CARRIERS.DHL.rates.CHINA);
+    });
+
+    it('should keep a closed country open for the box already shipping there', () => {
+      expect(getCarrierRateCards('INDIA_POST', closedSweden, 'SWEDEN').SWEDEN).toBe(closedSweden.SWEDEN);
+      expect(getCarrierRateCards('DHL', closedSweden, 'SWEDEN').SWEDEN).toBe(CARRIERS.DHL.rates.SWEDEN);
+    });
+
+    it('should return null for an unknown carrier', () => {
+      expect(getCarrierRateCards('UPS')).toBeNull();
+    });
+  });
+
+  describe('resolveCarrierRateCards', () => {
+    it('should throw when the carrier does not ship to the country', () => {
+      expect(() => resolveCarrierRateCards('FEDEX', 'BRAZIL'))
+        .toThrow('FedEx International Economy does not ship to Brazil.');
+      expect(() => resolveCarrierRateCards('UPS', 'SWEDEN')).toThrow('Unknown carrier: UPS');
+    });
+
+    it('should leave missing rate cards to the quote for the default carrier', () => {
+      expect(resolveCarrierRateCards('INDIA_POST', 'NEW_ZEALAND')).toEqual(DEFAULT_RATE_CARDS);
+    });
+
+    it('should refuse a disabled destination for every carrier', () => {
+      Object.keys(CARRIERS).forEach((carrierId) => {
+        expect(() => resolveCarrierRateCards(carrierId, 'SWEDEN', closedSweden))
+          .toThrow(UI_MESSAGES.ERRORS.COUNTRY_DISABLED);
+        expect(resolveCarrierRateCards(carrierId, 'SWEDEN', closedSweden, 'SWEDEN').SWEDEN).toBeDefined();
+      });
+    });
+  });
+
+  describe('carrierServesCountry / getTransitDays / getCarrierName', () => {
+    it('should describe each carrier', () => {
+      expect(carrierServesCountry('FEDEX', 'SWEDEN')).toBe(true);
+      expect(carrierServesCountry('FEDEX', 'BRAZIL')).toBe(false);
+      expect(getTransitDays('DHL', 'CHINA')).toEqual({ min: 2, max: 3 });
+      expect(getTransitDays('INDIA_POST', 'NEW_ZEALAND')).toEqual({ min: 10, max: 20 });
+      expect(getCarrierName('DHL')).toBe('DHL Express');
+      expect(getCarrierName('UPS')).toBe('UPS');
+    });
+  });
+
+  describe('compareCarriers', () => {
+    const shipment = { weight: 20, country: 'SWEDEN' };
+
+    it('should quote every carrier that serves the destination', () => {
+      expect(compareCarriers(shipment).map(option => option.carrierId)).toEqual(['INDIA_POST', 'DHL', 'FEDEX']);
+      expect(compareCarriers({ ...shipment, country: 'BRAZIL' }).map(option => option.carrierId))
+        .toEqual(['INDIA_POST', 'DHL']);
+    });
+
+    it('should flag the cheapest and the fastest carrier', () => {
+      const options = compareCarriers(shipment);
+      const lowestCost = Math.min(...options.map(option => option.quote.cost));
+
+      expect(options.filter(option => option.cheapest).map(option => option.quote.cost)).toEqual([lowestCost]);
+      expect(options.filter(option => option.fastest).map(option => option.carrierId)).toEqual(['DHL']);
+    });
+
+    it('should skip carriers without rates for the destination', () => {
+      expect(compareCarriers({ weight: 1, country: 'NEW_ZEALAND' })).toEqual([]);
+    });
+
+    it('should quote no carrier for a disabled destination, except for a box already shipping there', () => {
+      expect(compareCarriers(shipment, closedSweden)).toEqual([]);
+      expect(compareCarriers({ ...shipment, currentCountry: 'SWEDEN' }, closedSweden)
+        .map(option => option.carrierId)).toEqual(['INDIA_POST', 'DHL', 'FEDEX']);
+      expect(compareCarriers({ ...shipment, currentCountry: 'CHINA' }, closedSweden)).toEqual([]);
+    });
+  });
+});
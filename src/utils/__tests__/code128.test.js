@@ -0,0 +1,45 @@
+/**
+ * Unit Tests for the Code 128 Encoder
+ */
+
+import { encodeCode128, encodeCode128Values } from '../code128';
+
+describe('Code 128 Encoder', () => {
+  describe('encodeCode128Values', () => {
+    it('should encode text in code set B with a checksum and stop symbol', () => {
+      expect(encodeCode128Values('PJJ123C')).toEqual([104, 48, 42, 42, 17, 18, 19, 35, 55, 106]);
+    });
+
+    it('should switch to code set C for runs of digits', () => {
+      expect(encodeCode128Values('12345')).toEqual([105, 12, 34, 100, 21, 54, 106]);
+
+      const values = encodeCode128Values('box_1792369573970_jx5ss4qk8');
+      expect(values.slice(0, 5)).toEqual([104, 66, 79, 88, 63]);
+      expect(values.slice(5, 12)).toEqual([99, 17, 92, 36, 95, 73, 97]);
+      expect(values[12]).toBe(100);
+    });
+
+    it('should keep short digit runs in code set B', () => {
+      expect(encodeCode128Values('A12B').slice(0, 5)).toEqual([104, 33, 17, 18, 34]);
+    });
+
+    it('should reject empty and non-ASCII text', () => {
+      expect(() => encodeCode128Values('')).toThrow();
+      expect(() => encodeCode128Values('Ünïcødé')).toThrow();
+    });
+  });
+
+  describe('encodeCode128', () => {
+    it('should produce 11 modules per symbol plus a 13 module stop', () => {
+      const modules = encodeCode128('PJJ123C');
+      expect(modules).toHaveLength(9 * 11 + 13);
+      expect(modules[0]).toBe(true);
+      expect(modules[modules.length - 1]).toBe(true);
+    });
+
+    it('should start with the code B start pattern', () => {
+      const start = encodeCode128('ABC').slice(0, 11).map(dark => (dark ? 1 : 0)).join('');
+      expect(start).toBe('11010010000');
+    });
+  });
+});
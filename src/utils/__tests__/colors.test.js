@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Color Utilities
+ */
+
+import {
+  isRgbColor,
+  hexToRgb,
+  parseColor,
+  rgbToColor,
+  rgbToHex,
+  getColorName,
+} from '../colors';
+
+const RED = { r: 255, g: 0, b: 0 };
+
+describe('Color Utilities', () => {
+  describe('hexToRgb', () => {
+    it('should convert 3, 4, 6 and 8-digit hex', () => {
+      expect(hexToRgb('#ff0000')).toEqual(RED);
+      expect(hexToRgb('ff0000')).toEqual(RED); // without #
+      expect(hexToRgb('#F00')).toEqual(RED);
+      expect(hexToRgb('#f008')).toEqual(RED);
+      expect(hexToRgb('#ff000080')).toEqual(RED);
+      expect(hexToRgb('#0a0b0c')).toEqual({ r: 10, g: 11, b: 12 });
+    });
+
+    it('should return null for anything else', () => {
+      expect(hexToRgb('')).toBeNull();
+      expect(hexToRgb(null)).toBeNull();
+      expect(hexToRgb('invalid')).toBeNull();
+      expect(hexToRgb('#ff000')).toBeNull();
+      expect(hexToRgb('fab')).toBeNull(); // short forms need the #
+      expect(hexToRgb(123)).toBeNull();
+    });
+  });
+
+  describe('parseColor', () => {
+    it('should read rgb() and rgba() with commas, spaces or percentages', () => {
+      expect(parseColor('rgb(1, 2, 3)')).toEqual({ r: 1, g: 2, b: 3 });
+      expect(parseColor('RGB(255 0 0 / 50%)')).toEqual(RED);
+      expect(parseColor('rgba(255, 0, 0, 0.5)')).toEqual(RED);
+      expect(parseColor('rgb(100%, 0%, 0%)')).toEqual(RED);
+    });
+
+    it('should read hsl() and hsla()', () => {
+      expect(parseColor('hsl(0, 100%, 50%)')).toEqual(RED);
+      expect(parseColor('hsl(120deg 100% 25%)')).toEqual({ r: 0, g: 128, b: 0 });
+      expect(parseColor('hsla(0.5turn, 100%, 50%, 1)')).toEqual({ r: 0, g: 255, b: 255 });
+      expect(parseColor('hsl(204 70% 53%)')).toEqual({ r: 51, g: 152, b: 219 });
+    });
+
+    it('should read CSS named colors case-insensitively', () => {
+      expect(parseColor('Red')).toEqual(RED);
+      expect(parseColor(' rebeccapurple ')).toEqual({ r: 102, g: 51, b: 153 });
+    });
+
+    it('should read stored colors, including the legacy "(r, g, b)" string', () => {
+      expect(parseColor(RED)).toEqual(RED);
+      expect(parseColor(' (10,20,30) ')).toEqual({ r: 10, g: 20, b: 30 });
+    });
+
+    it('should return null for unrecognized or out-of-range colors', () => {
+      expect(parseColor('')).toBeNull();
+      expect(parseColor('blue-ish')).toBeNull();
+      expect(parseColor('rgb(256, 0, 0)')).toBeNull();
+      expect(parseColor('rgb(255, 0)')).toBeNull();
+      expect(parseColor('rgba(255, 0, 0, 2)')).toBeNull();
+      expect(parseColor('hsl(0, 120%, 50%)')).toBeNull();
+      expect(parseColor({ r: 300, g: 0, b: 0 })).toBeNull();
+      expect(parseColor(null)).toBeNull();
+    });
+  });
+
+  describe('isRgbColor', () => {
+    it('should only accept whole channels from 0 to 255', () => {
+      expect(isRgbColor(RED)).toBe(true);
+      expect(isRgbColor({ r: 1.5, g: 0, b: 0 })).toBe(false);
+      expect(isRgbColor('(255, 0, 0)')).toBe(false);
+      expect(isRgbColor(null)).toBe(false);
+    });
+  });
+
+  describe('rgbToColor / rgbToHex', () => {
+    it('should format colors for CSS and as hex', () => {
+      expect(rgbToColor(RED)).toBe('rgb(255, 0, 0)');
+      expect(rgbToColor('(0, 0, 255)')).toBe('rgb(0, 0, 255)');
+      expect(rgbToHex({ r: 52, g: 152, b: 219 })).toBe('#3498db');
+      expect(rgbToHex(hexToRgb('#0a0b0c'))).toBe('#0a0b0c');
+    });
+
+    it('should fall back to black for invalid colors', () => {
+      expect(rgbToColor('')).toBe('#000000');
+      expect(rgbToColor(null)).toBe('#000000');
+      expect(rgbToHex('invalid')).toBe('#000000');
+    });
+  });
+
+  describe('getColorName', () => {
+    it('should name exact and nearby colors after the closest CSS color', () => {
+      expect(getColorName(RED)).toBe('red');
+      expect(getColorName('#808080')).toBe('gray');
+      expect(getColorName({ r: 52, g: 152, b: 219 })).toBe('dodgerblue');
+      expect(getColorName(null)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for CSV Utilities
+ */
+
+import { parseCsv, escapeCsvValue, toCsv } from '../csv';
+
+describe('CSV Utilities', () => {
+  describe('parseCsv', () => {
+    it('should split rows and fields', () => {
+      expect(parseCsv('a,b,c\n1,2,3')).toEqual([
+        ['a', 'b', 'c'],
+        ['1', '2', '3'],
+      ]);
+    });
+
+    it('should handle quoted fields with delimiters, quotes and newlines', () => {
+      const text = 'name,note\r\n"Doe, John","said ""hi""\nthen left"\r\n';
+      expect(parseCsv(text)).toEqual([
+        ['name', 'note'],
+        ['Doe, John', 'said "hi"\nthen left'],
+      ]);
+    });
+
+    it('should keep empty fields and skip blank lines', () => {
+      expect(parseCsv('a,,c\n\n,,\n1,2,')).toEqual([
+        ['a', '', 'c'],
+        ['1', '2', ''],
+      ]);
+    });
+
+    it('should strip a byte order mark and support other delimiters', () => {
+      expect(parseCsv('﻿a;b\n1;2', ';')).toEqual([
+        ['a', 'b'],
+        ['1', '2'],
+      ]);
+    });
+
+    it('should throw on an unterminated quoted field', () => {
+      expect(() => parseCsv('a,"b\n1,2')).toThrow('unterminated');
+    });
+
+    it('should return an empty array for non-string input', () => {
+      expect(parseCsv(null)).toEqual([]);
+    });
+  });
+
+  describe('escapeCsvValue', () => {
+    it('should quote values that need it', () => {
+      expect(escapeCsvValue('plain')).toBe('plain');
+      expect(escapeCsvValue('a,b')).toBe('"a,b"');
+      expect(escapeCsvValue('say "x"')).toBe('"say ""x"""');
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue(12.5)).toBe('12.5');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should round-trip through parseCsv', () => {
+      const rows = [['Receiver', 'Note'], ['Doe, John', 'line 1\nline 2'], ['A "B"', '']];
+      expect(parseCsv(toCsv(rows))).toEqual(rows);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Customs Utilities
+ */
+
+import {
+  getCustomsRules,
+  calculateInsurancePremium,
+  calculateImportCharges,
+  calculateDeclaredValueCharges,
+  getLandedCost,
+  getLandedTotal,
+} from '../customs';
+import { calculateStatistics } from '../index';
+import { DEFAULT_RATE_CARDS, CUSTOMS_RULES, DEFAULT_CUSTOMS_RULES } from '../../constants';
+
+describe('Customs Utilities', () => {
+  describe('getCustomsRules', () => {
+    it('should read the rules from the rate card', () => {
+      const rateCards = {
+        ...DEFAULT_RATE_CARDS,
+        SWEDEN: { ...DEFAULT_RATE_CARDS.SWEDEN, customs: { deMinimis: 0, dutyRate: 0, vatRate: 20 } },
+      };
+      expect(getCustomsRules('SWEDEN', rateCards).vatRate).toBe(20);
+    });
+
+    it('should fall back to built-in rules, then to none', () => {
+      const { customs, ...savedCard } = DEFAULT_RATE_CARDS.BRAZIL;
+      expect(getCustomsRules('BRAZIL', { BRAZIL: savedCard })).toEqual(CUSTOMS_RULES.BRAZIL);
+      expect(getCustomsRules('NEW_ZEALAND', { NEW_ZEALAND: savedCard })).toEqual(DEFAULT_CUSTOMS_RULES);
+    });
+  });
+
+  describe('calculateInsurancePremium', () => {
+    it('should charge the rate within the minimum and maximum premium', () => {
+      expect(calculateInsurancePremium(10000)).toBe(150);
+      expect(calculateInsurancePremium(1000)).toBe(50);
+      expect(calculateInsurancePremium(10000000)).toBe(25000);
+    });
+
+    it('should charge nothing without an insured value', () => {
+      expect(calculateInsurancePremium(0)).toBe(0);
+      expect(calculateInsurancePremium(null)).toBe(0);
+    });
+
+    it('should accept other insurance terms', () => {
+      expect(calculateInsurancePremium(1000, { RATE: 10, MIN_PREMIUM: 0, MAX_PREMIUM: 50 })).toBe(50);
+    });
+  });
+
+  describe('calculateImportCharges', () => {
+    it('should charge duty on the customs value and VAT on top of duty', () => {
+      expect(calculateImportCharges(20000, 100, 300, 'SWEDEN')).toEqual({
+        dutiable: true,
+        deMinimis: 13500,
+        duty: 816,
+        vat: 5304,
+      });
+      expect(calculateImportCharges(5000, 100, 0, 'BRAZIL')).toMatchObject({ duty: 3060, vat: 1387.2 });
+    });
+
+    it('should let goods at or below the de-minimis through free', () => {
+      expect(calculateImportCharges(13500, 100, 300, 'SWEDEN')).toEqual({
+        dutiable: false,
+        deMinimis: 13500,
+        duty: 0,
+        vat: 0,
+      });
+      expect(calculateImportCharges(0, 100, 0, 'BRAZIL').dutiable).toBe(false);
+    });
+  });
+
+  describe('calculateDeclaredValueCharges', () => {
+    const box = { country: 'SWEDEN', declaredValue: 200, declaredCurrency: 'EUR', insured: true };
+
+    it('should value the goods in the base currency before pricing them', () => {
+      expect(calculateDeclaredValueCharges(box, 14.7)).toEqual({
+        goodsValue: 18181.82,
+        dutiable: true,
+        deMinimis: 13500,
+        insuranceCost: 272.73,
+        dutyCost: 738.77,
+        vatCost: 4802,
+      });
+    });
+
+    it('should only insure boxes that ask for it', () => {
+      expect(calculateDeclaredValueCharges({ ...box, insured: false }, 14.7).insuranceCost).toBe(0);
+    });
+
+    it('should charge nothing without a declared value', () => {
+      expect(calculateDeclaredValueCharges({ country: 'SWEDEN', declaredValue: null, insured: true }, 14.7))
+        .toMatchObject({ goodsValue: 0, insuranceCost: 0, dutyCost: 0, vatCost: 0 });
+    });
+
+    it('should throw without an exchange rate for the declared currency', () => {
+      expect(() => calculateDeclaredValueCharges({ ...box, declaredCurrency: 'GBP' }, 14.7)).toThrow();
+    });
+  });
+
+  describe('getLandedCost / getLandedTotal', () => {
+    const boxes = [
+      { shippingCost: 10, insuranceCost: 50, dutyCost: 4, vatCost: 16 },
+      { shippingCost: 5.5 },
+    ];
+
+    it('should add shipping, insurance, duty and VAT', () => {
+      expect(getLandedCost(boxes[0])).toBe(80);
+      expect(getLandedCost(boxes[1])).toBe(5.5);
+      expect(getLandedTotal(calculateStatistics(boxes))).toBe(85.5);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Customs Declaration Utilities
+ */
+
+import {
+  emptyCustomsItem,
+  customsItemToDraft,
+  draftToCustomsItem,
+  getCustomsItemsTotals,
+  validateCustomsItems,
+  getCustomsFormType,
+} from '../customsDeclaration';
+
+const item = {
+  description: 'Cotton scarf',
+  quantity: '3',
+  hsCode: '6214.10',
+  unitValue: '450.50',
+  netWeight: '0.2',
+  originCountry: 'in',
+};
+
+describe('Customs Declaration Utilities', () => {
+  describe('draftToCustomsItem / customsItemToDraft', () => {
+    it('should parse numbers, strip HS code separators and uppercase the origin', () => {
+      const parsed = draftToCustomsItem(item);
+      expect(parsed).toEqual({
+        description: 'Cotton scarf',
+        quantity: 3,
+        hsCode: '621410',
+        unitValue: 450.5,
+        netWeight: 0.2,
+        originCountry: 'IN',
+      });
+      expect(customsItemToDraft(parsed)).toEqual({ ...item, hsCode: '621410', unitValue: '450.5', originCountry: 'IN' });
+    });
+
+    it('should start new items at one piece made in India', () => {
+      expect(emptyCustomsItem()).toMatchObject({ quantity: '1', originCountry: 'IN' });
+    });
+  });
+
+  describe('getCustomsItemsTotals', () => {
+    it('should multiply value and weight by quantity', () => {
+      const items = [draftToCustomsItem(item), { ...draftToCustomsItem(item), quantity: 1, unitValue: 99.99 }];
+      expect(getCustomsItemsTotals(items)).toEqual({ quantity: 4, value: 1451.49, netWeight: 0.8 });
+    });
+
+    it('should total nothing without items', () => {
+      expect(getCustomsItemsTotals([])).toEqual({ quantity: 0, value: 0, netWeight: 0 });
+    });
+  });
+
+  describe('validateCustomsItems', () => {
+    it('should accept valid lines, or none at all', () => {
+      expect(validateCustomsItems([item], 1)).toBeNull();
+      expect(validateCustomsItems([{ ...item, hsCode: '' }], 1)).toBeNull();
+      expect(validateCustomsItems([], 1)).toBeNull();
+    });
+
+    it('should report the first invalid field with its line number', () => {
+      expect(validateCustomsItems([item, { ...item, description: ' ' }], 1))
+        .toBe('Item 2: description is required.');
+      expect(validateCustomsItems([{ ...item, quantity: '1.5' }], 1)).toMatch(/^Item 1: quantity/);
+      expect(validateCustomsItems([{ ...item, hsCode: '62141' }], 1)).toBe('Item 1: HS code must have 6, 8 or 10 digits.');
+      expect(validateCustomsItems([{ ...item, unitValue: '0' }], 1)).toMatch(/unit value/);
+      expect(validateCustomsItems([{ ...item, netWeight: '' }], 1)).toMatch(/net weight/);
+      expect(validateCustomsItems([{ ...item, originCountry: 'IND' }], 1)).toMatch(/country of origin/);
+    });
+
+    it('should not let the items outweigh the box', () => {
+      expect(validateCustomsItems([item], 0.5)).toBe("Items weigh 0.6 kg in total, more than the box's 0.5 kg.");
+      expect(validateCustomsItems([item], 0.6)).toBeNull();
+    });
+
+    it('should limit the number of lines', () => {
+      expect(validateCustomsItems(Array(21).fill(item), 100)).toMatch(/No more than 20/);
+    });
+  });
+
+  describe('getCustomsFormType', () => {
+    it('should use CN22 up to the threshold and CN23 above it', () => {
+      expect(getCustomsFormType(33000)).toBe('CN22');
+      expect(getCustomsFormType(33000.01)).toBe('CN23');
+      expect(getCustomsFormType(0)).toBe('CN22');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for Delivery Date Utilities
+ */
+
+import {
+  toIsoDate,
+  parseIsoDate,
+  isBusinessDay,
+  nextBusinessDay,
+  addBusinessDays,
+  getPublicHolidays,
+  estimateDelivery,
+  formatDeliveryWindow,
+} from '../deliveryDates';
+import { parseHolidays } from '../rateCards';
+import { DEFAULT_RATE_CARDS, ORIGIN_HOLIDAYS, PUBLIC_HOLIDAYS } from '../../constants';
+
+const day = (value) => parseIsoDate(value);
+
+describe('Delivery Date Utilities', () => {
+  describe('parseIsoDate / toIsoDate', () => {
+    it('should round-trip calendar dates', () => {
+      expect(toIsoDate(day('2026-10-02'))).toBe('2026-10-02');
+    });
+
+    it('should reject malformed and impossible dates', () => {
+      expect(parseIsoDate('2026-02-30')).toBeNull();
+      expect(parseIsoDate('2/10/2026')).toBeNull();
+      expect(parseIsoDate(null)).toBeNull();
+    });
+  });
+
+  describe('business days', () => {
+    it('should skip weekends and holidays', () => {
+      expect(isBusinessDay(day('2026-10-16'))).toBe(true);
+      expect(isBusinessDay(day('2026-10-17'))).toBe(false);
+      expect(isBusinessDay(day('2026-10-19'), ['2026-10-19'])).toBe(false);
+    });
+
+    it('should find the first business day on or after a date', () => {
+      expect(toIsoDate(nextBusinessDay(day('2026-10-16')))).toBe('2026-10-16');
+      expect(toIsoDate(nextBusinessDay(day('2026-10-17')))).toBe('2026-10-19');
+      expect(toIsoDate(nextBusinessDay(day('2026-10-17'), ['2026-10-19']))).toBe('2026-10-20');
+    });
+
+    it('should count business days forward', () => {
+      expect(toIsoDate(addBusinessDays(day('2026-10-16'), 1))).toBe('2026-10-19');
+      expect(toIsoDate(addBusinessDays(day('2026-10-16'), 1, ['2026-10-19']))).toBe('2026-10-20');
+      expect(toIsoDate(addBusinessDays(day('2026-10-16'), 0))).toBe('2026-10-16');
+    });
+  });
+
+  describe('getPublicHolidays', () => {
+    it('should read the holidays from the rate card, then fall back to the built-in list', () => {
+      const rateCards = { SWEDEN: { ...DEFAULT_RATE_CARDS.SWEDEN, holidays: ['2026-11-06'] } };
+      expect(getPublicHolidays('SWEDEN', rateCards)).toEqual(['2026-11-06']);
+
+      const { holidays, ...savedCard } = DEFAULT_RATE_CARDS.CHINA;
+      expect(getPublicHolidays('CHINA', { CHINA: savedCard })).toEqual(PUBLIC_HOLIDAYS.CHINA);
+      expect(getPublicHolidays('NEW_ZEALAND', { NEW_ZEALAND: savedCard })).toEqual([]);
+    });
+  });
+
+  describe('estimateDelivery', () => {
+    it('should hand over on the next Indian business day and count destination business days', () => {
+      // Gandhi Jayanti in India, then China's National Day week
+      expect(estimateDelivery({ dispatchDate: '2026-10-02', country: 'CHINA', transitDays: { min: 2, max: 3 } }))
+        .toEqual({ handoverDate: '2026-10-05', earliest: '2026-10-09', latest: '2026-10-12' });
+    });
+
+    it('should skip holidays at the destination', () => {
+      expect(estimateDelivery({ dispatchDate: '2026-12-23', country: 'SWEDEN', transitDays: { min: 2, max: 4 } }))
+        .toEqual({ handoverDate: '2026-12-23', earliest: '2026-12-29', latest: '2027-01-04' });
+    });
+
+    it('should accept other Indian holidays', () => {
+      const shipment = { dispatchDate: '2026-10-16', country: 'SWEDEN', transitDays: { min: 1, max: 1 } };
+      expect(estimateDelivery(shipment, DEFAULT_RATE_CARDS, ['2026-10-16']).handoverDate).toBe('2026-10-19');
+    });
+
+    it('should move the window when an origin holiday is added on the admin screen', () => {
+      const shipment = { dispatchDate: '2026-10-20', country: 'SWEDEN', transitDays: { min: 2, max: 4 } };
+      const edited = parseHolidays(`${ORIGIN_HOLIDAYS.join('\n')}\n2026-10-20, 2026-10-21`);
+
+      expect(estimateDelivery(shipment, DEFAULT_RATE_CARDS, ORIGIN_HOLIDAYS))
+        .toEqual({ handoverDate: '2026-10-20', earliest: '2026-10-22', latest: '2026-10-26' });
+      expect(estimateDelivery(shipment, DEFAULT_RATE_CARDS, edited))
+        .toEqual({ handoverDate: '2026-10-22', earliest: '2026-10-26', latest: '2026-10-28' });
+    });
+
+    it('should need a dispatch date and a transit time', () => {
+      expect(estimateDelivery({ dispatchDate: '', country: 'SWEDEN', transitDays: { min: 2, max: 4 } })).toBeNull();
+      expect(estimateDelivery({ dispatchDate: '2026-10-16', country: 'SWEDEN', transitDays: null })).toBeNull();
+    });
+  });
+
+  describe('formatDeliveryWindow', () => {
+    it('should show the window with its year, or nothing without one', () => {
+      expect(formatDeliveryWindow({ earliest: '2026-12-29', latest: '2027-01-04' })).toMatch(/ – .*2027/);
+      expect(formatDeliveryWindow({ earliest: '2027-01-04', latest: '2027-01-04' })).not.toContain('–');
+      expect(formatDeliveryWindow(null)).toBe('');
+    });
+  });
+});
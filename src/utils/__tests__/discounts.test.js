@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for Discount Utilities
+ */
+
+import {
+  findPromoCode,
+  countPromoCodeUses,
+  adjustPromoCodeUses,
+  checkPromoCode,
+  getVolumeTier,
+  getDiscountOffers,
+  pickBestDiscount,
+  getRedemptionDate,
+} from '../discounts';
+import { calculateShippingQuote } from '../index';
+import { createBoxRecords } from '../../context/BoxContext';
+import { DEFAULT_RATE_CARDS, DEFAULT_EXCHANGE_RATES } from '../../constants';
+
+const promoCodes = [
+  { code: 'SAVE10', type: 'percent', value: 10, expiresAt: '2024-06-30', countries: null, maxUses: 2 },
+  { code: 'NORDIC50', type: 'fixed', value: 50, expiresAt: null, countries: ['SWEDEN'], maxUses: null },
+];
+const now = new Date('2024-06-30T20:00:00');
+const usedBy = (id) => ({ id, discount: { source: 'promo', code: 'SAVE10', label: 'Promo SAVE10 (10%)' } });
+
+describe('Discount Utilities', () => {
+  describe('findPromoCode', () => {
+    it('should ignore case and surrounding spaces', () => {
+      expect(findPromoCode(' save10 ', promoCodes).value).toBe(10);
+      expect(findPromoCode('SAVE20', promoCodes)).toBeNull();
+    });
+  });
+
+  describe('adjustPromoCodeUses', () => {
+    it('should count boxes the code was applied to, and drop codes no box uses', () => {
+      const uses = [usedBy('a'), usedBy('b'), { id: 'c', discount: { source: 'volume', code: null } }, { id: 'd' }]
+        .reduce((counts, box) => adjustPromoCodeUses(counts, box, 1), {});
+      expect(uses).toEqual({ SAVE10: 2 });
+      expect(adjustPromoCodeUses({ SAVE10: 1 }, usedBy('a'), -1)).toEqual({});
+    });
+
+    it('should return the same counts for boxes without a promo discount', () => {
+      const uses = { SAVE10: 1 };
+      expect(adjustPromoCodeUses(uses, { id: 'd' }, 1)).toBe(uses);
+    });
+  });
+
+  describe('countPromoCodeUses', () => {
+    it('should read the usage count, except for the box being edited', () => {
+      expect(countPromoCodeUses('save10', { SAVE10: 2 })).toBe(2);
+      expect(countPromoCodeUses('SAVE10', { SAVE10: 2 }, usedBy('a'))).toBe(1);
+      expect(countPromoCodeUses('NORDIC50', { SAVE10: 2 }, usedBy('a'))).toBe(0);
+    });
+  });
+
+  describe('checkPromoCode', () => {
+    const context = { country: 'SWEDEN', promoCodeUses: {}, now, promoCodes };
+
+    it('should accept valid codes, and no code at all', () => {
+      expect(checkPromoCode('save10', context)).toBeNull();
+      expect(checkPromoCode('NORDIC50', context)).toBeNull();
+      expect(checkPromoCode('  ', context)).toBeNull();
+    });
+
+    it('should reject unknown and expired codes', () => {
+      expect(checkPromoCode('SAVE20', context)).toBe('Promo code SAVE20 does not exist.');
+      expect(checkPromoCode('SAVE10', { ...context, now: new Date('2024-07-01T00:00:00') }))
+        .toBe('Promo code SAVE10 expired on 2024-06-30.');
+    });
+
+    it('should reject codes for other destinations', () => {
+      expect(checkPromoCode('NORDIC50', { ...context, country: 'CHINA' }))
+        .toBe('Promo code NORDIC50 is not valid for this destination.');
+    });
+
+    it('should enforce usage limits, letting a box keep its own use', () => {
+      const promoCodeUses = { SAVE10: 2 };
+      expect(checkPromoCode('SAVE10', { ...context, promoCodeUses })).toBe('Promo code SAVE10 has been used up.');
+      expect(checkPromoCode('SAVE10', { ...context, promoCodeUses, box: usedBy('a') })).toBeNull();
+    });
+  });
+
+  describe('getRedemptionDate', () => {
+    it('should date a box\'s own code from when the box was booked', () => {
+      const box = { promoCode: 'SAVE10', createdAt: '2024-05-01T10:00:00.000Z' };
+      expect(getRedemptionDate('save10', box).toISOString()).toBe('2024-05-01T10:00:00.000Z');
+      expect(getRedemptionDate('NORDIC50', box).getTime()).toBeGreaterThan(Date.parse(box.createdAt));
+    });
+  });
+
+  describe('getVolumeTier', () => {
+    it('should return the highest tier reached', () => {
+      expect(getVolumeTier(99)).toBeNull();
+      expect(getVolumeTier(100).percent).toBe(3);
+      expect(getVolumeTier(750).percent).toBe(5);
+    });
+  });
+
+  describe('getDiscountOffers / pickBestDiscount', () => {
+    it('should offer the promo code and the volume tier', () => {
+      expect(getDiscountOffers('SAVE10', 600, promoCodes).map(offer => offer.label))
+        .toEqual(['Promo SAVE10 (10%)', 'Volume discount (5%)']);
+      expect(getDiscountOffers('', 0, promoCodes)).toEqual([]);
+    });
+
+    it('should apply whichever offer saves more', () => {
+      const offers = getDiscountOffers('NORDIC50', 2500, promoCodes);
+      expect(pickBestDiscount(offers, 400)).toEqual({ source: 'promo', code: 'NORDIC50', label: 'Promo NORDIC50', amount: 50 });
+      expect(pickBestDiscount(offers, 1000)).toMatchObject({ source: 'volume', amount: 80 });
+    });
+
+    it('should not discount more than the amount', () => {
+      expect(pickBestDiscount(getDiscountOffers('NORDIC50', 0, promoCodes), 20).amount).toBe(20);
+      expect(pickBestDiscount([], 20)).toBeNull();
+    });
+  });
+
+  describe('discounted quotes', () => {
+    it('should take the discount off before GST', () => {
+      const quote = calculateShippingQuote(2, 'SWEDEN', null, undefined, '', getDiscountOffers('SAVE10', 0, promoCodes));
+      // 14.70 freight + 1.76 fuel = 16.46, less 1.65, plus 18% GST on 14.81
+      expect(quote).toMatchObject({ discount: 1.65, gst: 2.67, cost: 17.48 });
+      expect(quote.appliedDiscount.label).toBe('Promo SAVE10 (10%)');
+    });
+  });
+
+  describe('volume tiers across an import', () => {
+    const importBoxes = (weights, totalWeight) => createBoxRecords(
+      weights.map((weight, index) => ({ receiverName: `Receiver ${index}`, weight, country: 'SWEDEN' })),
+      DEFAULT_RATE_CARDS,
+      {},
+      DEFAULT_EXCHANGE_RATES,
+      { promoCodeUses: {}, totalWeight }
+    );
+    const discountsOf = (boxes) => boxes.map(box => box.discount?.label || null);
+
+    it('should step up the tier for boxes after the batch crosses it', () => {
+      expect(discountsOf(importBoxes([60, 60, 60], 0)))
+        .toEqual([null, null, 'Volume discount (3%)']);
+      expect(discountsOf(importBoxes([60, 60], 450)))
+        .toEqual(['Volume discount (3%)', 'Volume discount (5%)']);
+    });
+
+    it('should price a batch like the same boxes added one by one', () => {
+      const oneByOne = [60, 60, 60].map((weight, index) => importBoxes([weight], index * 60)[0]);
+      expect(importBoxes([60, 60, 60], 0).map(box => box.shippingCost))
+        .toEqual(oneByOne.map(box => box.shippingCost));
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit Tests for History Utilities
+ */
+
+import { recordChange, undoChange, redoChange } from '../history';
+
+const initial = { store: 'A', past: [], future: [], other: true };
+
+describe('History Utilities', () => {
+  describe('recordChange', () => {
+    it('should record the previous snapshot with its metadata', () => {
+      const state = recordChange(initial, 'B', { historyId: 1, label: 'Add box' }, 10);
+
+      expect(state.store).toBe('B');
+      expect(state.past).toEqual([{ historyId: 1, label: 'Add box', store: 'A' }]);
+      expect(state.other).toBe(true);
+    });
+
+    it('should ignore changes that keep the same snapshot', () => {
+      expect(recordChange(initial, 'A', { historyId: 1 }, 10)).toBe(initial);
+    });
+
+    it('should clear the redo stack and respect the limit', () => {
+      let state = { ...initial, future: [{ historyId: 9, store: 'Z' }] };
+      state = recordChange(state, 'B', { historyId: 1 }, 2);
+      state = recordChange(state, 'C', { historyId: 2 }, 2);
+      state = recordChange(state, 'D', { historyId: 3 }, 2);
+
+      expect(state.future).toEqual([]);
+      expect(state.past.map(entry => entry.store)).toEqual(['B', 'C']);
+    });
+  });
+
+  describe('undoChange / redoChange', () => {
+    it('should move between snapshots in both directions', () => {
+      let state = recordChange(initial, 'B', { historyId: 1, label: 'first' }, 10);
+      state = recordChange(state, 'C', { historyId: 2, label: 'second' }, 10);
+
+      state = undoChange(state);
+      expect(state.store).toBe('B');
+      expect(state.future).toEqual([{ historyId: 2, label: 'second', store: 'C' }]);
+
+      state = undoChange(state);
+      expect(state.store).toBe('A');
+      expect(state.past).toEqual([]);
+
+      state = redoChange(state);
+      expect(state.store).toBe('B');
+      expect(state.past).toEqual([{ historyId: 1, label: 'first', store: 'A' }]);
+
+      state = redoChange(state);
+      expect(state.store).toBe('C');
+      expect(state.future).toEqual([]);
+    });
+
+    it('should return the same state when there is nothing to undo or redo', () => {
+      expect(undoChange(initial)).toBe(initial);
+      expect(redoChange(initial)).toBe(initial);
+    });
+  });
+});
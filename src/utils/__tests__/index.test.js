@@ -3,11 +3,18 @@
  * Demonstrates testing best practices for a 4-year experienced developer
  */
 
+import { SHIPPING_RATES } from '../../constants';
 import {
-  hexToRgb,
-  rgbToColor,
+  calculateVolumetricWeight,
+  calculateChargeableWeight,
+  roundUpToIncrement,
+  findRateBracket,
+  calculateShippingQuote,
   calculateShippingCost,
+  calculateStatistics,
   formatCurrency,
+  convertCurrency,
+  validateExchangeRates,
   validateBoxForm,
   debounce,
   generateId,
@@ -20,44 +27,139 @@ describe('Utility Functions', () => {
     jest.clearAllMocks();
   });
 
-  describe('hexToRgb', () => {
-    it('should convert valid hex colors to RGB format', () => {
-      expect(hexToRgb('#ff0000')).toBe('(255, 0, 0)');
-      expect(hexToRgb('#00ff00')).toBe('(0, 255, 0)');
-      expect(hexToRgb('#0000ff')).toBe('(0, 0, 255)');
-      expect(hexToRgb('ff0000')).toBe('(255, 0, 0)'); // without #
+  describe('calculateVolumetricWeight', () => {
+    it('should divide volume by the country divisor', () => {
+      expect(calculateVolumetricWeight({ length: 50, width: 40, height: 30 }, 'SWEDEN')).toBe(12);
+      expect(calculateVolumetricWeight({ length: 50, width: 40, height: 30 }, 'CHINA')).toBe(10);
     });
 
-    it('should handle invalid inputs gracefully', () => {
-      expect(hexToRgb('')).toBe('(0, 0, 0)');
-      expect(hexToRgb(null)).toBe('(0, 0, 0)');
-      expect(hexToRgb(undefined)).toBe('(0, 0, 0)');
-      expect(hexToRgb('invalid')).toBe('(0, 0, 0)');
-      expect(hexToRgb(123)).toBe('(0, 0, 0)');
+    it('should fall back to the default divisor for unknown countries', () => {
+      expect(calculateVolumetricWeight({ length: 10, width: 10, height: 50 }, 'UNKNOWN')).toBe(1);
+    });
+
+    it('should return 0 for missing or incomplete dimensions', () => {
+      expect(calculateVolumetricWeight(null, 'SWEDEN')).toBe(0);
+      expect(calculateVolumetricWeight({ length: 10, width: 10 }, 'SWEDEN')).toBe(0);
+      expect(calculateVolumetricWeight({ length: -10, width: 10, height: 10 }, 'SWEDEN')).toBe(0);
+    });
+  });
+
+  describe('calculateChargeableWeight', () => {
+    it('should use the greater of actual and volumetric weight', () => {
+      const dimensions = { length: 50, width: 40, height: 30 };
+      expect(calculateChargeableWeight(2, 'SWEDEN', dimensions)).toBe(12);
+      expect(calculateChargeableWeight(20, 'SWEDEN', dimensions)).toBe(20);
+      expect(calculateChargeableWeight(2, 'SWEDEN', null)).toBe(2);
+    });
+
+    it('should round up to the rate table increment', () => {
+      expect(calculateChargeableWeight(1.2, 'SWEDEN', null)).toBe(1.5);
+      expect(calculateChargeableWeight(1.5, 'SWEDEN', null)).toBe(1.5);
+      expect(calculateChargeableWeight(0.01, 'SWEDEN', null)).toBe(0.5);
+    });
+  });
+
+  describe('roundUpToIncrement', () => {
+    it('should round up to the next multiple', () => {
+      expect(roundUpToIncrement(0.51, 0.5)).toBe(1);
+      expect(roundUpToIncrement(2, 0.5)).toBe(2);
+      expect(roundUpToIncrement(2.01, 0.5)).toBe(2.5);
+      expect(roundUpToIncrement(1.1, 0.1)).toBe(1.1);
+    });
+
+    it('should handle missing increments and weights', () => {
+      expect(roundUpToIncrement(1.23, 0)).toBe(1.23);
+      expect(roundUpToIncrement(0, 0.5)).toBe(0);
     });
   });
 
-  describe('rgbToColor', () => {
-    it('should convert RGB strings to CSS color format', () => {
-      expect(rgbToColor('(255, 0, 0)')).toBe('rgb(255, 0, 0)');
-      expect(rgbToColor('(0, 255, 0)')).toBe('rgb(0, 255, 0)');
-      expect(rgbToColor('(0, 0, 255)')).toBe('rgb(0, 0, 255)');
+  describe('findRateBracket', () => {
+    const table = SHIPPING_RATES.SWEDEN;
+
+    it('should treat bracket limits as inclusive', () => {
+      expect(findRateBracket(table, 0.5).maxWeight).toBe(0.5);
+      expect(findRateBracket(table, 1).maxWeight).toBe(2);
+      expect(findRateBracket(table, 2).maxWeight).toBe(2);
+      expect(findRateBracket(table, 2.5).maxWeight).toBe(10);
+    });
+
+    it('should use the open-ended bracket above the last limit', () => {
+      expect(findRateBracket(table, 500).maxWeight).toBeNull();
     });
 
-    it('should handle invalid RGB strings', () => {
-      expect(rgbToColor('')).toBe('#000000');
-      expect(rgbToColor(null)).toBe('#000000');
-      expect(rgbToColor('invalid')).toBe('#000000');
-      expect(rgbToColor('(255, 0)')).toBe('#000000');
+    it('should return null for an empty table', () => {
+      expect(findRateBracket({ brackets: [] }, 1)).toBeNull();
+    });
+  });
+
+  describe('calculateShippingQuote', () => {
+    it('should describe how the cost was derived', () => {
+      const quote = calculateShippingQuote(0.8, 'SWEDEN');
+      expect(quote.chargeableWeight).toBe(1);
+      expect(quote.ratePerKg).toBe(7.35);
+      expect(quote.minimumApplied).toBe(false);
+      expect(quote.baseFreight).toBe(7.35);
+    });
+
+    it('should itemize fuel surcharge and GST so the lines add up to the cost', () => {
+      expect(calculateShippingQuote(1, 'SWEDEN')).toMatchObject({
+        baseFreight: 7.35,
+        fuelSurcharge: 0.88,
+        remoteAreaFee: 0,
+        gst: 1.48,
+        cost: 9.71,
+      });
+    });
+
+    it('should add the remote-area fee for remote postal codes only', () => {
+      expect(calculateShippingQuote(1, 'SWEDEN', null, undefined, '981 31')).toMatchObject({
+        remoteAreaFee: 25,
+        gst: 5.98,
+        cost: 39.21,
+      });
+      expect(calculateShippingQuote(1, 'BRAZIL', null, undefined, '69005-000').remoteAreaFee).toBe(25);
+      expect(calculateShippingQuote(1, 'BRAZIL', null, undefined, '01310-100').remoteAreaFee).toBe(0);
+    });
+
+    it('should return null without weight or country', () => {
+      expect(calculateShippingQuote(0, 'SWEDEN')).toBeNull();
+      expect(calculateShippingQuote(1, '')).toBeNull();
+    });
+  });
+
+  describe('base freight', () => {
+    const baseFreight = (...args) => calculateShippingQuote(...args).baseFreight;
+
+    it('should price freight from the destination\'s rate card', () => {
+      expect(baseFreight(1, 'SWEDEN')).toBe(7.35);
+      expect(baseFreight(2, 'CHINA')).toBe(23.06);
+      expect(baseFreight(0.5, 'BRAZIL')).toBe(10); // minimum charge
+      expect(baseFreight(1.5, 'AUSTRALIA')).toBe(75.14);
+    });
+
+    it('should bill on volumetric weight when it exceeds actual weight', () => {
+      expect(baseFreight(2, 'SWEDEN', { length: 50, width: 40, height: 30 })).toBe(74.4);
+      expect(baseFreight(20, 'SWEDEN', { length: 50, width: 40, height: 30 })).toBe(124);
+    });
+
+    it('should price bracket edges with the lower bracket rate', () => {
+      expect(baseFreight(2, 'SWEDEN')).toBe(14.7);
+      expect(baseFreight(2.01, 'SWEDEN')).toBe(17); // 2.5 kg at 6.80
+      expect(baseFreight(10, 'CHINA')).toBe(107.5);
+      expect(baseFreight(10.2, 'CHINA')).toBe(103.95); // 10.5 kg at 9.90
+    });
+
+    it('should apply the minimum charge', () => {
+      expect(baseFreight(0.5, 'SWEDEN')).toBe(5);
+      expect(baseFreight(0.2, 'AUSTRALIA')).toBe(30);
+      expect(baseFreight(0.6, 'AUSTRALIA')).toBe(50.09);
     });
   });
 
   describe('calculateShippingCost', () => {
-    it('should calculate shipping costs correctly for valid countries', () => {
-      expect(calculateShippingCost(1, 'SWEDEN')).toBe(7.35);
-      expect(calculateShippingCost(2, 'CHINA')).toBe(23.06);
-      expect(calculateShippingCost(0.5, 'BRAZIL')).toBe(7.82);
-      expect(calculateShippingCost(1.5, 'AUSTRALIA')).toBe(75.14);
+    it('should include the surcharges and GST', () => {
+      expect(calculateShippingCost(1, 'SWEDEN')).toBe(9.71);
+      expect(calculateShippingCost(1, 'SWEDEN', null, undefined, '981 31')).toBe(39.21);
     });
 
     it('should handle edge cases', () => {
@@ -73,6 +175,40 @@ describe('Utility Functions', () => {
     });
   });
 
+  describe('calculateStatistics', () => {
+    it('should total boxes, weights and cost', () => {
+      const stats = calculateStatistics([
+        { weight: 2, chargeableWeight: 3, shippingCost: 10, insuranceCost: 50, dutyCost: 4, vatCost: 16 },
+        { weight: 1.5, shippingCost: 5.5, discount: { source: 'promo', code: 'WELCOME10' } },
+      ]);
+
+      expect(stats).toEqual({
+        totalBoxes: 2,
+        totalWeight: 3.5,
+        totalChargeableWeight: 4.5,
+        totalCost: 15.5,
+        totalInsurance: 50,
+        totalDuty: 4,
+        totalVat: 16,
+        promoCodeUses: { WELCOME10: 1 },
+      });
+    });
+
+    it('should return zeros for empty or invalid input', () => {
+      expect(calculateStatistics([])).toEqual({
+        totalBoxes: 0,
+        totalWeight: 0,
+        totalChargeableWeight: 0,
+        totalCost: 0,
+        totalInsurance: 0,
+        totalDuty: 0,
+        totalVat: 0,
+        promoCodeUses: {},
+      });
+      expect(calculateStatistics(null).totalBoxes).toBe(0);
+    });
+  });
+
   describe('formatCurrency', () => {
     it('should format numbers as Indian currency', () => {
       expect(formatCurrency(100)).toBe('₹100.00');
@@ -88,11 +224,48 @@ describe('Utility Functions', () => {
     });
   });
 
+  describe('formatCurrency with a currency code', () => {
+    it('should format in the currency and its locale', () => {
+      expect(formatCurrency(1234.5, 'USD')).toBe('$1,234.50');
+      expect(formatCurrency(0, 'USD')).toBe('$0.00');
+      expect(formatCurrency(10, 'EUR')).toMatch(/10,00\s€/);
+      expect(formatCurrency(10, 'SEK')).toMatch(/10,00\skr/);
+    });
+  });
+
+  describe('convertCurrency', () => {
+    const rates = { INR: 1, USD: 0.012 };
+
+    it('should convert from the base currency', () => {
+      expect(convertCurrency(1000, 'USD', rates)).toBeCloseTo(12);
+      expect(convertCurrency(1000, 'INR', rates)).toBe(1000);
+    });
+
+    it('should treat invalid amounts as 0 and reject unknown currencies', () => {
+      expect(convertCurrency(NaN, 'USD', rates)).toBe(0);
+      expect(() => convertCurrency(10, 'GBP', rates)).toThrow();
+    });
+  });
+
+  describe('validateExchangeRates', () => {
+    it('should accept positive rates with the base currency at 1', () => {
+      expect(validateExchangeRates({ INR: '1', USD: '0.012' }).isValid).toBe(true);
+    });
+
+    it('should reject non-positive rates and a changed base rate', () => {
+      const result = validateExchangeRates({ INR: '2', USD: '0', EUR: 'abc' });
+      expect(Object.keys(result.errors).sort()).toEqual(['EUR', 'INR', 'USD']);
+    });
+  });
+
   describe('validateBoxForm', () => {
     const validFormData = {
       receiverName: 'John Doe',
       weight: 1.5,
-      country: 'Sweden',
+      country: 'SWEDEN',
+      line1: 'Drottninggatan 1',
+      postalCode: '111 51',
+      city: 'Stockholm',
     };
 
     it('should validate correct form data', () => {
@@ -125,12 +298,82 @@ describe('Utility Functions', () => {
       expect(result.errors.country).toBeDefined();
     });
 
+    it('should accept complete dimensions', () => {
+      const result = validateBoxForm({ ...validFormData, length: '50', width: '40', height: '30' });
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should require all dimensions once any is entered', () => {
+      const result = validateBoxForm({ ...validFormData, length: '50', width: '', height: '' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors.width).toBeDefined();
+      expect(result.errors.height).toBeDefined();
+    });
+
+    it('should detect invalid dimensions', () => {
+      const result = validateBoxForm({ ...validFormData, length: '-5', width: 'abc', height: '1000' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors.length).toBeDefined();
+      expect(result.errors.width).toBeDefined();
+      expect(result.errors.height).toBeDefined();
+    });
+
     it('should handle name too long', () => {
       const longName = 'a'.repeat(101);
       const result = validateBoxForm({ ...validFormData, receiverName: longName });
       expect(result.isValid).toBe(false);
       expect(result.errors.receiverName).toBeDefined();
     });
+
+    it('should apply the destination\'s postal code rules', () => {
+      expect(validateBoxForm({ ...validFormData, postalCode: '11151' }).isValid).toBe(true);
+      expect(validateBoxForm({ ...validFormData, postalCode: '1115' }).errors.postalCode).toMatch(/e\.g\. 114 55/);
+      expect(validateBoxForm({ ...validFormData, country: 'BRAZIL', region: 'SP', postalCode: '01310-100' }).isValid).toBe(true);
+      expect(validateBoxForm({ ...validFormData, country: 'BRAZIL', region: 'SP', postalCode: '01310100' }).isValid).toBe(false);
+      expect(validateBoxForm({ ...validFormData, country: 'AUSTRALIA', region: 'NSW', postalCode: '2000' }).isValid).toBe(true);
+    });
+
+    it('should require the address unless told otherwise', () => {
+      const withoutAddress = { ...validFormData, line1: '', postalCode: '', city: '' };
+      expect(validateBoxForm(withoutAddress).errors).toEqual({
+        line1: 'Street Address is required.',
+        postalCode: 'Postcode is required.',
+        city: 'Town / City is required.',
+      });
+      expect(validateBoxForm(withoutAddress, { requireAddress: false }).isValid).toBe(true);
+    });
+
+    it('should validate an optional phone number', () => {
+      expect(validateBoxForm({ ...validFormData, phone: '+46 (8) 123-456 78' }).isValid).toBe(true);
+      expect(validateBoxForm({ ...validFormData, phone: '12345' }).errors.phone).toBeDefined();
+      expect(validateBoxForm({ ...validFormData, phone: 'call me' }).errors.phone).toBeDefined();
+    });
+
+    it('should validate an optional dispatch date up to 90 days ahead', () => {
+      expect(validateBoxForm({ ...validFormData, dispatchDate: '2024-01-31' }).isValid).toBe(true);
+      expect(validateBoxForm({ ...validFormData, dispatchDate: '2024-02-30' }).errors.dispatchDate).toBeDefined();
+      expect(validateBoxForm({ ...validFormData, dispatchDate: '9999-01-01' }).errors.dispatchDate)
+        .toBe('Dispatch date cannot be more than 90 days ahead.');
+    });
+
+    it('should accept box colors in any CSS notation', () => {
+      expect(validateBoxForm({ ...validFormData, boxColor: 'hsl(204 70% 53%)' }).isValid).toBe(true);
+      expect(validateBoxForm({ ...validFormData, boxColor: 'blue-ish' }).errors.boxColor).toBeDefined();
+    });
+
+    it('should check customs items against the box weight', () => {
+      const item = { description: 'Tea', quantity: '2', hsCode: '090240', unitValue: '300', netWeight: '0.5', originCountry: 'IN' };
+      expect(validateBoxForm({ ...validFormData, customsItems: [item] }).isValid).toBe(true);
+      expect(validateBoxForm({ ...validFormData, customsItems: [{ ...item, quantity: '4' }] }).errors.customsItems)
+        .toBe("Items weigh 2 kg in total, more than the box's 1.5 kg.");
+      expect(validateBoxForm({ ...validFormData, customsCategory: 'bulk' }).errors.customsCategory).toBeDefined();
+    });
+
+    it('should insure itemized boxes for the value of their items', () => {
+      const item = { description: 'Tea', quantity: '1', hsCode: '', unitValue: '300', netWeight: '0.5', originCountry: 'IN' };
+      expect(validateBoxForm({ ...validFormData, insured: true, declaredValue: '', customsItems: [item] }).isValid).toBe(true);
+      expect(validateBoxForm({ ...validFormData, insured: true, declaredValue: '' }).errors.declaredValue).toBeDefined();
+    });
   });
 
   describe('debounce', () => {
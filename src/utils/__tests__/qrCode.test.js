@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for the QR Code Encoder
+ */
+
+import {
+  encodeQrCode,
+  getAlignmentPositions,
+  getFormatBits,
+  getRawDataModules,
+  getVersionBits,
+  reedSolomonRemainder,
+} from '../qrCode';
+
+describe('QR Code Encoder', () => {
+  it('should compute the data capacity of a version', () => {
+    expect(getRawDataModules(1)).toBe(208);
+    expect(getRawDataModules(7)).toBe(1568);
+  });
+
+  it('should place alignment patterns for each version', () => {
+    expect(getAlignmentPositions(1)).toEqual([]);
+    expect(getAlignmentPositions(2)).toEqual([6, 18]);
+    expect(getAlignmentPositions(7)).toEqual([6, 22, 38]);
+    expect(getAlignmentPositions(10)).toEqual([6, 28, 50]);
+  });
+
+  it('should compute Reed-Solomon error correction codewords', () => {
+    // "HELLO WORLD" as version 1-M alphanumeric data
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    expect(reedSolomonRemainder(data, 10)).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+
+  it('should compute BCH-protected format and version information', () => {
+    expect(getFormatBits(0)).toBe(0x5412);
+    expect(getVersionBits(7)).toBe(0x07c94);
+  });
+
+  describe('encodeQrCode', () => {
+    const isFinder = (rows, top, left) => rows.slice(top, top + 7).every((row, r) => (
+      row.slice(left, left + 7).every((dark, c) => dark === (Math.max(Math.abs(r - 3), Math.abs(c - 3)) !== 2))
+    ));
+
+    it('should pick the smallest version that fits the text', () => {
+      expect(encodeQrCode('HELLO')).toHaveLength(21);
+      expect(encodeQrCode('box_1792369573970_jx5ss4qk8')).toHaveLength(29);
+      expect(encodeQrCode('x'.repeat(120))).toHaveLength(45);
+    });
+
+    it('should draw finder, timing and dark modules', () => {
+      const rows = encodeQrCode('box_1792369573970_jx5ss4qk8');
+      const size = rows.length;
+
+      expect(rows.every(row => row.length === size)).toBe(true);
+      expect(isFinder(rows, 0, 0)).toBe(true);
+      expect(isFinder(rows, 0, size - 7)).toBe(true);
+      expect(isFinder(rows, size - 7, 0)).toBe(true);
+      for (let i = 8; i < size - 8; i += 1) {
+        expect(rows[6][i]).toBe(i % 2 === 0);
+        expect(rows[i][6]).toBe(i % 2 === 0);
+      }
+      expect(rows[size - 8][8]).toBe(true);
+    });
+
+    it('should encode multi-byte characters', () => {
+      expect(encodeQrCode('Ünïcødé ✓ 10')).toHaveLength(25);
+    });
+
+    it('should reject text that does not fit a label QR code', () => {
+      expect(() => encodeQrCode('y'.repeat(300))).toThrow();
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for Rate Card Utilities
+ */
+
+import {
+  emptyRateCardDraft,
+  rateCardToDraft,
+  draftToRateCard,
+  validateRateCard,
+  parseHolidays,
+  getHolidaysError,
+  getEnabledCountries,
+  countBoxesByCountry,
+} from '../rateCards';
+import { calculateShippingQuote } from '../index';
+import { DEFAULT_RATE_CARDS } from '../../constants';
+
+const validDraft = {
+  code: 'NEW_ZEALAND',
+  name: 'New Zealand',
+  enabled: true,
+  minimumCharge: '20',
+  roundingIncrement: '0.5',
+  volumetricDivisor: '5000',
+  deMinimis: '0',
+  dutyRate: '5',
+  vatRate: '15',
+  brackets: [
+    { maxWeight: '1', ratePerKg: '40' },
+    { maxWeight: '', ratePerKg: '35' },
+  ],
+};
+
+describe('Rate Card Utilities', () => {
+  describe('rateCardToDraft / draftToRateCard', () => {
+    it('should round-trip a default rate card', () => {
+      const draft = rateCardToDraft('SWEDEN', DEFAULT_RATE_CARDS.SWEDEN);
+      expect(draft.code).toBe('SWEDEN');
+      expect(draft.brackets[draft.brackets.length - 1].maxWeight).toBe('');
+      expect(draftToRateCard(draft)).toEqual(DEFAULT_RATE_CARDS.SWEDEN);
+    });
+
+    it('should fill in built-in customs rules for cards saved without them', () => {
+      const { customs, ...savedCard } = DEFAULT_RATE_CARDS.CHINA;
+      const draft = rateCardToDraft('CHINA', savedCard);
+      expect(draftToRateCard(draft).customs).toEqual(customs);
+      expect(rateCardToDraft('NEW_ZEALAND', savedCard).dutyRate).toBe('0');
+    });
+
+    it('should fill in built-in holidays and keep edited ones sorted and unique', () => {
+      const { holidays, ...savedCard } = DEFAULT_RATE_CARDS.BRAZIL;
+      expect(draftToRateCard(rateCardToDraft('BRAZIL', savedCard)).holidays).toEqual(holidays);
+      expect(draftToRateCard({ ...validDraft, holidays: '2026-12-25, 2026-01-01\n2026-12-25' }).holidays)
+        .toEqual(['2026-01-01', '2026-12-25']);
+    });
+
+    it('should make the last bracket open-ended', () => {
+      const card = draftToRateCard({
+        ...validDraft,
+        brackets: [{ maxWeight: '5', ratePerKg: '10' }],
+      });
+      expect(card.brackets).toEqual([{ maxWeight: null, ratePerKg: 10 }]);
+    });
+  });
+
+  describe('validateRateCard', () => {
+    it('should accept a complete draft', () => {
+      const result = validateRateCard(validDraft, { isNew: true, existingCodes: ['SWEDEN'] });
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should reject missing, malformed and duplicate codes for new cards', () => {
+      expect(validateRateCard({ ...validDraft, code: '' }, { isNew: true }).errors.code).toBeDefined();
+      expect(validateRateCard({ ...validDraft, code: 'nz 1' }, { isNew: true }).errors.code).toBeDefined();
+      expect(
+        validateRateCard({ ...validDraft, code: 'SWEDEN' }, { isNew: true, existingCodes: ['SWEDEN'] }).errors.code
+      ).toBeDefined();
+    });
+
+    it('should not check the code of existing cards', () => {
+      expect(validateRateCard({ ...validDraft, code: 'SWEDEN' }, { existingCodes: ['SWEDEN'] }).isValid).toBe(true);
+    });
+
+    it('should reject invalid numeric fields', () => {
+      const result = validateRateCard({
+        ...validDraft,
+        name: ' ',
+        minimumCharge: '-1',
+        roundingIncrement: 'abc',
+        volumetricDivisor: '0',
+      });
+      expect(Object.keys(result.errors).sort()).toEqual(
+        ['minimumCharge', 'name', 'roundingIncrement', 'volumetricDivisor']
+      );
+    });
+
+    it('should reject negative thresholds and rates above 100%', () => {
+      const result = validateRateCard({ ...validDraft, deMinimis: '-1', dutyRate: '101', vatRate: '' });
+      expect(Object.keys(result.errors).sort()).toEqual(['deMinimis', 'dutyRate', 'vatRate']);
+    });
+
+    it('should reject holidays that are not dates', () => {
+      expect(validateRateCard({ ...validDraft, holidays: '2026-12-25\n25/12/2026' }).errors.holidays)
+        .toBe('"25/12/2026" is not a date. Enter holidays as YYYY-MM-DD.');
+    });
+
+    it('should require brackets with increasing limits and positive rates', () => {
+      expect(validateRateCard({ ...validDraft, brackets: [] }).errors.brackets).toBeDefined();
+      expect(validateRateCard({
+        ...validDraft,
+        brackets: [{ maxWeight: '2', ratePerKg: '10' }, { maxWeight: '1', ratePerKg: '9' }, { maxWeight: '', ratePerKg: '8' }],
+      }).errors.brackets).toMatch(/Bracket 2/);
+      expect(validateRateCard({
+        ...validDraft,
+        brackets: [{ maxWeight: '', ratePerKg: '0' }],
+      }).errors.brackets).toMatch(/Bracket 1/);
+    });
+
+    it('should start new drafts invalid until filled in', () => {
+      expect(validateRateCard(emptyRateCardDraft(), { isNew: true }).isValid).toBe(false);
+    });
+  });
+
+  describe('parseHolidays / getHolidaysError', () => {
+    it('should read holidays as sorted, unique dates', () => {
+      expect(parseHolidays('2026-10-02\n2026-01-26, 2026-10-02 ')).toEqual(['2026-01-26', '2026-10-02']);
+      expect(parseHolidays('')).toEqual([]);
+    });
+
+    it('should name the first entry that is not a date', () => {
+      expect(getHolidaysError('2026-10-02\n2026-02-30\nsoon')).toBe('"2026-02-30" is not a date. Enter holidays as YYYY-MM-DD.');
+      expect(getHolidaysError('2026-10-02')).toBe('');
+    });
+  });
+
+  describe('getEnabledCountries', () => {
+    it('should leave out disabled countries', () => {
+      const rateCards = {
+        ...DEFAULT_RATE_CARDS,
+        CHINA: { ...DEFAULT_RATE_CARDS.CHINA, enabled: false },
+      };
+      expect(getEnabledCountries(rateCards)).toEqual(['SWEDEN', 'BRAZIL', 'AUSTRALIA']);
+    });
+  });
+
+  describe('countBoxesByCountry', () => {
+    it('should count boxes per destination', () => {
+      const boxes = [{ country: 'SWEDEN' }, { country: 'CHINA' }, { country: 'SWEDEN' }];
+      expect(countBoxesByCountry(boxes)).toEqual({ SWEDEN: 2, CHINA: 1 });
+      expect(countBoxesByCountry(null)).toEqual({});
+    });
+  });
+
+  describe('custom rate cards in pricing', () => {
+    it('should price boxes with runtime rate cards', () => {
+      const rateCards = { NEW_ZEALAND: draftToRateCard(validDraft) };
+      expect(calculateShippingQuote(1, 'NEW_ZEALAND', null, rateCards).baseFreight).toBe(40);
+      expect(calculateShippingQuote(0.2, 'NEW_ZEALAND', null, rateCards).baseFreight).toBe(20);
+      expect(() => calculateShippingQuote(1, 'SWEDEN', null, rateCards)).toThrow();
+    });
+  });
+});
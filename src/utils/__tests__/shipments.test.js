@@ -0,0 +1,58 @@
+/**
+ * Unit Tests for Shipment Utilities
+ */
+
+import { getNextShipmentReference, validateShipment, getShipmentAssignmentError } from '../shipments';
+import { DEFAULT_RATE_CARDS, UI_MESSAGES } from '../../constants';
+
+const shipments = [
+  { id: 's1', reference: 'SHP-0002', country: 'SWEDEN', status: 'open' },
+  { id: 's2', reference: 'Weekly Brazil', country: '', status: 'dispatched' },
+];
+const shipmentsById = { s1: shipments[0], s2: shipments[1] };
+
+describe('Shipment Utilities', () => {
+  it('should suggest the next numbered reference', () => {
+    expect(getNextShipmentReference([])).toBe('SHP-0001');
+    expect(getNextShipmentReference(shipments)).toBe('SHP-0003');
+  });
+
+  describe('validateShipment', () => {
+    it('should accept a new shipment with or without a destination', () => {
+      expect(validateShipment({ reference: 'SHP-0003', country: 'CHINA' }, shipments, DEFAULT_RATE_CARDS)).toEqual({});
+      expect(validateShipment({ reference: 'Mixed', country: '' }, shipments, DEFAULT_RATE_CARDS)).toEqual({});
+    });
+
+    it('should require a unique reference', () => {
+      expect(validateShipment({ reference: ' ' }, shipments, DEFAULT_RATE_CARDS).reference)
+        .toBe(UI_MESSAGES.ERRORS.REQUIRED_FIELD);
+      expect(validateShipment({ reference: 'weekly brazil' }, shipments, DEFAULT_RATE_CARDS).reference)
+        .toBe(UI_MESSAGES.ERRORS.SHIPMENT_REFERENCE_TAKEN);
+      expect(validateShipment(shipments[1], shipments, DEFAULT_RATE_CARDS, 's2')).toEqual({});
+    });
+
+    it('should reject unknown countries and statuses', () => {
+      const errors = validateShipment({ reference: 'X', country: 'MARS', status: 'lost' }, shipments, DEFAULT_RATE_CARDS);
+      expect(Object.keys(errors)).toEqual(['country', 'status']);
+    });
+  });
+
+  describe('getShipmentAssignmentError', () => {
+    it('should allow boxes going to the shipment destination', () => {
+      expect(getShipmentAssignmentError([{ country: 'SWEDEN' }], shipments[0], shipmentsById)).toBeNull();
+    });
+
+    it('should refuse boxes for another destination', () => {
+      expect(getShipmentAssignmentError([{ country: 'CHINA' }], shipments[0], shipmentsById))
+        .toBe(UI_MESSAGES.ERRORS.SHIPMENT_COUNTRY_MISMATCH);
+    });
+
+    it('should only change open shipments', () => {
+      expect(getShipmentAssignmentError([{ country: 'BRAZIL' }], shipments[1], shipmentsById))
+        .toBe(UI_MESSAGES.ERRORS.SHIPMENT_NOT_OPEN);
+      expect(getShipmentAssignmentError([{ country: 'BRAZIL', shipmentId: 's2' }], null, shipmentsById))
+        .toBe(UI_MESSAGES.ERRORS.SHIPMENT_NOT_OPEN);
+      expect(getShipmentAssignmentError([{ country: 'SWEDEN', shipmentId: 's1' }], null, shipmentsById)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit Tests for Storage Utilities
+ */
+
+import {
+  readItem,
+  writeItem,
+  migrateBoxData,
+  loadBoxData,
+  saveBoxData,
+  quarantineBoxData,
+  loadRateCards,
+  saveRateCards,
+  clearRateCards,
+  loadOriginHolidays,
+  saveOriginHolidays,
+  clearOriginHolidays,
+  loadCurrencySettings,
+  saveCurrencySettings,
+} from '../storage';
+import { STORAGE } from '../../constants';
+
+const legacyBox = {
+  id: 'box_1',
+  receiverName: 'John Doe',
+  weight: '1.5',
+  boxColor: '(255, 0, 0)',
+  country: 'SWEDEN',
+  shippingCost: 11.03,
+  createdAt: '2024-01-01T00:00:00.000Z',
+};
+
+describe('Storage Utilities', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  describe('readItem / writeItem', () => {
+    it('should round-trip JSON values', () => {
+      writeItem('test', { a: 1 });
+      expect(readItem('test')).toEqual({ a: 1 });
+    });
+
+    it('should return the fallback when nothing is stored', () => {
+      expect(readItem('missing', [])).toEqual([]);
+    });
+
+    it('should throw on corrupt JSON', () => {
+      window.localStorage.setItem('test', '{not json');
+      expect(() => readItem('test')).toThrow();
+    });
+  });
+
+  describe('migrateBoxData', () => {
+    it('should upgrade an unversioned array of boxes', () => {
+      const data = migrateBoxData([legacyBox]);
+      expect(data.boxes).toHaveLength(1);
+      expect(data.boxes[0].weight).toBe(1.5);
+      expect(data.boxes[0].updatedAt).toBe(legacyBox.createdAt);
+    });
+
+    it('should add chargeable weight to version 1 data', () => {
+      const data = migrateBoxData({ version: 1, data: { boxes: [{ ...legacyBox, weight: 1.5 }] } });
+      expect(data.boxes[0].dimensions).toBeNull();
+      expect(data.boxes[0].chargeableWeight).toBe(1.5);
+    });
+
+    it('should add an empty shipments list to version 2 data', () => {
+      const data = migrateBoxData({ version: 2, data: { boxes: [{ ...legacyBox, weight: 1.5 }] } });
+      expect(data.shipments).toEqual([]);
+      expect(data.boxes[0].shipmentId).toBeNull();
+    });
+
+    it('should start version 3 boxes as drafts created at their creation time', () => {
+      const data = migrateBoxData({ version: 3, data: { boxes: [{ ...legacyBox, weight: 1.5 }], shipments: [] } });
+      expect(data.boxes[0].status).toBe('draft');
+      expect(data.boxes[0].statusHistory).toEqual([{ status: 'draft', at: legacyBox.createdAt }]);
+    });
+
+    it('should number version 4 boxes with consecutive tracking numbers', () => {
+      const boxes = [{ ...legacyBox, id: 'a' }, { ...legacyBox, id: 'b' }];
+      const data = migrateBoxData({ version: 4, data: { boxes, shipments: [] } });
+      expect(data.boxes.map(box => box.trackingNumber)).toEqual(['CP000000014IN', 'CP000000028IN']);
+    });
+
+    it('should give version 5 boxes an empty address and phone', () => {
+      const data = migrateBoxData({ version: 5, data: { boxes: [legacyBox], shipments: [] } });
+      expect(data.boxes[0].address).toBeNull();
+      expect(data.boxes[0].phone).toBe('');
+    });
+
+    it('should give version 6 boxes no declared value or import charges', () => {
+      const [box] = migrateBoxData({ version: 6, data: { boxes: [legacyBox], shipments: [] } }).boxes;
+      expect(box).toMatchObject({ declaredValue: null, declaredCurrency: 'INR', insured: false, insuranceCost: 0, dutyCost: 0, vatCost: 0 });
+    });
+
+    it('should give version 7 boxes no customs items', () => {
+      const [box] = migrateBoxData({ version: 7, data: { boxes: [legacyBox], shipments: [] } }).boxes;
+      expect(box).toMatchObject({ customsItems: [], customsCategory: 'saleOfGoods' });
+    });
+
+    it('should keep the freight-only cost of version 8 boxes', () => {
+      const [box] = migrateBoxData({ version: 8, data: { boxes: [{ ...legacyBox, shippingCost: 14.7 }], shipments: [] } }).boxes;
+      expect(box.costBreakdown).toEqual({ baseFreight: 14.7, fuelSurcharge: 0, remoteAreaFee: 0, discount: 0, gst: 0 });
+      expect(box.shippingCost).toBe(14.7);
+    });
+
+    it('should give version 9 boxes no discount', () => {
+      const costBreakdown = { baseFreight: 14.7, fuelSurcharge: 0, remoteAreaFee: 0, gst: 0 };
+      const [box] = migrateBoxData({ version: 9, data: { boxes: [{ ...legacyBox, costBreakdown }], shipments: [] } }).boxes;
+      expect(box).toMatchObject({ promoCode: '', discount: null, costBreakdown: { ...costBreakdown, discount: 0 } });
+    });
+
+    it('should assign version 10 boxes to the default carrier', () => {
+      const [box] = migrateBoxData({ version: 10, data: { boxes: [legacyBox], shipments: [] } }).boxes;
+      expect(box.carrier).toBe('INDIA_POST');
+    });
+
+    it('should give version 11 boxes no delivery estimate', () => {
+      const [box] = migrateBoxData({ version: 11, data: { boxes: [legacyBox], shipments: [] } }).boxes;
+      expect(box).toMatchObject({ dispatchDate: null, estimatedDelivery: null });
+    });
+
+    it('should store version 12 colors as { r, g, b }', () => {
+      const boxes = [legacyBox, { ...legacyBox, id: 'box_2', boxColor: 'not a color' }];
+      const data = migrateBoxData({ version: 12, data: { boxes, shipments: [] } });
+      expect(data.boxes.map(box => box.boxColor)).toEqual([{ r: 255, g: 0, b: 0 }, { r: 52, g: 152, b: 219 }]);
+    });
+
+    it('should pass through data at the current version', () => {
+      const payload = { version: STORAGE.SCHEMA_VERSION, data: { boxes: [] } };
+      expect(migrateBoxData(payload)).toEqual({ boxes: [] });
+    });
+
+    it('should reject unknown formats and future versions', () => {
+      expect(() => migrateBoxData('boxes')).toThrow();
+      expect(() => migrateBoxData({ boxes: [] })).toThrow();
+      expect(() => migrateBoxData({ version: STORAGE.SCHEMA_VERSION + 1, data: {} })).toThrow();
+      expect(() => migrateBoxData({ version: STORAGE.SCHEMA_VERSION, data: {} })).toThrow();
+      expect(() => migrateBoxData({ version: STORAGE.SCHEMA_VERSION, data: { boxes: [], shipments: {} } })).toThrow();
+    });
+  });
+
+  describe('loadBoxData / saveBoxData', () => {
+    it('should return no boxes on first run', () => {
+      expect(loadBoxData()).toEqual({ boxes: [] });
+    });
+
+    it('should save with the schema version and load it back', () => {
+      saveBoxData({ boxes: [legacyBox] });
+      const stored = JSON.parse(window.localStorage.getItem(STORAGE.BOXES_KEY));
+      expect(stored.version).toBe(STORAGE.SCHEMA_VERSION);
+      expect(loadBoxData().boxes[0].id).toBe('box_1');
+    });
+  });
+
+  describe('quarantineBoxData', () => {
+    it('should move the stored payload to a backup key', () => {
+      window.localStorage.setItem(STORAGE.BOXES_KEY, '{not json');
+      quarantineBoxData();
+      expect(window.localStorage.getItem(STORAGE.BOXES_KEY)).toBeNull();
+      expect(window.localStorage.getItem(`${STORAGE.BOXES_KEY}.corrupt`)).toBe('{not json');
+    });
+  });
+
+  describe('loadRateCards / saveRateCards', () => {
+    it('should return null when no rate cards are saved', () => {
+      expect(loadRateCards()).toBeNull();
+    });
+
+    it('should round-trip saved rate cards and clear them', () => {
+      const rateCards = { SWEDEN: { name: 'Sweden', brackets: [] } };
+      saveRateCards(rateCards);
+      expect(loadRateCards()).toEqual(rateCards);
+      clearRateCards();
+      expect(loadRateCards()).toBeNull();
+    });
+
+    it('should reject payloads from another version', () => {
+      window.localStorage.setItem(STORAGE.RATE_CARDS_KEY, JSON.stringify({ version: 99, data: {} }));
+      expect(() => loadRateCards()).toThrow();
+    });
+  });
+
+  describe('loadOriginHolidays / saveOriginHolidays', () => {
+    it('should round-trip saved origin holidays and clear them', () => {
+      expect(loadOriginHolidays()).toBeNull();
+      saveOriginHolidays(['2026-10-20']);
+      expect(loadOriginHolidays()).toEqual(['2026-10-20']);
+      clearOriginHolidays();
+      expect(loadOriginHolidays()).toBeNull();
+    });
+
+    it('should reject payloads without a list of holidays', () => {
+      window.localStorage.setItem(
+        STORAGE.ORIGIN_HOLIDAYS_KEY,
+        JSON.stringify({ version: STORAGE.ORIGIN_HOLIDAYS_VERSION, data: {} })
+      );
+      expect(() => loadOriginHolidays()).toThrow();
+    });
+  });
+
+  describe('loadCurrencySettings / saveCurrencySettings', () => {
+    it('should round-trip the display currency and exchange rates', () => {
+      expect(loadCurrencySettings()).toBeNull();
+      saveCurrencySettings({ currency: 'USD', exchangeRates: { INR: 1, USD: 0.012 } });
+      expect(loadCurrencySettings()).toEqual({ currency: 'USD', exchangeRates: { INR: 1, USD: 0.012 } });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Tracking Number Utilities
+ */
+
+import {
+  getS10CheckDigit,
+  normalizeTrackingNumber,
+  createTrackingNumber,
+  parseTrackingNumber,
+  isValidTrackingNumber,
+  getOwnTrackingSerial,
+  assignTrackingNumbers,
+} from '../trackingNumbers';
+import { TRACKING, UI_MESSAGES } from '../../constants';
+
+describe('Tracking Number Utilities', () => {
+  describe('getS10CheckDigit', () => {
+    it('should compute the weighted mod-11 check digit', () => {
+      expect(getS10CheckDigit('47312482')).toBe(9);
+      expect(getS10CheckDigit('12345678')).toBe(5);
+    });
+
+    it('should map remainders of 10 and 11 to 0 and 5', () => {
+      // Weighted sum 44 leaves remainder 0 (11 → 5); 56 leaves 1 (10 → 0)
+      expect(getS10CheckDigit('00000015')).toBe(5);
+      expect(getS10CheckDigit('00000008')).toBe(0);
+    });
+  });
+
+  it('should create numbers for the configured service and origin', () => {
+    expect(createTrackingNumber(47312482)).toBe('CP473124829IN');
+    expect(createTrackingNumber(1, 'RR', 'GB')).toBe('RR000000014GB');
+    expect(() => createTrackingNumber(0)).toThrow();
+    expect(() => createTrackingNumber(TRACKING.MAX_SERIAL + 1)).toThrow();
+  });
+
+  it('should parse tracking numbers regardless of spacing and case', () => {
+    expect(normalizeTrackingNumber(' rr 473 124 829 gb ')).toBe('RR473124829GB');
+    expect(parseTrackingNumber('rr 473124829 gb')).toEqual({
+      serviceCode: 'RR',
+      serial: 47312482,
+      checkDigit: 9,
+      originCountry: 'GB',
+    });
+    expect(parseTrackingNumber('RR47312482GB')).toBeNull();
+  });
+
+  describe('isValidTrackingNumber', () => {
+    it('should accept numbers with a correct check digit', () => {
+      expect(isValidTrackingNumber('RR473124829GB')).toBe(true);
+      expect(isValidTrackingNumber('CP123456785IN')).toBe(true);
+    });
+
+    it('should reject malformed numbers and wrong check digits', () => {
+      expect(isValidTrackingNumber('RR473124827GB')).toBe(false);
+      expect(isValidTrackingNumber('R1473124829GB')).toBe(false);
+      expect(isValidTrackingNumber('box_1700000000000_abc')).toBe(false);
+      expect(isValidTrackingNumber(undefined)).toBe(false);
+    });
+  });
+
+  it('should only read serials of numbers issued by this app', () => {
+    expect(getOwnTrackingSerial('CP000000014IN')).toBe(1);
+    expect(getOwnTrackingSerial('RR000000014GB')).toBeNull();
+    expect(getOwnTrackingSerial('CP000000015IN')).toBeNull();
+  });
+
+  describe('assignTrackingNumbers', () => {
+    it('should issue consecutive numbers after the last serial', () => {
+      const { boxes, lastSerial } = assignTrackingNumbers([{ id: 'a' }, { id: 'b' }], 41);
+
+      expect(boxes.map(box => box.trackingNumber)).toEqual([createTrackingNumber(42), createTrackingNumber(43)]);
+      expect(lastSerial).toBe(43);
+    });
+
+    it('should keep valid unused numbers and renumber taken or invalid ones', () => {
+      const kept = createTrackingNumber(90);
+      const taken = createTrackingNumber(5);
+      const { boxes, lastSerial } = assignTrackingNumbers(
+        [{ trackingNumber: kept }, { trackingNumber: taken }, { trackingNumber: 'CP000000015IN' }, { trackingNumber: 'rr473124829gb' }],
+        10,
+        // Stores pass a lookup rather than a set of every number
+        { has: number => number === taken }
+      );
+
+      expect(boxes.map(box => box.trackingNumber)).toEqual([
+        kept,
+        createTrackingNumber(91),
+        createTrackingNumber(92),
+        'RR473124829GB',
+      ]);
+      expect(lastSerial).toBe(92);
+    });
+
+    it('should not repeat a number within one batch', () => {
+      const number = createTrackingNumber(3);
+      const { boxes } = assignTrackingNumbers([{ trackingNumber: number }, { trackingNumber: number }], 3);
+      expect(boxes[1].trackingNumber).toBe(createTrackingNumber(4));
+    });
+
+    it('should fail when the serial range is exhausted', () => {
+      expect(() => assignTrackingNumbers([{}], TRACKING.MAX_SERIAL))
+        .toThrow(UI_MESSAGES.ERRORS.TRACKING_NUMBERS_EXHAUSTED);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Address Utilities
+ * Per-country receiver address layouts, validation and formatting
+ */
+
+import { ADDRESS_FORMATS, DEFAULT_ADDRESS_FORMAT, FORM_VALIDATION, REMOTE_AREA_POSTAL_PREFIXES } from '../constants';
+
+/**
+ * Resolves the address layout for a destination
+ * @param {string} country - Country code
+ * @returns {Object} { lines, fields, labels, required, postalCode }
+ */
+export const getAddressFormat = (country) => {
+  const format = ADDRESS_FORMATS[country] || {};
+  const lines = format.lines || DEFAULT_ADDRESS_FORMAT.lines;
+
+  return {
+    lines,
+    fields: lines.flat(),
+    labels: { ...DEFAULT_ADDRESS_FORMAT.labels, ...format.labels },
+    required: format.required || DEFAULT_ADDRESS_FORMAT.required,
+    postalCode: format.postalCode !== undefined ? format.postalCode : DEFAULT_ADDRESS_FORMAT.postalCode,
+  };
+};
+
+/**
+ * Validates address fields against the destination's rules
+ * @param {Object} values - Address field values (line1, line2, city, region, postalCode)
+ * @param {string} country - Country code
+ * @param {boolean} [requireAddress] - Whether the country's required fields must be filled in
+ * @returns {Object} Field errors (empty when valid)
+ */
+export const validateAddress = (values, country, requireAddress = true) => {
+  const errors = {};
+  const format = getAddressFormat(country);
+
+  format.fields.forEach((field) => {
+    const value = String(values[field] ?? '').trim();
+    const label = format.labels[field];
+
+    if (!value) {
+      if (requireAddress && format.required.includes(field)) {
+        errors[field] = `${label} is required.`;
+      }
+      return;
+    }
+
+    if (value.length > FORM_VALIDATION.MAX_ADDRESS_LENGTH) {
+      errors[field] = `${label} cannot exceed ${FORM_VALIDATION.MAX_ADDRESS_LENGTH} characters.`;
+    } else if (field === 'postalCode' && format.postalCode && !format.postalCode.pattern.test(value)) {
+      errors[field] = `Please enter a valid ${label} (e.g. ${format.postalCode.example}).`;
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Builds the stored address from form values, keeping only the destination's fields
+ * @param {Object} values - Address field values
+ * @param {string} country - Country code
+ * @returns {Object|null} Address, or null when nothing was entered
+ */
+export const toAddress = (values, country) => {
+  const address = {};
+  getAddressFormat(country).fields.forEach((field) => {
+    address[field] = String(values[field] ?? '').trim();
+  });
+
+  return Object.values(address).some(Boolean) ? address : null;
+};
+
+/**
+ * Writes an address as lines in the destination's order, skipping empty fields
+ * @param {Object|null} address - Stored address
+ * @param {string} country - Country code
+ * @returns {Array<string>} Address lines
+ */
+export const formatAddressLines = (address, country) => {
+  if (!address) {
+    return [];
+  }
+
+  return getAddressFormat(country).lines
+    .map(line => line.map(field => address[field]).filter(Boolean).join(' '))
+    .filter(Boolean);
+};
+
+/**
+ * Checks whether a postal code lies in one of the destination's remote delivery areas
+ * @param {string} country - Country code
+ * @param {string} postalCode - Postal code as entered (spaces and dashes are ignored)
+ * @returns {boolean}
+ */
+export const isRemoteArea = (country, postalCode) => {
+  const digits = String(postalCode ?? '').replace(/[\s-]/g, '');
+  if (!digits) {
+    return false;
+  }
+  return (REMOTE_AREA_POSTAL_PREFIXES[country] || []).some(prefix => digits.startsWith(prefix));
+};
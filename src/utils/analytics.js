@@ -0,0 +1,145 @@
+/**
+ * Analytics Utilities
+ * Per-country and per-day breakdowns of boxes for the analytics dashboard
+ */
+
+import { EMPTY_BOX_QUERY, filterBoxes } from './boxQuery';
+import { ANALYTICS } from '../constants';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const dateToKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const keyToDate = (key) => new Date(`${key}T00:00:00`);
+
+/**
+ * Local calendar day (YYYY-MM-DD) of a timestamp, matching what the user sees
+ * @param {string|Date} value - ISO timestamp or date
+ * @returns {string} Day key, or '' when the value is not a date
+ */
+export const toDayKey = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : dateToKey(date);
+};
+
+/**
+ * Day key a number of days after (or before) another
+ * @param {string} key - Day key
+ * @param {number} days - Days to add
+ * @returns {string} Day key
+ */
+export const addDays = (key, days) => {
+  const date = keyToDate(key);
+  date.setDate(date.getDate() + days);
+  return dateToKey(date);
+};
+
+/**
+ * Date range covering the last N days, today included
+ * @param {number} days - Number of days
+ * @param {Date} today - Current date
+ * @returns {Object} { from, to } day keys
+ */
+export const getPresetRange = (days, today = new Date()) => {
+  const to = dateToKey(today);
+  return { from: addDays(to, 1 - days), to };
+};
+
+/**
+ * Boxes created within the date range (either bound may be empty)
+ * @param {Array<Object>} boxes - All boxes
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Array<Object>} Boxes in range
+ */
+export const filterByDateRange = (boxes, from, to) => {
+  return filterBoxes(boxes, { ...EMPTY_BOX_QUERY, from, to });
+};
+
+const emptyTotals = (key) => ({ key, count: 0, totalWeight: 0, totalCost: 0, costPerKg: 0 });
+
+const addToTotals = (totals, box) => {
+  totals.count += 1;
+  totals.totalWeight += box.weight || 0;
+  totals.totalCost += box.shippingCost || 0;
+};
+
+const finishTotals = (totals) => ({
+  ...totals,
+  costPerKg: totals.totalWeight > 0 ? totals.totalCost / totals.totalWeight : 0,
+});
+
+/**
+ * Box count, weight, cost and average cost per kg (of actual weight)
+ * @param {Array<Object>} boxes - Boxes to summarize
+ * @returns {Object} { count, totalWeight, totalCost, costPerKg }
+ */
+export const summarizeBoxes = (boxes) => {
+  const totals = emptyTotals('all');
+  boxes.forEach(box => addToTotals(totals, box));
+  const { key, ...summary } = finishTotals(totals);
+  return summary;
+};
+
+/**
+ * Totals per destination country, busiest first
+ * @param {Array<Object>} boxes - Boxes to group
+ * @returns {Array<Object>} { key, count, totalWeight, totalCost, costPerKg } per country code
+ */
+export const groupByCountry = (boxes) => {
+  const groups = new Map();
+
+  boxes.forEach((box) => {
+    if (!groups.has(box.country)) {
+      groups.set(box.country, emptyTotals(box.country));
+    }
+    addToTotals(groups.get(box.country), box);
+  });
+
+  return [...groups.values()]
+    .map(finishTotals)
+    .sort((a, b) => b.count - a.count || b.totalCost - a.totalCost || a.key.localeCompare(b.key));
+};
+
+/**
+ * Totals per creation day, with empty days filled in so the series is continuous.
+ * The series spans the date range; open ends (or ranges longer than
+ * ANALYTICS.MAX_DAYS) fall back to the first and last day with boxes.
+ * @param {Array<Object>} boxes - Boxes to group
+ * @param {string} from - First day of the range, or ''
+ * @param {string} to - Last day of the range, or ''
+ * @returns {Array<Object>} { key, count, totalWeight, totalCost, costPerKg } per day, oldest first
+ */
+export const groupByDay = (boxes, from = '', to = '') => {
+  const groups = new Map();
+
+  boxes.forEach((box) => {
+    const day = toDayKey(box.createdAt);
+    if (!day) {
+      return;
+    }
+    if (!groups.has(day)) {
+      groups.set(day, emptyTotals(day));
+    }
+    addToTotals(groups.get(day), box);
+  });
+
+  if (groups.size === 0) {
+    return [];
+  }
+
+  const days = [...groups.keys()].sort();
+  let start = from || days[0];
+  let end = to || days[days.length - 1];
+  const span = (keyToDate(end) - keyToDate(start)) / (24 * 60 * 60 * 1000);
+  if (span < 0 || span >= ANALYTICS.MAX_DAYS) {
+    start = days[0];
+    end = days[days.length - 1];
+  }
+
+  const series = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    series.push(finishTotals(groups.get(day) || emptyTotals(day)));
+  }
+  return series;
+};
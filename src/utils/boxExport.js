@@ -0,0 +1,130 @@
+/**
+ * Box Export Utilities
+ * Serializes boxes and their summary to CSV and JSON, and reads JSON exports back
+ */
+
+import { toCsv } from './csv';
+import { migrateBoxData } from './storage';
+import { rgbToColor, rgbToHex } from './colors';
+import { getLandedCost, getLandedTotal } from './customs';
+import { BASE_CURRENCY, EXPORT_FORMAT, STORAGE } from '../constants';
+
+// Labels for importable fields match IMPORT_FIELDS so CSV exports map automatically
+const CSV_COLUMNS = [
+  { label: 'Id', value: box => box.id },
+  { label: 'Tracking Number', value: box => box.trackingNumber },
+  { label: 'Created At', value: box => box.createdAt },
+  { label: 'Updated At', value: box => box.updatedAt },
+  { label: 'Receiver Name', value: box => box.receiverName },
+  { label: 'Weight (kg)', value: box => box.weight },
+  { label: 'Length (cm)', value: box => box.dimensions?.length },
+  { label: 'Width (cm)', value: box => box.dimensions?.width },
+  { label: 'Height (cm)', value: box => box.dimensions?.height },
+  { label: 'Volumetric Weight (kg)', value: box => box.volumetricWeight },
+  { label: 'Chargeable Weight (kg)', value: box => box.chargeableWeight },
+  { label: 'Box Color', value: box => rgbToColor(box.boxColor) },
+  { label: 'Box Color Hex', value: box => rgbToHex(box.boxColor) },
+  { label: 'Destination Country', value: box => box.country },
+  { label: 'Address Line 1', value: box => box.address?.line1 },
+  { label: 'Address Line 2', value: box => box.address?.line2 },
+  { label: 'City', value: box => box.address?.city },
+  { label: 'Region', value: box => box.address?.region },
+  { label: 'Postal Code', value: box => box.address?.postalCode },
+  { label: 'Phone', value: box => box.phone },
+  { label: 'Declared Value', value: box => box.declaredValue },
+  { label: 'Declared Currency', value: box => box.declaredCurrency },
+  { label: 'Insured', value: box => (box.insured ? 'yes' : 'no') },
+  { label: 'Status', value: box => box.status },
+  { label: 'Carrier', value: box => box.carrier },
+  { label: 'Dispatch Date', value: box => box.dispatchDate },
+  { label: 'Delivery From', value: box => box.estimatedDelivery?.earliest },
+  { label: 'Delivery By', value: box => box.estimatedDelivery?.latest },
+  { label: `Base Freight (${BASE_CURRENCY})`, value: box => box.costBreakdown?.baseFreight },
+  { label: `Fuel Surcharge (${BASE_CURRENCY})`, value: box => box.costBreakdown?.fuelSurcharge },
+  { label: `Remote Area Fee (${BASE_CURRENCY})`, value: box => box.costBreakdown?.remoteAreaFee },
+  { label: 'Promo Code', value: box => box.promoCode },
+  { label: `Discount (${BASE_CURRENCY})`, value: box => box.costBreakdown?.discount },
+  { label: `GST (${BASE_CURRENCY})`, value: box => box.costBreakdown?.gst },
+  { label: `Shipping Cost (${BASE_CURRENCY})`, value: box => box.shippingCost },
+  { label: `Insurance (${BASE_CURRENCY})`, value: box => box.insuranceCost },
+  { label: `Duty (${BASE_CURRENCY})`, value: box => box.dutyCost },
+  { label: `VAT (${BASE_CURRENCY})`, value: box => box.vatCost },
+  { label: `Landed Cost (${BASE_CURRENCY})`, value: box => getLandedCost(box) },
+];
+
+/**
+ * Builds a file name for an export
+ * @param {string} extension - File extension without the dot
+ * @param {Date} date - Export date
+ * @returns {string} File name such as shipping-boxes-2024-01-31.csv
+ */
+export const getExportFileName = (extension, date = new Date()) => {
+  return `shipping-boxes-${date.toISOString().slice(0, 10)}.${extension}`;
+};
+
+/**
+ * Serializes boxes to CSV, followed by a summary section
+ * @param {Array<Object>} boxes - Boxes to export
+ * @param {Object} statistics - Summary statistics for the exported boxes
+ * @returns {string} CSV text
+ */
+export const boxesToCsv = (boxes, statistics) => {
+  const rows = [
+    CSV_COLUMNS.map(column => column.label),
+    ...boxes.map(box => CSV_COLUMNS.map(column => column.value(box))),
+    [],
+    ['Summary'],
+    ['Total Boxes', statistics.totalBoxes],
+    ['Total Weight (kg)', statistics.totalWeight.toFixed(2)],
+    ['Chargeable Weight (kg)', statistics.totalChargeableWeight.toFixed(2)],
+    [`Total Cost (${BASE_CURRENCY})`, statistics.totalCost.toFixed(2)],
+    [`Total Insurance (${BASE_CURRENCY})`, statistics.totalInsurance.toFixed(2)],
+    [`Total Duty (${BASE_CURRENCY})`, statistics.totalDuty.toFixed(2)],
+    [`Total VAT (${BASE_CURRENCY})`, statistics.totalVat.toFixed(2)],
+    [`Total Landed Cost (${BASE_CURRENCY})`, getLandedTotal(statistics).toFixed(2)],
+  ];
+
+  return toCsv(rows);
+};
+
+/**
+ * Serializes boxes to a versioned JSON payload that the import screen accepts
+ * @param {Array<Object>} boxes - Boxes to export
+ * @param {Object} statistics - Summary statistics for the exported boxes
+ * @param {Date} date - Export date
+ * @returns {string} JSON text
+ */
+export const boxesToJson = (boxes, statistics, date = new Date()) => {
+  const payload = {
+    format: EXPORT_FORMAT,
+    version: STORAGE.SCHEMA_VERSION,
+    exportedAt: date.toISOString(),
+    currency: BASE_CURRENCY,
+    statistics,
+    data: { boxes },
+  };
+
+  return JSON.stringify(payload, null, 2);
+};
+
+/**
+ * Reads boxes from a JSON export, migrating older schema versions
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} Exported boxes
+ * @throws {Error} When the text is not a box export
+ */
+export const parseBoxExport = (text) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (!payload || payload.format !== EXPORT_FORMAT) {
+    throw new Error('File is not a shipping box export');
+  }
+
+  return migrateBoxData(payload).boxes;
+};
@@ -0,0 +1,247 @@
+/**
+ * Box Import Utilities
+ * Maps CSV rows onto box fields and validates them with the same rules as the form
+ */
+
+import { validateBoxForm } from './index';
+import { parseColor, isRgbColor, rgbToHex } from './colors';
+import { toAddress } from './address';
+import { validateCustomsItems, draftToCustomsItem } from './customsDeclaration';
+import { carrierServesCountry, getCarrierName } from './carriers';
+import { getStatusHistoryError } from './boxStatus';
+import { normalizePromoCode, checkPromoCode } from './discounts';
+import { isValidTrackingNumber, normalizeTrackingNumber } from './trackingNumbers';
+import {
+  IMPORT_FIELDS,
+  DEFAULT_BOX_COLOR,
+  FORM_VALIDATION,
+  BASE_CURRENCY,
+  CUSTOMS_CATEGORIES,
+  DEFAULT_CUSTOMS_CATEGORY,
+  CARRIERS,
+  DEFAULT_CARRIER,
+  DEFAULT_BOX_STATUS,
+  UI_MESSAGES,
+} from '../constants';
+
+// Cells such as 'yes', 'Y', 'true' or '1' turn a flag on
+const parseFlag = (value) => /^(yes|y|true|1)$/i.test(String(value || '').trim());
+
+const normalizeHeader = (header) => String(header || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[_-]+/g, ' ')
+  .replace(/\s+/g, ' ');
+
+/**
+ * Guesses which CSV column holds each box field from the header row
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Column index per field key (-1 when not found)
+ */
+export const guessHeaderMapping = (headers) => {
+  const normalized = (headers || []).map(normalizeHeader);
+  const used = new Set();
+
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const candidates = [normalizeHeader(field.key), normalizeHeader(field.label), ...field.aliases];
+    const index = normalized.findIndex((header, i) => !used.has(i) && candidates.includes(header));
+
+    if (index !== -1) {
+      used.add(index);
+    }
+    mapping[field.key] = index;
+    return mapping;
+  }, {});
+};
+
+/**
+ * Resolves a country cell to a rate-card code by code or display name
+ * @param {string} value - Cell value (e.g. 'Sweden', 'SWEDEN', 'new zealand')
+ * @param {Object} rateCards - Rate cards keyed by country code
+ * @returns {string|null} Country code
+ */
+export const resolveCountry = (value, rateCards) => {
+  const text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const asCode = text.toUpperCase().replace(/[\s-]+/g, '_');
+  if (rateCards[asCode]) {
+    return asCode;
+  }
+
+  const lower = text.toLowerCase();
+  return Object.keys(rateCards).find(code => (rateCards[code].name || '').toLowerCase() === lower) || null;
+};
+
+/**
+ * Converts mapped CSV rows into validated import rows
+ * @param {Array<Array<string>>} rows - Data rows (without the header)
+ * @param {Object} mapping - Column index per field key
+ * @param {Object} rateCards - Rate cards keyed by country code
+ * @returns {Array<Object>} Rows with raw values, per-field errors and box data when valid
+ */
+export const buildImportRows = (rows, mapping, rateCards) => {
+  return (rows || []).map((cells, index) => {
+    const values = IMPORT_FIELDS.reduce((result, field) => {
+      const column = mapping[field.key];
+      result[field.key] = column >= 0 && column < cells.length ? cells[column].trim() : '';
+      return result;
+    }, {});
+
+    const country = resolveCountry(values.country, rateCards);
+    // Rows may leave the address out, but a partial address must still be complete
+    const hasAddress = FORM_VALIDATION.ADDRESS_FIELDS.some(field => values[field]);
+    const declaredCurrency = values.declaredCurrency ? values.declaredCurrency.toUpperCase() : BASE_CURRENCY;
+    const insured = parseFlag(values.insured);
+    const { errors } = validateBoxForm(
+      { ...values, country: country || '', declaredCurrency, insured },
+      { requireAddress: hasAddress }
+    );
+
+    if (values.country && !country) {
+      errors.country = `Unknown destination country "${values.country}".`;
+    } else if (country && rateCards[country].enabled === false) {
+      errors.country = `Shipping to ${rateCards[country].name} is currently disabled.`;
+    }
+
+    const boxColor = parseColor(values.boxColor || DEFAULT_BOX_COLOR);
+    if (!boxColor) {
+      errors.boxColor = `"${values.boxColor}" is not a valid color. ${UI_MESSAGES.ERRORS.INVALID_COLOR}.`;
+    }
+
+    const isValid = Object.keys(errors).length === 0;
+    const hasDimensions = values.length !== '' && values.width !== '' && values.height !== '';
+
+    return {
+      // Line 1 of the file is the header
+      rowNumber: index + 2,
+      values,
+      errors,
+      isValid,
+      box: isValid
+        ? {
+            receiverName: values.receiverName,
+            weight: parseFloat(values.weight),
+            dimensions: hasDimensions
+              ? {
+                  length: parseFloat(values.length),
+                  width: parseFloat(values.width),
+                  height: parseFloat(values.height),
+                }
+              : null,
+            boxColor,
+            country,
+            address: toAddress(values, country),
+            phone: values.phone,
+            declaredValue: values.declaredValue !== '' ? parseFloat(values.declaredValue) : null,
+            declaredCurrency,
+            insured,
+            dispatchDate: values.dispatchDate || null,
+          }
+        : null,
+    };
+  });
+};
+
+/**
+ * Converts boxes from a JSON export into validated import rows,
+ * keeping their ids and timestamps so the export round-trips
+ * @param {Array<Object>} boxes - Boxes read with parseBoxExport
+ * @param {Object} rateCards - Rate cards keyed by country code
+ * @param {Set<string>} existingIds - Ids of boxes already stored
+ * @returns {Array<Object>} Rows in the same shape as buildImportRows
+ */
+export const buildJsonImportRows = (boxes, rateCards, existingIds = new Set()) => {
+  const mapping = IMPORT_FIELDS.reduce((result, field, index) => {
+    result[field.key] = index;
+    return result;
+  }, {});
+
+  const cells = boxes.map(box => IMPORT_FIELDS.map((field) => {
+    let value = box[field.key];
+    if (FORM_VALIDATION.DIMENSION_FIELDS.includes(field.key)) {
+      value = box.dimensions?.[field.key];
+    } else if (FORM_VALIDATION.ADDRESS_FIELDS.includes(field.key)) {
+      value = box.address?.[field.key];
+    } else if (isRgbColor(value)) {
+      value = rgbToHex(value);
+    }
+    return value === null || value === undefined ? '' : String(value);
+  }));
+
+  const seenIds = new Set();
+
+  return buildImportRows(cells, mapping, rateCards).map((row, index) => {
+    const source = boxes[index];
+    const errors = { ...row.errors };
+
+    if (source.id && (existingIds.has(source.id) || seenIds.has(source.id))) {
+      errors.id = `Box ${source.id} already exists.`;
+    }
+    seenIds.add(source.id);
+
+    const customsItems = Array.isArray(source.customsItems) ? source.customsItems : [];
+    const itemsError = validateCustomsItems(customsItems, parseFloat(source.weight));
+    if (itemsError) {
+      errors.customsItems = itemsError;
+    }
+
+    const carrier = CARRIERS[source.carrier] ? source.carrier : DEFAULT_CARRIER;
+    if (row.box && !carrierServesCountry(carrier, row.box.country, rateCards)) {
+      errors.carrier = `${getCarrierName(carrier)} does not ship to ${rateCards[row.box.country].name}.`;
+    }
+
+    // Boxes keep where they are in their lifecycle, and when they got there
+    const status = source.status || DEFAULT_BOX_STATUS;
+    const statusHistory = Array.isArray(source.statusHistory) ? source.statusHistory : [];
+    const statusError = getStatusHistoryError(status, statusHistory);
+    if (statusError) {
+      errors.status = statusError;
+    }
+
+    // The code must still exist and have been valid when the box was booked; usage
+    // limits are not rechecked, as re-importing restores a use rather than adding one
+    const promoCode = normalizePromoCode(source.promoCode);
+    const promoError = checkPromoCode(promoCode, {
+      country: row.box?.country,
+      now: source.createdAt ? new Date(source.createdAt) : new Date(),
+    });
+    if (promoError) {
+      errors.promoCode = promoError;
+    }
+
+    const isValid = Object.keys(errors).length === 0;
+
+    return {
+      ...row,
+      // JSON exports have no header line
+      rowNumber: index + 1,
+      errors,
+      isValid,
+      box: isValid
+        ? {
+            ...row.box,
+            customsItems: customsItems.map(draftToCustomsItem),
+            customsCategory: CUSTOMS_CATEGORIES[source.customsCategory]
+              ? source.customsCategory
+              : DEFAULT_CUSTOMS_CATEGORY,
+            carrier,
+            promoCode,
+            // Kept only if the shipment exists where the boxes are imported (see createBoxRecord)
+            shipmentId: source.shipmentId || null,
+            status,
+            statusHistory,
+            // Printed labels keep working; numbers that are invalid or taken here are reissued
+            trackingNumber: isValidTrackingNumber(source.trackingNumber)
+              ? normalizeTrackingNumber(source.trackingNumber)
+              : null,
+            id: source.id,
+            createdAt: source.createdAt,
+            updatedAt: source.updatedAt,
+          }
+        : null,
+    };
+  });
+};
@@ -0,0 +1,208 @@
+/**
+ * Box Query Utilities
+ * Search, filter and sort state for the box list, stored in URL query params
+ */
+
+import { BOX_SORT_FIELDS, BOX_LIST_PAGE_SIZES, BOX_STATUSES } from '../constants';
+
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
+// Query params for the numeric range filters
+const RANGE_PARAMS = ['minWeight', 'maxWeight', 'minCost', 'maxCost'];
+
+// Query params for the created-date filter (YYYY-MM-DD)
+const DATE_PARAMS = ['from', 'to'];
+
+export const EMPTY_BOX_QUERY = {
+  search: '',
+  country: '',
+  status: '',
+  minWeight: '',
+  maxWeight: '',
+  minCost: '',
+  maxCost: '',
+  from: '',
+  to: '',
+  sort: '',
+  dir: 'asc',
+  summary: 'all',
+  page: 1,
+  pageSize: BOX_LIST_PAGE_SIZES[0],
+};
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00`).getTime());
+
+/**
+ * Reads the box list query from URL search params, dropping invalid values
+ * @param {URLSearchParams} searchParams - Current search params
+ * @returns {Object} Query with every key of EMPTY_BOX_QUERY
+ */
+export const parseBoxQuery = (searchParams) => {
+  const get = (key) => (searchParams.get(key) || '').trim();
+  const query = { ...EMPTY_BOX_QUERY, search: get('search'), country: get('country').toUpperCase() };
+  query.status = BOX_STATUSES[get('status')] ? get('status') : '';
+
+  RANGE_PARAMS.forEach((key) => {
+    const value = get(key);
+    query[key] = value !== '' && Number.isFinite(Number(value)) ? value : '';
+  });
+
+  DATE_PARAMS.forEach((key) => {
+    const value = get(key);
+    query[key] = isValidDate(value) ? value : '';
+  });
+
+  if (BOX_SORT_FIELDS[get('sort')]) {
+    query.sort = get('sort');
+    query.dir = SORT_DIRECTIONS.includes(get('dir')) ? get('dir') : 'asc';
+  }
+
+  query.summary = get('summary') === 'filtered' ? 'filtered' : 'all';
+
+  const page = parseInt(get('page'), 10);
+  query.page = page > 0 ? page : 1;
+
+  const pageSize = parseInt(get('pageSize'), 10);
+  query.pageSize = BOX_LIST_PAGE_SIZES.includes(pageSize) ? pageSize : BOX_LIST_PAGE_SIZES[0];
+
+  return query;
+};
+
+/**
+ * Writes a box list query as URL search params, omitting default values
+ * @param {Object} query - Box list query
+ * @returns {URLSearchParams} Search params
+ */
+export const serializeBoxQuery = (query) => {
+  const params = new URLSearchParams();
+
+  Object.keys(EMPTY_BOX_QUERY).forEach((key) => {
+    const value = query[key];
+    if (value === undefined || value === null || value === '' || value === EMPTY_BOX_QUERY[key]) {
+      return;
+    }
+    if (key === 'dir' && !query.sort) {
+      return;
+    }
+    params.set(key, value);
+  });
+
+  return params;
+};
+
+/**
+ * Whether any search or filter narrows the list (sorting and summary mode do not)
+ * @param {Object} query - Box list query
+ * @returns {boolean} True when rows may be hidden
+ */
+export const hasActiveFilters = (query) => {
+  return ['search', 'country', 'status', ...RANGE_PARAMS, ...DATE_PARAMS].some(key => query[key] !== '');
+};
+
+/**
+ * Returns the boxes matching the query's search and filters
+ * @param {Array<Object>} boxes - Boxes to filter
+ * @param {Object} query - Box list query
+ * @returns {Array<Object>} Matching boxes
+ */
+export const filterBoxes = (boxes, query) => {
+  if (!hasActiveFilters(query)) {
+    return boxes;
+  }
+
+  const search = query.search.toLowerCase();
+  // Tracking numbers match however they were spaced
+  const trackingSearch = query.search.replace(/\s+/g, '').toUpperCase();
+  const toNumber = (value) => (value === '' ? null : parseFloat(value));
+  const minWeight = toNumber(query.minWeight);
+  const maxWeight = toNumber(query.maxWeight);
+  const minCost = toNumber(query.minCost);
+  const maxCost = toNumber(query.maxCost);
+  // Dates are compared in local time so a day matches what the user sees
+  const from = query.from ? new Date(`${query.from}T00:00:00`).getTime() : null;
+  const to = query.to ? new Date(`${query.to}T23:59:59.999`).getTime() : null;
+
+  return boxes.filter((box) => {
+    const created = new Date(box.createdAt).getTime();
+
+    return (!search
+        || (box.receiverName || '').toLowerCase().includes(search)
+        || (box.trackingNumber || '').includes(trackingSearch))
+      && (!query.country || box.country === query.country)
+      && (!query.status || box.status === query.status)
+      && (minWeight === null || box.weight >= minWeight)
+      && (maxWeight === null || box.weight <= maxWeight)
+      && (minCost === null || box.shippingCost >= minCost)
+      && (maxCost === null || box.shippingCost <= maxCost)
+      && (from === null || created >= from)
+      && (to === null || created <= to);
+  });
+};
+
+/**
+ * Returns a sorted copy of the boxes; insertion order is kept when no sort is set
+ * @param {Array<Object>} boxes - Boxes to sort
+ * @param {string} sort - Field from BOX_SORT_FIELDS
+ * @param {string} dir - 'asc' or 'desc'
+ * @returns {Array<Object>} Sorted boxes
+ */
+export const sortBoxes = (boxes, sort, dir = 'asc') => {
+  const type = BOX_SORT_FIELDS[sort];
+  if (!type) {
+    return boxes;
+  }
+
+  const direction = dir === 'desc' ? -1 : 1;
+  const compare = type === 'number'
+    ? (a, b) => (a[sort] || 0) - (b[sort] || 0)
+    : (a, b) => String(a[sort] || '').localeCompare(String(b[sort] || ''), undefined, { sensitivity: 'base' });
+
+  // Array.prototype.sort is stable, so ties keep insertion order
+  return [...boxes].sort((a, b) => compare(a, b) * direction);
+};
+
+/**
+ * Applies the query's filters and sort to the boxes
+ * @param {Array<Object>} boxes - All boxes
+ * @param {Object} query - Box list query
+ * @returns {Array<Object>} Boxes to display
+ */
+export const applyBoxQuery = (boxes, query) => {
+  return sortBoxes(filterBoxes(boxes, query), query.sort, query.dir);
+};
+
+/**
+ * Returns the query with the next sort for a clicked column: ascending, descending, then unsorted
+ * @param {Object} query - Box list query
+ * @param {string} field - Clicked field
+ * @returns {Object} Updated query
+ */
+export const toggleSort = (query, field) => {
+  if (query.sort !== field) {
+    return { ...query, sort: field, dir: 'asc' };
+  }
+  if (query.dir === 'asc') {
+    return { ...query, dir: 'desc' };
+  }
+  return { ...query, sort: '', dir: 'asc' };
+};
+
+/**
+ * Returns one page of rows, clamping the page number to the available pages
+ * @param {Array<Object>} rows - Rows to paginate
+ * @param {number} page - Requested page (1-based)
+ * @param {number} pageSize - Rows per page
+ * @returns {Object} { rows, page, pageCount, start }
+ */
+export const paginate = (rows, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const currentPage = Math.min(Math.max(1, page), pageCount);
+  const start = (currentPage - 1) * pageSize;
+
+  return {
+    rows: rows.slice(start, start + pageSize),
+    page: currentPage,
+    pageCount,
+    start,
+  };
+};
@@ -0,0 +1,114 @@
+/**
+ * Box Status Utilities
+ * The box lifecycle state machine (draft → packed → dispatched → in transit → delivered,
+ * plus returned and cancelled) and the per-transition history kept on each box
+ */
+
+import { BOX_STATUSES, BOX_STATUS_TRANSITIONS, DEFAULT_BOX_STATUS, UI_MESSAGES } from '../constants';
+
+/**
+ * Statuses a box can move to next
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+export const getNextStatuses = (status) => BOX_STATUS_TRANSITIONS[status] || [];
+
+/**
+ * Explains why a box cannot move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string|null} Error message, or null when the transition is allowed
+ */
+export const getStatusTransitionError = (from, to) => {
+  if (!BOX_STATUSES[to]) {
+    return UI_MESSAGES.ERRORS.INVALID_BOX_STATUS;
+  }
+  if (!getNextStatuses(from).includes(to)) {
+    return `Cannot change status from ${BOX_STATUSES[from] || from} to ${BOX_STATUSES[to]}`;
+  }
+  return null;
+};
+
+/**
+ * Checks a status history from an import: it must start as a draft, follow the
+ * allowed transitions in order and end in the box's status
+ * @param {string} status - Box status
+ * @param {Array<Object>} statusHistory - { status, at } entries, oldest first
+ * @returns {string|null} Error message, or null when the history is consistent
+ */
+export const getStatusHistoryError = (status, statusHistory) => {
+  if (!BOX_STATUSES[status]) {
+    return UI_MESSAGES.ERRORS.INVALID_BOX_STATUS;
+  }
+
+  const history = Array.isArray(statusHistory) ? statusHistory : [];
+  if (history.length === 0) {
+    return status === DEFAULT_BOX_STATUS ? null : `No status history leads to ${BOX_STATUSES[status]}`;
+  }
+  if (history.some(entry => !entry || Number.isNaN(Date.parse(entry.at)))) {
+    return 'Status history has entries without a valid date';
+  }
+  if (history[0].status !== DEFAULT_BOX_STATUS) {
+    return `Status history must start at ${BOX_STATUSES[DEFAULT_BOX_STATUS]}`;
+  }
+
+  for (let index = 1; index < history.length; index += 1) {
+    const error = getStatusTransitionError(history[index - 1].status, history[index].status);
+    if (error) {
+      return error;
+    }
+  }
+
+  return history[history.length - 1].status === status
+    ? null
+    : `Status history does not end at ${BOX_STATUSES[status]}`;
+};
+
+/**
+ * Builds the updates that move a box to a new status, recording when it happened
+ * @param {Object} box - Stored box
+ * @param {string} status - Requested status
+ * @param {string} [at] - ISO timestamp of the transition
+ * @returns {Object} { status, statusHistory }
+ * @throws {Error} When the transition is not allowed
+ */
+export const transitionStatus = (box, status, at = new Date().toISOString()) => {
+  const error = getStatusTransitionError(box.status, status);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return {
+    status,
+    statusHistory: [...(box.statusHistory || []), { status, at }],
+  };
+};
+
+/**
+ * Returns a valid status and history for box data from storage or an import
+ * @param {Object} box - Box data
+ * @returns {Object} { status, statusHistory }
+ */
+export const normalizeBoxStatus = (box) => {
+  const status = BOX_STATUSES[box.status] ? box.status : DEFAULT_BOX_STATUS;
+  const history = Array.isArray(box.statusHistory)
+    ? box.statusHistory.filter(entry => entry && BOX_STATUSES[entry.status] && entry.at)
+    : [];
+
+  return {
+    status,
+    statusHistory: history.length > 0 && history[history.length - 1].status === status
+      ? history
+      : [...history, { status, at: box.updatedAt || box.createdAt || new Date().toISOString() }],
+  };
+};
+
+/**
+ * When a box entered its current status
+ * @param {Object} box - Stored box
+ * @returns {string|null} ISO timestamp
+ */
+export const getStatusChangedAt = (box) => {
+  const history = box.statusHistory || [];
+  return history.length > 0 ? history[history.length - 1].at : null;
+};
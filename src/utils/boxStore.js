@@ -0,0 +1,458 @@
+/**
+ * Box Store Utilities
+ * Immutable, id-indexed box collection with incrementally maintained statistics.
+ *
+ * Boxes are indexed by id across a fixed number of buckets, so an add, update
+ * or remove copies one small bucket instead of the whole index, and statistics
+ * are adjusted by the changed boxes instead of being recomputed from scratch.
+ * The ordered list that screens render is kept alongside and patched in place of
+ * the changed boxes (one native array copy), so reading it never walks the index.
+ *
+ * The store also holds the shipments boxes are grouped into (boxes point to
+ * theirs through shipmentId), with per-shipment statistics maintained the same way,
+ * and an index from tracking number to box id, bucketed like the boxes.
+ */
+
+import { calculateStatistics } from './index';
+import { adjustPromoCodeUses } from './discounts';
+
+const BUCKET_COUNT = 64;
+
+const bucketFor = (id) => {
+  const key = String(id);
+  let hash = 0;
+  for (let i = 0; i < key.length; i += 1) {
+    hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) % BUCKET_COUNT;
+};
+
+const applyToStatistics = (statistics, box, sign) => {
+  const totalBoxes = statistics.totalBoxes + sign;
+
+  // Start from exact zeros again once empty so float drift cannot accumulate
+  if (totalBoxes === 0) {
+    return calculateStatistics([]);
+  }
+
+  return {
+    totalBoxes,
+    totalWeight: statistics.totalWeight + sign * (box.weight || 0),
+    totalChargeableWeight: statistics.totalChargeableWeight + sign * (box.chargeableWeight || box.weight || 0),
+    totalCost: statistics.totalCost + sign * (box.shippingCost || 0),
+    totalInsurance: statistics.totalInsurance + sign * (box.insuranceCost || 0),
+    totalDuty: statistics.totalDuty + sign * (box.dutyCost || 0),
+    totalVat: statistics.totalVat + sign * (box.vatCost || 0),
+    promoCodeUses: adjustPromoCodeUses(statistics.promoCodeUses, box, sign),
+  };
+};
+
+// Adjusts the statistics of the box's shipment, if it has one
+const applyToShipmentStatistics = (shipmentStatistics, box, sign) => {
+  if (!box.shipmentId || !shipmentStatistics[box.shipmentId]) {
+    return shipmentStatistics;
+  }
+
+  return {
+    ...shipmentStatistics,
+    [box.shipmentId]: applyToStatistics(shipmentStatistics[box.shipmentId], box, sign),
+  };
+};
+
+/**
+ * Copies only the buckets touched by the given ids
+ * @returns {Function} Returns a writable bucket for an id
+ */
+const copyOnWrite = (buckets) => {
+  const copied = new Set();
+  return (id) => {
+    const index = bucketFor(id);
+    if (!copied.has(index)) {
+      buckets[index] = new Map(buckets[index]);
+      copied.add(index);
+    }
+    return buckets[index];
+  };
+};
+
+/**
+ * Adds or removes a box's tracking number in the index
+ * @param {Function} writable - Returns a writable tracking bucket for a number
+ */
+const indexTrackingNumber = (writable, box, sign) => {
+  if (!box.trackingNumber) {
+    return;
+  }
+  const bucket = writable(box.trackingNumber);
+  if (sign > 0) {
+    bucket.set(box.trackingNumber, box.id);
+  } else if (bucket.get(box.trackingNumber) === box.id) {
+    bucket.delete(box.trackingNumber);
+  }
+};
+
+// Tracking numbers rarely change, so the index is only copied when one does
+const reindexTrackingNumber = (trackingBuckets, box, updatedBox) => {
+  if (box.trackingNumber === updatedBox.trackingNumber) {
+    return trackingBuckets;
+  }
+  const copy = [...trackingBuckets];
+  const writable = copyOnWrite(copy);
+  indexTrackingNumber(writable, box, -1);
+  indexTrackingNumber(writable, updatedBox, 1);
+  return copy;
+};
+
+/**
+ * Builds a store from an ordered list of boxes and their shipments
+ * @param {Array<Object>} boxes - Boxes in display order
+ * @param {Array<Object>} shipments - Shipments in creation order
+ * @returns {Object} Store ({ boxes, buckets, trackingBuckets, statistics, shipments, shipmentStatistics })
+ */
+export const createBoxStore = (boxes = [], shipments = []) => {
+  const buckets = Array.from({ length: BUCKET_COUNT }, () => new Map());
+  const trackingBuckets = Array.from({ length: BUCKET_COUNT }, () => new Map());
+  boxes.forEach((box) => {
+    buckets[bucketFor(box.id)].set(box.id, box);
+    indexTrackingNumber(number => trackingBuckets[bucketFor(number)], box, 1);
+  });
+
+  const shipmentBoxes = {};
+  shipments.forEach((shipment) => {
+    shipmentBoxes[shipment.id] = [];
+  });
+  boxes.forEach((box) => {
+    if (box.shipmentId && shipmentBoxes[box.shipmentId]) {
+      shipmentBoxes[box.shipmentId].push(box);
+    }
+  });
+
+  return {
+    boxes: boxes.slice(),
+    buckets,
+    trackingBuckets,
+    statistics: calculateStatistics(boxes),
+    shipments: shipments.reduce((map, shipment) => ({ ...map, [shipment.id]: shipment }), {}),
+    shipmentStatistics: Object.keys(shipmentBoxes).reduce((map, id) => ({
+      ...map,
+      [id]: calculateStatistics(shipmentBoxes[id]),
+    }), {}),
+  };
+};
+
+/**
+ * Looks up a box by id
+ * @param {Object} store - Box store
+ * @param {string} id - Box id
+ * @returns {Object|null} Box
+ */
+export const getStoredBox = (store, id) => {
+  return store.buckets[bucketFor(id)].get(id) || null;
+};
+
+/**
+ * Looks up a box by its tracking number
+ * @param {Object} store - Box store
+ * @param {string} trackingNumber - Normalized tracking number
+ * @returns {Object|null} Box
+ */
+export const getStoredBoxByTrackingNumber = (store, trackingNumber) => {
+  const id = store.trackingBuckets[bucketFor(trackingNumber)].get(trackingNumber);
+  return id ? getStoredBox(store, id) : null;
+};
+
+/**
+ * Lists the stored boxes in order
+ * @param {Object} store - Box store
+ * @returns {Array<Object>} Boxes
+ */
+export const getStoredBoxes = (store) => {
+  return store.boxes;
+};
+
+/**
+ * Copies the ordered list with some boxes swapped for their updated versions
+ * @param {Array<Object>} list - Stored boxes in order
+ * @param {Map<Object, Object>} replacements - Updated box keyed by the stored box it replaces
+ * @returns {Array<Object>} New list
+ */
+const replaceInList = (list, replacements) => {
+  // A single edit finds its position with a native scan; bulk edits make one pass
+  if (replacements.size === 1) {
+    const [[box, updatedBox]] = replacements;
+    const copy = list.slice();
+    copy[copy.indexOf(box)] = updatedBox;
+    return copy;
+  }
+  return list.map(box => replacements.get(box) || box);
+};
+
+/**
+ * Appends boxes, ignoring ids that are already stored
+ * @param {Object} store - Box store
+ * @param {Array<Object>} boxes - Boxes to add
+ * @returns {Object} New store
+ */
+export const addToStore = (store, boxes) => {
+  const buckets = [...store.buckets];
+  const writable = copyOnWrite(buckets);
+  const trackingBuckets = [...store.trackingBuckets];
+  const writableTracking = copyOnWrite(trackingBuckets);
+  const added = [];
+  let { statistics, shipmentStatistics } = store;
+
+  boxes.forEach((box) => {
+    const bucket = writable(box.id);
+    if (bucket.has(box.id)) {
+      return;
+    }
+    bucket.set(box.id, box);
+    indexTrackingNumber(writableTracking, box, 1);
+    added.push(box);
+    statistics = applyToStatistics(statistics, box, 1);
+    shipmentStatistics = applyToShipmentStatistics(shipmentStatistics, box, 1);
+  });
+
+  if (added.length === 0) {
+    return store;
+  }
+
+  return { ...store, boxes: store.boxes.concat(added), buckets, trackingBuckets, statistics, shipmentStatistics };
+};
+
+/**
+ * Removes a box by id
+ * @param {Object} store - Box store
+ * @param {string} id - Box id
+ * @returns {Object} New store (the same store when the id is unknown)
+ */
+export const removeFromStore = (store, id) => {
+  const box = getStoredBox(store, id);
+  if (!box) {
+    return store;
+  }
+
+  const buckets = [...store.buckets];
+  copyOnWrite(buckets)(id).delete(id);
+  const trackingBuckets = [...store.trackingBuckets];
+  indexTrackingNumber(copyOnWrite(trackingBuckets), box, -1);
+
+  const boxes = store.boxes.slice();
+  boxes.splice(boxes.indexOf(box), 1);
+
+  return {
+    ...store,
+    boxes,
+    buckets,
+    trackingBuckets,
+    statistics: applyToStatistics(store.statistics, box, -1),
+    shipmentStatistics: applyToShipmentStatistics(store.shipmentStatistics, box, -1),
+  };
+};
+
+/**
+ * Removes several boxes in one pass
+ * @param {Object} store - Box store
+ * @param {Array<string>} ids - Box ids
+ * @returns {Object} New store (the same store when none of the ids are stored)
+ */
+export const removeManyFromStore = (store, ids) => {
+  const removed = ids.map(id => getStoredBox(store, id)).filter(Boolean);
+  if (removed.length === 0) {
+    return store;
+  }
+
+  const buckets = [...store.buckets];
+  const writable = copyOnWrite(buckets);
+  const trackingBuckets = [...store.trackingBuckets];
+  const writableTracking = copyOnWrite(trackingBuckets);
+  const removedIds = new Set();
+  let { statistics, shipmentStatistics } = store;
+
+  removed.forEach((box) => {
+    if (removedIds.has(box.id)) {
+      return;
+    }
+    writable(box.id).delete(box.id);
+    indexTrackingNumber(writableTracking, box, -1);
+    removedIds.add(box.id);
+    statistics = applyToStatistics(statistics, box, -1);
+    shipmentStatistics = applyToShipmentStatistics(shipmentStatistics, box, -1);
+  });
+
+  return {
+    ...store,
+    boxes: store.boxes.filter(box => !removedIds.has(box.id)),
+    buckets,
+    trackingBuckets,
+    statistics,
+    shipmentStatistics,
+  };
+};
+
+/**
+ * Applies changes to a stored box, keeping its position
+ * @param {Object} store - Box store
+ * @param {string} id - Box id
+ * @param {Object} updates - Fields to change
+ * @returns {Object} New store (the same store when the id is unknown)
+ */
+export const updateInStore = (store, id, updates) => {
+  const box = getStoredBox(store, id);
+  if (!box) {
+    return store;
+  }
+
+  const updatedBox = { ...box, ...updates, id };
+  const buckets = [...store.buckets];
+  copyOnWrite(buckets)(id).set(id, updatedBox);
+
+  return {
+    ...store,
+    boxes: replaceInList(store.boxes, new Map([[box, updatedBox]])),
+    buckets,
+    trackingBuckets: reindexTrackingNumber(store.trackingBuckets, box, updatedBox),
+    statistics: applyToStatistics(applyToStatistics(store.statistics, box, -1), updatedBox, 1),
+    shipmentStatistics: applyToShipmentStatistics(
+      applyToShipmentStatistics(store.shipmentStatistics, box, -1),
+      updatedBox,
+      1
+    ),
+  };
+};
+
+/**
+ * Applies changes to several boxes in one pass
+ * @param {Object} store - Box store
+ * @param {Array<Object>} changes - Changes ({ id, updates }); unknown ids are skipped
+ * @returns {Object} New store
+ */
+export const updateManyInStore = (store, changes) => {
+  const buckets = [...store.buckets];
+  const writable = copyOnWrite(buckets);
+  let { trackingBuckets, statistics, shipmentStatistics } = store;
+  // Keyed by the stored box, so a box changed twice is replaced by its latest version
+  const replacements = new Map();
+  const originals = new Map();
+
+  changes.forEach(({ id, updates }) => {
+    const bucket = buckets[bucketFor(id)];
+    const box = bucket.get(id);
+    if (!box) {
+      return;
+    }
+
+    const updatedBox = { ...box, ...updates, id };
+    writable(id).set(id, updatedBox);
+    const original = originals.get(box) || box;
+    originals.set(updatedBox, original);
+    replacements.set(original, updatedBox);
+    trackingBuckets = reindexTrackingNumber(trackingBuckets, box, updatedBox);
+    statistics = applyToStatistics(applyToStatistics(statistics, box, -1), updatedBox, 1);
+    shipmentStatistics = applyToShipmentStatistics(
+      applyToShipmentStatistics(shipmentStatistics, box, -1),
+      updatedBox,
+      1
+    );
+  });
+
+  if (replacements.size === 0) {
+    return store;
+  }
+
+  return {
+    ...store,
+    boxes: replaceInList(store.boxes, replacements),
+    buckets,
+    trackingBuckets,
+    statistics,
+    shipmentStatistics,
+  };
+};
+
+/**
+ * Recomputes statistics from scratch
+ * @param {Object} store - Box store
+ * @returns {Object} New store
+ */
+export const recalculateStoreStatistics = (store) => {
+  const boxes = getStoredBoxes(store);
+  const { statistics, shipmentStatistics } = createBoxStore(boxes, getStoredShipments(store));
+  return { ...store, statistics, shipmentStatistics };
+};
+
+/**
+ * Looks up a shipment by id
+ * @param {Object} store - Box store
+ * @param {string} id - Shipment id
+ * @returns {Object|null} Shipment
+ */
+export const getStoredShipment = (store, id) => {
+  return store.shipments[id] || null;
+};
+
+/**
+ * Lists the stored shipments in creation order
+ * @param {Object} store - Box store
+ * @returns {Array<Object>} Shipments
+ */
+export const getStoredShipments = (store) => {
+  return Object.values(store.shipments);
+};
+
+/**
+ * Adds an empty shipment
+ * @param {Object} store - Box store
+ * @param {Object} shipment - Shipment with an id
+ * @returns {Object} New store (the same store when the id is already stored)
+ */
+export const addShipmentToStore = (store, shipment) => {
+  if (store.shipments[shipment.id]) {
+    return store;
+  }
+
+  return {
+    ...store,
+    shipments: { ...store.shipments, [shipment.id]: shipment },
+    shipmentStatistics: { ...store.shipmentStatistics, [shipment.id]: calculateStatistics([]) },
+  };
+};
+
+/**
+ * Applies changes to a shipment's own fields (status, reference, ...)
+ * @param {Object} store - Box store
+ * @param {string} id - Shipment id
+ * @param {Object} updates - Fields to change
+ * @returns {Object} New store (the same store when the id is unknown)
+ */
+export const updateShipmentInStore = (store, id, updates) => {
+  const shipment = getStoredShipment(store, id);
+  if (!shipment) {
+    return store;
+  }
+
+  return {
+    ...store,
+    shipments: { ...store.shipments, [id]: { ...shipment, ...updates, id } },
+  };
+};
+
+/**
+ * Removes a shipment, leaving its boxes unassigned
+ * @param {Object} store - Box store
+ * @param {string} id - Shipment id
+ * @returns {Object} New store (the same store when the id is unknown)
+ */
+export const removeShipmentFromStore = (store, id) => {
+  if (!getStoredShipment(store, id)) {
+    return store;
+  }
+
+  const changes = getStoredBoxes(store)
+    .filter(box => box.shipmentId === id)
+    .map(box => ({ id: box.id, updates: { shipmentId: null } }));
+  const { [id]: removed, ...shipments } = store.shipments;
+  const { [id]: removedStatistics, ...shipmentStatistics } = store.shipmentStatistics;
+
+  return { ...updateManyInStore(store, changes), shipments, shipmentStatistics };
+};
@@ -0,0 +1,137 @@
+/**
+ * Carrier Utilities
+ * Per-carrier rate tables and transit times, and comparing carriers for a box
+ */
+
+import { calculateShippingQuote } from './index';
+import { CARRIERS, DEFAULT_RATE_CARDS, UI_MESSAGES } from '../constants';
+
+// Closed countries stay open only for the box already shipping there
+const isCountryOpen = (country, rateCards, currentCountry) => {
+  return Boolean(rateCards[country]) && (rateCards[country].enabled !== false || country === currentCountry);
+};
+
+/**
+ * Resolves the rate tables a carrier prices with. Countries closed in the rate-card
+ * admin are closed for every carrier, the default one included, except to reprice
+ * a box that already ships there.
+ * @param {string} carrierId - Carrier key in CARRIERS
+ * @param {Object} rateCards - Active rate cards
+ * @param {string} currentCountry - Destination of the box being edited, if any
+ * @returns {Object|null} Rate tables keyed by country code, or null for an unknown carrier
+ */
+export const getCarrierRateCards = (carrierId, rateCards = DEFAULT_RATE_CARDS, currentCountry = null) => {
+  const carrier = CARRIERS[carrierId];
+  if (!carrier) {
+    return null;
+  }
+
+  const rates = carrier.rates || rateCards;
+  return Object.keys(rates).reduce((tables, country) => {
+    if (isCountryOpen(country, rateCards, currentCountry)) {
+      tables[country] = rates[country];
+    }
+    return tables;
+  }, {});
+};
+
+/**
+ * Rate tables for pricing a box with a carrier
+ * @param {string} carrierId - Carrier key
+ * @param {string} country - Destination
+ * @param {Object} rateCards - Active rate cards
+ * @param {string} currentCountry - Destination of the box being edited, if any
+ * @returns {Object} Rate tables keyed by country code
+ * @throws {Error} When the carrier is unknown, the country is closed or the carrier
+ *   does not ship there
+ */
+export const resolveCarrierRateCards = (carrierId, country, rateCards = DEFAULT_RATE_CARDS, currentCountry = null) => {
+  const tables = getCarrierRateCards(carrierId, rateCards, currentCountry);
+  if (!tables) {
+    throw new Error(`Unknown carrier: ${carrierId}`);
+  }
+  if (rateCards[country] && !isCountryOpen(country, rateCards, currentCountry)) {
+    throw new Error(UI_MESSAGES.ERRORS.COUNTRY_DISABLED);
+  }
+  // The default carrier reports missing rate cards itself when quoting
+  if (country && CARRIERS[carrierId].rates && !tables[country]) {
+    throw new Error(`${CARRIERS[carrierId].name} does not ship to ${rateCards[country]?.name || country}.`);
+  }
+  return tables;
+};
+
+/**
+ * Checks whether a carrier delivers to a country
+ * @param {string} carrierId - Carrier key
+ * @param {string} country - Country code
+ * @param {Object} rateCards - Active rate cards
+ * @param {string} currentCountry - Destination of the box being edited, if any
+ * @returns {boolean}
+ */
+export const carrierServesCountry = (carrierId, country, rateCards = DEFAULT_RATE_CARDS, currentCountry = null) => {
+  return Boolean(getCarrierRateCards(carrierId, rateCards, currentCountry)?.[country]);
+};
+
+/**
+ * Transit time for a carrier and destination
+ * @param {string} carrierId - Carrier key
+ * @param {string} country - Country code
+ * @returns {Object|null} { min, max } business days
+ */
+export const getTransitDays = (carrierId, country) => {
+  const carrier = CARRIERS[carrierId];
+  if (!carrier) {
+    return null;
+  }
+  return carrier.transitDays[country] || carrier.defaultTransitDays || null;
+};
+
+export const getCarrierName = (carrierId) => CARRIERS[carrierId]?.name || carrierId;
+
+// Sooner latest delivery wins, then sooner earliest delivery
+const isFaster = (a, b) => a.max < b.max || (a.max === b.max && a.min < b.min);
+
+/**
+ * Quotes every carrier that serves the destination
+ * @param {Object} shipment - { weight, country, dimensions, postalCode, discountOffers,
+ *   currentCountry }: currentCountry is the destination of the box being edited, if any
+ * @param {Object} rateCards - Active rate cards
+ * @returns {Array<Object>} { carrierId, name, quote, transitDays, cheapest, fastest }, in CARRIERS order
+ */
+export const compareCarriers = (
+  { weight, country, dimensions = null, postalCode = '', discountOffers = [], currentCountry = null },
+  rateCards = DEFAULT_RATE_CARDS
+) => {
+  const options = Object.keys(CARRIERS)
+    .filter(carrierId => carrierServesCountry(carrierId, country, rateCards, currentCountry))
+    .map((carrierId) => ({
+      carrierId,
+      name: CARRIERS[carrierId].name,
+      quote: calculateShippingQuote(
+        weight,
+        country,
+        dimensions,
+        getCarrierRateCards(carrierId, rateCards, currentCountry),
+        postalCode,
+        discountOffers
+      ),
+      transitDays: getTransitDays(carrierId, country),
+    }))
+    .filter(option => option.quote);
+
+  if (options.length === 0) {
+    return [];
+  }
+
+  const lowestCost = Math.min(...options.map(option => option.quote.cost));
+  const fastest = options
+    .filter(option => option.transitDays)
+    .reduce((best, option) => (!best || isFaster(option.transitDays, best.transitDays) ? option : best), null);
+
+  return options.map(option => ({
+    ...option,
+    cheapest: option.quote.cost === lowestCost,
+    fastest: Boolean(fastest) && option.transitDays?.min === fastest.transitDays.min
+      && option.transitDays?.max === fastest.transitDays.max,
+  }));
+};
@@ -0,0 +1,107 @@
+/**
+ * Code 128 Barcode Encoder
+ * Encodes printable ASCII as Code 128, switching to code set C for runs of
+ * digits to keep labels short. Output is a list of module colors for rendering.
+ */
+
+// Bar/space widths of each symbol value (0-106), in modules
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const CODE_C = 99;
+const CODE_B = 100;
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+// Quiet zone required on each side of the symbol, in modules
+export const CODE128_QUIET_ZONE = 10;
+
+const countDigits = (text, start) => {
+  let end = start;
+  while (end < text.length && text[end] >= '0' && text[end] <= '9') {
+    end += 1;
+  }
+  return end - start;
+};
+
+/**
+ * Converts text to Code 128 symbol values, including start, check and stop symbols
+ * @param {string} text - Printable ASCII text
+ * @returns {Array<number>} Symbol values
+ * @throws {Error} When the text is empty or has characters Code 128 B cannot encode
+ */
+export const encodeCode128Values = (text) => {
+  const value = String(text ?? '');
+  if (!value) {
+    throw new Error('Nothing to encode');
+  }
+  if (!/^[\x20-\x7e]+$/.test(value)) {
+    throw new Error('Code 128 labels support printable ASCII characters only');
+  }
+
+  const values = [];
+  let set = null;
+  let index = 0;
+
+  while (index < value.length) {
+    const digits = countDigits(value, index);
+    // Code C pays off for 4+ digits at either end of the text, or 6+ in the middle
+    const atEdge = index === 0 || index + digits === value.length;
+    const useC = digits >= (atEdge ? 4 : 6);
+
+    if (useC) {
+      if (set !== 'C') {
+        values.push(set === null ? START_C : CODE_C);
+        set = 'C';
+      }
+      const pairs = Math.floor(digits / 2);
+      for (let pair = 0; pair < pairs; pair += 1) {
+        values.push(parseInt(value.substr(index, 2), 10));
+        index += 2;
+      }
+    }
+
+    if (index < value.length && (!useC || digits % 2 === 1)) {
+      if (set !== 'B') {
+        values.push(set === null ? START_B : CODE_B);
+        set = 'B';
+      }
+      values.push(value.charCodeAt(index) - 32);
+      index += 1;
+    }
+  }
+
+  const checksum = values.reduce((sum, symbol, position) => sum + symbol * Math.max(position, 1), 0) % 103;
+  return [...values, checksum, STOP];
+};
+
+/**
+ * Encodes text as Code 128 modules
+ * @param {string} text - Printable ASCII text
+ * @returns {Array<boolean>} Module colors from left to right (true = bar), without quiet zones
+ */
+export const encodeCode128 = (text) => {
+  const modules = [];
+
+  encodeCode128Values(text).forEach((symbol) => {
+    [...PATTERNS[symbol]].forEach((width, position) => {
+      for (let i = 0; i < Number(width); i += 1) {
+        modules.push(position % 2 === 0);
+      }
+    });
+  });
+
+  return modules;
+};
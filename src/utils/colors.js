@@ -0,0 +1,166 @@
+/**
+ * Color Utilities
+ * Parses CSS colors into the { r, g, b } values stored on boxes, and formats them for display
+ */
+
+import { NAMED_COLORS } from '../constants';
+
+const NUMBER_PATTERN = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/;
+
+// "#" is optional for 6 and 8 digits only, so short words are never read as hex
+const HEX_PATTERN = /^#(?:[a-f\d]{3,4})$|^#?(?:[a-f\d]{6}|[a-f\d]{8})$/i;
+
+/**
+ * Reads a number, or a percentage of the scale
+ * @param {string} text - e.g. '128' or '50%'
+ * @param {number} scale - Largest allowed value
+ * @returns {number|null} Value between 0 and scale, or null
+ */
+const parseChannel = (text, scale) => {
+  const isPercent = text.endsWith('%');
+  const number = isPercent ? text.slice(0, -1) : text;
+  if (!NUMBER_PATTERN.test(number)) {
+    return null;
+  }
+
+  const value = isPercent ? (parseFloat(number) / 100) * scale : parseFloat(number);
+  return value >= 0 && value <= scale ? value : null;
+};
+
+// Hue in degrees (the default unit) or turns, wrapped into 0-360
+const parseHue = (text) => {
+  const matches = /^(.+?)(deg|turn)?$/.exec(text);
+  if (!matches || !NUMBER_PATTERN.test(matches[1])) {
+    return null;
+  }
+
+  const degrees = parseFloat(matches[1]) * (matches[2] === 'turn' ? 360 : 1);
+  return ((degrees % 360) + 360) % 360;
+};
+
+const hslToRgb = (hue, saturation, lightness) => {
+  const chroma = saturation * Math.min(lightness, 1 - lightness);
+  const channel = (offset) => {
+    const k = (offset + hue / 30) % 12;
+    return Math.round((lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255);
+  };
+  return { r: channel(0), g: channel(8), b: channel(4) };
+};
+
+/**
+ * Reads rgb(), rgba(), hsl() and hsla() with comma- or space-separated arguments,
+ * and the "(r, g, b)" strings boxes were stored with before colors were structured
+ * @param {string} text - Lower-case color text
+ * @returns {Object|null} { r, g, b }
+ */
+const parseColorFunction = (text) => {
+  const matches = /^(rgba?|hsla?)?\((.*)\)$/.exec(text);
+  if (!matches) {
+    return null;
+  }
+
+  const args = matches[2].trim().split(/\s*[,/]\s*|\s+/);
+  if (args.length < 3 || args.length > 4) {
+    return null;
+  }
+  // Alpha is checked but dropped: boxes are opaque
+  if (args.length === 4 && parseChannel(args[3], 1) === null) {
+    return null;
+  }
+
+  if (matches[1]?.startsWith('hsl')) {
+    const hue = parseHue(args[0]);
+    const saturation = parseChannel(args[1].replace(/%$/, ''), 100);
+    const lightness = parseChannel(args[2].replace(/%$/, ''), 100);
+    if (hue === null || saturation === null || lightness === null) {
+      return null;
+    }
+    return hslToRgb(hue, saturation / 100, lightness / 100);
+  }
+
+  const channels = args.slice(0, 3).map(arg => parseChannel(arg, 255));
+  if (channels.includes(null)) {
+    return null;
+  }
+  const [r, g, b] = channels.map(Math.round);
+  return { r, g, b };
+};
+
+export const isRgbColor = (value) => {
+  return Boolean(value) && typeof value === 'object' && ['r', 'g', 'b'].every(
+    channel => Number.isInteger(value[channel]) && value[channel] >= 0 && value[channel] <= 255
+  );
+};
+
+/**
+ * Converts 3, 4, 6 or 8-digit hex to RGB; the alpha digits are dropped
+ * @param {string} hex - e.g. '#f80', '#ff8800' or 'ff8800cc'
+ * @returns {Object|null} { r, g, b }, or null when the text is not hex
+ */
+export const hexToRgb = (hex) => {
+  if (typeof hex !== 'string' || !HEX_PATTERN.test(hex.trim())) {
+    return null;
+  }
+
+  const digits = hex.trim().replace(/^#/, '');
+  // Short forms repeat each digit: #f80 is #ff8800
+  const full = digits.length <= 4 ? digits.replace(/./g, '$&$&') : digits;
+  return {
+    r: parseInt(full.slice(0, 2), 16),
+    g: parseInt(full.slice(2, 4), 16),
+    b: parseInt(full.slice(4, 6), 16),
+  };
+};
+
+/**
+ * Reads a color in any CSS notation: hex, rgb()/rgba(), hsl()/hsla() or a named
+ * color. Stored colors ({ r, g, b } or the legacy "(r, g, b)") are accepted too.
+ * @param {string|Object} value - Color to read
+ * @returns {Object|null} { r, g, b }, or null when the color is not recognised
+ */
+export const parseColor = (value) => {
+  if (isRgbColor(value)) {
+    return { r: value.r, g: value.g, b: value.b };
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim().toLowerCase();
+  if (NAMED_COLORS[text]) {
+    return hexToRgb(NAMED_COLORS[text]);
+  }
+  return hexToRgb(text) || parseColorFunction(text);
+};
+
+export const rgbToColor = (color) => {
+  const rgb = parseColor(color);
+  return rgb ? `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})` : '#000000';
+};
+
+export const rgbToHex = (color) => {
+  const rgb = parseColor(color);
+  if (!rgb) {
+    return '#000000';
+  }
+
+  const toHex = (value) => value.toString(16).padStart(2, '0');
+  return `#${toHex(rgb.r)}${toHex(rgb.g)}${toHex(rgb.b)}`;
+};
+
+const NAMED_RGB = Object.keys(NAMED_COLORS).map(name => ({ name, ...hexToRgb(NAMED_COLORS[name]) }));
+
+/**
+ * Names a color after the closest CSS named color
+ * @param {string|Object} color - Color in any notation parseColor reads
+ * @returns {string} e.g. 'steelblue', or '' when the color is not recognised
+ */
+export const getColorName = (color) => {
+  const rgb = parseColor(color);
+  if (!rgb) {
+    return '';
+  }
+
+  const distance = (named) => (named.r - rgb.r) ** 2 + (named.g - rgb.g) ** 2 + (named.b - rgb.b) ** 2;
+  return NAMED_RGB.reduce((closest, named) => (distance(named) < distance(closest) ? named : closest)).name;
+};
@@ -0,0 +1,91 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 parsing and serialization (quoted fields, escaped quotes, CRLF)
+ */
+
+/**
+ * Parses CSV text into an array of rows
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows of field values
+ * @throws {Error} When a quoted field is never closed
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Quotes a value for CSV output when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows into CSV text
+ * @param {Array<Array<*>>} rows - Rows of field values
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows) => {
+  return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n');
+};
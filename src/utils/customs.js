@@ -0,0 +1,122 @@
+/**
+ * Customs Utilities
+ * Declared value, insurance premium and destination duty/VAT estimates
+ */
+
+import { getRateTable, convertToBaseCurrency } from './index';
+import {
+  BASE_CURRENCY,
+  CUSTOMS_RULES,
+  DEFAULT_CUSTOMS_RULES,
+  DEFAULT_EXCHANGE_RATES,
+  DEFAULT_RATE_CARDS,
+  INSURANCE,
+} from '../constants';
+
+const roundAmount = (amount) => parseFloat(amount.toFixed(2));
+
+/**
+ * Resolves a destination's import rules; rate cards saved before customs
+ * rules existed fall back to the built-in rules for the country
+ * @param {string} country - Country code
+ * @param {Object} rateCards - Active rate cards
+ * @returns {Object} { deMinimis, dutyRate, vatRate }
+ */
+export const getCustomsRules = (country, rateCards = DEFAULT_RATE_CARDS) => {
+  return getRateTable(country, rateCards)?.customs || CUSTOMS_RULES[country] || DEFAULT_CUSTOMS_RULES;
+};
+
+/**
+ * Calculates the insurance premium for an insured value
+ * @param {number} insuredValue - Value in the base currency
+ * @param {Object} insurance - { RATE, MIN_PREMIUM, MAX_PREMIUM }
+ * @returns {number} Premium in the base currency (0 when nothing is insured)
+ */
+export const calculateInsurancePremium = (insuredValue, insurance = INSURANCE) => {
+  if (!(insuredValue > 0)) {
+    return 0;
+  }
+
+  const premium = (insuredValue * insurance.RATE) / 100;
+  return roundAmount(Math.min(insurance.MAX_PREMIUM, Math.max(insurance.MIN_PREMIUM, premium)));
+};
+
+/**
+ * Estimates the duty and VAT due at the destination
+ * @param {number} goodsValue - Declared goods value in the base currency
+ * @param {number} shippingCost - Shipping cost in the base currency
+ * @param {number} insuranceCost - Insurance premium in the base currency
+ * @param {string} country - Country code
+ * @param {Object} rateCards - Active rate cards
+ * @returns {Object} { dutiable, deMinimis, duty, vat }
+ */
+export const calculateImportCharges = (goodsValue, shippingCost, insuranceCost, country, rateCards = DEFAULT_RATE_CARDS) => {
+  const { deMinimis, dutyRate, vatRate } = getCustomsRules(country, rateCards);
+
+  if (!(goodsValue > deMinimis)) {
+    return { dutiable: false, deMinimis, duty: 0, vat: 0 };
+  }
+
+  const customsValue = goodsValue + (shippingCost || 0) + (insuranceCost || 0);
+  const duty = (customsValue * dutyRate) / 100;
+  const vat = ((customsValue + duty) * vatRate) / 100;
+
+  return { dutiable: true, deMinimis, duty: roundAmount(duty), vat: roundAmount(vat) };
+};
+
+/**
+ * Prices a box's declared value: insurance when requested, and duty/VAT above the de-minimis
+ * @param {Object} box - { country, declaredValue, declaredCurrency, insured }
+ * @param {number} shippingCost - Shipping cost in the base currency
+ * @param {Object} rateCards - Active rate cards
+ * @param {Object} exchangeRates - Units of each currency per base unit
+ * @returns {Object} { goodsValue, dutiable, deMinimis, insuranceCost, dutyCost, vatCost }
+ * @throws {Error} When there is no exchange rate for the declared currency
+ */
+export const calculateDeclaredValueCharges = (
+  box,
+  shippingCost,
+  rateCards = DEFAULT_RATE_CARDS,
+  exchangeRates = DEFAULT_EXCHANGE_RATES
+) => {
+  const goodsValue = box.declaredValue > 0
+    ? convertToBaseCurrency(box.declaredValue, box.declaredCurrency || BASE_CURRENCY, exchangeRates)
+    : 0;
+  const insuranceCost = box.insured ? calculateInsurancePremium(goodsValue) : 0;
+  const { dutiable, deMinimis, duty, vat } = calculateImportCharges(
+    goodsValue,
+    shippingCost,
+    insuranceCost,
+    box.country,
+    rateCards
+  );
+
+  return {
+    goodsValue: roundAmount(goodsValue),
+    dutiable,
+    deMinimis,
+    insuranceCost,
+    dutyCost: duty,
+    vatCost: vat,
+  };
+};
+
+/**
+ * Total cost of getting a box to the receiver: shipping, insurance, duty and VAT
+ * @param {Object} box - Stored box
+ * @returns {number} Landed cost in the base currency
+ */
+export const getLandedCost = (box) => {
+  return roundAmount(
+    (box.shippingCost || 0) + (box.insuranceCost || 0) + (box.dutyCost || 0) + (box.vatCost || 0)
+  );
+};
+
+/**
+ * Landed cost of a set of boxes from their statistics
+ * @param {Object} statistics - Result of calculateStatistics
+ * @returns {number} Total in the base currency
+ */
+export const getLandedTotal = (statistics) => {
+  return statistics.totalCost + statistics.totalInsurance + statistics.totalDuty + statistics.totalVat;
+};
@@ -0,0 +1,118 @@
+/**
+ * Customs Declaration Utilities
+ * Item lines for CN22/CN23 declarations: editing, validation, totals and form choice
+ */
+
+import { CUSTOMS_FORMS } from '../constants';
+
+const normalizeHsCode = (value) => String(value ?? '').replace(/[\s.]/g, '');
+
+export const emptyCustomsItem = () => ({
+  description: '',
+  quantity: '1',
+  hsCode: '',
+  unitValue: '',
+  netWeight: '',
+  originCountry: CUSTOMS_FORMS.DEFAULT_ORIGIN_COUNTRY,
+});
+
+export const customsItemToDraft = (item) => ({
+  description: item.description || '',
+  quantity: String(item.quantity ?? ''),
+  hsCode: item.hsCode || '',
+  unitValue: String(item.unitValue ?? ''),
+  netWeight: String(item.netWeight ?? ''),
+  originCountry: item.originCountry || '',
+});
+
+export const draftToCustomsItem = (draft) => ({
+  description: String(draft.description ?? '').trim(),
+  quantity: parseInt(draft.quantity, 10),
+  hsCode: normalizeHsCode(draft.hsCode),
+  unitValue: parseFloat(draft.unitValue),
+  netWeight: parseFloat(draft.netWeight),
+  originCountry: String(draft.originCountry ?? '').trim().toUpperCase(),
+});
+
+/**
+ * Adds up item lines
+ * @param {Array<Object>} items - Parsed item lines
+ * @returns {Object} { quantity, value, netWeight } (value in the declared currency, weight in kg)
+ */
+export const getCustomsItemsTotals = (items) => {
+  const totals = (items || []).reduce((sums, item) => {
+    const quantity = item.quantity > 0 ? item.quantity : 0;
+    return {
+      quantity: sums.quantity + quantity,
+      value: sums.value + quantity * (item.unitValue || 0),
+      netWeight: sums.netWeight + quantity * (item.netWeight || 0),
+    };
+  }, { quantity: 0, value: 0, netWeight: 0 });
+
+  return {
+    quantity: totals.quantity,
+    value: parseFloat(totals.value.toFixed(2)),
+    netWeight: parseFloat(totals.netWeight.toFixed(3)),
+  };
+};
+
+/**
+ * Validates item lines from the box form or an import
+ * @param {Array<Object>} items - Item drafts (string or numeric values)
+ * @param {number} boxWeight - Gross weight of the box in kg
+ * @returns {string|null} First problem found, or null when the lines are valid
+ */
+export const validateCustomsItems = (items, boxWeight) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return null;
+  }
+  if (items.length > CUSTOMS_FORMS.MAX_ITEMS) {
+    return `No more than ${CUSTOMS_FORMS.MAX_ITEMS} item lines are allowed.`;
+  }
+
+  for (let index = 0; index < items.length; index += 1) {
+    const item = items[index];
+    const label = `Item ${index + 1}`;
+    const description = String(item.description ?? '').trim();
+    const quantity = Number(item.quantity);
+    const hsCode = normalizeHsCode(item.hsCode);
+
+    if (!description) {
+      return `${label}: description is required.`;
+    }
+    if (description.length > CUSTOMS_FORMS.MAX_DESCRIPTION_LENGTH) {
+      return `${label}: description cannot exceed ${CUSTOMS_FORMS.MAX_DESCRIPTION_LENGTH} characters.`;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return `${label}: quantity must be a whole number of at least 1.`;
+    }
+    if (hsCode && !CUSTOMS_FORMS.HS_CODE_PATTERN.test(hsCode)) {
+      return `${label}: HS code must have 6, 8 or 10 digits.`;
+    }
+    if (!(parseFloat(item.unitValue) > 0)) {
+      return `${label}: unit value must be greater than 0.`;
+    }
+    if (!(parseFloat(item.netWeight) > 0)) {
+      return `${label}: net weight must be greater than 0 kg.`;
+    }
+    if (!CUSTOMS_FORMS.ORIGIN_COUNTRY_PATTERN.test(String(item.originCountry ?? '').trim().toUpperCase())) {
+      return `${label}: country of origin must be a 2-letter code such as ${CUSTOMS_FORMS.DEFAULT_ORIGIN_COUNTRY}.`;
+    }
+  }
+
+  const { netWeight } = getCustomsItemsTotals(items.map(draftToCustomsItem));
+  if (boxWeight > 0 && netWeight > boxWeight) {
+    return `Items weigh ${netWeight} kg in total, more than the box's ${boxWeight} kg.`;
+  }
+
+  return null;
+};
+
+/**
+ * Picks the declaration a box needs
+ * @param {number} declaredValue - Value of the contents in the base currency
+ * @returns {string} 'CN22' or 'CN23'
+ */
+export const getCustomsFormType = (declaredValue) => {
+  return declaredValue > CUSTOMS_FORMS.CN22_MAX_VALUE ? 'CN23' : 'CN22';
+};
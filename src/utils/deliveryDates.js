@@ -0,0 +1,131 @@
+/**
+ * Delivery Date Utilities
+ * Business-day arithmetic over weekends and public holidays, and delivery windows for boxes
+ */
+
+import { DELIVERY, ORIGIN_HOLIDAYS, PUBLIC_HOLIDAYS, DEFAULT_RATE_CARDS } from '../constants';
+
+// Calendar dates are handled at local midnight so day arithmetic ignores time zones
+const nextDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+
+export const toIsoDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parses a calendar date
+ * @param {string} value - Date as YYYY-MM-DD
+ * @returns {Date|null} Local midnight on that date, or null when it is not a real date
+ */
+export const parseIsoDate = (value) => {
+  if (typeof value !== 'string' || !DELIVERY.DATE_PATTERN.test(value)) {
+    return null;
+  }
+
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  // Reject dates that roll over, such as 2026-02-30
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+export const isBusinessDay = (date, holidays = []) => {
+  return !DELIVERY.WEEKEND_DAYS.includes(date.getDay()) && !holidays.includes(toIsoDate(date));
+};
+
+/**
+ * First business day on or after a date
+ * @param {Date} date - Start date
+ * @param {Array<string>} holidays - ISO dates that are not business days
+ * @returns {Date}
+ */
+export const nextBusinessDay = (date, holidays = []) => {
+  let day = date;
+  while (!isBusinessDay(day, holidays)) {
+    day = nextDay(day);
+  }
+  return day;
+};
+
+/**
+ * Counts business days forward from a date
+ * @param {Date} date - Start date (not counted itself)
+ * @param {number} days - Business days to add
+ * @param {Array<string>} holidays - ISO dates that are not business days
+ * @returns {Date} The date the last of those business days falls on
+ */
+export const addBusinessDays = (date, days, holidays = []) => {
+  let day = date;
+  let remaining = days;
+  while (remaining > 0) {
+    day = nextDay(day);
+    if (isBusinessDay(day, holidays)) {
+      remaining -= 1;
+    }
+  }
+  return day;
+};
+
+/**
+ * Resolves a destination's public holidays; rate cards saved before holidays
+ * existed fall back to the built-in list for the country
+ * @param {string} country - Country code
+ * @param {Object} rateCards - Active rate cards
+ * @returns {Array<string>} ISO dates
+ */
+export const getPublicHolidays = (country, rateCards = DEFAULT_RATE_CARDS) => {
+  return rateCards[country]?.holidays || PUBLIC_HOLIDAYS[country] || [];
+};
+
+/**
+ * Estimates when a box arrives. It is handed to the carrier on the first Indian
+ * business day on or after the dispatch date, then spends the carrier's transit
+ * time in business days at the destination.
+ * @param {Object} shipment - { dispatchDate, country, transitDays }: dispatch date as
+ *   YYYY-MM-DD and { min, max } business days in transit
+ * @param {Object} rateCards - Active rate cards
+ * @param {Array<string>} originHolidays - Indian public holidays, as edited on the
+ *   rate-card screen
+ * @returns {Object|null} { handoverDate, earliest, latest } as YYYY-MM-DD, or null
+ *   without a valid dispatch date or a transit time
+ */
+export const estimateDelivery = (
+  { dispatchDate, country, transitDays },
+  rateCards = DEFAULT_RATE_CARDS,
+  originHolidays = ORIGIN_HOLIDAYS
+) => {
+  const date = parseIsoDate(dispatchDate);
+  if (!date || !transitDays) {
+    return null;
+  }
+
+  const handover = nextBusinessDay(date, originHolidays);
+  const holidays = getPublicHolidays(country, rateCards);
+
+  return {
+    handoverDate: toIsoDate(handover),
+    earliest: toIsoDate(addBusinessDays(handover, transitDays.min, holidays)),
+    latest: toIsoDate(addBusinessDays(handover, transitDays.max, holidays)),
+  };
+};
+
+/**
+ * Formats a delivery window for display, e.g. "Tue, 27 Oct – Fri, 6 Nov 2026"
+ * @param {Object} deliveryWindow - { earliest, latest } as YYYY-MM-DD
+ * @returns {string} Formatted window, or '' without one
+ */
+export const formatDeliveryWindow = (deliveryWindow) => {
+  const earliest = parseIsoDate(deliveryWindow?.earliest);
+  const latest = parseIsoDate(deliveryWindow?.latest);
+  if (!earliest || !latest) {
+    return '';
+  }
+
+  const dayFormat = { weekday: 'short', day: 'numeric', month: 'short' };
+  const last = latest.toLocaleDateString(undefined, { ...dayFormat, year: 'numeric' });
+  if (toIsoDate(earliest) === toIsoDate(latest)) {
+    return last;
+  }
+  return `${earliest.toLocaleDateString(undefined, dayFormat)} – ${last}`;
+};
@@ -0,0 +1,166 @@
+/**
+ * Discount Utilities
+ * Promo codes and volume tiers, and choosing the discount a box gets
+ */
+
+import { PROMO_CODES, VOLUME_DISCOUNT_TIERS } from '../constants';
+
+const roundMoney = (amount) => parseFloat(amount.toFixed(2));
+
+export const normalizePromoCode = (code) => String(code ?? '').trim().toUpperCase();
+
+/**
+ * Looks up a promo code, ignoring case and surrounding spaces
+ * @param {string} code - Code as entered
+ * @param {Array<Object>} promoCodes - Available promo codes
+ * @returns {Object|null} Promo code definition
+ */
+export const findPromoCode = (code, promoCodes = PROMO_CODES) => {
+  const normalized = normalizePromoCode(code);
+  return promoCodes.find(promo => promo.code === normalized) || null;
+};
+
+// The promo code a box's discount came from (boxes that got a volume discount used none)
+export const getAppliedPromoCode = (box) => {
+  return box?.discount?.source === 'promo' ? box.discount.code : null;
+};
+
+/**
+ * Counts the boxes a promo code was applied to
+ * @param {string} code - Promo code
+ * @param {Object} promoCodeUses - Uses per code, as kept in the box statistics
+ * @param {Object} [box] - Box being edited, which keeps its own use
+ * @returns {number}
+ */
+export const countPromoCodeUses = (code, promoCodeUses, box = null) => {
+  const normalized = normalizePromoCode(code);
+  const uses = (promoCodeUses && promoCodeUses[normalized]) || 0;
+  return getAppliedPromoCode(box) === normalized ? uses - 1 : uses;
+};
+
+/**
+ * Adjusts per-code promo usage by one box
+ * @param {Object} promoCodeUses - Uses per promo code
+ * @param {Object} box - Box added (sign 1) or removed (sign -1)
+ * @param {number} sign - 1 or -1
+ * @returns {Object} New counts (the same object when the box used no code)
+ */
+export const adjustPromoCodeUses = (promoCodeUses, box, sign) => {
+  const code = getAppliedPromoCode(box);
+  if (!code) {
+    return promoCodeUses;
+  }
+
+  const { [code]: uses = 0, ...others } = promoCodeUses || {};
+  return uses + sign > 0 ? { ...others, [code]: uses + sign } : others;
+};
+
+// A box keeps the code it was booked with, even after the code expires
+export const getRedemptionDate = (promoCode, box = null) => {
+  return box && normalizePromoCode(promoCode) === box.promoCode ? new Date(box.createdAt) : new Date();
+};
+
+/**
+ * Checks that a promo code can be used for a box
+ * @param {string} code - Code as entered ('' means none)
+ * @param {Object} context - { country, promoCodeUses, box, now, promoCodes }
+ * @returns {string|null} Why the code cannot be used, or null when it can (or none was entered)
+ */
+export const checkPromoCode = (code, {
+  country,
+  promoCodeUses = {},
+  box = null,
+  now = new Date(),
+  promoCodes = PROMO_CODES,
+} = {}) => {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) {
+    return null;
+  }
+
+  const promo = findPromoCode(normalized, promoCodes);
+  if (!promo) {
+    return `Promo code ${normalized} does not exist.`;
+  }
+  // Codes are valid through the whole of their last day
+  if (promo.expiresAt && now > new Date(`${promo.expiresAt}T23:59:59.999`)) {
+    return `Promo code ${normalized} expired on ${promo.expiresAt}.`;
+  }
+  if (country && Array.isArray(promo.countries) && !promo.countries.includes(country)) {
+    return `Promo code ${normalized} is not valid for this destination.`;
+  }
+  if (promo.maxUses !== null && promo.maxUses !== undefined
+    && countPromoCodeUses(normalized, promoCodeUses, box) >= promo.maxUses) {
+    return `Promo code ${normalized} has been used up.`;
+  }
+
+  return null;
+};
+
+/**
+ * Finds the volume tier reached by the weight already shipped
+ * @param {number} totalWeight - Cumulative weight in kg
+ * @param {Array<Object>} tiers - { minWeight, percent } tiers
+ * @returns {Object|null} Highest tier reached
+ */
+export const getVolumeTier = (totalWeight, tiers = VOLUME_DISCOUNT_TIERS) => {
+  return tiers
+    .filter(tier => totalWeight >= tier.minWeight)
+    .reduce((best, tier) => (!best || tier.percent > best.percent ? tier : best), null);
+};
+
+/**
+ * Lists the discounts a box qualifies for
+ * @param {string} promoCode - Code as entered; only pass codes that passed checkPromoCode
+ * @param {number} totalWeight - Weight already shipped in kg
+ * @param {Array<Object>} promoCodes - Available promo codes
+ * @returns {Array<Object>} Offers { source, code, label, type, value }
+ */
+export const getDiscountOffers = (promoCode, totalWeight, promoCodes = PROMO_CODES) => {
+  const offers = [];
+  const promo = findPromoCode(promoCode, promoCodes);
+  if (promo) {
+    offers.push({
+      source: 'promo',
+      code: promo.code,
+      label: `Promo ${promo.code}${promo.type === 'percent' ? ` (${promo.value}%)` : ''}`,
+      type: promo.type,
+      value: promo.value,
+    });
+  }
+
+  const tier = getVolumeTier(totalWeight);
+  if (tier) {
+    offers.push({
+      source: 'volume',
+      code: null,
+      label: `Volume discount (${tier.percent}%)`,
+      type: 'percent',
+      value: tier.percent,
+    });
+  }
+
+  return offers;
+};
+
+/**
+ * Picks the offer saving the most; discounts do not combine
+ * @param {Array<Object>} offers - Result of getDiscountOffers
+ * @param {number} amount - Amount the discount comes off
+ * @returns {Object|null} { source, code, label, amount }
+ */
+export const pickBestDiscount = (offers, amount) => {
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  return (offers || []).reduce((best, offer) => {
+    const saving = offer.type === 'percent'
+      ? roundMoney((amount * offer.value) / 100)
+      : roundMoney(Math.min(offer.value, amount));
+    if (!(saving > 0) || (best && best.amount >= saving)) {
+      return best;
+    }
+    return { source: offer.source, code: offer.code, label: offer.label, amount: saving };
+  }, null);
+};
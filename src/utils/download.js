@@ -0,0 +1,25 @@
+/**
+ * Download Utilities
+ * Saves generated content as a file in the browser
+ */
+
+/**
+ * Triggers a browser download for in-memory content
+ * @param {string} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export const downloadFile = (content, fileName, mimeType = 'text/plain') => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,64 @@
+/**
+ * History Utilities
+ * Undo/redo over immutable snapshots. Works on any object holding
+ * { store, past, future }; entries carry the snapshot plus caller metadata.
+ */
+
+/**
+ * Replaces the current snapshot, recording the previous one as undoable
+ * @param {Object} state - Object with store, past and future
+ * @param {*} store - New snapshot
+ * @param {Object} meta - Entry details (e.g. { historyId, label })
+ * @param {number} limit - Maximum number of undo steps kept
+ * @returns {Object} Updated state (the same state when nothing changed)
+ */
+export const recordChange = (state, store, meta, limit) => {
+  if (store === state.store) {
+    return state;
+  }
+
+  return {
+    ...state,
+    store,
+    past: [...state.past, { ...meta, store: state.store }].slice(-limit),
+    future: [],
+  };
+};
+
+/**
+ * Restores the snapshot before the most recent change
+ * @param {Object} state - Object with store, past and future
+ * @returns {Object} Updated state (the same state when there is nothing to undo)
+ */
+export const undoChange = (state) => {
+  const entry = state.past[state.past.length - 1];
+  if (!entry) {
+    return state;
+  }
+
+  return {
+    ...state,
+    store: entry.store,
+    past: state.past.slice(0, -1),
+    future: [...state.future, { ...entry, store: state.store }],
+  };
+};
+
+/**
+ * Re-applies the most recently undone change
+ * @param {Object} state - Object with store, past and future
+ * @returns {Object} Updated state (the same state when there is nothing to redo)
+ */
+export const redoChange = (state) => {
+  const entry = state.future[state.future.length - 1];
+  if (!entry) {
+    return state;
+  }
+
+  return {
+    ...state,
+    store: entry.store,
+    past: [...state.past, { ...entry, store: state.store }],
+    future: state.future.slice(0, -1),
+  };
+};
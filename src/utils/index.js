@@ -3,70 +3,256 @@
  * Reusable helper functions for the shipping calculator
  */
 
-import { SHIPPING_RATES } from '../constants';
+import {
+  DEFAULT_RATE_CARDS,
+  DEFAULT_VOLUMETRIC_DIVISOR,
+  FORM_VALIDATION,
+  BASE_CURRENCY,
+  CURRENCIES,
+  DEFAULT_EXCHANGE_RATES,
+  CUSTOMS_CATEGORIES,
+  PRICING,
+  DELIVERY,
+  UI_MESSAGES,
+} from '../constants';
+import { validateAddress, isRemoteArea } from './address';
+import { pickBestDiscount, adjustPromoCodeUses } from './discounts';
+import { validateCustomsItems, draftToCustomsItem, getCustomsItemsTotals } from './customsDeclaration';
+import { parseIsoDate } from './deliveryDates';
+import { parseColor } from './colors';
 
-export const hexToRgb = (hex) => {
-  if (!hex || typeof hex !== 'string') {
-    return '(0, 0, 0)';
+export const getRateTable = (country, rateCards = DEFAULT_RATE_CARDS) => {
+  const countryKey = country ? country.toUpperCase() : '';
+  return (rateCards && rateCards[countryKey]) || null;
+};
+
+export const calculateVolumetricWeight = (dimensions, country, rateCards = DEFAULT_RATE_CARDS) => {
+  if (!dimensions) {
+    return 0;
   }
 
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  
-  if (!result) {
-    return '(0, 0, 0)';
+  const { length, width, height } = dimensions;
+  if (!(length > 0) || !(width > 0) || !(height > 0)) {
+    return 0;
   }
 
-  const r = parseInt(result[1], 16);
-  const g = parseInt(result[2], 16);
-  const b = parseInt(result[3], 16);
-  
-  return `(${r}, ${g}, ${b})`;
+  const rateTable = getRateTable(country, rateCards);
+  const divisor = (rateTable && rateTable.volumetricDivisor) || DEFAULT_VOLUMETRIC_DIVISOR;
+
+  return parseFloat(((length * width * height) / divisor).toFixed(2));
 };
 
-export const rgbToColor = (rgbString) => {
-  if (!rgbString || typeof rgbString !== 'string') {
-    return '#000000';
+export const roundUpToIncrement = (weight, increment) => {
+  if (!(weight > 0)) {
+    return 0;
   }
-  
-  const matches = rgbString.match(/\((\d+),\s*(\d+),\s*(\d+)\)/);
-  
-  if (!matches) {
-    return '#000000';
+  if (!(increment > 0)) {
+    return weight;
   }
-  
-  const [, r, g, b] = matches;
-  return `rgb(${r}, ${g}, ${b})`;
+
+  // toFixed guards against float noise such as 1.5000000001 / 0.5
+  const steps = Math.ceil(parseFloat((weight / increment).toFixed(6)));
+  return parseFloat((steps * increment).toFixed(2));
 };
 
-export const calculateShippingCost = (weight, country) => {
-  if (!weight || !country || weight <= 0) {
+export const findRateBracket = (rateTable, billableWeight) => {
+  if (!rateTable || !Array.isArray(rateTable.brackets) || rateTable.brackets.length === 0) {
+    return null;
+  }
+
+  return (
+    rateTable.brackets.find(
+      bracket => bracket.maxWeight === null || billableWeight <= bracket.maxWeight
+    ) || rateTable.brackets[rateTable.brackets.length - 1]
+  );
+};
+
+export const getLowestRate = (rateTable) => {
+  if (!rateTable || !Array.isArray(rateTable.brackets) || rateTable.brackets.length === 0) {
     return 0;
   }
+  return Math.min(...rateTable.brackets.map(bracket => bracket.ratePerKg));
+};
+
+export const calculateChargeableWeight = (weight, country, dimensions, rateCards = DEFAULT_RATE_CARDS) => {
+  const actualWeight = weight > 0 ? weight : 0;
+  const volumetricWeight = calculateVolumetricWeight(dimensions, country, rateCards);
+  const chargeableWeight = Math.max(actualWeight, volumetricWeight);
+  const rateTable = getRateTable(country, rateCards);
+
+  return rateTable
+    ? roundUpToIncrement(chargeableWeight, rateTable.roundingIncrement)
+    : chargeableWeight;
+};
+
+const roundMoney = (amount) => parseFloat(amount.toFixed(2));
+
+// Base freight from the rate card, then the fuel surcharge and any remote-area fee,
+// less the best discount offered, then GST on the lot. Each line is rounded, and the
+// cost is their sum.
+export const calculateShippingQuote = (
+  weight,
+  country,
+  dimensions = null,
+  rateCards = DEFAULT_RATE_CARDS,
+  postalCode = '',
+  discountOffers = []
+) => {
+  if (!weight || !country || weight <= 0) {
+    return null;
+  }
 
-  const countryKey = country.toUpperCase();
-  const rate = SHIPPING_RATES[countryKey];
+  const rateTable = getRateTable(country, rateCards);
   
-  if (!rate) {
+  if (!rateTable) {
     throw new Error(`Shipping rate not found for country: ${country}`);
   }
 
-  return parseFloat((weight * rate).toFixed(2));
+  const volumetricWeight = calculateVolumetricWeight(dimensions, country, rateCards);
+  const chargeableWeight = calculateChargeableWeight(weight, country, dimensions, rateCards);
+  const bracket = findRateBracket(rateTable, chargeableWeight);
+  const bracketCost = chargeableWeight * bracket.ratePerKg;
+  const minimumApplied = bracketCost < rateTable.minimumCharge;
+  const baseFreight = roundMoney(minimumApplied ? rateTable.minimumCharge : bracketCost);
+  const fuelSurcharge = roundMoney((baseFreight * PRICING.FUEL_SURCHARGE_PERCENT) / 100);
+  const remoteAreaFee = isRemoteArea(country, postalCode) ? PRICING.REMOTE_AREA_FEE : 0;
+  const appliedDiscount = pickBestDiscount(discountOffers, baseFreight + fuelSurcharge + remoteAreaFee);
+  const discount = appliedDiscount ? appliedDiscount.amount : 0;
+  const gst = roundMoney(((baseFreight + fuelSurcharge + remoteAreaFee - discount) * PRICING.GST_PERCENT) / 100);
+
+  return {
+    volumetricWeight,
+    chargeableWeight,
+    bracket,
+    ratePerKg: bracket.ratePerKg,
+    minimumCharge: rateTable.minimumCharge,
+    minimumApplied,
+    baseFreight,
+    fuelSurcharge,
+    remoteAreaFee,
+    discount,
+    appliedDiscount,
+    gst,
+    cost: roundMoney(baseFreight + fuelSurcharge + remoteAreaFee - discount + gst),
+  };
 };
 
-export const formatCurrency = (amount) => {
-  if (typeof amount !== 'number' || isNaN(amount)) {
-    return '₹0.00';
+// The cost lines stored on a box
+export const getCostBreakdown = (quote) => ({
+  baseFreight: quote ? quote.baseFreight : 0,
+  fuelSurcharge: quote ? quote.fuelSurcharge : 0,
+  remoteAreaFee: quote ? quote.remoteAreaFee : 0,
+  discount: quote ? quote.discount : 0,
+  gst: quote ? quote.gst : 0,
+});
+
+export const calculateShippingCost = (
+  weight,
+  country,
+  dimensions = null,
+  rateCards = DEFAULT_RATE_CARDS,
+  postalCode = ''
+) => {
+  const quote = calculateShippingQuote(weight, country, dimensions, rateCards, postalCode);
+  return quote ? quote.cost : 0;
+};
+
+export const calculateStatistics = (boxes) => {
+  const emptyStatistics = {
+    totalBoxes: 0,
+    totalWeight: 0,
+    totalChargeableWeight: 0,
+    totalCost: 0,
+    totalInsurance: 0,
+    totalDuty: 0,
+    totalVat: 0,
+    promoCodeUses: {},
+  };
+
+  if (!Array.isArray(boxes) || boxes.length === 0) {
+    return emptyStatistics;
   }
 
-  return new Intl.NumberFormat('en-IN', {
+  return boxes.reduce(
+    (stats, box) => ({
+      totalBoxes: stats.totalBoxes + 1,
+      totalWeight: stats.totalWeight + (box.weight || 0),
+      totalChargeableWeight: stats.totalChargeableWeight + (box.chargeableWeight || box.weight || 0),
+      totalCost: stats.totalCost + (box.shippingCost || 0),
+      totalInsurance: stats.totalInsurance + (box.insuranceCost || 0),
+      totalDuty: stats.totalDuty + (box.dutyCost || 0),
+      totalVat: stats.totalVat + (box.vatCost || 0),
+      promoCodeUses: adjustPromoCodeUses(stats.promoCodeUses, box, 1),
+    }),
+    emptyStatistics
+  );
+};
+
+export const formatCurrency = (amount, currency = BASE_CURRENCY) => {
+  const locale = CURRENCIES[currency]?.locale || CURRENCIES[BASE_CURRENCY].locale;
+  const value = typeof amount !== 'number' || isNaN(amount) ? 0 : amount;
+
+  return new Intl.NumberFormat(locale, {
     style: 'currency',
-    currency: 'INR',
+    currency,
     minimumFractionDigits: 2,
     maximumFractionDigits: 2,
-  }).format(amount);
+  }).format(value);
+};
+
+export const convertCurrency = (amount, currency, exchangeRates = DEFAULT_EXCHANGE_RATES) => {
+  if (typeof amount !== 'number' || isNaN(amount)) {
+    return 0;
+  }
+
+  const rate = exchangeRates?.[currency];
+  if (!(rate > 0)) {
+    throw new Error(`Exchange rate not found for currency: ${currency}`);
+  }
+
+  return amount * rate;
+};
+
+export const convertToBaseCurrency = (amount, currency, exchangeRates = DEFAULT_EXCHANGE_RATES) => {
+  if (typeof amount !== 'number' || isNaN(amount)) {
+    return 0;
+  }
+
+  const rate = exchangeRates?.[currency];
+  if (!(rate > 0)) {
+    throw new Error(`Exchange rate not found for currency: ${currency}`);
+  }
+
+  return amount / rate;
+};
+
+export const validateExchangeRates = (exchangeRates) => {
+  const errors = {};
+
+  Object.keys(exchangeRates || {}).forEach((currency) => {
+    const rate = parseFloat(exchangeRates[currency]);
+    if (isNaN(rate) || rate <= 0) {
+      errors[currency] = `Exchange rate for ${currency} must be greater than 0.`;
+    }
+  });
+
+  if ((exchangeRates || {})[BASE_CURRENCY] !== undefined && parseFloat(exchangeRates[BASE_CURRENCY]) !== 1) {
+    errors[BASE_CURRENCY] = `The base currency (${BASE_CURRENCY}) must have a rate of 1.`;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
 };
 
-export const validateBoxForm = (formData) => {
+/**
+ * Validates box form values, including the receiver address under the destination's rules
+ * @param {Object} formData - Form values
+ * @param {Object} [options] - { requireAddress } (imports may leave the address out)
+ * @returns {Object} { isValid, errors }
+ */
+export const validateBoxForm = (formData, { requireAddress = true } = {}) => {
   const errors = {};
 
   // Receiver name validation
@@ -92,11 +278,97 @@ export const validateBoxForm = (formData) => {
     }
   }
 
+  // Dimension validation (optional, but all three are needed once any is entered)
+  const dimensionFields = FORM_VALIDATION.DIMENSION_FIELDS;
+  const hasAnyDimension = dimensionFields.some(field => formData[field] !== undefined && formData[field] !== '');
+  if (hasAnyDimension) {
+    dimensionFields.forEach((field) => {
+      const label = field.charAt(0).toUpperCase() + field.slice(1);
+      const rawValue = formData[field];
+
+      if (rawValue === undefined || rawValue === '') {
+        errors[field] = `${label} is required when other dimensions are entered.`;
+        return;
+      }
+
+      const value = parseFloat(rawValue);
+      if (isNaN(value)) {
+        errors[field] = `Please enter a valid numeric ${field} value.`;
+      } else if (value <= 0) {
+        errors[field] = `${label} must be greater than 0 cm.`;
+      } else if (value > FORM_VALIDATION.MAX_DIMENSION) {
+        errors[field] = `${label} cannot exceed ${FORM_VALIDATION.MAX_DIMENSION} cm.`;
+      }
+    });
+  }
+
   // Country validation
   if (!formData.country) {
     errors.country = 'Destination country is required. Please select a shipping destination.';
   }
 
+  // Address validation follows the destination's format
+  Object.assign(errors, validateAddress(formData, formData.country, requireAddress));
+
+  // Declared value validation (optional, but needed for insurance);
+  // itemized boxes declare the total value of their items
+  const declaredValue = formData.customsItems?.length > 0
+    ? String(getCustomsItemsTotals(formData.customsItems.map(draftToCustomsItem)).value)
+    : formData.declaredValue ?? '';
+  if (declaredValue !== '') {
+    const value = parseFloat(declaredValue);
+    if (isNaN(value) || value < 0) {
+      errors.declaredValue = 'Declared value must be 0 or more.';
+    } else if (value > FORM_VALIDATION.MAX_DECLARED_VALUE) {
+      errors.declaredValue = `Declared value cannot exceed ${FORM_VALIDATION.MAX_DECLARED_VALUE.toLocaleString('en-US')}.`;
+    }
+  }
+  if (!errors.declaredValue && formData.insured && !(parseFloat(declaredValue) > 0)) {
+    errors.declaredValue = 'Enter a declared value to insure the box.';
+  }
+  if (formData.declaredCurrency && !CURRENCIES[formData.declaredCurrency]) {
+    errors.declaredCurrency = `Unsupported currency: ${formData.declaredCurrency}.`;
+  }
+
+  // Customs item lines (optional; together they may not outweigh the box)
+  const itemsError = validateCustomsItems(formData.customsItems, parseFloat(formData.weight));
+  if (itemsError) {
+    errors.customsItems = itemsError;
+  }
+  if (formData.customsCategory && !CUSTOMS_CATEGORIES[formData.customsCategory]) {
+    errors.customsCategory = 'Please choose a category of contents.';
+  }
+
+  // Phone validation (optional)
+  const phone = String(formData.phone ?? '').trim();
+  if (phone) {
+    const digits = phone.replace(/\D/g, '').length;
+    if (
+      !FORM_VALIDATION.PHONE_PATTERN.test(phone)
+      || digits < FORM_VALIDATION.MIN_PHONE_DIGITS
+      || digits > FORM_VALIDATION.MAX_PHONE_DIGITS
+    ) {
+      errors.phone = 'Please enter a valid phone number, including the country code (e.g. +46 8 123 456 78).';
+    }
+  }
+
+  // Dispatch date validation (optional; boxes can be planned a few months ahead)
+  if (formData.dispatchDate) {
+    const dispatchDate = parseIsoDate(formData.dispatchDate);
+    const latestDispatch = new Date();
+    latestDispatch.setDate(latestDispatch.getDate() + DELIVERY.MAX_DISPATCH_DAYS_AHEAD);
+    if (!dispatchDate) {
+      errors.dispatchDate = 'Please enter a valid dispatch date (YYYY-MM-DD).';
+    } else if (dispatchDate > latestDispatch) {
+      errors.dispatchDate = `Dispatch date cannot be more than ${DELIVERY.MAX_DISPATCH_DAYS_AHEAD} days ahead.`;
+    }
+  }
+
+  // Box color validation (any CSS color; the picker always sends hex)
+  if (formData.boxColor && !parseColor(formData.boxColor)) {
+    errors.boxColor = `${UI_MESSAGES.ERRORS.INVALID_COLOR}.`;
+  }
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors,
@@ -112,8 +384,8 @@ export const debounce = (func, delay) => {
   };
 };
 
-export const generateId = () => {
-  return `box_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+export const generateId = (prefix = 'box') => {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
 export const deepClone = (obj) => {
@@ -0,0 +1,399 @@
+/**
+ * QR Code Encoder
+ * Byte-mode QR codes (versions 1-10, error correction level M) for short
+ * label payloads such as box ids, generated without any network service.
+ */
+
+const MAX_VERSION = 10;
+
+// Error correction level M: codewords per block and number of blocks, by version
+const ECC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ECC_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const ECC_LEVEL_M_FORMAT_BITS = 0;
+
+// Quiet zone required around the symbol, in modules
+export const QR_QUIET_ZONE = 4;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+const toUtf8Bytes = (text) => {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return bytes;
+};
+
+/**
+ * Number of modules available for data and error correction in a version
+ * @param {number} version - QR version (1-40)
+ * @returns {number} Module count
+ */
+export const getRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+};
+
+/**
+ * Centre coordinates of the alignment patterns (rows and columns) for a version
+ * @param {number} version - QR version
+ * @returns {Array<number>} Coordinates
+ */
+export const getAlignmentPositions = (version) => {
+  if (version === 1) {
+    return [];
+  }
+
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+const getDataCapacity = (version) => (
+  Math.floor(getRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version - 1] * ECC_BLOCKS[version - 1]
+);
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+const multiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = multiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = multiply(root, 0x02);
+  }
+  return result;
+};
+
+/**
+ * Reed-Solomon error correction codewords for a block of data
+ * @param {Array<number>} data - Data codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} Error correction codewords
+ */
+export const reedSolomonRemainder = (data, degree) => {
+  const divisor = reedSolomonDivisor(degree);
+  const result = new Array(degree).fill(0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= multiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+/**
+ * 15-bit format information (level M) for a mask pattern
+ * @param {number} mask - Mask pattern (0-7)
+ * @returns {number} Format bits
+ */
+export const getFormatBits = (mask) => {
+  const data = (ECC_LEVEL_M_FORMAT_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i += 1) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  return ((data << 10) | remainder) ^ 0x5412;
+};
+
+/**
+ * 18-bit version information, present from version 7
+ * @param {number} version - QR version
+ * @returns {number} Version bits
+ */
+export const getVersionBits = (version) => {
+  let remainder = version;
+  for (let i = 0; i < 12; i += 1) {
+    remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  }
+  return (version << 12) | remainder;
+};
+
+const encodeData = (bytes, version) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) {
+      bits.push(getBit(value, i) ? 1 : 0);
+    }
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacityBits = getDataCapacity(version) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+};
+
+const addErrorCorrection = (data, version) => {
+  const blockCount = ECC_BLOCKS[version - 1];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version - 1];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i += 1) {
+    const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const blockData = data.slice(offset, offset + dataLength);
+    offset += dataLength;
+    const ecc = reedSolomonRemainder(blockData, eccLength);
+    if (i < shortBlockCount) {
+      blockData.push(0);
+    }
+    blocks.push(blockData.concat(ecc));
+  }
+
+  // Interleave the blocks, skipping the padding added to short blocks
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const drawFormatBits = ({ size, set }, mask) => {
+  const bits = getFormatBits(mask);
+  for (let i = 0; i <= 5; i += 1) {
+    set(8, i, getBit(bits, i));
+  }
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i += 1) {
+    set(14 - i, 8, getBit(bits, i));
+  }
+  for (let i = 0; i < 8; i += 1) {
+    set(size - 1 - i, 8, getBit(bits, i));
+  }
+  for (let i = 8; i < 15; i += 1) {
+    set(8, size - 15 + i, getBit(bits, i));
+  }
+  set(8, size - 8, true);
+};
+
+const createMatrix = (version) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  const alignment = getAlignmentPositions(version);
+  const last = alignment.length - 1;
+  alignment.forEach((cy, i) => {
+    alignment.forEach((cx, j) => {
+      // Skip the three positions that overlap finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  if (version >= 7) {
+    const bits = getVersionBits(version);
+    for (let i = 0; i < 18; i += 1) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+
+  // Reserve the format areas; the real bits are drawn once the mask is chosen
+  const matrix = { size, modules, reserved, set };
+  drawFormatBits(matrix, 0);
+  return matrix;
+};
+
+const drawCodewords = ({ size, modules, reserved }, codewords) => {
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    for (let vertical = 0; vertical < size; vertical += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!reserved[y][x] && bit < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bit >>> 3], 7 - (bit & 7));
+          bit += 1;
+        }
+      }
+    }
+  }
+};
+
+// Penalty score from the QR specification, used to pick the most readable mask
+const getPenalty = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+  const lines = [];
+
+  for (let y = 0; y < size; y += 1) {
+    lines.push(modules[y].map(Number).join(''));
+    lines.push(modules.map(row => Number(row[y])).join(''));
+  }
+
+  lines.forEach((line) => {
+    (line.match(/0{5,}|1{5,}/g) || []).forEach((run) => {
+      penalty += run.length - 2;
+    });
+    const padded = `0000${line}0000`;
+    for (let i = 0; i + 11 <= padded.length; i += 1) {
+      const window = padded.substr(i, 11);
+      if (window === '10111010000' || window === '00001011101') {
+        penalty += 40;
+      }
+    }
+  });
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      dark += modules[y][x] ? 1 : 0;
+      if (
+        x < size - 1 && y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+
+  const total = size * size;
+  penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+  return penalty;
+};
+
+/**
+ * Encodes text as a QR code (UTF-8, byte mode, error correction level M)
+ * @param {string} text - Text to encode
+ * @returns {Array<Array<boolean>>} Module rows (true = dark), without the quiet zone
+ * @throws {Error} When the text is too long for the supported versions
+ */
+export const encodeQrCode = (text) => {
+  const bytes = toUtf8Bytes(String(text ?? ''));
+
+  let version = 1;
+  // Mode (4 bits) and length (8 or 16 bits) precede the data
+  while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > getDataCapacity(version) * 8) {
+    version += 1;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error('Text is too long for a label QR code');
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+  let best = null;
+  MASKS.forEach((mask, maskIndex) => {
+    const matrix = createMatrix(version);
+    drawCodewords(matrix, codewords);
+    for (let y = 0; y < matrix.size; y += 1) {
+      for (let x = 0; x < matrix.size; x += 1) {
+        if (!matrix.reserved[y][x] && mask(x, y)) {
+          matrix.modules[y][x] = !matrix.modules[y][x];
+        }
+      }
+    }
+    drawFormatBits(matrix, maskIndex);
+
+    const penalty = getPenalty(matrix.modules);
+    if (!best || penalty < best.penalty) {
+      best = { penalty, modules: matrix.modules };
+    }
+  });
+
+  return best.modules;
+};
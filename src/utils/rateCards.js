@@ -0,0 +1,188 @@
+/**
+ * Rate Card Utilities
+ * Pure helpers for editing, validating and querying runtime rate cards
+ */
+
+import {
+  RATE_CARD_VALIDATION,
+  DEFAULT_VOLUMETRIC_DIVISOR,
+  CUSTOMS_RULES,
+  DEFAULT_CUSTOMS_RULES,
+  PUBLIC_HOLIDAYS,
+} from '../constants';
+import { parseIsoDate } from './deliveryDates';
+
+// Holidays are entered as dates separated by commas, spaces or new lines
+const splitHolidays = (text) => String(text ?? '').split(/[\s,]+/).filter(Boolean);
+
+/**
+ * Reads holidays typed on the admin screen
+ * @param {string} text - Dates separated by commas, spaces or new lines
+ * @returns {Array<string>} Unique ISO dates in order
+ */
+export const parseHolidays = (text) => [...new Set(splitHolidays(text))].sort();
+
+/**
+ * Checks that every holiday typed on the admin screen is a date
+ * @param {string} text - Dates separated by commas, spaces or new lines
+ * @returns {string} Error message, or '' when all are dates
+ */
+export const getHolidaysError = (text) => {
+  const invalidHoliday = splitHolidays(text).find(date => !parseIsoDate(date));
+  return invalidHoliday ? `"${invalidHoliday}" is not a date. Enter holidays as YYYY-MM-DD.` : '';
+};
+
+export const emptyRateCardDraft = () => ({
+  code: '',
+  name: '',
+  enabled: true,
+  minimumCharge: '0',
+  roundingIncrement: '0.5',
+  volumetricDivisor: String(DEFAULT_VOLUMETRIC_DIVISOR),
+  deMinimis: '0',
+  dutyRate: '0',
+  vatRate: '0',
+  holidays: '',
+  brackets: [{ maxWeight: '', ratePerKg: '' }],
+});
+
+export const rateCardToDraft = (code, card) => {
+  const customs = card.customs || CUSTOMS_RULES[code] || DEFAULT_CUSTOMS_RULES;
+
+  return {
+    code,
+    name: card.name || code,
+    enabled: card.enabled !== false,
+    minimumCharge: String(card.minimumCharge ?? 0),
+    roundingIncrement: String(card.roundingIncrement ?? 0),
+    volumetricDivisor: String(card.volumetricDivisor ?? DEFAULT_VOLUMETRIC_DIVISOR),
+    deMinimis: String(customs.deMinimis),
+    dutyRate: String(customs.dutyRate),
+    vatRate: String(customs.vatRate),
+    holidays: (card.holidays || PUBLIC_HOLIDAYS[code] || []).join('\n'),
+    brackets: (card.brackets || []).map(bracket => ({
+      maxWeight: bracket.maxWeight === null ? '' : String(bracket.maxWeight),
+      ratePerKg: String(bracket.ratePerKg),
+    })),
+  };
+};
+
+export const draftToRateCard = (draft) => ({
+  name: draft.name.trim(),
+  enabled: Boolean(draft.enabled),
+  minimumCharge: parseFloat(draft.minimumCharge) || 0,
+  roundingIncrement: parseFloat(draft.roundingIncrement) || 0,
+  volumetricDivisor: parseFloat(draft.volumetricDivisor),
+  customs: {
+    deMinimis: parseFloat(draft.deMinimis) || 0,
+    dutyRate: parseFloat(draft.dutyRate) || 0,
+    vatRate: parseFloat(draft.vatRate) || 0,
+  },
+  holidays: parseHolidays(draft.holidays),
+  brackets: draft.brackets.map((bracket, index) => ({
+    maxWeight: index === draft.brackets.length - 1 ? null : parseFloat(bracket.maxWeight),
+    ratePerKg: parseFloat(bracket.ratePerKg),
+  })),
+});
+
+/**
+ * Validates a rate-card draft from the admin form
+ * @param {Object} draft - Draft with string field values
+ * @param {Object} options - { isNew, existingCodes }
+ * @returns {Object} { isValid, errors }
+ */
+export const validateRateCard = (draft, { isNew = false, existingCodes = [] } = {}) => {
+  const errors = {};
+  const code = (draft.code || '').trim();
+
+  if (isNew) {
+    if (!code) {
+      errors.code = 'Country code is required.';
+    } else if (!RATE_CARD_VALIDATION.CODE_PATTERN.test(code)) {
+      errors.code = 'Use 2-30 uppercase letters or underscores, e.g. NEW_ZEALAND.';
+    } else if (existingCodes.includes(code)) {
+      errors.code = 'A rate card for this country already exists.';
+    }
+  }
+
+  if (!draft.name?.trim()) {
+    errors.name = 'Display name is required.';
+  }
+
+  const minimumCharge = parseFloat(draft.minimumCharge);
+  if (isNaN(minimumCharge) || minimumCharge < 0) {
+    errors.minimumCharge = 'Minimum charge must be 0 or more.';
+  }
+
+  const roundingIncrement = parseFloat(draft.roundingIncrement);
+  if (isNaN(roundingIncrement) || roundingIncrement < 0) {
+    errors.roundingIncrement = 'Rounding increment must be 0 or more.';
+  }
+
+  const volumetricDivisor = parseFloat(draft.volumetricDivisor);
+  if (isNaN(volumetricDivisor) || volumetricDivisor <= 0) {
+    errors.volumetricDivisor = 'Volumetric divisor must be greater than 0.';
+  }
+
+  const deMinimis = parseFloat(draft.deMinimis);
+  if (isNaN(deMinimis) || deMinimis < 0) {
+    errors.deMinimis = 'De-minimis threshold must be 0 or more.';
+  }
+
+  [['dutyRate', 'Duty rate'], ['vatRate', 'VAT rate']].forEach(([field, label]) => {
+    const rate = parseFloat(draft[field]);
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+      errors[field] = `${label} must be between 0 and 100%.`;
+    }
+  });
+
+  const holidaysError = getHolidaysError(draft.holidays);
+  if (holidaysError) {
+    errors.holidays = holidaysError;
+  }
+
+  const brackets = draft.brackets || [];
+  if (brackets.length === 0) {
+    errors.brackets = 'At least one weight bracket is required.';
+  } else if (brackets.length > RATE_CARD_VALIDATION.MAX_BRACKETS) {
+    errors.brackets = `No more than ${RATE_CARD_VALIDATION.MAX_BRACKETS} brackets are allowed.`;
+  } else {
+    let previousMax = 0;
+
+    for (let index = 0; index < brackets.length; index += 1) {
+      const bracket = brackets[index];
+      const isLast = index === brackets.length - 1;
+      const rate = parseFloat(bracket.ratePerKg);
+
+      if (isNaN(rate) || rate <= 0) {
+        errors.brackets = `Bracket ${index + 1}: rate per kg must be greater than 0.`;
+        break;
+      }
+
+      if (!isLast) {
+        const maxWeight = parseFloat(bracket.maxWeight);
+        if (isNaN(maxWeight) || maxWeight <= previousMax) {
+          errors.brackets = `Bracket ${index + 1}: upper weight must be greater than ${previousMax} kg.`;
+          break;
+        }
+        previousMax = maxWeight;
+      }
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
+
+export const getEnabledCountries = (rateCards) => {
+  return Object.keys(rateCards || {}).filter(code => rateCards[code].enabled !== false);
+};
+
+export const countBoxesByCountry = (boxes) => {
+  return (boxes || []).reduce((counts, box) => {
+    counts[box.country] = (counts[box.country] || 0) + 1;
+    return counts;
+  }, {});
+};
@@ -0,0 +1,84 @@
+/**
+ * Shipment Utilities
+ * Validation for shipments (consignments of boxes dispatched together)
+ */
+
+import { SHIPMENT_STATUSES, SHIPMENT_VALIDATION, UI_MESSAGES } from '../constants';
+
+/**
+ * Suggests the next free reference (SHP-0001, SHP-0002, ...)
+ * @param {Array<Object>} shipments - Existing shipments
+ * @returns {string} Reference
+ */
+export const getNextShipmentReference = (shipments) => {
+  const { REFERENCE_PREFIX } = SHIPMENT_VALIDATION;
+  const highest = shipments.reduce((max, shipment) => {
+    const match = String(shipment.reference).match(/(\d+)$/);
+    return match && shipment.reference.startsWith(REFERENCE_PREFIX)
+      ? Math.max(max, parseInt(match[1], 10))
+      : max;
+  }, 0);
+
+  return `${REFERENCE_PREFIX}${String(highest + 1).padStart(4, '0')}`;
+};
+
+/**
+ * Validates the fields of a new or edited shipment
+ * @param {Object} shipmentData - { reference, country } ('' country means mixed destinations)
+ * @param {Array<Object>} shipments - Existing shipments
+ * @param {Object} rateCards - Active rate cards
+ * @param {string} [currentId] - Id of the shipment being edited
+ * @returns {Object} Field errors (empty when valid)
+ */
+export const validateShipment = (shipmentData, shipments, rateCards, currentId = null) => {
+  const errors = {};
+  const reference = (shipmentData.reference || '').trim();
+
+  if (!reference) {
+    errors.reference = UI_MESSAGES.ERRORS.REQUIRED_FIELD;
+  } else if (reference.length > SHIPMENT_VALIDATION.MAX_REFERENCE_LENGTH) {
+    errors.reference = `Reference cannot exceed ${SHIPMENT_VALIDATION.MAX_REFERENCE_LENGTH} characters`;
+  } else if (shipments.some(shipment => (
+    shipment.id !== currentId && shipment.reference.toLowerCase() === reference.toLowerCase()
+  ))) {
+    errors.reference = UI_MESSAGES.ERRORS.SHIPMENT_REFERENCE_TAKEN;
+  }
+
+  if (shipmentData.country && !rateCards[shipmentData.country]) {
+    errors.country = 'Please select a valid country';
+  }
+
+  if (shipmentData.status !== undefined && !SHIPMENT_STATUSES[shipmentData.status]) {
+    errors.status = UI_MESSAGES.ERRORS.INVALID_SHIPMENT_STATUS;
+  }
+
+  return errors;
+};
+
+/**
+ * Explains why boxes cannot be moved into (or out of, when shipment is null) a shipment
+ * @param {Array<Object>} boxes - Boxes to move
+ * @param {Object|null} shipment - Target shipment, or null to unassign
+ * @param {Object} shipments - All shipments keyed by id
+ * @returns {string|null} Error message, or null when the move is allowed
+ */
+export const getShipmentAssignmentError = (boxes, shipment, shipments) => {
+  if (shipment && shipment.status !== 'open') {
+    return UI_MESSAGES.ERRORS.SHIPMENT_NOT_OPEN;
+  }
+
+  // Boxes cannot leave a shipment that has been closed or dispatched
+  const locked = boxes.some((box) => {
+    const current = box.shipmentId && shipments[box.shipmentId];
+    return current && current.id !== shipment?.id && current.status !== 'open';
+  });
+  if (locked) {
+    return UI_MESSAGES.ERRORS.SHIPMENT_NOT_OPEN;
+  }
+
+  if (shipment && shipment.country && boxes.some(box => box.country !== shipment.country)) {
+    return UI_MESSAGES.ERRORS.SHIPMENT_COUNTRY_MISMATCH;
+  }
+
+  return null;
+};
@@ -0,0 +1,410 @@
+/**
+ * Storage Utilities
+ * Versioned persistence for box data on top of localStorage
+ */
+
+import { STORAGE, BASE_CURRENCY, DEFAULT_CUSTOMS_CATEGORY, DEFAULT_CARRIER, DEFAULT_BOX_COLOR } from '../constants';
+import { createTrackingNumber } from './trackingNumbers';
+import { parseColor } from './colors';
+
+/**
+ * Resolves the storage backend, returning null when it is unavailable
+ * (private browsing, disabled cookies, non-browser environments)
+ * @returns {Storage|null} Storage backend
+ */
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Reads and parses a JSON value from storage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when nothing is stored
+ * @returns {*} Parsed value or fallback
+ * @throws {Error} When the stored value cannot be parsed
+ */
+export const readItem = (key, fallback = null) => {
+  const storage = getStorage();
+  if (!storage) {
+    return fallback;
+  }
+
+  const raw = storage.getItem(key);
+  if (raw === null) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Stored data for "${key}" is corrupt`);
+  }
+};
+
+/**
+ * Serializes a value as JSON and writes it to storage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+export const writeItem = (key, value) => {
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+
+  storage.setItem(key, JSON.stringify(value));
+};
+
+/**
+ * Schema migrations keyed by the version they produce.
+ * Each migration receives the data of the previous version and returns
+ * data matching its own version.
+ */
+const migrations = {
+  // v0 stored a bare array of boxes with no envelope
+  1: (data) => ({
+    boxes: (Array.isArray(data) ? data : []).map((box) => ({
+      ...box,
+      weight: parseFloat(box.weight) || 0,
+      shippingCost: parseFloat(box.shippingCost) || 0,
+      createdAt: box.createdAt || new Date(0).toISOString(),
+      updatedAt: box.updatedAt || box.createdAt || new Date(0).toISOString(),
+    })),
+  }),
+
+  // v2 added dimensions and volumetric/chargeable weight
+  2: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      dimensions: box.dimensions || null,
+      volumetricWeight: box.volumetricWeight || 0,
+      chargeableWeight: box.chargeableWeight || box.weight,
+    })),
+  }),
+
+  // v3 added shipments, which boxes reference by shipmentId
+  3: (data) => ({
+    ...data,
+    shipments: [],
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      shipmentId: null,
+    })),
+  }),
+
+  // v4 added the box status lifecycle, with a timestamp for every transition
+  4: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      status: 'draft',
+      statusHistory: [{ status: 'draft', at: box.createdAt }],
+    })),
+  }),
+
+  // v5 replaced random ids as the customer-facing reference with S10 tracking numbers
+  5: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box, index) => ({
+      ...box,
+      trackingNumber: createTrackingNumber(index + 1),
+    })),
+  }),
+
+  // v6 added the receiver's postal address and phone number
+  6: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      address: null,
+      phone: '',
+    })),
+  }),
+
+  // v7 added the declared goods value, insurance and destination duty/VAT
+  7: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      declaredValue: null,
+      declaredCurrency: BASE_CURRENCY,
+      insured: false,
+      insuranceCost: 0,
+      dutyCost: 0,
+      vatCost: 0,
+    })),
+  }),
+
+  // v8 added customs item lines and the category of contents
+  8: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      customsItems: [],
+      customsCategory: DEFAULT_CUSTOMS_CATEGORY,
+    })),
+  }),
+
+  // v9 itemized shipping costs; earlier boxes were charged freight only
+  9: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      costBreakdown: {
+        baseFreight: box.shippingCost || 0,
+        fuelSurcharge: 0,
+        remoteAreaFee: 0,
+        gst: 0,
+      },
+    })),
+  }),
+
+  // v10 added promo codes and volume discounts
+  10: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      costBreakdown: { ...box.costBreakdown, discount: 0 },
+      promoCode: '',
+      discount: null,
+    })),
+  }),
+
+  // v11 added carriers; earlier boxes were all priced with the rate cards
+  11: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      carrier: DEFAULT_CARRIER,
+    })),
+  }),
+
+  // v12 added dispatch dates and delivery estimates; earlier boxes have neither
+  12: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      dispatchDate: null,
+      estimatedDelivery: null,
+    })),
+  }),
+
+  // v13 stores colors as { r, g, b } instead of the "(r, g, b)" string
+  13: (data) => ({
+    ...data,
+    boxes: data.boxes.map((box) => ({
+      ...box,
+      boxColor: parseColor(box.boxColor) || parseColor(DEFAULT_BOX_COLOR),
+    })),
+  }),
+};
+
+/**
+ * Upgrades a stored payload to the current schema version
+ * @param {Object|Array} payload - Raw payload read from storage
+ * @returns {Object} Data at the current schema version
+ * @throws {Error} When the payload is malformed or from a newer schema
+ */
+export const migrateBoxData = (payload) => {
+  let version;
+  let data;
+
+  if (Array.isArray(payload)) {
+    version = 0;
+    data = payload;
+  } else if (payload && typeof payload === 'object' && Number.isInteger(payload.version)) {
+    version = payload.version;
+    data = payload.data;
+  } else {
+    throw new Error('Stored box data has an unrecognized format');
+  }
+
+  if (version > STORAGE.SCHEMA_VERSION) {
+    throw new Error(`Stored box data uses unsupported schema version ${version}`);
+  }
+
+  while (version < STORAGE.SCHEMA_VERSION) {
+    version += 1;
+    data = migrations[version](data);
+  }
+
+  if (!data || !Array.isArray(data.boxes)) {
+    throw new Error('Stored box data is missing the boxes list');
+  }
+  if (data.shipments !== undefined && !Array.isArray(data.shipments)) {
+    throw new Error('Stored box data has an invalid shipments list');
+  }
+
+  return data;
+};
+
+/**
+ * Loads persisted box data, migrating it to the current schema
+ * @returns {Object} Box data ({ boxes, shipments? })
+ * @throws {Error} When the stored data is corrupt or unreadable
+ */
+export const loadBoxData = () => {
+  const payload = readItem(STORAGE.BOXES_KEY);
+
+  if (payload === null) {
+    return { boxes: [] };
+  }
+
+  return migrateBoxData(payload);
+};
+
+/**
+ * Moves unreadable box data to a backup key so it can be recovered manually
+ */
+export const quarantineBoxData = () => {
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+
+  try {
+    const raw = storage.getItem(STORAGE.BOXES_KEY);
+    if (raw !== null) {
+      storage.setItem(`${STORAGE.BOXES_KEY}.corrupt`, raw);
+      storage.removeItem(STORAGE.BOXES_KEY);
+    }
+  } catch (error) {
+    console.error('Error backing up corrupt box data:', error);
+  }
+};
+
+/**
+ * Persists box data under the current schema version
+ * @param {Object} data - Box data ({ boxes, shipments })
+ */
+export const saveBoxData = (data) => {
+  writeItem(STORAGE.BOXES_KEY, {
+    version: STORAGE.SCHEMA_VERSION,
+    data,
+  });
+};
+
+/**
+ * Reads data stored in a { version, data } envelope
+ * @param {string} key - Storage key
+ * @param {number} version - Expected version
+ * @returns {*} Stored data, or null when nothing is saved
+ * @throws {Error} When the stored data is corrupt or from another version
+ */
+export const readVersionedItem = (key, version) => {
+  const payload = readItem(key);
+
+  if (payload === null) {
+    return null;
+  }
+
+  if (!payload || payload.version !== version || typeof payload.data !== 'object' || payload.data === null) {
+    throw new Error(`Stored data for "${key}" has an unrecognized format`);
+  }
+
+  return payload.data;
+};
+
+/**
+ * Writes data in a { version, data } envelope
+ * @param {string} key - Storage key
+ * @param {number} version - Schema version
+ * @param {*} data - Data to store
+ */
+export const writeVersionedItem = (key, version, data) => {
+  writeItem(key, { version, data });
+};
+
+/**
+ * Removes a stored item
+ * @param {string} key - Storage key
+ */
+export const removeItem = (key) => {
+  const storage = getStorage();
+  if (storage) {
+    storage.removeItem(key);
+  }
+};
+
+/**
+ * Loads rate cards saved from the admin screen
+ * @returns {Object|null} Rate cards keyed by country code, or null if none are saved
+ */
+export const loadRateCards = () => readVersionedItem(STORAGE.RATE_CARDS_KEY, STORAGE.RATE_CARDS_VERSION);
+
+/**
+ * Persists rate cards
+ * @param {Object} rateCards - Rate cards keyed by country code
+ */
+export const saveRateCards = (rateCards) => {
+  writeVersionedItem(STORAGE.RATE_CARDS_KEY, STORAGE.RATE_CARDS_VERSION, rateCards);
+};
+
+/**
+ * Removes saved rate cards so the built-in defaults apply again
+ */
+export const clearRateCards = () => removeItem(STORAGE.RATE_CARDS_KEY);
+
+/**
+ * Loads the Indian public holidays saved from the admin screen
+ * @returns {Array<string>|null} ISO dates, or null if none are saved
+ */
+export const loadOriginHolidays = () => {
+  const data = readVersionedItem(STORAGE.ORIGIN_HOLIDAYS_KEY, STORAGE.ORIGIN_HOLIDAYS_VERSION);
+  if (data === null) {
+    return null;
+  }
+  if (!Array.isArray(data.holidays)) {
+    throw new Error(`Stored data for "${STORAGE.ORIGIN_HOLIDAYS_KEY}" has an unrecognized format`);
+  }
+  return data.holidays;
+};
+
+/**
+ * Persists the Indian public holidays
+ * @param {Array<string>} holidays - ISO dates
+ */
+export const saveOriginHolidays = (holidays) => {
+  writeVersionedItem(STORAGE.ORIGIN_HOLIDAYS_KEY, STORAGE.ORIGIN_HOLIDAYS_VERSION, { holidays });
+};
+
+/**
+ * Removes saved origin holidays so the built-in list applies again
+ */
+export const clearOriginHolidays = () => removeItem(STORAGE.ORIGIN_HOLIDAYS_KEY);
+
+/**
+ * Loads the last tracking serial issued
+ * @returns {number} Serial, or 0 when none has been issued
+ */
+export const loadTrackingSequence = () => {
+  const data = readVersionedItem(STORAGE.TRACKING_KEY, STORAGE.TRACKING_VERSION);
+  return Number.isInteger(data?.lastSerial) ? data.lastSerial : 0;
+};
+
+/**
+ * Persists the last tracking serial issued
+ * @param {number} lastSerial - Serial
+ */
+export const saveTrackingSequence = (lastSerial) => {
+  writeVersionedItem(STORAGE.TRACKING_KEY, STORAGE.TRACKING_VERSION, { lastSerial });
+};
+
+/**
+ * Loads the display currency and exchange-rate table
+ * @returns {Object|null} { currency, exchangeRates }, or null if none are saved
+ */
+export const loadCurrencySettings = () => readVersionedItem(STORAGE.CURRENCY_KEY, STORAGE.CURRENCY_VERSION);
+
+/**
+ * Persists the display currency and exchange-rate table
+ * @param {Object} settings - { currency, exchangeRates }
+ */
+export const saveCurrencySettings = (settings) => {
+  writeVersionedItem(STORAGE.CURRENCY_KEY, STORAGE.CURRENCY_VERSION, settings);
+};
@@ -0,0 +1,146 @@
+/**
+ * Tracking Number Utilities
+ * UPU S10 item identifiers such as CP000000014IN: a two-letter service indicator,
+ * an 8-digit serial, a mod-11 check digit and the origin country code
+ */
+
+import { TRACKING, UI_MESSAGES } from '../constants';
+
+// S10 weights applied to the serial digits, left to right
+const S10_WEIGHTS = [8, 6, 4, 2, 3, 5, 9, 7];
+
+const S10_PATTERN = /^([A-Z]{2})(\d{8})(\d)([A-Z]{2})$/;
+
+/**
+ * Computes the S10 check digit for a serial
+ * @param {string|number} serial - Serial number (up to 8 digits)
+ * @returns {number} Check digit (0-9)
+ */
+export const getS10CheckDigit = (serial) => {
+  const digits = String(serial).padStart(8, '0');
+  const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * S10_WEIGHTS[index], 0);
+  const check = 11 - (sum % 11);
+
+  if (check === 10) {
+    return 0;
+  }
+  if (check === 11) {
+    return 5;
+  }
+  return check;
+};
+
+/**
+ * Removes spaces and normalizes case, as tracking numbers are often typed in groups
+ * @param {string} value - Tracking number as entered
+ * @returns {string} Normalized tracking number
+ */
+export const normalizeTrackingNumber = (value) => String(value ?? '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Builds a tracking number for a serial
+ * @param {number} serial - Serial number (1 to TRACKING.MAX_SERIAL)
+ * @param {string} [serviceCode] - Two-letter service indicator
+ * @param {string} [originCountry] - Two-letter origin country code
+ * @returns {string} Tracking number
+ * @throws {Error} When the serial is outside the 8-digit range
+ */
+export const createTrackingNumber = (
+  serial,
+  serviceCode = TRACKING.SERVICE_CODE,
+  originCountry = TRACKING.ORIGIN_COUNTRY
+) => {
+  if (!Number.isInteger(serial) || serial < 1 || serial > TRACKING.MAX_SERIAL) {
+    throw new Error(`Tracking serial out of range: ${serial}`);
+  }
+
+  const digits = String(serial).padStart(8, '0');
+  return `${serviceCode}${digits}${getS10CheckDigit(digits)}${originCountry}`;
+};
+
+/**
+ * Splits a tracking number into its parts
+ * @param {string} value - Tracking number
+ * @returns {Object|null} { serviceCode, serial, checkDigit, originCountry }, or null when malformed
+ */
+export const parseTrackingNumber = (value) => {
+  const match = normalizeTrackingNumber(value).match(S10_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    serviceCode: match[1],
+    serial: Number(match[2]),
+    checkDigit: Number(match[3]),
+    originCountry: match[4],
+  };
+};
+
+/**
+ * Whether a value is a well-formed S10 tracking number with a correct check digit
+ * @param {string} value - Tracking number
+ * @returns {boolean} True when valid
+ */
+export const isValidTrackingNumber = (value) => {
+  const parts = parseTrackingNumber(value);
+  return Boolean(parts) && parts.checkDigit === getS10CheckDigit(parts.serial);
+};
+
+/**
+ * Serial of a tracking number issued by this app (matching service code and origin)
+ * @param {string} value - Tracking number
+ * @returns {number|null} Serial, or null for invalid or foreign numbers
+ */
+export const getOwnTrackingSerial = (value) => {
+  if (!isValidTrackingNumber(value)) {
+    return null;
+  }
+
+  const parts = parseTrackingNumber(value);
+  return parts.serviceCode === TRACKING.SERVICE_CODE && parts.originCountry === TRACKING.ORIGIN_COUNTRY
+    ? parts.serial
+    : null;
+};
+
+/**
+ * Gives each box a tracking number, keeping valid numbers that are not already taken
+ * and issuing new ones from the sequence for the rest
+ * @param {Array<Object>} boxes - Box data
+ * @param {number} lastSerial - Last serial issued
+ * @param {Set<string>|Object} taken - Tracking numbers already in use (anything with has())
+ * @returns {Object} { boxes, lastSerial } with the updated sequence
+ * @throws {Error} When the serial range is exhausted
+ */
+export const assignTrackingNumbers = (boxes, lastSerial, taken = new Set()) => {
+  // Numbers given out in this call; the taken set itself is never copied
+  const assigned = new Set();
+  const used = { has: number => assigned.has(number) || taken.has(number) };
+  let sequence = lastSerial;
+
+  // Kept numbers from this app move the sequence past them first
+  boxes.forEach((box) => {
+    const serial = getOwnTrackingSerial(box.trackingNumber);
+    if (serial !== null && !used.has(normalizeTrackingNumber(box.trackingNumber))) {
+      sequence = Math.max(sequence, serial);
+    }
+  });
+
+  const numbered = boxes.map((box) => {
+    const current = normalizeTrackingNumber(box.trackingNumber);
+    if (isValidTrackingNumber(current) && !used.has(current)) {
+      assigned.add(current);
+      return { ...box, trackingNumber: current };
+    }
+
+    if (sequence >= TRACKING.MAX_SERIAL) {
+      throw new Error(UI_MESSAGES.ERRORS.TRACKING_NUMBERS_EXHAUSTED);
+    }
+    sequence += 1;
+    const trackingNumber = createTrackingNumber(sequence);
+    assigned.add(trackingNumber);
+    return { ...box, trackingNumber };
+  });
+
+  return { boxes: numbered, lastSerial: sequence };
+};